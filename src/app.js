@@ -11,6 +11,8 @@ const { errorHandler, notFound } = require('./middleware/errorHandler');
 // Routes
 const analysisRoutes = require('./routes/analysis');
 const healthRoutes = require('./routes/health');
+const templateRoutes = require('./routes/templates');
+const scheduleRoutes = require('./routes/schedules');
 
 const app = express();
 
@@ -130,6 +132,8 @@ app.use((req, res, next) => {
 // Routes
 app.use('/api/health', healthRoutes);
 app.use('/api/analysis', auth, analysisRoutes);
+app.use('/api/templates', auth, templateRoutes);
+app.use('/api/schedules', auth, scheduleRoutes);
 
 // Root endpoint with enhanced information
 app.get('/', (req, res) => {
@@ -137,7 +141,7 @@ app.get('/', (req, res) => {
     service: 'Geo Analysis Service',
     version: '2.0.0',
     description: 'AI/LLM Brand Visibility Analysis with Claude AI',
-    aiProvider: 'Anthropic Claude',
+    aiProvider: 'Anthropic Claude (default), OpenAI, Gemini, Perplexity',
     status: 'operational',
     timestamp: new Date().toISOString(),
     server: {
@@ -157,10 +161,23 @@ app.get('/', (req, res) => {
     fileLocation: config.reportsDir,
     endpoints: {
       health: 'GET /api/health - Service health check',
-      analyze: 'POST /api/analysis/comprehensive - Comprehensive brand analysis',
+      analyze: 'POST /api/analysis/comprehensive - Comprehensive brand analysis (queued job, ?sync=true to wait)',
+      stream: 'POST /api/analysis/comprehensive/stream - Comprehensive analysis as Server-Sent Events',
+      preview: 'POST /api/analysis/comprehensive/preview - Rendered prompt, token count and projected cost (dry run)',
+      suggest: 'POST /api/analysis/suggest/:kind - Suggested competitors, topics, prompts or personas for the form',
+      jobStatus: 'GET /api/analysis/jobs/:jobId - Analysis job status and result',
+      cancelJob: 'DELETE /api/analysis/jobs/:jobId - Cancel analysis job',
+      deadLetter: 'GET /api/analysis/jobs/dead-letter - Jobs that failed all attempts',
       legacy: 'POST /api/analysis - Legacy brand analysis',
       files: 'GET /api/analysis/files - List saved files',
+      trends: 'GET /api/analysis/brands/:brandFolder/trends - Visibility and cost of a brand over time (?granularity=day|week|month)',
+      diff: 'GET /api/analysis/brands/:brandFolder/diff?from=<file>&to=<file> - What changed between two reports of a brand',
+      models: 'GET /api/analysis/models - LLM providers and models',
+      usage: 'GET /api/analysis/usage - Estimated LLM cost by brand, client, API key and day',
+      templates: 'GET|POST /api/templates, GET|PUT|DELETE /api/templates/:id - Versioned prompt templates',
+      schedules: 'GET|POST /api/schedules, GET|PATCH|DELETE /api/schedules/:id, GET /api/schedules/:id/runs - Recurring analyses (cron)',
       download: 'GET /api/analysis/files/:fileName/download - Download file',
+      translate: 'POST /api/analysis/files/:fileName/translate - Translated copy of a report (de, fr, es, ...)',
       statistics: 'GET /api/analysis/statistics - Service stats',
       help: 'GET /api/analysis/help - API documentation'
     },
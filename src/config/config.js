@@ -14,7 +14,8 @@ const config = {
     inputLimit: 200000, // Input token limit
     description: 'Claude 3.5 Sonnet - Optimized for comprehensive brand analysis',
     
-    // Rate limits for different tiers
+    // Rate limits for different tiers - the active tier is enforced client-side by the rate scheduler
+    rateLimitTier: process.env.CLAUDE_RATE_LIMIT_TIER || 'tier1',
     rateLimits: {
       tier1: {
         requestsPerMinute: 5,
@@ -31,21 +32,118 @@ const config = {
     }
   },
   
-  // Available models for reference
+  // LLM providers - Claude is the default; others are used when selected per request
+  llm: {
+    defaultProvider: process.env.LLM_PROVIDER || 'anthropic',
+    providers: {
+      anthropic: {
+        type: 'anthropic',
+        name: 'Anthropic Claude',
+        apiKey: process.env.CLAUDE_API_KEY,
+        baseUrl: process.env.ANTHROPIC_BASE_URL, // e.g. a local stand-in for tests; unset uses the public API
+        defaultModel: process.env.CLAUDE_MODEL || 'claude-3-5-sonnet-20241022',
+        batchPriceFactor: 0.5, // Message Batches are billed at half the standard price
+        promptCaching: process.env.CLAUDE_PROMPT_CACHING !== 'false' // Cache the static system prompt between analyses (single analysis mode)
+      },
+      openai: {
+        type: 'openai-compatible',
+        name: 'OpenAI ChatGPT',
+        apiKey: process.env.OPENAI_API_KEY,
+        baseUrl: process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1',
+        defaultModel: process.env.OPENAI_MODEL || 'gpt-4o'
+      },
+      gemini: {
+        type: 'openai-compatible',
+        name: 'Google Gemini',
+        apiKey: process.env.GEMINI_API_KEY,
+        baseUrl: process.env.GEMINI_BASE_URL || 'https://generativelanguage.googleapis.com/v1beta/openai',
+        defaultModel: process.env.GEMINI_MODEL || 'gemini-1.5-pro'
+      },
+      perplexity: {
+        type: 'openai-compatible',
+        name: 'Perplexity',
+        apiKey: process.env.PERPLEXITY_API_KEY,
+        baseUrl: process.env.PERPLEXITY_BASE_URL || 'https://api.perplexity.ai',
+        defaultModel: process.env.PERPLEXITY_MODEL || 'sonar'
+      },
+      mock: {
+        type: 'mock',
+        name: 'Local Mock',
+        defaultModel: 'mock-analyst',
+        // success | max_tokens | rate_limit | unauthorized | server_error
+        scenario: process.env.MOCK_LLM_SCENARIO || 'success',
+        failTimes: parseInt(process.env.MOCK_LLM_FAIL_TIMES, 10) || 0, // Error scenarios fail this many calls, 0 = all
+        latencyMs: parseInt(process.env.MOCK_LLM_LATENCY_MS, 10) || 0, // Simulated response time per call
+        batchLatencyMs: parseInt(process.env.MOCK_LLM_BATCH_LATENCY_MS, 10) || 0, // Simulated batch processing time
+        promptCaching: process.env.CLAUDE_PROMPT_CACHING !== 'false' // Simulates the Anthropic prompt cache
+      }
+    }
+  },
+
+  // Model registry - every model belongs to one provider; pricing is used for cost reporting
   availableModels: {
     'claude-3-5-sonnet-20241022': {
+      provider: 'anthropic',
       name: 'Claude 3.5 Sonnet',
       maxTokens: 8192,
       inputLimit: 200000,
       description: 'Most capable model for complex analysis',
-      recommended: true
+      recommended: true,
+      pricing: { inputPerMTok: 3.00, outputPerMTok: 15.00, cacheWritePerMTok: 3.75, cacheReadPerMTok: 0.30 } // USD per million tokens
     },
     'claude-3-5-haiku-20241022': {
+      provider: 'anthropic',
       name: 'Claude 3.5 Haiku',
       maxTokens: 8192,
       inputLimit: 200000,
       description: 'Faster model for simpler tasks',
-      recommended: false
+      recommended: false,
+      pricing: { inputPerMTok: 0.80, outputPerMTok: 4.00, cacheWritePerMTok: 1.00, cacheReadPerMTok: 0.08 }
+    },
+    'gpt-4o': {
+      provider: 'openai',
+      name: 'GPT-4o',
+      maxTokens: 16384,
+      inputLimit: 128000,
+      description: 'OpenAI flagship model behind ChatGPT',
+      recommended: false,
+      pricing: { inputPerMTok: 2.50, outputPerMTok: 10.00, cacheReadPerMTok: 1.25 }
+    },
+    'gpt-4o-mini': {
+      provider: 'openai',
+      name: 'GPT-4o mini',
+      maxTokens: 16384,
+      inputLimit: 128000,
+      description: 'Smaller, cheaper OpenAI model',
+      recommended: false,
+      pricing: { inputPerMTok: 0.15, outputPerMTok: 0.60, cacheReadPerMTok: 0.075 }
+    },
+    'gemini-1.5-pro': {
+      provider: 'gemini',
+      name: 'Gemini 1.5 Pro',
+      maxTokens: 8192,
+      inputLimit: 2000000,
+      description: 'Google Gemini model with long context',
+      recommended: false,
+      pricing: { inputPerMTok: 1.25, outputPerMTok: 5.00 }
+    },
+    'sonar': {
+      provider: 'perplexity',
+      name: 'Perplexity Sonar',
+      maxTokens: 8192,
+      inputLimit: 127000,
+      description: 'Perplexity search-grounded model',
+      recommended: false,
+      pricing: { inputPerMTok: 1.00, outputPerMTok: 1.00 }
+    },
+    'mock-analyst': {
+      provider: 'mock',
+      name: 'Mock Analyst',
+      maxTokens: 8192,
+      inputLimit: 200000,
+      description: 'Deterministic offline responses for development',
+      recommended: false,
+      pricing: { inputPerMTok: 0.00, outputPerMTok: 0.00 }
     }
   },
   
@@ -62,7 +160,106 @@ const config = {
   // Storage - Enhanced with brand folder support
   reportsDir: process.env.REPORTS_DIR || './reports',
   logsDir: process.env.LOGS_DIR || './logs',
-  
+
+  // Background analysis jobs
+  jobs: {
+    dataDir: process.env.JOBS_DIR || './data/jobs', // Persistent queue state
+    concurrency: parseInt(process.env.JOB_CONCURRENCY, 10) || 2, // Analyses running at the same time
+    maxAttempts: parseInt(process.env.JOB_MAX_ATTEMPTS, 10) || 3, // Attempts before a job is dead-lettered
+    retryDelayMs: parseInt(process.env.JOB_RETRY_DELAY_MS, 10) || 30000, // Base delay between attempts
+    retentionMs: parseInt(process.env.JOB_RETENTION_MS, 10) || 86400000 // Keep finished jobs for 24 hours
+  },
+
+  // Recurring analyses on cron schedules
+  schedules: {
+    dataDir: process.env.SCHEDULES_DIR || './data/schedules', // Persistent schedules and run history
+    tickMs: parseInt(process.env.SCHEDULE_TICK_MS, 10) || 30000, // How often due schedules are checked
+    defaultTimezone: process.env.SCHEDULE_TIMEZONE || 'UTC',
+    historyLimit: parseInt(process.env.SCHEDULE_HISTORY_LIMIT, 10) || 50 // Runs kept per schedule
+  },
+
+  // Bulk comprehensive analyses (one form payload per row)
+  bulk: {
+    maxRows: parseInt(process.env.BULK_MAX_ROWS, 10) || 50 // Rows per request; rows run on the job queue
+  },
+
+  // Bulk analyses submitted as provider batches (Anthropic Message Batches)
+  batches: {
+    dataDir: process.env.BATCHES_DIR || './data/batches', // Persistent bulk job state
+    pollIntervalMs: parseInt(process.env.BATCH_POLL_INTERVAL_MS, 10) || 60000, // Status checks while a batch runs
+    maxBrands: parseInt(process.env.BATCH_MAX_BRANDS, 10) || 100, // Brands per bulk job
+    retentionMs: parseInt(process.env.BATCH_RETENTION_MS, 10) || 604800000 // Keep finished bulk jobs for 7 days
+  },
+
+  // Retries and circuit breaking around LLM provider calls. Pipeline phases are only retried
+  // for failures the per-call retries did not cover (a stream cut off mid-answer), so a
+  // failing call is normally attempted LLM_MAX_ATTEMPTS x JOB_MAX_ATTEMPTS times (4 x 3 = 12)
+  resilience: {
+    maxAttempts: parseInt(process.env.LLM_MAX_ATTEMPTS, 10) || 4, // Per call, including the first
+    baseDelayMs: parseInt(process.env.LLM_RETRY_BASE_DELAY_MS, 10) || 1000,
+    maxDelayMs: parseInt(process.env.LLM_RETRY_MAX_DELAY_MS, 10) || 60000, // Also caps retry-after
+    breakerFailureThreshold: parseInt(process.env.BREAKER_FAILURE_THRESHOLD, 10) || 5, // Consecutive transient failures
+    breakerResetMs: parseInt(process.env.BREAKER_RESET_MS, 10) || 60000 // Open time before a trial call
+  },
+
+  // Custom prompt templates - one JSON file per template, every edit adds a version
+  templates: {
+    dataDir: process.env.TEMPLATES_DIR || './data/templates'
+  },
+
+  // Cost accounting - one ledger line per analysis
+  usage: {
+    ledgerFile: process.env.USAGE_LEDGER_FILE || './data/usage/ledger.jsonl'
+  },
+
+  // Analysis strategy - 'pipeline' runs ordered phases, 'single' sends one large prompt
+  analysis: {
+    mode: process.env.ANALYSIS_MODE || 'pipeline',
+    phaseAttempts: parseInt(process.env.PHASE_MAX_ATTEMPTS, 10) || 2, // Attempts per phase, for failures not retried per call
+    phaseRetryDelayMs: parseInt(process.env.PHASE_RETRY_DELAY_MS, 10) || 2000
+  },
+
+  // Measured prompt testing - real end-user queries sent to LLM providers
+  probes: {
+    enabled: process.env.PROBES_ENABLED === 'true', // Default when the request does not say
+    providers: (process.env.PROBE_PROVIDERS || 'openai,gemini,perplexity,anthropic')
+      .split(',')
+      .map(provider => provider.trim())
+      .filter(Boolean),
+    generatedPrompts: parseInt(process.env.PROBE_GENERATED_PROMPTS, 10) || 3, // Added to client prompts
+    maxTokens: parseInt(process.env.PROBE_MAX_TOKENS, 10) || 1024, // Per answer
+    temperature: 0.7, // Closer to what end users see than the analysis temperature
+    concurrency: parseInt(process.env.PROBE_CONCURRENCY, 10) || 3
+  },
+
+  // Website crawling - grounds the analysis in the brand's real site content
+  crawler: {
+    enabled: process.env.CRAWLER_ENABLED !== 'false', // Default when the request does not say
+    maxPages: parseInt(process.env.CRAWLER_MAX_PAGES, 10) || 10, // Homepage included
+    maxDepth: parseInt(process.env.CRAWLER_MAX_DEPTH, 10) || 2, // Link hops from the homepage
+    maxPageBytes: parseInt(process.env.CRAWLER_MAX_PAGE_BYTES, 10) || 1024 * 1024, // Larger pages are truncated
+    maxTextPerPage: 4000, // Characters kept per page
+    maxPromptChars: 20000, // Website content added to the prompt
+    timeoutMs: parseInt(process.env.CRAWLER_TIMEOUT_MS, 10) || 10000, // Per request
+    concurrency: parseInt(process.env.CRAWLER_CONCURRENCY, 10) || 3,
+    maxCrawlDelayMs: parseInt(process.env.CRAWLER_MAX_CRAWL_DELAY_MS, 10) || 10000, // Longer robots.txt Crawl-delay: homepage only
+    userAgent: process.env.CRAWLER_USER_AGENT || 'GeoAnalysisBot/2.0 (+https://www.marketanalyticx.com)',
+    // Private and loopback addresses are refused unless allowed (local fixtures, intranet sites)
+    allowPrivateHosts: process.env.CRAWLER_ALLOW_PRIVATE_HOSTS === 'true'
+  },
+
+  // Result cache - identical comprehensive requests share one run and reuse its report
+  cache: {
+    enabled: process.env.RESULT_CACHE_ENABLED !== 'false',
+    ttlMs: parseInt(process.env.RESULT_CACHE_TTL_MS, 10) || 3600000, // Reuse a finished report for 1 hour
+    maxEntries: parseInt(process.env.RESULT_CACHE_MAX_ENTRIES, 10) || 100 // Results kept in memory
+  },
+
+  // Report translation - long reports are translated in parts that fit the output token limit
+  translation: {
+    maxPartChars: parseInt(process.env.TRANSLATION_MAX_PART_CHARS, 10) || 12000
+  },
+
   // Form validation limits
   formLimits: {
     maxCompetitors: 5,
@@ -71,7 +268,8 @@ const config = {
     maxPersonasLength: 1000,
     maxPromptLength: 500,
     maxTopicLength: 200,
-    maxCompetitorLength: 100
+    maxCompetitorLength: 100,
+    maxMarkets: 5
   },
   
   // Analysis features
@@ -82,13 +280,22 @@ const config = {
     topicIdentification: true,
     promptDevelopment: true,
     personaCreation: true,
-    fullTextResponse: true
+    fullTextResponse: true,
+    measuredPromptTesting: true,
+    phasedAnalysisPipeline: true,
+    websiteCrawling: true
   }
 };
 
+// Claude calls are scheduled against the configured tier's RPM / OTPM budget
+config.llm.providers.anthropic.rateLimits = {
+  tier: config.claude.rateLimitTier,
+  ...config.claude.rateLimits[config.claude.rateLimitTier]
+};
+
 // Create directories with brand folder support
 const createDirectories = () => {
-  const dirs = [config.reportsDir, config.logsDir];
+  const dirs = [config.reportsDir, config.logsDir, config.jobs.dataDir, config.batches.dataDir, config.schedules.dataDir];
   
   dirs.forEach(dir => {
     if (!fs.existsSync(dir)) {
@@ -145,8 +352,10 @@ Generated by Geo Analysis Service v2.0.0
 // Validation
 const validateConfig = () => {
   const errors = [];
+  const useMock = config.llm.providers[config.llm.defaultProvider]?.type === 'mock';
   
-  if (!config.claude.apiKey) {
+  // The mock provider answers from fixtures, so the service runs without any provider key
+  if (!config.claude.apiKey && !useMock) {
     errors.push('CLAUDE_API_KEY is required');
   }
   
@@ -162,6 +371,27 @@ const validateConfig = () => {
   if (!config.availableModels[config.claude.model]) {
     console.warn(`⚠️ Warning: Model ${config.claude.model} not in available models list`);
   }
+
+  if (!config.llm.providers[config.llm.defaultProvider]) {
+    errors.push(`LLM_PROVIDER "${config.llm.defaultProvider}" is not a configured provider`);
+  }
+  
+  if (!config.claude.rateLimits[config.claude.rateLimitTier]) {
+    errors.push(`CLAUDE_RATE_LIMIT_TIER must be one of: ${Object.keys(config.claude.rateLimits).join(', ')}`);
+  }
+
+  if (!['pipeline', 'single'].includes(config.analysis.mode)) {
+    errors.push(`ANALYSIS_MODE must be "pipeline" or "single"`);
+  }
+
+  const mockScenarios = ['success', 'max_tokens', 'rate_limit', 'unauthorized', 'server_error'];
+  if (!mockScenarios.includes(config.llm.providers.mock.scenario)) {
+    errors.push(`MOCK_LLM_SCENARIO must be one of: ${mockScenarios.join(', ')}`);
+  }
+
+  if (useMock) {
+    console.warn(`⚠️ Warning: Using the mock LLM provider (scenario: ${config.llm.providers.mock.scenario}) - no AI service will be called`);
+  }
   
   if (errors.length > 0) {
     console.error('❌ Configuration errors:');
@@ -176,10 +406,11 @@ createDirectories();
 validateConfig();
 
 console.log('✅ Configuration loaded successfully');
-console.log(`🤖 Model: ${config.claude.model}`);
+console.log(`🤖 Provider: ${config.llm.defaultProvider}, model: ${config.llm.providers[config.llm.defaultProvider]?.defaultModel}`);
 console.log(`🎯 Max output tokens: ${config.claude.maxTokens.toLocaleString()}`);
 console.log(`📥 Max input tokens: ${config.claude.inputLimit.toLocaleString()}`);
 console.log(`⚡ Rate limit: ${config.rateLimitMaxRequests} requests/hour`);
+console.log(`🚦 Claude rate tier: ${config.claude.rateLimitTier} (${config.llm.providers.anthropic.rateLimits.requestsPerMinute || '?'} RPM, ${config.llm.providers.anthropic.rateLimits.outputTokensPerMinute?.toLocaleString() || '?'} OTPM)`);
 console.log(`📁 Reports directory: ${config.reportsDir}`);
 console.log(`🔧 Features enabled: ${Object.entries(config.features).filter(([k,v]) => v).map(([k,v]) => k).join(', ')}`);
 
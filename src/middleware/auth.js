@@ -48,7 +48,9 @@ const auth = (req, res, next) => {
     });
   }
   
-  // Authentication successful
+  // Authentication successful; the partial key identifies the caller in usage reports
+  req.apiKeyId = providedKey.substring(0, 8) + '...';
+
   logger.debug('Authentication successful', {
     ip: req.ip,
     path: req.path,
@@ -18,13 +18,13 @@ const errorHandler = (err, req, res, next) => {
   let message = err.message;
   let errorDetails = {};
 
-  // Claude API errors
-  if (err.message && err.message.includes('Claude API')) {
+  // Claude / LLM provider API errors
+  if (err.message && (err.message.includes('Claude API') || err.provider)) {
     statusCode = 400;
     message = err.message;
     errorDetails = {
       type: 'claude_error',
-      provider: 'anthropic'
+      provider: err.provider || 'anthropic'
     };
   }
   
@@ -47,6 +47,20 @@ const errorHandler = (err, req, res, next) => {
     };
   }
 
+  // Provider circuit breaker open - fail fast until it recovers
+  if (err.code === 'CIRCUIT_OPEN') {
+    statusCode = 503;
+    message = err.message;
+    errorDetails = {
+      type: 'provider_unavailable',
+      provider: err.provider,
+      retryAfter: err.retryAfter
+    };
+    if (err.retryAfter) {
+      res.set('Retry-After', String(err.retryAfter));
+    }
+  }
+
   // Authentication errors
   if (err.status === 401 || err.message.includes('API key')) {
     statusCode = 401;
@@ -1,5 +1,101 @@
 const Joi = require('joi');
+const config = require('../config/config');
 const logger = require('../utils/logger');
+const { TEMPLATE_VARIABLES, findTemplateVariables } = require('../utils/prompt');
+const { isCountryCode, isLanguageCode, marketKey } = require('../utils/markets');
+const { OUTPUT_LANGUAGES } = require('../utils/i18n');
+const { parseCron, nextRun, isValidTimeZone } = require('../utils/cron');
+
+/**
+ * Provider and model selection, shared by the analysis schemas
+ */
+const providerField = Joi.string()
+  .valid(...Object.keys(config.llm.providers))
+  .optional()
+  .messages({
+    'any.only': `Provider must be one of: ${Object.keys(config.llm.providers).join(', ')}`
+  });
+
+const modelField = Joi.string()
+  .valid(...Object.keys(config.availableModels))
+  .optional()
+  .messages({
+    'any.only': `Model must be one of: ${Object.keys(config.availableModels).join(', ')}`
+  });
+
+/**
+ * Target market: ISO country plus language, e.g. { country: 'DE', language: 'de' }
+ */
+const marketField = Joi.object({
+  country: Joi.string()
+    .trim()
+    .uppercase()
+    .custom((value, helpers) => (isCountryCode(value) ? value : helpers.message(`Unknown country code: ${value}`)))
+    .required()
+    .messages({
+      'any.required': 'Market country is required (ISO 3166-1 alpha-2, e.g. DE)'
+    }),
+
+  language: Joi.string()
+    .trim()
+    .lowercase()
+    .custom((value, helpers) => (isLanguageCode(value) ? value : helpers.message(`Unknown language code: ${value}`)))
+    .required()
+    .messages({
+      'any.required': 'Market language is required (ISO 639-1, e.g. de)'
+    })
+});
+
+/**
+ * Report language
+ */
+const outputLanguageField = Joi.string()
+  .trim()
+  .lowercase()
+  .valid(...Object.keys(OUTPUT_LANGUAGES))
+  .messages({
+    'any.only': `Language must be one of: ${Object.keys(OUTPUT_LANGUAGES).join(', ')}`
+  });
+
+/**
+ * Reject a model that belongs to a different provider than the one requested
+ */
+const checkProviderModel = (value, helpers) => {
+  if (value.provider && value.model && config.availableModels[value.model].provider !== value.provider) {
+    return helpers.message(`Model ${value.model} is not available for provider ${value.provider}`);
+  }
+  return value;
+};
+
+/**
+ * Custom prompt templates only run as a single prompt
+ */
+const checkTemplateMode = (value, helpers) => {
+  if (value.template && value.analysisMode === 'pipeline') {
+    return helpers.message('Prompt templates run as a single prompt; use analysisMode single or omit it');
+  }
+  return value;
+};
+
+/**
+ * Reject template placeholders that have no value
+ */
+const checkTemplateVariables = (value, helpers) => {
+  const unknown = findTemplateVariables(value).filter(name => !TEMPLATE_VARIABLES[name]);
+  if (unknown.length > 0) {
+    return helpers.message(`Unknown template variables: ${unknown.join(', ')}. Available: ${Object.keys(TEMPLATE_VARIABLES).join(', ')}`);
+  }
+  return value;
+};
+
+const templateContentField = Joi.string()
+  .min(20)
+  .max(100000)
+  .custom(checkTemplateVariables)
+  .messages({
+    'string.min': 'Template content must be at least 20 characters long',
+    'string.max': 'Template content cannot exceed 100000 characters'
+  });
 
 /**
  * Validation schema for comprehensive brand analysis request
@@ -80,11 +176,75 @@ const comprehensiveBrandAnalysisSchema = Joi.object({
   includeHistory: Joi.boolean()
     .optional()
     .default(false),
+
+  // Target markets; prompts, probes and the report are broken out per market
+  markets: Joi.array()
+    .items(marketField)
+    .max(config.formLimits.maxMarkets)
+    .unique((a, b) => marketKey(a) === marketKey(b))
+    .optional()
+    .messages({
+      'array.max': `Maximum ${config.formLimits.maxMarkets} markets allowed`,
+      'array.unique': 'Markets must be unique (country and language)'
+    }),
+
+  // Language of the report, file header and footer included (default English)
+  outputLanguage: outputLanguageField.optional(),
+
+  // LLM selection (defaults to config.llm.defaultProvider)
+  provider: providerField,
+  model: modelField,
+
+  // Website crawl for grounding (defaults to config.crawler.enabled)
+  crawlWebsite: Joi.boolean()
+    .optional(),
+
+  // Measured prompt testing (defaults to config.probes.enabled)
+  measureVisibility: Joi.boolean()
+    .optional(),
+
+  probeProviders: Joi.array()
+    .items(Joi.string().valid(...Object.keys(config.llm.providers)))
+    .max(Object.keys(config.llm.providers).length)
+    .unique()
+    .optional()
+    .messages({
+      'any.only': `Probe providers must be among: ${Object.keys(config.llm.providers).join(', ')}`
+    }),
+
+  // Result cache - false forces a fresh analysis even when an identical one is cached or running
+  useCache: Joi.boolean()
+    .optional(),
+
+  // Analysis strategy (defaults to config.analysis.mode)
+  analysisMode: Joi.string()
+    .valid('pipeline', 'single')
+    .optional()
+    .messages({
+      'any.only': 'Analysis mode must be one of: pipeline, single'
+    }),
+
+  // Output format - json adds a schema-validated structured report
+  format: Joi.string()
+    .valid('text', 'json')
+    .optional()
+    .default('text')
+    .messages({
+      'any.only': 'Format must be one of: text, json'
+    }),
+
+  // Custom prompt template: "id" (latest version) or "id@version"
+  template: Joi.string()
+    .pattern(/^[a-z0-9][a-z0-9_-]{0,63}(@\d+)?$/)
+    .optional()
+    .messages({
+      'string.pattern.base': 'Template must be a template ID or templateId@version'
+    }),
     
   metadata: Joi.object()
     .optional()
     .default({})
-});
+}).custom(checkProviderModel).custom(checkTemplateMode);
 
 /**
  * Legacy validation schema for backward compatibility
@@ -117,22 +277,212 @@ const brandAnalysisSchema = Joi.object({
     .valid('low', 'normal', 'high')
     .optional()
     .default('normal'),
+
+  provider: providerField,
+  model: modelField,
     
   metadata: Joi.object()
     .optional()
     .default({})
+}).custom(checkProviderModel);
+
+/**
+ * Validation schema for bulk legacy analyses submitted as a provider batch
+ */
+const bulkBatchSchema = Joi.object({
+  brands: Joi.array()
+    .items(Joi.string().trim().min(1).max(100))
+    .min(1)
+    .max(config.batches.maxBrands)
+    .required()
+    .messages({
+      'array.min': 'Brands array is required and must not be empty',
+      'array.max': `Maximum ${config.batches.maxBrands} brands allowed per bulk batch`,
+      'any.required': 'Brands array is required and must not be empty'
+    }),
+
+  websiteUrl: Joi.string()
+    .uri({ scheme: ['http', 'https'] })
+    .optional()
+    .messages({
+      'string.uri': 'Website URL must be a valid HTTP or HTTPS URL'
+    }),
+
+  provider: providerField,
+  model: modelField
+}).custom(checkProviderModel);
+
+/**
+ * Cron expression that parses and runs at least once in the future
+ */
+const cronField = Joi.string()
+  .trim()
+  .max(100)
+  .custom((value, helpers) => {
+    try {
+      if (!nextRun(parseCron(value))) {
+        return helpers.message(`Cron expression "${value}" never runs`);
+      }
+    } catch (error) {
+      return helpers.message(error.message);
+    }
+    return value;
+  });
+
+const timezoneField = Joi.string()
+  .trim()
+  .custom((value, helpers) => (isValidTimeZone(value) ? value : helpers.message(`Unknown time zone: ${value}`)));
+
+/**
+ * Validation schema for creating a recurring analysis schedule
+ */
+const scheduleCreateSchema = Joi.object({
+  name: Joi.string().trim().max(100).optional(),
+  cron: cronField.required().messages({
+    'any.required': 'Cron expression is required'
+  }),
+  timezone: timezoneField.default(config.schedules.defaultTimezone),
+  enabled: Joi.boolean().default(true),
+  catchUp: Joi.boolean().default(true), // Run once after downtime when runs were missed
+  formData: comprehensiveBrandAnalysisSchema.required().messages({
+    'any.required': 'formData (the comprehensive analysis payload) is required'
+  })
+});
+
+/**
+ * Validation schema for updating a schedule (any subset of the create fields)
+ */
+const scheduleUpdateSchema = Joi.object({
+  name: Joi.string().trim().max(100).optional(),
+  cron: cronField.optional(),
+  timezone: timezoneField.optional(),
+  enabled: Joi.boolean().optional(),
+  catchUp: Joi.boolean().optional(),
+  formData: comprehensiveBrandAnalysisSchema.optional()
+}).min(1).messages({
+  'object.min': 'Provide at least one field to update'
+});
+
+/**
+ * Validation schema for form suggestion requests (/suggest/:kind)
+ */
+const suggestionSchema = Joi.object({
+  brandName: Joi.string()
+    .trim()
+    .min(1)
+    .max(100)
+    .required()
+    .messages({
+      'string.empty': 'Brand name cannot be empty',
+      'any.required': 'Brand name is required'
+    }),
+
+  websiteUrl: Joi.string()
+    .uri({ scheme: ['http', 'https'] })
+    .required()
+    .messages({
+      'string.uri': 'Website URL must be a valid HTTP or HTTPS URL',
+      'any.required': 'Website URL is required'
+    }),
+
+  email: Joi.string()
+    .email()
+    .optional()
+    .messages({
+      'string.email': 'Please provide a valid email address'
+    }),
+
+  // Fields already filled in sharpen the suggestions
+  competitors: Joi.array().items(Joi.string().trim().min(1).max(100)).max(5).optional(),
+  topics: Joi.array().items(Joi.string().trim().min(1).max(200)).max(4).optional(),
+  personas: Joi.string().trim().max(1000).allow('').optional(),
+
+  count: Joi.number()
+    .integer()
+    .min(1)
+    .max(5)
+    .optional()
+    .messages({
+      'number.max': 'Count cannot exceed 5'
+    }),
+
+  provider: providerField,
+  model: modelField
+}).custom(checkProviderModel);
+
+/**
+ * Validation schema for translating a saved report
+ */
+const translationSchema = Joi.object({
+  language: outputLanguageField
+    .required()
+    .messages({
+      'any.required': 'Language is required'
+    }),
+
+  provider: providerField,
+  model: modelField
+}).custom(checkProviderModel);
+
+/**
+ * Validation schema for creating a prompt template
+ */
+const templateCreateSchema = Joi.object({
+  id: Joi.string()
+    .pattern(/^[a-z0-9][a-z0-9_-]{0,63}$/)
+    .invalid('variables') // GET /api/templates/variables would shadow GET /api/templates/:id
+    .required()
+    .messages({
+      'string.pattern.base': 'Template ID may only contain lowercase letters, digits, - and _ (max 64 characters)',
+      'any.invalid': 'Template ID "variables" is reserved',
+      'any.required': 'Template ID is required'
+    }),
+  name: Joi.string().trim().max(100).optional(),
+  description: Joi.string().trim().max(500).allow('').optional(),
+  content: templateContentField.required().messages({
+    'any.required': 'Template content is required'
+  }),
+  changelog: Joi.string().trim().max(500).allow('').optional()
+});
+
+/**
+ * Validation schema for adding a prompt template version
+ */
+const templateVersionSchema = Joi.object({
+  name: Joi.string().trim().max(100).optional(),
+  description: Joi.string().trim().max(500).allow('').optional(),
+  content: templateContentField.required().messages({
+    'any.required': 'Template content is required'
+  }),
+  changelog: Joi.string().trim().max(500).allow('').optional()
+});
+
+/**
+ * Validate one record against a schema with the options every endpoint uses
+ * @param {Object} schema - Joi schema
+ * @param {Object} data - Record to validate
+ * @returns {Object} { value, error } from Joi
+ */
+const validateRecord = (schema, data) => schema.validate(data, {
+  allowUnknown: false,
+  stripUnknown: true,
+  abortEarly: false // Return all validation errors
 });
 
 /**
  * Validation middleware factory
+ * @param {Object} schema - Joi schema for the request body
+ * @param {Object} options - { queryFields: query parameters merged into the body }
  */
-const validate = (schema) => {
+const validate = (schema, options = {}) => {
   return (req, res, next) => {
-    const { error, value } = schema.validate(req.body, {
-      allowUnknown: false,
-      stripUnknown: true,
-      abortEarly: false // Return all validation errors
-    });
+    // Query parameters accepted as shorthand for body fields (e.g. ?format=json)
+    const body = { ...req.body };
+    for (const field of options.queryFields || []) {
+      if (req.query[field] !== undefined) body[field] = req.query[field];
+    }
+
+    const { error, value } = validateRecord(schema, body);
     
     if (error) {
       logger.warn('Validation failed', {
@@ -162,19 +512,61 @@ const validate = (schema) => {
 /**
  * Validate comprehensive brand analysis request
  */
-const validateComprehensiveBrandAnalysis = validate(comprehensiveBrandAnalysisSchema);
+const validateComprehensiveBrandAnalysis = validate(comprehensiveBrandAnalysisSchema, { queryFields: ['format'] });
 
 /**
  * Validate legacy brand analysis request (backward compatibility)
  */
 const validateBrandAnalysis = validate(brandAnalysisSchema);
 
+/**
+ * Validate bulk batch request
+ */
+const validateBulkBatch = validate(bulkBatchSchema);
+
+/**
+ * Validate form suggestion request
+ */
+const validateSuggestion = validate(suggestionSchema);
+
+/**
+ * Validate report translation request
+ */
+const validateTranslation = validate(translationSchema);
+
+/**
+ * Validate schedule create / update requests
+ */
+const validateScheduleCreate = validate(scheduleCreateSchema);
+const validateScheduleUpdate = validate(scheduleUpdateSchema);
+
+/**
+ * Validate prompt template create / new version requests
+ */
+const validateTemplateCreate = validate(templateCreateSchema);
+const validateTemplateVersion = validate(templateVersionSchema);
+
 module.exports = {
   validate,
+  validateRecord,
   validateBrandAnalysis,
   validateComprehensiveBrandAnalysis,
+  validateBulkBatch,
+  validateSuggestion,
+  validateTranslation,
+  validateTemplateCreate,
+  validateTemplateVersion,
+  validateScheduleCreate,
+  validateScheduleUpdate,
   schemas: {
     brandAnalysisSchema,
-    comprehensiveBrandAnalysisSchema
+    comprehensiveBrandAnalysisSchema,
+    bulkBatchSchema,
+    suggestionSchema,
+    translationSchema,
+    templateCreateSchema,
+    templateVersionSchema,
+    scheduleCreateSchema,
+    scheduleUpdateSchema
   }
 };
\ No newline at end of file
@@ -0,0 +1,345 @@
+const Anthropic = require('@anthropic-ai/sdk');
+const LLMProvider = require('./base.provider');
+const logger = require('../utils/logger');
+const { isRetryableError } = require('../utils/resilience');
+
+// Beta header that enables cache_control breakpoints on the Messages API
+const PROMPT_CACHING_BETA = 'prompt-caching-2024-07-31';
+
+// Beta header of the Message Batches API (not wrapped by the SDK version in use)
+const MESSAGE_BATCHES_BETA = 'message-batches-2024-09-24';
+
+/**
+ * Anthropic Claude provider (Messages API via the official SDK)
+ */
+class AnthropicProvider extends LLMProvider {
+  constructor(id, settings) {
+    super(id, settings);
+    this.client = null;
+  }
+
+  /**
+   * Lazily create the SDK client so a missing key only fails when Claude is used
+   * @returns {Anthropic}
+   */
+  getClient() {
+    if (!this.client) {
+      this.client = new Anthropic({
+        apiKey: this.settings.apiKey,
+        baseURL: this.settings.baseUrl, // Unset uses the public API
+        maxRetries: 0 // Retries are handled by callApi()
+      });
+    }
+    return this.client;
+  }
+
+  /**
+   * Whether a request's system prompt is sent with a cache breakpoint
+   * @param {Object} request - Normalized request
+   * @returns {boolean}
+   */
+  cachesSystem(request) {
+    return Boolean(request.cacheSystem && request.system && this.settings.promptCaching);
+  }
+
+  /**
+   * System param: a cacheable system prompt becomes a text block with a cache
+   * breakpoint, so later requests with the same system prompt read it from cache
+   * @param {Object} request - Normalized request
+   * @returns {string|Array}
+   */
+  buildSystem(request) {
+    return this.cachesSystem(request)
+      ? [{ type: 'text', text: request.system, cache_control: { type: 'ephemeral' } }]
+      : request.system;
+  }
+
+  /**
+   * SDK request options: abort signal and, for cached prompts, the beta header
+   * @param {Object} request - Normalized request
+   * @returns {Object|undefined}
+   */
+  requestOptions(request) {
+    const options = {};
+    if (request.signal) options.signal = request.signal;
+    if (this.cachesSystem(request)) options.headers = { 'anthropic-beta': PROMPT_CACHING_BETA };
+    return Object.keys(options).length > 0 ? options : undefined;
+  }
+
+  /**
+   * Normalized usage; input_tokens excludes tokens written to or read from the cache
+   * @param {Object} usage - Messages API usage
+   * @returns {Object} { inputTokens, outputTokens, cacheCreationInputTokens, cacheReadInputTokens }
+   */
+  normalizeUsage(usage) {
+    return {
+      inputTokens: usage.input_tokens,
+      outputTokens: usage.output_tokens,
+      cacheCreationInputTokens: usage.cache_creation_input_tokens || 0,
+      cacheReadInputTokens: usage.cache_read_input_tokens || 0
+    };
+  }
+
+  /**
+   * Rate scheduler options for a Messages API call: reserve max_tokens,
+   * then settle on the output tokens actually used
+   * @param {Object} params - Messages API params
+   * @returns {Object} callApi options
+   */
+  rateOptions(params) {
+    return {
+      maxTokens: params.max_tokens,
+      countOutputTokens: (message) => message.usage?.output_tokens
+    };
+  }
+
+  /**
+   * Messages API params for a normalized completion request
+   * @param {Object} request - Normalized request
+   * @returns {Object} Messages API params
+   */
+  buildParams(request) {
+    const params = {
+      model: request.model,
+      max_tokens: request.maxTokens,
+      messages: request.messages
+    };
+    if (request.system) params.system = this.buildSystem(request);
+    if (request.temperature !== undefined) params.temperature = request.temperature;
+    return params;
+  }
+
+  /**
+   * Normalized response for a Messages API message
+   * @param {Object} message - Messages API message
+   * @param {string} model - Requested model, used when the message has none
+   * @returns {Object} Normalized response
+   */
+  normalizeMessage(message, model) {
+    return {
+      text: message.content
+        .filter(block => block.type === 'text')
+        .map(block => block.text)
+        .join(''),
+      stopReason: message.stop_reason,
+      usage: this.normalizeUsage(message.usage),
+      model: message.model || model,
+      provider: this.id
+    };
+  }
+
+  /**
+   * Run a Messages API request, streaming it when an event listener is attached
+   * @param {Object} request - Normalized request
+   * @returns {Promise<Object>} Normalized response
+   */
+  async analyze(request) {
+    const params = this.buildParams(request);
+    const requestOptions = this.requestOptions(request);
+    let message;
+
+    if (!request.onEvent) {
+      message = await this.callApi(
+        () => this.getClient().messages.create(params, requestOptions),
+        { signal: request.signal, ...this.rateOptions(params) }
+      );
+    } else {
+      // A stream is only retried before any text reached the listener
+      let streamedText = false;
+
+      message = await this.callApi(() => {
+        const stream = this.getClient().messages.stream(params, requestOptions);
+
+        stream.on('text', (text) => {
+          streamedText = true;
+          request.onEvent('delta', { text });
+        });
+        stream.on('streamEvent', (event) => {
+          if (event.type === 'message_start') {
+            request.onEvent('usage', {
+              inputTokens: event.message.usage.input_tokens,
+              outputTokens: event.message.usage.output_tokens
+            });
+          } else if (event.type === 'message_delta') {
+            request.onEvent('usage', {
+              outputTokens: event.usage.output_tokens
+            });
+          }
+        });
+
+        return stream.finalMessage();
+      }, {
+        signal: request.signal,
+        shouldRetry: (error) => !streamedText && isRetryableError(error),
+        ...this.rateOptions(params)
+      });
+    }
+
+    return this.normalizeMessage(message, request.model);
+  }
+
+  supportsBatches() {
+    return true;
+  }
+
+  supportsPrefill() {
+    return true;
+  }
+
+  /**
+   * Headers for Message Batches calls; the prompt caching beta is added when
+   * any request in the batch caches its system prompt
+   * @param {boolean} caching - Whether cache breakpoints are used
+   * @returns {Object} Headers
+   */
+  batchHeaders(caching = false) {
+    return { 'anthropic-beta': caching ? `${MESSAGE_BATCHES_BETA},${PROMPT_CACHING_BETA}` : MESSAGE_BATCHES_BETA };
+  }
+
+  /**
+   * Normalized batch status
+   * @param {Object} batch - Message Batches API batch
+   * @returns {Object} { id, status, counts, createdAt, endedAt, expiresAt, resultsUrl }
+   */
+  normalizeBatch(batch) {
+    return {
+      id: batch.id,
+      status: batch.processing_status,
+      counts: batch.request_counts,
+      createdAt: batch.created_at,
+      endedAt: batch.ended_at || null,
+      expiresAt: batch.expires_at || null,
+      resultsUrl: batch.results_url || null
+    };
+  }
+
+  /**
+   * Submit completion requests as one message batch
+   * @param {Array<Object>} requests - [{ customId, request }] with normalized requests
+   * @param {Object} options - { signal }
+   * @returns {Promise<Object>} Normalized batch
+   */
+  async createBatch(requests, options = {}) {
+    const body = {
+      requests: requests.map(({ customId, request }) => ({ custom_id: customId, params: this.buildParams(request) }))
+    };
+    const caching = requests.some(({ request }) => this.cachesSystem(request));
+
+    const batch = await this.callApi(
+      () => this.getClient().post('/v1/messages/batches', { body, headers: this.batchHeaders(caching), signal: options.signal }),
+      { signal: options.signal, rateLimited: false }
+    );
+
+    return this.normalizeBatch(batch);
+  }
+
+  /**
+   * Current status of a message batch
+   * @param {string} batchId - Batch ID
+   * @returns {Promise<Object>} Normalized batch
+   */
+  async getBatch(batchId) {
+    const batch = await this.callApi(
+      () => this.getClient().get(`/v1/messages/batches/${batchId}`, { headers: this.batchHeaders() }),
+      { rateLimited: false }
+    );
+
+    return this.normalizeBatch(batch);
+  }
+
+  /**
+   * Results of an ended batch, one per request (in any order)
+   * @param {Object} batch - Normalized batch
+   * @returns {Promise<Array<Object>>} [{ customId, status, response, error }]
+   */
+  async getBatchResults(batch) {
+    const path = batch.resultsUrl || `/v1/messages/batches/${batch.id}/results`;
+    const body = await this.callApi(
+      () => this.getClient().get(path, { headers: this.batchHeaders() }),
+      { rateLimited: false }
+    );
+
+    // Results are JSONL; the SDK returns them as text
+    return String(body).split('\n').filter(line => line.trim()).map(line => {
+      const { custom_id: customId, result } = JSON.parse(line);
+
+      return {
+        customId,
+        status: result.type, // succeeded | errored | canceled | expired
+        response: result.type === 'succeeded' ? this.normalizeMessage(result.message) : null,
+        error: result.type === 'errored' ? (result.error?.error?.message || result.error?.message || 'Request failed') : null
+      };
+    });
+  }
+
+  /**
+   * Exact input token count from the count_tokens endpoint (free, nothing is generated).
+   * Falls back to the length estimate when the endpoint is unavailable.
+   * @param {Object} request - Normalized request ({ model, system, messages, signal })
+   * @returns {Promise<Object>} { inputTokens, method }
+   */
+  async countTokens(request) {
+    const body = {
+      model: request.model,
+      messages: request.messages
+    };
+    if (request.system) body.system = request.system;
+
+    try {
+      // Not wrapped by the SDK version in use; call the endpoint directly
+      const result = await this.getClient().post('/v1/messages/count_tokens', {
+        body,
+        signal: request.signal
+      });
+      return { inputTokens: result.input_tokens, method: 'count_tokens' };
+    } catch (error) {
+      logger.warn(`Token counting failed, using estimate: ${error.message}`, {
+        provider: this.id,
+        model: request.model,
+        status: error.status
+      });
+      return super.countTokens(request);
+    }
+  }
+
+  /**
+   * Force a single tool call whose input schema is the requested JSON schema
+   * @param {Object} request - Normalized request with schema
+   * @returns {Promise<Object>} Normalized response with parsed data
+   */
+  async extractStructured(request) {
+    const params = {
+      model: request.model,
+      max_tokens: request.maxTokens,
+      messages: request.messages,
+      tools: [{
+        name: request.schema.name,
+        description: request.schema.description,
+        input_schema: request.schema.schema
+      }],
+      tool_choice: { type: 'tool', name: request.schema.name }
+    };
+    if (request.system) params.system = this.buildSystem(request);
+    if (request.temperature !== undefined) params.temperature = request.temperature;
+
+    const message = await this.callApi(
+      () => this.getClient().messages.create(params, this.requestOptions(request)),
+      { signal: request.signal, ...this.rateOptions(params) }
+    );
+    const toolUse = message.content.find(block => block.type === 'tool_use');
+
+    if (!toolUse) {
+      throw this.createError(`${this.displayName} did not return a ${request.schema.name} tool call`, 502);
+    }
+
+    return {
+      data: toolUse.input,
+      stopReason: message.stop_reason,
+      usage: this.normalizeUsage(message.usage),
+      model: message.model || request.model,
+      provider: this.id
+    };
+  }
+}
+
+module.exports = AnthropicProvider;
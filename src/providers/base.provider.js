@@ -0,0 +1,276 @@
+const config = require('../config/config');
+const { getCircuitBreaker, isRetryableError, withRetry } = require('../utils/resilience');
+const { getRateScheduler } = require('../utils/rateScheduler');
+
+/**
+ * Base class for LLM providers.
+ *
+ * Every provider implements:
+ * - analyze(request)  -> { text, stopReason, usage: { inputTokens, outputTokens, cacheCreationInputTokens?, cacheReadInputTokens? }, model, provider }
+ * - extractStructured(request) -> { data, stopReason, usage, model, provider }
+ * - countTokens(request) -> { inputTokens, method }
+ * - getStatus(model)  -> { status, provider, model, ... }
+ * - getModelInfo()    -> { provider, name, configured, defaultModel, models }
+ *
+ * Providers with a batch API also implement (and return true from supportsBatches()):
+ * - createBatch([{ customId, request }]) -> batch = { id, status, counts, createdAt, endedAt, ... }
+ * - getBatch(batchId) -> batch; status is 'in_progress', 'canceling' or 'ended'
+ * - getBatchResults(batch) -> [{ customId, status, response, error }], status is
+ *   'succeeded' (response is normalized like analyze()), 'errored', 'canceled' or 'expired'
+ *
+ * request = { model, system, cacheSystem, messages, maxTokens, temperature, signal, onEvent }
+ * cacheSystem marks the system prompt as identical across requests; providers with explicit
+ * prompt caching send it with a cache breakpoint. inputTokens never include cached tokens.
+ * Structured requests add schema = { name, description, schema } (JSON schema of the expected object).
+ * A trailing assistant message is only continued by providers whose supportsPrefill() returns true.
+ * stopReason uses Anthropic vocabulary ('end_turn', 'max_tokens', ...) for every provider.
+ */
+class LLMProvider {
+  /**
+   * @param {string} id - Provider ID (key in config.llm.providers)
+   * @param {Object} settings - Provider settings from config
+   */
+  constructor(id, settings) {
+    this.id = id;
+    this.settings = settings;
+    this.displayName = settings.name || id;
+    this.breaker = getCircuitBreaker(id);
+    // Providers with configured RPM / OTPM budgets queue calls client-side
+    this.scheduler = settings.rateLimits ? getRateScheduler(id, settings.rateLimits) : null;
+  }
+
+  /**
+   * Run one API call through the provider's circuit breaker and rate scheduler,
+   * retrying transient failures (429, 5xx, overloaded, network) with jittered backoff.
+   * Every attempt is scheduled, so retries count against the rate budget too.
+   * @param {Function} fn - async () => API response
+   * @param {Object} options - { signal, shouldRetry, maxTokens, countOutputTokens(response),
+   *                            rateLimited: false for endpoints outside the completion rate limits }
+   * @returns {Promise<*>} API response
+   */
+  async callApi(fn, options = {}) {
+    const run = this.scheduler && options.rateLimited !== false
+      ? () => this.scheduler.schedule(fn, {
+        estimatedOutputTokens: options.maxTokens,
+        countOutputTokens: options.countOutputTokens,
+        signal: options.signal
+      })
+      : fn;
+
+    return withRetry(() => this.breaker.execute(run), {
+      name: `${this.displayName} API call`,
+      signal: options.signal,
+      shouldRetry: options.shouldRetry || isRetryableError
+    });
+  }
+
+  /**
+   * Whether the provider has the credentials it needs
+   * @returns {boolean}
+   */
+  isConfigured() {
+    return Boolean(this.settings.apiKey);
+  }
+
+  /**
+   * Run a completion request
+   * @param {Object} request - Normalized request
+   * @returns {Promise<Object>} Normalized response
+   */
+  async analyze(request) {
+    throw new Error(`${this.displayName} provider does not implement analyze()`);
+  }
+
+  /**
+   * Whether a request's system prompt is sent with a cache breakpoint
+   * @param {Object} request - Normalized request
+   * @returns {boolean}
+   */
+  cachesSystem(request) {
+    return false;
+  }
+
+  /**
+   * Whether the provider can run requests as an asynchronous batch
+   * @returns {boolean}
+   */
+  supportsBatches() {
+    return false;
+  }
+
+  /**
+   * Whether a trailing assistant message is continued as a prefill of the answer
+   * @returns {boolean}
+   */
+  supportsPrefill() {
+    return false;
+  }
+
+  /**
+   * Submit completion requests as one batch
+   * @param {Array<Object>} requests - [{ customId, request }] with normalized requests
+   * @param {Object} options - { signal }
+   * @returns {Promise<Object>} Normalized batch
+   */
+  async createBatch(requests, options = {}) {
+    throw this.createError(`${this.displayName} provider does not support batches`, 400);
+  }
+
+  /**
+   * Current status of a batch
+   * @param {string} batchId - Batch ID
+   * @returns {Promise<Object>} Normalized batch
+   */
+  async getBatch(batchId) {
+    throw this.createError(`${this.displayName} provider does not support batches`, 400);
+  }
+
+  /**
+   * Results of an ended batch
+   * @param {Object} batch - Normalized batch
+   * @returns {Promise<Array<Object>>} [{ customId, status, response, error }]
+   */
+  async getBatchResults(batch) {
+    throw this.createError(`${this.displayName} provider does not support batches`, 400);
+  }
+
+  /**
+   * Run a completion request that must return a JSON object matching request.schema.
+   * Providers with native tool use / JSON schema support override this; the default
+   * asks for raw JSON in the prompt and parses the answer.
+   * @param {Object} request - Normalized request with schema
+   * @returns {Promise<Object>} Normalized response with parsed data
+   */
+  async extractStructured(request) {
+    const { schema, ...rest } = request;
+    const response = await this.analyze({
+      ...rest,
+      system: `${request.system ? `${request.system}\n\n` : ''}Respond with a single JSON object that matches this JSON schema (${schema.name}: ${schema.description}). Output only the JSON, no prose and no code fences.
+
+${JSON.stringify(schema.schema)}`
+    });
+
+    return {
+      data: this.parseJson(response.text),
+      stopReason: response.stopReason,
+      usage: response.usage,
+      model: response.model,
+      provider: this.id
+    };
+  }
+
+  /**
+   * Parse a JSON object from model output, tolerating code fences around it
+   * @param {string} text - Model output
+   * @returns {Object} Parsed object
+   */
+  parseJson(text) {
+    const trimmed = (text || '').trim().replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, '');
+    const start = trimmed.indexOf('{');
+    const end = trimmed.lastIndexOf('}');
+
+    try {
+      return JSON.parse(start >= 0 && end > start ? trimmed.slice(start, end + 1) : trimmed);
+    } catch (error) {
+      throw this.createError(`${this.displayName} returned invalid JSON: ${error.message}`, 502);
+    }
+  }
+
+  /**
+   * Input tokens a request would use. Providers without a counting endpoint
+   * estimate roughly four characters per token.
+   * @param {Object} request - Normalized request ({ model, system, messages })
+   * @returns {Promise<Object>} { inputTokens, method: 'estimate' }
+   */
+  async countTokens(request) {
+    const text = [request.system || '', ...request.messages.map(message => message.content)].join('\n');
+    return { inputTokens: Math.ceil(text.length / 4), method: 'estimate' };
+  }
+
+  /**
+   * Check that the provider answers requests
+   * @param {string} model - Model to check (defaults to provider default)
+   * @returns {Promise<Object>} Status
+   */
+  async getStatus(model = this.settings.defaultModel) {
+    const testStart = Date.now();
+
+    // A status probe must not wait behind queued analyses for rate budget
+    const estimatedWaitMs = this.scheduler ? this.scheduler.estimateWaitMs(50) : 0;
+    if (estimatedWaitMs > 0) {
+      return {
+        status: 'rate_limited',
+        provider: this.id,
+        model,
+        queueDepth: this.scheduler.queue.length,
+        estimatedWaitMs,
+        lastChecked: new Date().toISOString()
+      };
+    }
+
+    try {
+      const response = await this.analyze({
+        model,
+        maxTokens: 50,
+        messages: [
+          {
+            role: 'user',
+            content: 'Service status check - respond with "operational"'
+          }
+        ]
+      });
+
+      return {
+        status: 'operational',
+        provider: this.id,
+        model,
+        responseTime: `${Date.now() - testStart}ms`,
+        lastChecked: new Date().toISOString(),
+        testResponse: response.text
+      };
+    } catch (error) {
+      return {
+        status: 'error',
+        provider: this.id,
+        model,
+        error: error.message,
+        lastChecked: new Date().toISOString()
+      };
+    }
+  }
+
+  /**
+   * Provider and model registry information
+   * @returns {Object} Model info
+   */
+  getModelInfo() {
+    const models = Object.entries(config.availableModels)
+      .filter(([, info]) => info.provider === this.id)
+      .map(([id, info]) => ({ id, ...info }));
+
+    return {
+      provider: this.id,
+      name: this.displayName,
+      configured: this.isConfigured(),
+      defaultModel: this.settings.defaultModel,
+      models
+    };
+  }
+
+  /**
+   * Build an error carrying HTTP status and headers, like the Anthropic SDK errors
+   * @param {string} message - Error message
+   * @param {number} status - HTTP status code
+   * @param {Object} headers - Response headers
+   * @returns {Error}
+   */
+  createError(message, status, headers = {}) {
+    const error = new Error(message);
+    error.status = status;
+    error.headers = headers;
+    error.provider = this.id;
+    return error;
+  }
+}
+
+module.exports = LLMProvider;
@@ -0,0 +1,81 @@
+const config = require('../config/config');
+const AnthropicProvider = require('./anthropic.provider');
+const OpenAICompatibleProvider = require('./openai.provider');
+const MockProvider = require('./mock.provider');
+
+// Provider implementations by config `type`
+const PROVIDER_TYPES = {
+  anthropic: AnthropicProvider,
+  'openai-compatible': OpenAICompatibleProvider,
+  mock: MockProvider
+};
+
+const instances = new Map();
+
+/**
+ * Get a provider instance by ID
+ * @param {string} providerId - Key in config.llm.providers (defaults to config.llm.defaultProvider)
+ * @returns {LLMProvider}
+ */
+const getProvider = (providerId = config.llm.defaultProvider) => {
+  if (!instances.has(providerId)) {
+    const settings = config.llm.providers[providerId];
+    if (!settings) {
+      throw new Error(`Unknown LLM provider: ${providerId}`);
+    }
+
+    const ProviderClass = PROVIDER_TYPES[settings.type];
+    if (!ProviderClass) {
+      throw new Error(`Unsupported provider type "${settings.type}" for provider ${providerId}`);
+    }
+
+    instances.set(providerId, new ProviderClass(providerId, settings));
+  }
+
+  return instances.get(providerId);
+};
+
+/**
+ * Resolve provider and model for a request.
+ * A model alone selects its provider; a provider alone uses its default model.
+ * @param {string} providerId - Requested provider (optional)
+ * @param {string} model - Requested model (optional)
+ * @returns {Object} { provider, model, modelInfo }
+ */
+const resolveTarget = (providerId, model) => {
+  const modelEntry = model ? config.availableModels[model] : null;
+
+  if (model && !modelEntry) {
+    throw new Error(`Unknown model: ${model}`);
+  }
+
+  const resolvedProviderId = providerId || modelEntry?.provider || config.llm.defaultProvider;
+
+  if (modelEntry && modelEntry.provider !== resolvedProviderId) {
+    throw new Error(`Model ${model} is not available for provider ${resolvedProviderId}`);
+  }
+
+  const provider = getProvider(resolvedProviderId);
+  const resolvedModel = model || provider.settings.defaultModel;
+
+  return {
+    provider,
+    model: resolvedModel,
+    modelInfo: config.availableModels[resolvedModel] || {}
+  };
+};
+
+/**
+ * Describe all configured providers and their models
+ * @returns {Array} Provider info
+ */
+const listProviders = () => Object.keys(config.llm.providers).map(providerId => ({
+  ...getProvider(providerId).getModelInfo(),
+  default: providerId === config.llm.defaultProvider
+}));
+
+module.exports = {
+  getProvider,
+  resolveTarget,
+  listProviders
+};
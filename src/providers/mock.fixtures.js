@@ -0,0 +1,179 @@
+/**
+ * Deterministic fixture responses for the mock provider
+ *
+ * The mock recognizes which kind of request it got from the prompt wording
+ * (full analysis, pipeline phase, continuation, probe, prompt generation,
+ * localization, translation, status check) and answers with text shaped like a
+ * real model's answer. Numbers are derived from the brand name, so the same
+ * request always gets the same response.
+ */
+const { PHASES } = require('../utils/pipeline');
+
+const CONCLUSION_HEADING = 'EXECUTIVE CONCLUSION & STRATEGIC NEXT STEPS';
+
+/**
+ * Small stable hash, used to vary fixture numbers per brand
+ * @param {string} text - Input
+ * @returns {number} Unsigned 32-bit hash
+ */
+const hash = (text) => {
+  let value = 2166136261;
+  for (let i = 0; i < text.length; i++) {
+    value ^= text.charCodeAt(i);
+    value = Math.imul(value, 16777619);
+  }
+  return value >>> 0;
+};
+
+/**
+ * Body of one report section
+ * @param {Object} phase - Entry from PHASES
+ * @param {string} brandName - Brand
+ * @returns {string} Section text
+ */
+const sectionBody = (phase, brandName) => {
+  const seed = hash(`${brandName}:${phase.id}`);
+  const score = 20 + (seed % 60);
+
+  return `${phase.title} findings for ${brandName}:
+- ${brandName} reaches an estimated visibility score of ${score}/100 in this area.
+- ${1 + (seed % 4)} competitors are cited more often than ${brandName} in comparable AI answers.
+- Content coverage is strongest on the homepage and weakest on service detail pages.
+
+Key observations:
+1. AI assistants describe ${brandName} accurately but rarely recommend it unprompted.
+2. Third-party sources (reviews, directories, industry press) drive most competitor mentions.
+3. Structured, question-shaped content is the fastest lever for improvement.`;
+};
+
+const conclusion = (brandName) => `${CONCLUSION_HEADING} for ${brandName}
+${brandName} should prioritize question-shaped service content, third-party citations and a quarterly AI visibility measurement.
+This report was produced by the local mock provider; validate the findings against a live provider.`;
+
+/**
+ * Complete single-prompt analysis
+ * @param {string} brandName - Brand
+ * @param {string} websiteUrl - Brand website
+ * @returns {string} Report text
+ */
+const analysisReport = (brandName, websiteUrl) => `COMPREHENSIVE AI VISIBILITY AUDIT: ${brandName} (${websiteUrl})
+
+${PHASES.map((phase, index) => `Step ${index + 1}: ${phase.title}
+
+${sectionBody(phase, brandName)}`).join('\n\n')}
+
+${conclusion(brandName)}`;
+
+/**
+ * Output of one pipeline phase; the last phase ends with the executive conclusion
+ * @param {number} index - Zero-based phase index
+ * @param {string} brandName - Brand
+ * @returns {string} Phase text
+ */
+const phaseOutput = (index, brandName) => {
+  const phase = PHASES[index] || PHASES[PHASES.length - 1];
+  const body = sectionBody(phase, brandName);
+  return index === PHASES.length - 1 ? `${body}\n\n${conclusion(brandName)}` : body;
+};
+
+/**
+ * Answer to a measured prompt test, as an assistant would give it to an end user
+ * @param {string} question - Test prompt
+ * @returns {string} Answer
+ */
+const probeAnswer = (question) => {
+  const seed = hash(question);
+  return `Here are ${3 + (seed % 3)} options worth considering for "${question.trim()}":
+
+1. Look for providers with published case studies in your industry.
+2. Compare pricing models and contract terms before shortlisting.
+3. Ask for references from companies of a similar size.
+
+(Mock answer ${seed.toString(16)} from the local mock provider.)`;
+};
+
+/**
+ * Buyer questions for prompt generation, one per line
+ * @param {number} count - Number of questions
+ * @returns {string} Questions
+ */
+const generatedQuestions = (count) => Array.from({ length: count }, (_, index) =>
+  `Which providers would you recommend for mock scenario number ${index + 1}?`).join('\n');
+
+/**
+ * Split a fixture into the part a truncated response returns and the rest
+ * a continuation returns. The cut never includes the executive conclusion.
+ * @param {string} text - Complete fixture
+ * @returns {Object} { head, tail }
+ */
+const splitForTruncation = (text) => {
+  const conclusionAt = text.indexOf(CONCLUSION_HEADING);
+  const limit = conclusionAt > 0 ? conclusionAt : text.length;
+  const cut = text.lastIndexOf('\n\n', Math.floor(limit / 2)) > 0
+    ? text.lastIndexOf('\n\n', Math.floor(limit / 2))
+    : Math.floor(limit / 2);
+
+  return { head: text.slice(0, cut), tail: text.slice(cut) };
+};
+
+/**
+ * Classify a request and build its complete fixture response
+ * @param {Object} request - Normalized request ({ messages })
+ * @returns {Object} { kind, text, continued } - continued: text already sent by the assistant
+ */
+const resolveFixture = (request) => {
+  const messages = request.messages || [];
+  const lastUser = [...messages].reverse().find(message => message.role === 'user');
+  const prompt = lastUser ? String(lastUser.content) : '';
+  const assistant = messages[messages.length - 1]?.role === 'assistant'
+    ? String(messages[messages.length - 1].content)
+    : null;
+
+  const brandMatch = prompt.match(/- Brand: (.+)/) || prompt.match(/audit for (.+?) \(/);
+  const brandName = brandMatch ? brandMatch[1].trim() : 'the requested brand';
+  const websiteMatch = prompt.match(/- Website: (.+)/);
+  const websiteUrl = websiteMatch ? websiteMatch[1].trim() : 'website not provided';
+
+  const phaseMatch = prompt.match(/CURRENT PHASE (\d+) OF \d+:/);
+  if (phaseMatch) {
+    return { kind: 'phase', text: phaseOutput(parseInt(phaseMatch[1], 10) - 1, brandName), continued: assistant };
+  }
+
+  if (/previous response was cut off/.test(prompt)) {
+    return { kind: 'continuation', text: splitForTruncation(analysisReport(brandName, websiteUrl)).tail.trimStart(), continued: null };
+  }
+
+  if (/^Translate the brand visibility report/.test(prompt)) {
+    const report = prompt.slice(prompt.indexOf('REPORT:\n') + 'REPORT:\n'.length);
+    return { kind: 'translation', text: report, continued: null };
+  }
+
+  const listMatch = prompt.match(/^List (\d+) realistic questions/);
+  if (listMatch) {
+    return { kind: 'prompt_generation', text: generatedQuestions(parseInt(listMatch[1], 10)), continued: null };
+  }
+
+  if (/^Rewrite each question below/.test(prompt)) {
+    const questions = prompt.slice(prompt.indexOf('Questions:\n') + 'Questions:\n'.length)
+      .split('\n')
+      .map(line => line.replace(/^\d+\.\s*/, '').trim())
+      .filter(Boolean);
+    return { kind: 'prompt_localization', text: questions.join('\n'), continued: null };
+  }
+
+  if (/^Service status check/.test(prompt)) {
+    return { kind: 'status', text: 'operational', continued: null };
+  }
+
+  if (brandMatch) {
+    return { kind: 'analysis', text: analysisReport(brandName, websiteUrl), continued: assistant };
+  }
+
+  return { kind: 'probe', text: probeAnswer(prompt), continued: null };
+};
+
+module.exports = {
+  CONCLUSION_HEADING,
+  resolveFixture,
+  splitForTruncation
+};
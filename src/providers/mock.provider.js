@@ -0,0 +1,268 @@
+const crypto = require('crypto');
+const LLMProvider = require('./base.provider');
+const { sleep } = require('../utils/resilience');
+const { resolveFixture, splitForTruncation } = require('./mock.fixtures');
+
+/**
+ * Local mock provider. Returns deterministic fixture responses without any
+ * network access, for development, demos and exercising the analysis flow.
+ *
+ * settings.scenario selects the behavior of every call:
+ * - success: complete fixture answers
+ * - max_tokens: analyses and pipeline phases stop at max_tokens; their continuation completes them
+ * - rate_limit / unauthorized / server_error: calls fail with 429 / 401 / 500
+ * Error scenarios fail the first settings.failTimes calls only (0 = every call),
+ * which exercises retries that end in success.
+ *
+ * Batches are kept in memory and end settings.batchLatencyMs after submission.
+ */
+class MockProvider extends LLMProvider {
+  constructor(id, settings) {
+    super(id, settings);
+    this.calls = 0;
+    this.cachedSystems = new Set(); // Simulated prompt cache: cacheable system prompts seen before
+    this.batches = new Map(); // Simulated batches by ID
+  }
+
+  isConfigured() {
+    return true;
+  }
+
+  /**
+   * Run a fake API call through callApi(), so retries and the circuit breaker
+   * see simulated errors exactly like real ones
+   * @param {Function} fn - () => response
+   * @param {Object} request - Normalized request
+   * @returns {Promise<Object>} Response
+   */
+  async simulate(fn, request) {
+    return this.callApi(async () => {
+      this.calls++;
+
+      if (this.settings.latencyMs > 0) {
+        await sleep(this.settings.latencyMs, request.signal);
+      }
+
+      const error = this.simulatedError();
+      if (error) throw error;
+
+      return fn();
+    }, { signal: request.signal, maxTokens: request.maxTokens });
+  }
+
+  /**
+   * Error for the configured scenario, if this call should fail
+   * @returns {Error|null}
+   */
+  simulatedError() {
+    const failTimes = this.settings.failTimes || 0;
+    if (failTimes > 0 && this.calls > failTimes) return null;
+
+    switch (this.settings.scenario) {
+      case 'rate_limit':
+        return this.createError('Mock rate limit exceeded', 429, { 'retry-after': '1' });
+      case 'unauthorized':
+        return this.createError('Mock authentication error: invalid x-api-key', 401);
+      case 'server_error':
+        return this.createError('Mock internal server error', 500);
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Produce a deterministic fixture response for the request
+   * @param {Object} request - Normalized request
+   * @returns {Promise<Object>} Normalized response
+   */
+  async analyze(request) {
+    const response = await this.simulate(() => this.buildResponse(request), request);
+
+    if (request.onEvent) {
+      request.onEvent('usage', { inputTokens: response.usage.inputTokens, outputTokens: 0 });
+      for (const chunk of response.text.split(/(?<=\n\n)/)) {
+        request.onEvent('delta', { text: chunk });
+      }
+      request.onEvent('usage', { outputTokens: response.usage.outputTokens });
+    }
+
+    return response;
+  }
+
+  /**
+   * Fixture text, stop reason and fake usage for a request
+   * @param {Object} request - Normalized request
+   * @returns {Object} Normalized response
+   */
+  buildResponse(request) {
+    const prompt = request.messages.map(message => message.content).join('\n');
+    const fixture = resolveFixture(request);
+    const usage = this.simulateUsage(request, prompt);
+    let text = fixture.text;
+    let stopReason = 'end_turn';
+
+    if (fixture.continued !== null) {
+      // Continuation of a truncated answer: return what was not sent yet
+      text = fixture.text.startsWith(fixture.continued) ? fixture.text.slice(fixture.continued.length) : '';
+    } else if (this.settings.scenario === 'max_tokens' && ['analysis', 'phase'].includes(fixture.kind)) {
+      text = splitForTruncation(fixture.text).head;
+      stopReason = 'max_tokens';
+    }
+
+    return {
+      text,
+      stopReason,
+      usage: {
+        ...usage,
+        outputTokens: stopReason === 'max_tokens' && request.maxTokens
+          ? request.maxTokens
+          : Math.ceil(text.length / 4)
+      },
+      model: request.model,
+      provider: this.id
+    };
+  }
+
+  /**
+   * Fake input usage, about four characters per token. A cacheable system prompt
+   * is written to the simulated cache on first use and read from it afterwards.
+   * @param {Object} request - Normalized request
+   * @param {string} prompt - Message text
+   * @returns {Object} { inputTokens, cacheCreationInputTokens, cacheReadInputTokens }
+   */
+  simulateUsage(request, prompt) {
+    const system = request.system || '';
+    const systemTokens = Math.ceil(system.length / 4);
+    const usage = { inputTokens: Math.ceil(prompt.length / 4), cacheCreationInputTokens: 0, cacheReadInputTokens: 0 };
+
+    if (!this.cachesSystem(request)) {
+      usage.inputTokens += systemTokens;
+    } else if (this.cachedSystems.has(system)) {
+      usage.cacheReadInputTokens = systemTokens;
+    } else {
+      this.cachedSystems.add(system);
+      usage.cacheCreationInputTokens = systemTokens;
+    }
+
+    return usage;
+  }
+
+  cachesSystem(request) {
+    return Boolean(request.cacheSystem && request.system && this.settings.promptCaching);
+  }
+
+  supportsBatches() {
+    return true;
+  }
+
+  // Fixtures resume a trailing assistant message like Anthropic does
+  supportsPrefill() {
+    return true;
+  }
+
+  /**
+   * Status of a simulated batch: every request succeeds once the batch latency has passed
+   * @param {Object} batch - Stored batch
+   * @returns {Object} Normalized batch
+   */
+  describeBatch(batch) {
+    const ended = Date.now() >= batch.endsAt;
+    const total = batch.requests.length;
+
+    return {
+      id: batch.id,
+      status: ended ? 'ended' : 'in_progress',
+      counts: { processing: ended ? 0 : total, succeeded: ended ? total : 0, errored: 0, canceled: 0, expired: 0 },
+      createdAt: batch.createdAt,
+      endedAt: ended ? new Date(batch.endsAt).toISOString() : null,
+      expiresAt: null,
+      resultsUrl: null
+    };
+  }
+
+  async createBatch(requests, options = {}) {
+    return this.simulate(() => {
+      const batch = {
+        id: `mock_batch_${crypto.randomUUID()}`,
+        requests,
+        createdAt: new Date().toISOString(),
+        endsAt: Date.now() + (this.settings.batchLatencyMs || 0)
+      };
+      this.batches.set(batch.id, batch);
+      return this.describeBatch(batch);
+    }, { signal: options.signal });
+  }
+
+  async getBatch(batchId) {
+    return this.simulate(() => {
+      const batch = this.batches.get(batchId);
+      if (!batch) throw this.createError(`Mock batch not found: ${batchId}`, 404);
+      return this.describeBatch(batch);
+    }, {});
+  }
+
+  async getBatchResults(batch) {
+    return this.simulate(() => {
+      const stored = this.batches.get(batch.id);
+      if (!stored) throw this.createError(`Mock batch not found: ${batch.id}`, 404);
+
+      return stored.requests.map(({ customId, request }) => ({
+        customId,
+        status: 'succeeded',
+        response: this.buildResponse(request),
+        error: null
+      }));
+    }, {});
+  }
+
+  /**
+   * Produce the smallest object that satisfies the requested schema
+   * @param {Object} request - Normalized request with schema
+   * @returns {Promise<Object>} Normalized response with sample data
+   */
+  async extractStructured(request) {
+    const prompt = request.messages.map(message => message.content).join('\n');
+
+    return this.simulate(() => {
+      const data = this.sampleFromSchema(request.schema.schema, request.schema.name);
+
+      return {
+        data,
+        stopReason: 'tool_use',
+        usage: {
+          ...this.simulateUsage(request, prompt),
+          outputTokens: Math.ceil(JSON.stringify(data).length / 4)
+        },
+        model: request.model,
+        provider: this.id
+      };
+    }, request);
+  }
+
+  /**
+   * Deterministic sample value for a JSON schema node
+   * @param {Object} schema - Schema node
+   * @param {string} key - Property name, used for sample strings
+   * @returns {*} Sample value
+   */
+  sampleFromSchema(schema, key = 'value') {
+    if (schema.enum) return schema.enum[0];
+
+    switch (schema.type) {
+      case 'object':
+        return Object.fromEntries(Object.entries(schema.properties || {})
+          .map(([property, propertySchema]) => [property, this.sampleFromSchema(propertySchema, property)]));
+      case 'array':
+        return schema.items ? [this.sampleFromSchema(schema.items, key)] : [];
+      case 'number':
+      case 'integer':
+        return schema.minimum !== undefined ? schema.minimum : 0;
+      case 'boolean':
+        return false;
+      default:
+        return `Mock ${key}`;
+    }
+  }
+}
+
+module.exports = MockProvider;
@@ -0,0 +1,152 @@
+const LLMProvider = require('./base.provider');
+
+// OpenAI finish_reason -> Anthropic stop_reason
+const STOP_REASONS = {
+  stop: 'end_turn',
+  length: 'max_tokens',
+  content_filter: 'content_filter',
+  tool_calls: 'tool_use'
+};
+
+/**
+ * OpenAI-compatible Chat Completions provider.
+ * Works with OpenAI, Perplexity, Gemini's OpenAI endpoint and self-hosted
+ * gateways that expose POST {baseUrl}/chat/completions.
+ */
+class OpenAICompatibleProvider extends LLMProvider {
+  /**
+   * Run a Chat Completions request
+   * @param {Object} request - Normalized request
+   * @returns {Promise<Object>} Normalized response
+   */
+  async analyze(request) {
+    const messages = request.system
+      ? [{ role: 'system', content: request.system }, ...request.messages]
+      : request.messages;
+
+    const body = {
+      model: request.model,
+      max_tokens: request.maxTokens,
+      messages
+    };
+    if (request.temperature !== undefined) body.temperature = request.temperature;
+
+    const response = await this.post('/chat/completions', body, request.signal);
+    const choice = response.choices?.[0] || {};
+    const text = choice.message?.content || '';
+
+    // Non-streaming: hand the whole answer to stream listeners at once
+    if (request.onEvent) {
+      request.onEvent('delta', { text });
+      const { inputTokens, outputTokens } = this.normalizeUsage(response.usage);
+      request.onEvent('usage', { inputTokens, outputTokens });
+    }
+
+    return {
+      text,
+      stopReason: STOP_REASONS[choice.finish_reason] || choice.finish_reason || 'end_turn',
+      usage: this.normalizeUsage(response.usage),
+      model: response.model || request.model,
+      provider: this.id
+    };
+  }
+
+  /**
+   * Normalized usage. Prompt prefixes the provider served from its automatic
+   * prompt cache are reported as cache reads, not input tokens.
+   * @param {Object} usage - Chat Completions usage
+   * @returns {Object} { inputTokens, outputTokens, cacheCreationInputTokens, cacheReadInputTokens }
+   */
+  normalizeUsage(usage = {}) {
+    const cached = usage.prompt_tokens_details?.cached_tokens || 0;
+
+    return {
+      inputTokens: (usage.prompt_tokens || 0) - cached,
+      outputTokens: usage.completion_tokens || 0,
+      cacheCreationInputTokens: 0,
+      cacheReadInputTokens: cached
+    };
+  }
+
+  /**
+   * Request a JSON object constrained by response_format json_schema
+   * @param {Object} request - Normalized request with schema
+   * @returns {Promise<Object>} Normalized response with parsed data
+   */
+  async extractStructured(request) {
+    const messages = request.system
+      ? [{ role: 'system', content: request.system }, ...request.messages]
+      : request.messages;
+
+    const body = {
+      model: request.model,
+      max_tokens: request.maxTokens,
+      messages,
+      response_format: {
+        type: 'json_schema',
+        json_schema: {
+          name: request.schema.name,
+          description: request.schema.description,
+          schema: request.schema.schema
+        }
+      }
+    };
+    if (request.temperature !== undefined) body.temperature = request.temperature;
+
+    const response = await this.post('/chat/completions', body, request.signal);
+    const choice = response.choices?.[0] || {};
+
+    return {
+      data: this.parseJson(choice.message?.content),
+      stopReason: STOP_REASONS[choice.finish_reason] || choice.finish_reason || 'end_turn',
+      usage: this.normalizeUsage(response.usage),
+      model: response.model || request.model,
+      provider: this.id
+    };
+  }
+
+  /**
+   * POST JSON to the provider API (with retries and circuit breaking)
+   * @param {string} endpoint - Path below baseUrl
+   * @param {Object} body - Request body
+   * @param {AbortSignal} signal - Optional abort signal
+   * @returns {Promise<Object>} Parsed JSON response
+   */
+  async post(endpoint, body, signal) {
+    if (!this.isConfigured()) {
+      throw this.createError(`${this.displayName} API key is not configured`, 401);
+    }
+
+    const url = `${this.settings.baseUrl.replace(/\/+$/, '')}${endpoint}`;
+
+    return this.callApi(async () => {
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${this.settings.apiKey}`
+        },
+        body: JSON.stringify(body),
+        signal
+      });
+
+      const payload = await response.json().catch(() => ({}));
+
+      if (!response.ok) {
+        throw this.createError(
+          payload.error?.message || `${this.displayName} API request failed with status ${response.status}`,
+          response.status,
+          Object.fromEntries(response.headers.entries())
+        );
+      }
+
+      return payload;
+    }, {
+      signal,
+      maxTokens: body.max_tokens,
+      countOutputTokens: (payload) => payload.usage?.completion_tokens
+    });
+  }
+}
+
+module.exports = OpenAICompatibleProvider;
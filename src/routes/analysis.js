@@ -1,16 +1,97 @@
 const express = require('express');
 const brandService = require('../services/brand.service');
-const { validateBrandAnalysis, validateComprehensiveBrandAnalysis } = require('../middleware/validation');
+const jobService = require('../services/job.service');
+const batchService = require('../services/batch.service');
+const claudeService = require('../services/claude.service');
+const usageService = require('../services/usage.service');
+const templateService = require('../services/template.service');
+const { validateBrandAnalysis, validateComprehensiveBrandAnalysis, validateBulkBatch, validateSuggestion, validateTranslation, validateRecord, schemas } = require('../middleware/validation');
+const { parseBulkPayloads } = require('../utils/bulk');
+const { SUGGESTION_TYPES } = require('../utils/suggestions');
+const { OUTPUT_LANGUAGES } = require('../utils/i18n');
+const { GRANULARITIES } = require('../utils/trends');
+const { compareReports } = require('../utils/reportDiff');
 const { asyncHandler } = require('../middleware/errorHandler');
+const config = require('../config/config');
 const logger = require('../utils/logger');
 
 const router = express.Router();
 
+/**
+ * Check that the requested prompt template exists and pin it to a version,
+ * so a queued or retried job uses the wording that was current at request time
+ */
+const resolveTemplate = asyncHandler(async (req, res, next) => {
+  if (!req.body.template) return next();
+
+  const template = await templateService.resolve(req.body.template);
+
+  if (!template) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation error',
+      message: `Template not found: ${req.body.template}`
+    });
+  }
+
+  req.body.template = template.reference;
+  next();
+});
+
+/**
+ * Build the client-facing payload for a comprehensive analysis result
+ * @param {Object} result - Result from brandService.analyzeComprehensiveBrand
+ * @returns {Object} Response payload
+ */
+const formatComprehensiveResult = (result) => ({
+  brandName: result.brandName,
+  websiteUrl: result.websiteUrl,
+  email: result.email,
+  fileName: result.fileName,
+  filePath: result.filePath,
+  brandFolder: result.brandFolder,
+  requestId: result.requestId,
+  cached: result.cached || false, // Stored or shared result of an identical request, nothing billed
+  cachedAt: result.cachedAt || null,
+  analysisText: result.analysisText, // Full analysis for UI display
+  tokensUsed: result.metadata.tokensUsed,
+  inputTokens: result.metadata.inputTokens,
+  outputTokens: result.metadata.outputTokens,
+  cacheCreationInputTokens: result.metadata.cacheCreationInputTokens || 0, // Prompt cache writes (billed above the input price)
+  cacheReadInputTokens: result.metadata.cacheReadInputTokens || 0, // Prompt cache reads (billed at a fraction of it)
+  promptCaching: result.metadata.promptCaching || false, // Whether a cache marker was sent (single mode, built-in prompt)
+  estimatedCostUsd: result.metadata.estimatedCostUsd ?? null,
+  cost: result.metadata.cost || null, // Cost per purpose (probes, phases, continuations, ...) and model
+  processingTime: result.metadata.processingTime,
+  createdAt: result.metadata.createdAt,
+  provider: result.metadata.provider,
+  model: result.metadata.model,
+  analysisMode: result.metadata.analysisMode,
+  template: result.metadata.template || null, // Prompt template used (id@version), null for the built-in prompt
+  markets: result.metadata.markets || [], // Target markets ({ key, country, language, label })
+  outputLanguage: result.metadata.outputLanguage || 'en',
+  phases: result.metadata.phases || null, // Per-phase tokens and timing (pipeline mode)
+  website: result.metadata.website || null, // Crawl summary: pages analyzed, skipped, text length
+  measurement: result.metadata.measurement || null,
+  visibility: result.metadata.visibility || null,
+  report: result.structuredReport || null, // Structured JSON report (format=json)
+  responseQuality: {
+    responseLength: result.metadata.responseLength,
+    qualityLevel: result.metadata.responseLength > 5000 ? 'COMPREHENSIVE' : 'STANDARD',
+    wordCount: Math.round(result.metadata.responseLength / 5),
+    truncated: result.metadata.truncated || false, // Analysis ends at the token limit (single mode)
+    continuationError: result.metadata.continuationError || null, // Why the continuation of a truncated analysis failed
+    formDataProcessed: result.metadata.formDataProcessed
+  }
+});
+
 /**
  * POST /api/analysis/comprehensive
- * Comprehensive brand analysis with full form data
+ * Comprehensive brand analysis with full form data.
+ * Queues a background job and returns 202 with the job ID;
+ * pass ?sync=true to wait for the finished report instead.
  */
-router.post('/comprehensive', validateComprehensiveBrandAnalysis, asyncHandler(async (req, res) => {
+router.post('/comprehensive', validateComprehensiveBrandAnalysis, resolveTemplate, asyncHandler(async (req, res) => {
   const formData = req.body;
 
   logger.info('Comprehensive brand analysis request received', {
@@ -24,37 +105,377 @@ router.post('/comprehensive', validateComprehensiveBrandAnalysis, asyncHandler(a
     ip: req.ip
   });
 
-  const result = await brandService.analyzeComprehensiveBrand(formData, {
+  const analysisOptions = {
     requestIp: req.ip,
-    userAgent: req.get('User-Agent')
-  });
+    userAgent: req.get('User-Agent'),
+    apiKeyId: req.apiKeyId
+  };
+
+  // Synchronous mode keeps the connection open until the report is ready
+  if (req.query.sync === 'true') {
+    const result = await brandService.analyzeComprehensiveBrand(formData, analysisOptions);
+
+    return res.json({
+      success: true,
+      message: `Comprehensive analysis completed for ${formData.brandName}`,
+      result: formatComprehensiveResult(result)
+    });
+  }
+
+  const job = jobService.createComprehensiveJob(formData, analysisOptions);
+  const rateLimit = claudeService.getRateLimitStatus(formData.provider, formData.model);
+
+  res.status(202)
+    .location(`${req.baseUrl}/jobs/${job.jobId}`)
+    .json({
+      success: true,
+      message: `Comprehensive analysis queued for ${formData.brandName}`,
+      jobId: job.jobId,
+      status: job.status,
+      queuePosition: job.queuePosition,
+      statusUrl: `${req.baseUrl}/jobs/${job.jobId}`,
+      rateLimit: rateLimit && {
+        provider: rateLimit.name,
+        queueDepth: rateLimit.queueDepth,
+        estimatedWaitMs: rateLimit.estimatedWaitMs
+      }
+    });
+}));
+
+/**
+ * POST /api/analysis/comprehensive/preview
+ * Dry run: the prompt that would be sent, AI-generated sections,
+ * counted input tokens and projected cost. Nothing is billed.
+ */
+router.post('/comprehensive/preview', validateComprehensiveBrandAnalysis, resolveTemplate, asyncHandler(async (req, res) => {
+  const formData = req.body;
+  const preview = await brandService.previewComprehensiveBrand(formData);
 
-  // Return comprehensive response with the full analysis text for UI display
   res.json({
     success: true,
-    message: `Comprehensive analysis completed for ${formData.brandName}`,
-    result: {
-      brandName: result.brandName,
-      websiteUrl: result.websiteUrl,
-      email: result.email,
-      fileName: result.fileName,
-      filePath: result.filePath,
-      brandFolder: result.brandFolder,
-      requestId: result.requestId,
-      analysisText: result.analysisText, // Full analysis for UI display
-      tokensUsed: result.metadata.tokensUsed,
-      inputTokens: result.metadata.inputTokens,
-      outputTokens: result.metadata.outputTokens,
-      processingTime: result.metadata.processingTime,
-      createdAt: result.metadata.createdAt,
-      model: result.metadata.model,
-      responseQuality: {
-        responseLength: result.metadata.responseLength,
-        qualityLevel: result.metadata.responseLength > 5000 ? 'COMPREHENSIVE' : 'STANDARD',
-        wordCount: Math.round(result.metadata.responseLength / 5),
-        formDataProcessed: result.metadata.formDataProcessed
+    message: `Preview for ${formData.brandName}: ${preview.tokens.inputTokens} input tokens, up to $${(preview.projectedCost.maxCostUsd ?? 0).toFixed(2)}`,
+    data: preview
+  });
+}));
+
+/**
+ * POST /api/analysis/comprehensive/bulk
+ * Comprehensive analyses for many clients, each with its own form data.
+ * Takes a JSON array of payloads ({ rows } or { csv } also work) or a CSV upload
+ * (Content-Type: text/csv). Every row is validated on its own; valid rows are
+ * queued as analysis jobs and the response lists each row's jobId or errors.
+ */
+router.post('/comprehensive/bulk', express.text({ type: ['text/csv', 'application/csv'], limit: '10mb' }), asyncHandler(async (req, res) => {
+  let payloads;
+  try {
+    payloads = parseBulkPayloads(req.body, Object.keys(schemas.comprehensiveBrandAnalysisSchema.describe().keys));
+  } catch (error) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation error',
+      message: error.message
+    });
+  }
+
+  if (payloads.length === 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation error',
+      message: 'At least one row is required'
+    });
+  }
+
+  if (payloads.length > config.bulk.maxRows) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation error',
+      message: `Maximum ${config.bulk.maxRows} rows allowed per bulk request`
+    });
+  }
+
+  // Validate every row up front; invalid rows are reported and skipped
+  const rows = await Promise.all(payloads.map(async (payload, index) => {
+    const row = { row: index + 1, brandName: payload?.brandName || null };
+    const { error, value } = validateRecord(schemas.comprehensiveBrandAnalysisSchema, payload);
+
+    if (error) {
+      return {
+        ...row,
+        status: 'invalid',
+        error: error.details[0].message,
+        details: error.details.map(detail => ({
+          field: detail.path.join('.'),
+          message: detail.message
+        }))
+      };
+    }
+
+    if (value.template) {
+      const template = await templateService.resolve(value.template);
+      if (!template) {
+        return { ...row, status: 'invalid', error: `Template not found: ${value.template}` };
       }
+      value.template = template.reference;
     }
+
+    return { ...row, formData: value };
+  }));
+
+  const valid = rows.filter(row => row.formData);
+
+  if (valid.length === 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation error',
+      message: 'No valid rows to analyze',
+      data: { rows }
+    });
+  }
+
+  logger.info('Bulk comprehensive analysis request received', {
+    rows: rows.length,
+    valid: valid.length,
+    ip: req.ip
+  });
+
+  const analysisOptions = {
+    requestIp: req.ip,
+    userAgent: req.get('User-Agent'),
+    apiKeyId: req.apiKeyId,
+    bulkRequest: true
+  };
+
+  // Each valid row becomes a job on the analysis queue; its status is read from /jobs/:jobId
+  for (const row of valid) {
+    const job = jobService.createComprehensiveJob(row.formData, analysisOptions);
+    delete row.formData;
+
+    row.status = job.status;
+    row.jobId = job.jobId;
+    row.statusUrl = `${req.baseUrl}/jobs/${job.jobId}`;
+  }
+
+  const summary = {
+    total: rows.length,
+    queued: valid.length,
+    invalid: rows.length - valid.length
+  };
+
+  res.status(202).json({
+    success: true,
+    message: `Bulk comprehensive analysis: ${summary.queued} queued, ${summary.invalid} invalid`,
+    data: {
+      rows,
+      jobIds: valid.map(row => row.jobId),
+      invalid: rows.filter(row => row.status === 'invalid'),
+      summary
+    }
+  });
+}));
+
+/**
+ * POST /api/analysis/suggest/:kind
+ * Suggest competitors, topics, prompts or personas to prefill the form,
+ * instead of leaving them to be generated silently during the analysis
+ */
+router.post(`/suggest/:kind(${Object.keys(SUGGESTION_TYPES).join('|')})`, validateSuggestion, asyncHandler(async (req, res) => {
+  const { kind } = req.params;
+  const result = await brandService.suggest(kind, req.body, { apiKeyId: req.apiKeyId });
+
+  res.json({
+    success: true,
+    message: `${result.suggestions.length} ${kind} suggested for ${req.body.brandName}`,
+    data: result
+  });
+}));
+
+/**
+ * POST /api/analysis/comprehensive/stream
+ * Comprehensive brand analysis streamed as Server-Sent Events.
+ * Events: delta, usage, phase, continuation, crawl, probe, saved, complete, error
+ */
+router.post('/comprehensive/stream', validateComprehensiveBrandAnalysis, resolveTemplate, asyncHandler(async (req, res) => {
+  const formData = req.body;
+  const controller = new AbortController();
+
+  logger.info('Streaming comprehensive brand analysis request received', {
+    brandName: formData.brandName,
+    websiteUrl: formData.websiteUrl,
+    email: formData.email,
+    ip: req.ip
+  });
+
+  res.status(200).set({
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no' // Disable proxy buffering (nginx)
+  });
+  res.flushHeaders();
+
+  const sendEvent = (event, data) => {
+    if (res.writableEnded) return;
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  // Comment lines keep idle proxies from closing the connection
+  const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+
+  // Stop paying for tokens nobody will read
+  res.on('close', () => {
+    clearInterval(keepAlive);
+    if (!res.writableFinished) {
+      controller.abort();
+    }
+  });
+
+  sendEvent('started', {
+    brandName: formData.brandName,
+    requestId: req.requestId
+  });
+
+  try {
+    const result = await brandService.analyzeComprehensiveBrand(formData, {
+      requestIp: req.ip,
+      userAgent: req.get('User-Agent'),
+      apiKeyId: req.apiKeyId,
+      signal: controller.signal,
+      onEvent: sendEvent
+    });
+
+    const { analysisText, ...summary } = formatComprehensiveResult(result);
+    sendEvent('complete', summary);
+  } catch (error) {
+    sendEvent('error', {
+      error: error.message,
+      requestId: req.requestId
+    });
+  } finally {
+    clearInterval(keepAlive);
+    res.end();
+  }
+}));
+
+/**
+ * GET /api/analysis/jobs/dead-letter
+ * List jobs that exhausted all attempts
+ */
+router.get('/jobs/dead-letter', asyncHandler(async (req, res) => {
+  const entries = jobService.getDeadLetter();
+
+  res.json({
+    success: true,
+    message: `Found ${entries.length} dead-letter jobs`,
+    data: entries.map(entry => ({
+      jobId: entry.jobId,
+      type: entry.type,
+      brandName: entry.brandName,
+      attempts: entry.attempts,
+      error: entry.error,
+      errors: entry.errors,
+      formData: entry.formData,
+      createdAt: entry.createdAt,
+      deadLetteredAt: entry.deadLetteredAt
+    })),
+    queue: jobService.getStatistics()
+  });
+}));
+
+/**
+ * POST /api/analysis/jobs/dead-letter/:jobId/retry
+ * Re-queue a dead-letter job with a fresh attempt budget
+ */
+router.post('/jobs/dead-letter/:jobId/retry', asyncHandler(async (req, res) => {
+  const { jobId } = req.params;
+
+  if (!jobService.getDeadLetter().some(entry => entry.jobId === jobId)) {
+    return res.status(404).json({
+      success: false,
+      error: `Dead-letter job not found: ${jobId}`
+    });
+  }
+
+  const job = jobService.retryDeadLetter(jobId);
+
+  res.status(202).json({
+    success: true,
+    message: `Job ${jobId} re-queued`,
+    data: job,
+    statusUrl: `${req.baseUrl}/jobs/${jobId}`
+  });
+}));
+
+/**
+ * DELETE /api/analysis/jobs/dead-letter/:jobId
+ * Remove a job from the dead-letter list
+ */
+router.delete('/jobs/dead-letter/:jobId', asyncHandler(async (req, res) => {
+  const { jobId } = req.params;
+
+  if (!jobService.removeDeadLetter(jobId)) {
+    return res.status(404).json({
+      success: false,
+      error: `Dead-letter job not found: ${jobId}`
+    });
+  }
+
+  res.json({
+    success: true,
+    message: `Job ${jobId} removed from dead-letter list`
+  });
+}));
+
+/**
+ * GET /api/analysis/jobs/:jobId
+ * Get status, progress and result of an analysis job
+ */
+router.get('/jobs/:jobId', asyncHandler(async (req, res) => {
+  const job = await jobService.getJobWithResult(req.params.jobId);
+
+  if (!job) {
+    return res.status(404).json({
+      success: false,
+      error: `Job not found: ${req.params.jobId}`
+    });
+  }
+
+  res.json({
+    success: true,
+    data: {
+      ...job,
+      result: job.result ? formatComprehensiveResult(job.result) : null
+    }
+  });
+}));
+
+/**
+ * DELETE /api/analysis/jobs/:jobId
+ * Cancel a queued or running analysis job
+ */
+router.delete('/jobs/:jobId', asyncHandler(async (req, res) => {
+  const { jobId } = req.params;
+  const existing = jobService.getJob(jobId);
+
+  if (!existing) {
+    return res.status(404).json({
+      success: false,
+      error: `Job not found: ${jobId}`
+    });
+  }
+
+  if (['completed', 'failed', 'cancelled'].includes(existing.status)) {
+    return res.status(409).json({
+      success: false,
+      error: `Job ${jobId} is already ${existing.status}`
+    });
+  }
+
+  const job = jobService.cancelJob(jobId);
+
+  res.json({
+    success: true,
+    message: `Job ${jobId} ${job.status === 'cancelled' ? 'cancelled' : 'is being cancelled'}`,
+    data: job
   });
 }));
 
@@ -63,7 +484,7 @@ router.post('/comprehensive', validateComprehensiveBrandAnalysis, asyncHandler(a
  * Legacy brand analysis (backward compatibility)
  */
 router.post('/', validateBrandAnalysis, asyncHandler(async (req, res) => {
-  const { brandName, includeHistory, priority, metadata } = req.body;
+  const { brandName, includeHistory, priority, metadata, provider, model } = req.body;
 
   logger.info('Legacy brand analysis request received', {
     brandName,
@@ -76,8 +497,11 @@ router.post('/', validateBrandAnalysis, asyncHandler(async (req, res) => {
     includeHistory,
     priority,
     metadata,
+    provider,
+    model,
     requestIp: req.ip,
-    userAgent: req.get('User-Agent')
+    userAgent: req.get('User-Agent'),
+    apiKeyId: req.apiKeyId
   });
 
   res.json({
@@ -91,8 +515,10 @@ router.post('/', validateBrandAnalysis, asyncHandler(async (req, res) => {
       tokensUsed: result.metadata.tokensUsed,
       inputTokens: result.metadata.inputTokens,
       outputTokens: result.metadata.outputTokens,
+      estimatedCostUsd: result.metadata.estimatedCostUsd ?? null,
       processingTime: result.metadata.processingTime,
       createdAt: result.metadata.createdAt,
+      provider: result.metadata.provider,
       model: result.metadata.model,
       responseQuality: {
         responseLength: result.metadata.responseLength,
@@ -103,6 +529,53 @@ router.post('/', validateBrandAnalysis, asyncHandler(async (req, res) => {
   });
 }));
 
+/**
+ * GET /api/analysis/models
+ * List LLM providers and the models available for each
+ */
+router.get('/models', asyncHandler(async (req, res) => {
+  const modelInfo = claudeService.getModelInfo();
+
+  res.json({
+    success: true,
+    message: `${modelInfo.providers.length} providers available`,
+    data: modelInfo
+  });
+}));
+
+/**
+ * GET /api/analysis/rate-limits
+ * Client-side rate limit budgets, queue depth and estimated wait per provider
+ */
+router.get('/rate-limits', asyncHandler(async (req, res) => {
+  const schedulers = claudeService.getRateLimits();
+
+  res.json({
+    success: true,
+    message: `${schedulers.reduce((sum, scheduler) => sum + scheduler.queueDepth, 0)} requests waiting for rate budget`,
+    data: {
+      schedulers,
+      jobQueue: jobService.getStatistics()
+    }
+  });
+}));
+
+/**
+ * GET /api/analysis/usage
+ * Estimated LLM cost aggregated by brand, client email, API key and day
+ */
+router.get('/usage', asyncHandler(async (req, res) => {
+  const { fromDate, toDate, brandName, email } = req.query;
+
+  const usage = await usageService.getUsage({ fromDate, toDate, brandName, email });
+
+  res.json({
+    success: true,
+    message: `${usage.totals.analyses} analyses, estimated cost $${usage.totals.estimatedCostUsd.toFixed(2)}`,
+    data: usage
+  });
+}));
+
 /**
  * GET /api/analysis/brands
  * Get list of all analyzed brands
@@ -117,6 +590,96 @@ router.get('/brands', asyncHandler(async (req, res) => {
   });
 }));
 
+/**
+ * GET /api/analysis/brands/:brandFolder/trends
+ * Visibility, mention, competitor and cost metrics of a brand's reports over time
+ */
+router.get('/brands/:brandFolder/trends', asyncHandler(async (req, res) => {
+  const { brandFolder } = req.params;
+  const { fromDate, toDate, granularity = 'report' } = req.query;
+
+  if (!GRANULARITIES.includes(granularity)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation error',
+      message: `granularity must be one of: ${GRANULARITIES.join(', ')}`
+    });
+  }
+
+  const invalidDate = [['fromDate', fromDate], ['toDate', toDate]]
+    .find(([, value]) => value && Number.isNaN(new Date(value).getTime()));
+  if (invalidDate) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation error',
+      message: `${invalidDate[0]} is not a valid date: ${invalidDate[1]}`
+    });
+  }
+
+  const trends = await brandService.getBrandTrends(brandFolder, { fromDate, toDate, granularity });
+
+  if (!trends) {
+    return res.status(404).json({
+      success: false,
+      error: `Brand folder not found: ${brandFolder}`
+    });
+  }
+
+  res.json({
+    success: true,
+    message: `${trends.summary.reports} reports in ${trends.points.length} data points`,
+    data: trends
+  });
+}));
+
+/**
+ * GET /api/analysis/brands/:brandFolder/diff?from=<file>&to=<file>
+ * What changed between two reports of a brand: competitors, topic ranks,
+ * recommendations, metrics, sections and a line diff of the analysis text
+ */
+router.get('/brands/:brandFolder/diff', asyncHandler(async (req, res) => {
+  const { brandFolder } = req.params;
+  const { from, to } = req.query;
+
+  if (!from || !to) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation error',
+      message: 'Query parameters from and to (report file names) are required'
+    });
+  }
+
+  if (from === to) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation error',
+      message: 'from and to must be different reports'
+    });
+  }
+
+  const [fromReport, toReport] = await Promise.all([
+    brandService.getReportSnapshot(from, brandFolder),
+    brandService.getReportSnapshot(to, brandFolder)
+  ]);
+
+  const missing = [[from, fromReport], [to, toReport]].find(([, report]) => !report);
+  if (missing) {
+    return res.status(404).json({
+      success: false,
+      error: `File not found in ${brandFolder}: ${missing[0]}`
+    });
+  }
+
+  const diff = compareReports(fromReport, toReport);
+
+  res.json({
+    success: true,
+    message: `${diff.competitors.added.length} new and ${diff.competitors.dropped.length} dropped competitors, ` +
+      `${diff.recommendations.added.length} new recommendations, ${diff.textDiff.stats.hunks} changed passages`,
+    data: diff
+  });
+}));
+
 /**
  * GET /api/analysis/files
  * Get list of all saved files with brand organization
@@ -126,6 +689,7 @@ router.get('/files', asyncHandler(async (req, res) => {
     brandName,
     fromDate,
     toDate,
+    market,
     limit = 50,
     offset = 0
   } = req.query;
@@ -134,6 +698,7 @@ router.get('/files', asyncHandler(async (req, res) => {
   if (brandName) filters.brandName = brandName;
   if (fromDate) filters.fromDate = fromDate;
   if (toDate) filters.toDate = toDate;
+  if (market) filters.market = market;
 
   const allFiles = await brandService.getAllReports(filters);
   
@@ -169,6 +734,75 @@ router.get('/files/:fileName', asyncHandler(async (req, res) => {
   });
 }));
 
+/**
+ * GET /api/analysis/files/:fileName/measurements
+ * Raw answers and detected mentions from measured prompt testing
+ */
+router.get('/files/:fileName/measurements', asyncHandler(async (req, res) => {
+  const { fileName } = req.params;
+  const { brandFolder } = req.query;
+
+  const measurement = await brandService.getReportMeasurements(fileName, brandFolder);
+
+  if (!measurement) {
+    return res.status(404).json({
+      success: false,
+      error: `No measured prompt tests stored for ${fileName}`
+    });
+  }
+
+  res.json({
+    success: true,
+    data: measurement
+  });
+}));
+
+/**
+ * GET /api/analysis/files/:fileName/crawl
+ * Website pages crawled to ground the analysis
+ */
+router.get('/files/:fileName/crawl', asyncHandler(async (req, res) => {
+  const { fileName } = req.params;
+  const { brandFolder } = req.query;
+
+  const crawl = await brandService.getReportCrawl(fileName, brandFolder);
+
+  if (!crawl) {
+    return res.status(404).json({
+      success: false,
+      error: `No website crawl stored for ${fileName}`
+    });
+  }
+
+  res.json({
+    success: true,
+    data: crawl
+  });
+}));
+
+/**
+ * GET /api/analysis/files/:fileName/report
+ * Structured JSON report stored for analyses run with format=json
+ */
+router.get('/files/:fileName/report', asyncHandler(async (req, res) => {
+  const { fileName } = req.params;
+  const { brandFolder } = req.query;
+
+  const structuredReport = await brandService.getStructuredReport(fileName, brandFolder);
+
+  if (!structuredReport) {
+    return res.status(404).json({
+      success: false,
+      error: `No structured report stored for ${fileName}`
+    });
+  }
+
+  res.json({
+    success: true,
+    data: structuredReport
+  });
+}));
+
 /**
  * GET /api/analysis/files/:fileName/download
  * Download specific file
@@ -187,6 +821,40 @@ router.get('/files/:fileName/download', asyncHandler(async (req, res) => {
   res.send(fileData.content);
 }));
 
+/**
+ * POST /api/analysis/files/:fileName/translate
+ * Translate a saved report; the copy is saved next to the original
+ */
+router.post('/files/:fileName/translate', validateTranslation, asyncHandler(async (req, res) => {
+  const { fileName } = req.params;
+  const { brandFolder } = req.query;
+  const { language } = req.body;
+
+  const sourceLanguage = await brandService.getReportLanguage(fileName, brandFolder);
+
+  if (!sourceLanguage) {
+    return res.status(404).json({
+      success: false,
+      error: `File not found: ${fileName}`
+    });
+  }
+
+  if (sourceLanguage === language) {
+    return res.status(400).json({
+      success: false,
+      error: `Report is already in ${OUTPUT_LANGUAGES[language].name}`
+    });
+  }
+
+  const result = await brandService.translateReport(fileName, brandFolder, req.body, { apiKeyId: req.apiKeyId });
+
+  res.status(201).json({
+    success: true,
+    message: `Report translated to ${OUTPUT_LANGUAGES[language].name}`,
+    data: result
+  });
+}));
+
 /**
  * DELETE /api/analysis/files/:fileName
  * Delete specific file
@@ -217,6 +885,67 @@ router.get('/statistics', asyncHandler(async (req, res) => {
   });
 }));
 
+/**
+ * POST /api/analysis/bulk/batches
+ * Submit legacy analyses for many brands as one provider batch (Anthropic Message Batches).
+ * Returns at once; results are saved as the batch completes.
+ */
+router.post('/bulk/batches', validateBulkBatch, asyncHandler(async (req, res) => {
+  const { brands, ...options } = req.body;
+
+  const bulkJob = await batchService.createBulkJob(brands, {
+    ...options,
+    requestIp: req.ip,
+    userAgent: req.get('User-Agent'),
+    apiKeyId: req.apiKeyId
+  });
+
+  res.status(202).json({
+    success: true,
+    message: `Bulk batch submitted: ${brands.length} brands`,
+    data: {
+      ...bulkJob,
+      statusUrl: `${req.baseUrl}/bulk/batches/${bulkJob.bulkJobId}`
+    }
+  });
+}));
+
+/**
+ * GET /api/analysis/bulk/batches
+ * List bulk batch jobs
+ */
+router.get('/bulk/batches', asyncHandler(async (req, res) => {
+  const bulkJobs = batchService.listBulkJobs();
+
+  res.json({
+    success: true,
+    data: {
+      bulkJobs,
+      count: bulkJobs.length
+    }
+  });
+}));
+
+/**
+ * GET /api/analysis/bulk/batches/:bulkJobId
+ * Batch status and per-brand progress of a bulk job
+ */
+router.get('/bulk/batches/:bulkJobId', asyncHandler(async (req, res) => {
+  const bulkJob = batchService.getBulkJob(req.params.bulkJobId);
+
+  if (!bulkJob) {
+    return res.status(404).json({
+      success: false,
+      error: `Bulk job not found: ${req.params.bulkJobId}`
+    });
+  }
+
+  res.json({
+    success: true,
+    data: bulkJob
+  });
+}));
+
 /**
  * POST /api/analysis/bulk
  * Analyze multiple brands (legacy support)
@@ -238,31 +967,33 @@ router.post('/bulk', asyncHandler(async (req, res) => {
     });
   }
 
-  const results = [];
-  const errors = [];
-
-  for (const brandName of brands) {
+  // Started together; the rate scheduler spaces the Claude calls to the tier budget
+  const outcomes = await Promise.all(brands.map(async (brandName) => {
     try {
       const result = await brandService.analyzeBrand(brandName, {
         requestIp: req.ip,
         userAgent: req.get('User-Agent'),
+        apiKeyId: req.apiKeyId,
         bulkRequest: true
       });
       
-      results.push({
+      return {
         brandName: result.brandName,
         fileName: result.fileName,
         requestId: result.requestId,
         status: 'success'
-      });
+      };
     } catch (error) {
-      errors.push({
+      return {
         brandName,
         error: error.message,
         status: 'failed'
-      });
+      };
     }
-  }
+  }));
+
+  const results = outcomes.filter(outcome => outcome.status === 'success');
+  const errors = outcomes.filter(outcome => outcome.status === 'failed');
 
   res.json({
     success: true,
@@ -289,7 +1020,7 @@ router.get('/help', (req, res) => {
     service: 'Geo Analysis Service',
     description: 'Comprehensive AI/LLM Brand Visibility Analysis with Claude AI',
     version: '2.0.0',
-    aiProvider: 'Anthropic Claude',
+    aiProvider: 'Anthropic Claude (default), OpenAI, Gemini, Perplexity',
     endpoints: {
       'POST /api/analysis/comprehensive': {
         description: 'Comprehensive brand analysis with full form data',
@@ -301,10 +1032,75 @@ router.get('/help', (req, res) => {
           topics: 'array (optional) - Key topics to focus on (max 4)', 
           prompts: 'array (optional) - Test prompts for AI platforms (max 4)',
           personas: 'string (optional) - Target customer personas description',
+          outputLanguage: `string (optional) - ${Object.keys(OUTPUT_LANGUAGES).join('|')}; language of the whole report, file header and footer included (default: en)`,
+          markets: 'array (optional) - target markets as { country, language } (ISO 3166-1 alpha-2 and ISO 639-1, max 5); prompts are localized and probed per market and the report breaks out visibility, competitors and recommendations per market',
           priority: 'string (optional) - low|normal|high',
-          includeHistory: 'boolean (optional)'
+          includeHistory: 'boolean (optional)',
+          provider: 'string (optional) - anthropic|openai|gemini|perplexity|mock (see /models)',
+          model: 'string (optional) - model ID from /models; selects its provider when provider is omitted',
+          crawlWebsite: 'boolean (optional) - fetch the homepage and a bounded set of internal pages (robots.txt honored) and ground the analysis in their content (default: on)',
+          measureVisibility: 'boolean (optional) - run the prompts against real AI platforms and record brand/competitor mentions',
+          probeProviders: 'array (optional) - providers to query when measuring (default: all configured)',
+          format: 'string (optional) - text|json; json also returns a schema-validated structured report',
+          template: 'string (optional) - custom prompt template as templateId or templateId@version (see /api/templates); runs as a single prompt and is recorded in the saved report',
+          useCache: 'boolean (optional) - false forces a fresh analysis; by default an identical request attaches to the one in progress or gets the report stored within the cache TTL (cached: true)',
+          analysisMode: 'string (optional) - pipeline (default: research, icp, topics, prompts, audit, recommendations, roadmap phases, each retried on its own) | single (one large prompt; its static system prompt is prompt-cached, which pipeline phases are not)'
+        },
+        query: {
+          sync: 'boolean (optional): wait for the finished report instead of queuing a job',
+          format: 'string (optional): same as the format body field'
         },
-        response: 'Includes full analysis text for UI display'
+        response: '202 with jobId (default), or the full analysis text when sync=true. Results include estimatedCostUsd (every call, continuations included) and a cost breakdown. With measureVisibility, includes a visibility object: 0-100 visibilityScore, mention rate, average position, first-mention share and share of voice per competitor (null, not 0, when no query was answered)'
+      },
+      'POST /api/analysis/comprehensive/stream': {
+        description: 'Comprehensive analysis streamed as Server-Sent Events (same body as /comprehensive)',
+        events: {
+          started: 'Analysis accepted',
+          delta: '{ text } - next chunk of analysis text',
+          usage: '{ inputTokens?, outputTokens } - token usage update',
+          crawl: '{ url, title, pages } - one website page fetched',
+          probe: '{ prompt, provider, brandMentioned, position } - one measured prompt test finished',
+          phase: '{ phase, title, index, total, status } - pipeline phase started|retrying|completed|restored (completed includes tokens and durationMs)',
+          continuation: 'Response hit the token limit, continuation request started',
+          saved: '{ fileName, brandFolder, requestId } - report written to disk',
+          attached: '{ requestId, startedAt } - an identical analysis is already running; its result is shared',
+          cached: '{ requestId, fileName, createdAt } - stored result of an identical request, followed by one delta with the whole text',
+          complete: 'Final result summary (without analysisText)',
+          error: '{ error } - analysis failed'
+        }
+      },
+      'POST /api/analysis/comprehensive/preview': {
+        description: 'Dry run with the same body as /comprehensive: returns the rendered prompt (plus per-phase prompts in pipeline mode), which sections will be AI-generated, input tokens (counted by the provider where supported) and projected maximum cost. Nothing is billed. With the built-in single-prompt analysis the static methodology is returned separately as system (sent with a prompt cache marker): tokens.cacheableTokens counts it, and projectedCost.cachedInputCostUsd is the input cost once it is read from the cache. When the website will be crawled, tokens.websiteTokens adds an estimate of the crawled content at its size limit'
+      },
+      'POST /api/analysis/suggest/:kind': {
+        description: 'Suggest competitors|topics|prompts|personas to prefill the form before running the analysis',
+        body: {
+          brandName: 'string (required)',
+          websiteUrl: 'string (required)',
+          email: 'string (optional) - client email, used for usage reporting',
+          competitors: 'array (optional) - already known competitors',
+          topics: 'array (optional) - already chosen topics',
+          personas: 'string (optional) - already described personas',
+          count: 'number (optional) - how many to suggest (capped by the form limit)',
+          provider: 'string (optional)',
+          model: 'string (optional)'
+        },
+        response: '{ suggestions: [...structured items with reasons], formValue: value ready for the matching form field }'
+      },
+      'GET /api/analysis/jobs/:jobId': {
+        description: 'Get job status (queued|running|completed|failed|cancelled), progress and result'
+      },
+      'DELETE /api/analysis/jobs/:jobId': {
+        description: 'Cancel a queued or running analysis job'
+      },
+      'GET /api/analysis/jobs/dead-letter': {
+        description: 'List jobs that failed all attempts (persisted across restarts)'
+      },
+      'POST /api/analysis/jobs/dead-letter/:jobId/retry': {
+        description: 'Re-queue a dead-letter job'
+      },
+      'DELETE /api/analysis/jobs/dead-letter/:jobId': {
+        description: 'Remove a job from the dead-letter list'
       },
       'POST /api/analysis': {
         description: 'Legacy brand analysis (backward compatibility)',
@@ -312,18 +1108,119 @@ router.get('/help', (req, res) => {
           brandName: 'string (required)',
           websiteUrl: 'string (optional)',
           priority: 'string (optional): low|normal|high',
-          includeHistory: 'boolean (optional)'
+          includeHistory: 'boolean (optional)',
+          provider: 'string (optional)',
+          model: 'string (optional)'
         }
       },
+      'GET /api/analysis/models': {
+        description: 'List LLM providers, their models and whether they are configured'
+      },
+      'GET /api/analysis/rate-limits': {
+        description: 'Client-side rate budgets (RPM / output tokens per minute for the configured tier), queue depth and estimated wait'
+      },
+      'GET /api/analysis/usage': {
+        description: 'Estimated LLM cost (USD, from the per-model pricing in /models) and tokens by brand, client email, API key and day, including prompt cache writes and reads (cacheCreationInputTokens, cacheReadInputTokens)',
+        query: {
+          fromDate: 'date (optional): include analyses from this date',
+          toDate: 'date (optional): include analyses up to this date',
+          brandName: 'string (optional): filter by brand name',
+          email: 'string (optional): filter by client email'
+        }
+      },
+      'GET /api/templates': {
+        description: 'List custom prompt templates (latest version of each) and the {{variables}} they can use'
+      },
+      'POST /api/templates': {
+        description: 'Create a prompt template (version 1)',
+        body: {
+          id: 'string (required) - lowercase letters, digits, - and _',
+          name: 'string (optional)',
+          description: 'string (optional)',
+          content: 'string (required) - prompt text with {{brandName}}, {{websiteUrl}}, {{competitorSection}}, ... placeholders',
+          changelog: 'string (optional)'
+        }
+      },
+      'GET /api/templates/:id': {
+        description: 'Get a template with every version'
+      },
+      'GET /api/templates/:id/versions/:version': {
+        description: 'Get one template version'
+      },
+      'PUT /api/templates/:id': {
+        description: 'Save new wording as the next version (same body as POST without id); earlier versions stay available'
+      },
+      'DELETE /api/templates/:id': {
+        description: 'Delete a template and all of its versions'
+      },
+      'GET /api/schedules': {
+        description: 'List recurring analyses with their next run and latest run',
+        query: {
+          brandName: 'string (optional): filter by brand name'
+        }
+      },
+      'POST /api/schedules': {
+        description: 'Run a comprehensive analysis on a cron schedule; each run is queued as an analysis job with fresh results (no cache)',
+        body: {
+          name: 'string (optional)',
+          cron: 'string (required) - minute hour day-of-month month day-of-week, e.g. "0 6 * * 1" (Mondays 06:00), or @daily, @weekly, @monthly',
+          timezone: 'string (optional) - IANA time zone, e.g. Europe/Berlin (default UTC)',
+          enabled: 'boolean (optional, default true)',
+          catchUp: 'boolean (optional, default true) - run once on start when runs were missed while the service was down',
+          formData: 'object (required) - same body as POST /api/analysis/comprehensive'
+        }
+      },
+      'GET /api/schedules/preview': {
+        description: 'Next run times of a cron expression before saving it',
+        query: {
+          cron: 'string (required)',
+          timezone: 'string (optional)',
+          count: 'number (optional, 1-50, default 5)'
+        }
+      },
+      'GET /api/schedules/:id': {
+        description: 'Get a schedule'
+      },
+      'PATCH /api/schedules/:id': {
+        description: 'Change any field of a schedule (same fields as POST); the next run is recalculated'
+      },
+      'DELETE /api/schedules/:id': {
+        description: 'Delete a schedule (queued analyses keep running)'
+      },
+      'GET /api/schedules/:id/next-runs': {
+        description: 'Next run times of a schedule (?count=, default 5)'
+      },
+      'GET /api/schedules/:id/runs': {
+        description: 'Run history, newest first: trigger (schedule, catch_up, manual), missed runs, job ID, status and report file'
+      },
+      'POST /api/schedules/:id/run': {
+        description: 'Queue a run now; the next scheduled run is unchanged'
+      },
       'GET /api/analysis/brands': {
         description: 'List all analyzed brands with folder organization'
       },
+      'GET /api/analysis/brands/:brandFolder/trends': {
+        description: 'Visibility score, mentions, competitor share of voice, tokens and cost of a brand\'s reports over time, with parallel arrays for charts (chart.labels, chart.series). Reports without a metadata sidecar (saved before scoring existed) and translations are listed in skipped',
+        query: {
+          fromDate: 'date (optional): include reports from this date',
+          toDate: 'date (optional): include reports up to this date (a date without a time includes the whole day)',
+          granularity: 'string (optional): report (default, one point per report), day, week or month; empty periods have null metrics'
+        }
+      },
+      'GET /api/analysis/brands/:brandFolder/diff': {
+        description: 'Compare two reports of a brand: new and dropped competitors, topic rank changes, new recommendations, metric deltas, changed sections and a unified text diff of the analysis',
+        query: {
+          from: 'string (required): older report file name',
+          to: 'string (required): newer report file name'
+        }
+      },
       'GET /api/analysis/files': {
         description: 'List all analysis files with brand organization',
         query: {
           brandName: 'string (optional): filter by brand name',
           fromDate: 'date (optional): filter from date',
           toDate: 'date (optional): filter to date',
+          market: 'string (optional): filter by target market, country (DE) or locale (de-DE)',
           limit: 'number (optional): max results (default: 50)',
           offset: 'number (optional): skip results (default: 0)'
         }
@@ -334,12 +1231,41 @@ router.get('/help', (req, res) => {
           brandFolder: 'string (optional): specific brand folder'
         }
       },
+      'GET /api/analysis/files/:fileName/measurements': {
+        description: 'Raw AI platform answers and brand/competitor mentions measured for a report',
+        query: {
+          brandFolder: 'string (optional): specific brand folder'
+        }
+      },
+      'GET /api/analysis/files/:fileName/crawl': {
+        description: 'Website pages (title, meta description, headings, text) crawled to ground a report, plus robots.txt and skipped URLs',
+        query: {
+          brandFolder: 'string (optional): specific brand folder'
+        }
+      },
+      'GET /api/analysis/files/:fileName/report': {
+        description: 'Structured JSON report (sections, competitor matrix, recommendations, roadmap, KPIs) for a format=json analysis',
+        query: {
+          brandFolder: 'string (optional): specific brand folder'
+        }
+      },
       'GET /api/analysis/files/:fileName/download': {
         description: 'Download specific file',
         query: {
           brandFolder: 'string (optional): specific brand folder'
         }
       },
+      'POST /api/analysis/files/:fileName/translate': {
+        description: 'Translate a saved report (header and footer included) and save the copy next to the original as <name>_<language>.txt',
+        query: {
+          brandFolder: 'string (optional): specific brand folder'
+        },
+        body: {
+          language: `string (required) - ${Object.keys(OUTPUT_LANGUAGES).join('|')}`,
+          provider: 'string (optional) - provider that translates (default: configured default)',
+          model: 'string (optional) - model ID from /models'
+        }
+      },
       'DELETE /api/analysis/files/:fileName': {
         description: 'Delete specific file',
         query: {
@@ -354,6 +1280,28 @@ router.get('/help', (req, res) => {
         body: {
           brands: 'array of strings (max 10 brands)'
         }
+      },
+      'POST /api/analysis/comprehensive/bulk': {
+        description: 'Comprehensive analyses for many clients in one request, each row with its own form data. Rows are validated one by one (same fields as /comprehensive). Returns 202: each valid row is queued as an analysis job and data.rows gives its jobId and statusUrl (GET /jobs/:jobId), invalid rows carry their errors (also listed in data.invalid)',
+        body: {
+          json: 'array of /comprehensive payloads, or { rows: [...] } or { csv: "..." } (max BULK_MAX_ROWS rows)',
+          csv: 'Content-Type: text/csv - header row with field names (brandName, websiteUrl, email, competitors, ...); list fields separate items with ";" and markets are locales like "de-DE; fr-FR"'
+        }
+      },
+      'POST /api/analysis/bulk/batches': {
+        description: 'Submit legacy analyses for many brands as one batch (Anthropic Message Batches, half price). Returns 202 with a bulkJobId; the batch is polled in the background and each report is saved when the batch ends',
+        body: {
+          brands: 'array of strings (required, max BATCH_MAX_BRANDS)',
+          websiteUrl: 'string (optional) - website for every brand',
+          provider: 'string (optional) - a provider with batch support (anthropic, mock)',
+          model: 'string (optional) - model ID from /models'
+        }
+      },
+      'GET /api/analysis/bulk/batches': {
+        description: 'List bulk batch jobs, newest first'
+      },
+      'GET /api/analysis/bulk/batches/:bulkJobId': {
+        description: 'Bulk job status: batch status and request counts from the provider, progress, and per brand its status (processing|completed|failed|canceled|expired), fileName and error'
       }
     },
     authentication: 'Add Authorization header: Bearer YOUR_API_KEY',
@@ -1,7 +1,12 @@
 const express = require('express');
 const claudeService = require('../services/claude.service');
 const brandService = require('../services/brand.service');
+const jobService = require('../services/job.service');
+const batchService = require('../services/batch.service');
+const scheduleService = require('../services/schedule.service');
+const resultCache = require('../services/cache.service');
 const { asyncHandler } = require('../middleware/errorHandler');
+const { getCircuitBreakerStates } = require('../utils/resilience');
 
 const router = express.Router();
 
@@ -42,6 +47,35 @@ router.get('/detailed', asyncHandler(async (req, res) => {
     overallStatus = 'error';
   }
 
+  // LLM providers (configuration only - no API calls)
+  checks.providers = claudeService.getModelInfo().providers.map(provider => ({
+    provider: provider.provider,
+    name: provider.name,
+    configured: provider.configured,
+    default: provider.default,
+    defaultModel: provider.defaultModel
+  }));
+
+  // Circuit breakers around LLM provider calls
+  const breakers = getCircuitBreakerStates();
+  checks.circuitBreakers = {
+    status: breakers.some(breaker => breaker.state === 'open') ? 'degraded' : 'operational',
+    breakers
+  };
+  if (checks.circuitBreakers.status !== 'operational' && overallStatus === 'ok') {
+    overallStatus = 'degraded';
+  }
+
+  // Client-side rate scheduling (no API calls)
+  checks.rateLimits = claudeService.getRateLimits().map(scheduler => ({
+    provider: scheduler.name,
+    tier: scheduler.tier,
+    limits: scheduler.limits,
+    currentMinute: scheduler.currentMinute,
+    queueDepth: scheduler.queueDepth,
+    estimatedWaitMs: scheduler.estimatedWaitMs
+  }));
+
   // Check file system (reports directory)
   try {
     const stats = await brandService.getStatistics();
@@ -59,6 +93,54 @@ router.get('/detailed', asyncHandler(async (req, res) => {
     overallStatus = 'error';
   }
 
+  // Background job queue
+  try {
+    checks.jobQueue = {
+      status: 'operational',
+      ...jobService.getStatistics()
+    };
+  } catch (error) {
+    checks.jobQueue = {
+      status: 'error',
+      error: error.message
+    };
+    overallStatus = 'degraded';
+  }
+
+  // Bulk analyses running as provider batches
+  try {
+    checks.bulkBatches = {
+      status: 'operational',
+      ...batchService.getStatistics()
+    };
+  } catch (error) {
+    checks.bulkBatches = {
+      status: 'error',
+      error: error.message
+    };
+    overallStatus = 'degraded';
+  }
+
+  // Recurring analyses
+  try {
+    checks.scheduler = {
+      status: 'operational',
+      ...scheduleService.getStatistics()
+    };
+  } catch (error) {
+    checks.scheduler = {
+      status: 'error',
+      error: error.message
+    };
+    overallStatus = 'degraded';
+  }
+
+  // Result cache of identical analysis requests
+  checks.resultCache = {
+    status: 'operational',
+    ...resultCache.getStatistics()
+  };
+
   // Memory usage
   const memUsage = process.memoryUsage();
   checks.memory = {
@@ -0,0 +1,186 @@
+const express = require('express');
+const scheduleService = require('../services/schedule.service');
+const { validateScheduleCreate, validateScheduleUpdate } = require('../middleware/validation');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { nextRuns, isValidTimeZone } = require('../utils/cron');
+const config = require('../config/config');
+
+const router = express.Router();
+
+const MAX_PREVIEW_RUNS = 50;
+
+/**
+ * Number of upcoming runs requested with ?count= (default 5)
+ * @param {Object} query - Request query
+ * @returns {number}
+ */
+const previewCount = (query) => Math.min(Math.max(parseInt(query.count, 10) || 5, 1), MAX_PREVIEW_RUNS);
+
+const notFound = (res, scheduleId) => res.status(404).json({
+  success: false,
+  error: `Schedule not found: ${scheduleId}`
+});
+
+/**
+ * GET /api/schedules
+ * List schedules (?brandName= for one brand)
+ */
+router.get('/', asyncHandler(async (req, res) => {
+  const schedules = scheduleService.listSchedules({ brandName: req.query.brandName });
+
+  res.json({
+    success: true,
+    message: `Found ${schedules.length} schedules`,
+    data: schedules
+  });
+}));
+
+/**
+ * POST /api/schedules
+ * Create a recurring analysis for a brand
+ */
+router.post('/', validateScheduleCreate, asyncHandler(async (req, res) => {
+  const schedule = scheduleService.createSchedule(req.body, { createdBy: req.apiKeyId });
+
+  res.status(201)
+    .location(`${req.baseUrl}/${schedule.scheduleId}`)
+    .json({
+      success: true,
+      message: `Schedule created for ${schedule.brandName}, next run ${schedule.nextRunAt || 'not planned (disabled)'}`,
+      data: schedule
+    });
+}));
+
+/**
+ * GET /api/schedules/preview?cron=...&timezone=...&count=5
+ * Upcoming run times of a cron expression, to check it before saving a schedule
+ */
+router.get('/preview', asyncHandler(async (req, res) => {
+  const timezone = req.query.timezone || config.schedules.defaultTimezone;
+
+  if (!req.query.cron) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation error',
+      message: 'Query parameter cron is required'
+    });
+  }
+
+  if (!isValidTimeZone(timezone)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation error',
+      message: `Unknown time zone: ${timezone}`
+    });
+  }
+
+  let runs;
+  try {
+    runs = nextRuns(req.query.cron, previewCount(req.query), new Date(), timezone);
+  } catch (error) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation error',
+      message: error.message
+    });
+  }
+
+  res.json({
+    success: true,
+    data: {
+      cron: req.query.cron,
+      timezone,
+      nextRuns: runs.map(date => date.toISOString())
+    }
+  });
+}));
+
+/**
+ * GET /api/schedules/:scheduleId
+ * Get a schedule with its latest run
+ */
+router.get('/:scheduleId', asyncHandler(async (req, res) => {
+  const schedule = scheduleService.getSchedule(req.params.scheduleId);
+  if (!schedule) return notFound(res, req.params.scheduleId);
+
+  res.json({
+    success: true,
+    data: schedule
+  });
+}));
+
+/**
+ * PATCH /api/schedules/:scheduleId
+ * Change cron, time zone, form data, name, enabled or catch-up
+ */
+router.patch('/:scheduleId', validateScheduleUpdate, asyncHandler(async (req, res) => {
+  const schedule = scheduleService.updateSchedule(req.params.scheduleId, req.body);
+  if (!schedule) return notFound(res, req.params.scheduleId);
+
+  res.json({
+    success: true,
+    message: `Schedule updated, next run ${schedule.nextRunAt || 'not planned (disabled)'}`,
+    data: schedule
+  });
+}));
+
+/**
+ * DELETE /api/schedules/:scheduleId
+ * Delete a schedule (queued analyses keep running)
+ */
+router.delete('/:scheduleId', asyncHandler(async (req, res) => {
+  if (!scheduleService.deleteSchedule(req.params.scheduleId)) {
+    return notFound(res, req.params.scheduleId);
+  }
+
+  res.json({
+    success: true,
+    message: `Schedule ${req.params.scheduleId} deleted`
+  });
+}));
+
+/**
+ * GET /api/schedules/:scheduleId/next-runs?count=5
+ * Upcoming run times of a schedule
+ */
+router.get('/:scheduleId/next-runs', asyncHandler(async (req, res) => {
+  const runs = scheduleService.getNextRuns(req.params.scheduleId, previewCount(req.query));
+  if (!runs) return notFound(res, req.params.scheduleId);
+
+  res.json({
+    success: true,
+    data: runs
+  });
+}));
+
+/**
+ * GET /api/schedules/:scheduleId/runs
+ * Run history, newest first: trigger (schedule|catch_up|manual), job, status and report file
+ */
+router.get('/:scheduleId/runs', asyncHandler(async (req, res) => {
+  const runs = scheduleService.getRuns(req.params.scheduleId);
+  if (!runs) return notFound(res, req.params.scheduleId);
+
+  res.json({
+    success: true,
+    data: runs,
+    count: runs.length
+  });
+}));
+
+/**
+ * POST /api/schedules/:scheduleId/run
+ * Queue a run now, in addition to the scheduled ones
+ */
+router.post('/:scheduleId/run', asyncHandler(async (req, res) => {
+  const run = await scheduleService.runNow(req.params.scheduleId);
+  if (!run) return notFound(res, req.params.scheduleId);
+
+  res.status(run.jobId ? 202 : 409).json({
+    success: Boolean(run.jobId),
+    message: run.jobId ? `Analysis queued as job ${run.jobId}` : run.error,
+    data: run
+  });
+}));
+
+module.exports = router;
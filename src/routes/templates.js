@@ -0,0 +1,140 @@
+const express = require('express');
+const templateService = require('../services/template.service');
+const { validateTemplateCreate, validateTemplateVersion } = require('../middleware/validation');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { TEMPLATE_VARIABLES } = require('../utils/prompt');
+
+const router = express.Router();
+
+/**
+ * GET /api/templates
+ * List prompt templates with their latest version
+ */
+router.get('/', asyncHandler(async (req, res) => {
+  const templates = await templateService.listTemplates();
+
+  res.json({
+    success: true,
+    message: `Found ${templates.length} prompt templates`,
+    data: templates,
+    variables: TEMPLATE_VARIABLES
+  });
+}));
+
+/**
+ * GET /api/templates/variables
+ * Variables available to templates as {{name}}
+ */
+router.get('/variables', (req, res) => {
+  res.json({
+    success: true,
+    data: TEMPLATE_VARIABLES
+  });
+});
+
+/**
+ * POST /api/templates
+ * Create a template (version 1)
+ */
+router.post('/', validateTemplateCreate, asyncHandler(async (req, res) => {
+  const template = await templateService.createTemplate(req.body, { createdBy: req.apiKeyId });
+
+  if (!template) {
+    return res.status(409).json({
+      success: false,
+      error: `Template already exists: ${req.body.id}. Use PUT /api/templates/${req.body.id} to add a version`
+    });
+  }
+
+  res.status(201)
+    .location(`${req.baseUrl}/${template.id}`)
+    .json({
+      success: true,
+      message: `Template ${template.id}@1 created`,
+      data: template
+    });
+}));
+
+/**
+ * GET /api/templates/:id
+ * Get a template with every version
+ */
+router.get('/:id', asyncHandler(async (req, res) => {
+  const template = await templateService.getTemplate(req.params.id);
+
+  if (!template) {
+    return res.status(404).json({
+      success: false,
+      error: `Template not found: ${req.params.id}`
+    });
+  }
+
+  res.json({
+    success: true,
+    data: template
+  });
+}));
+
+/**
+ * GET /api/templates/:id/versions/:version
+ * Get one template version
+ */
+router.get('/:id/versions/:version', asyncHandler(async (req, res) => {
+  const reference = `${req.params.id}@${req.params.version}`;
+  const template = await templateService.resolve(reference);
+
+  if (!template) {
+    return res.status(404).json({
+      success: false,
+      error: `Template version not found: ${reference}`
+    });
+  }
+
+  res.json({
+    success: true,
+    data: template
+  });
+}));
+
+/**
+ * PUT /api/templates/:id
+ * Save new wording as the next version (earlier versions are kept)
+ */
+router.put('/:id', validateTemplateVersion, asyncHandler(async (req, res) => {
+  const template = await templateService.addVersion(req.params.id, req.body, { createdBy: req.apiKeyId });
+
+  if (!template) {
+    return res.status(404).json({
+      success: false,
+      error: `Template not found: ${req.params.id}`
+    });
+  }
+
+  const latest = template.versions[template.versions.length - 1];
+
+  res.json({
+    success: true,
+    message: `Template ${template.id}@${latest.version} saved`,
+    data: template
+  });
+}));
+
+/**
+ * DELETE /api/templates/:id
+ * Delete a template and all of its versions
+ */
+router.delete('/:id', asyncHandler(async (req, res) => {
+  if (!(await templateService.deleteTemplate(req.params.id))) {
+    return res.status(404).json({
+      success: false,
+      error: `Template not found: ${req.params.id}`
+    });
+  }
+
+  res.json({
+    success: true,
+    message: `Template ${req.params.id} deleted`
+  });
+}));
+
+module.exports = router;
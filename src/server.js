@@ -1,10 +1,13 @@
 const app = require('./app');
 const config = require('./config/config');
 const logger = require('./utils/logger');
+const jobService = require('./services/job.service');
+const batchService = require('./services/batch.service');
+const scheduleService = require('./services/schedule.service');
 
 const PORT = config.port;
 
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
   logger.info(`🌍 Geo Analysis Service started successfully`);
   logger.info(`📍 Server running on port ${PORT}`);
   logger.info(`🏃 Environment: ${config.nodeEnv}`);
@@ -12,15 +15,40 @@ app.listen(PORT, () => {
   logger.info(`📝 Logs directory: ${config.logsDir}`);
   logger.info(`🔗 Service URL: http://0.0.0.0:${PORT}`);
   logger.info(`🏥 Health check: http://0.0.0.0:${PORT}/api/health`);
+
+  // Resume analyses that were queued or running before the last shutdown
+  jobService.start();
+  batchService.start();
+  // Catch up runs missed while the service was down
+  scheduleService.start();
 });
 
 // Graceful shutdown
-process.on('SIGTERM', () => {
-  logger.info('SIGTERM signal received: closing HTTP server');
-  process.exit(0);
-});
+const shutdown = async (signal) => {
+  logger.info(`${signal} signal received: closing HTTP server`);
+  server.close();
+
+  try {
+    await jobService.shutdown();
+  } catch (error) {
+    logger.error(`Failed to stop job queue: ${error.message}`);
+  }
+
+  try {
+    await batchService.shutdown();
+  } catch (error) {
+    logger.error(`Failed to stop bulk batch polling: ${error.message}`);
+  }
+
+  try {
+    await scheduleService.shutdown();
+  } catch (error) {
+    logger.error(`Failed to stop scheduler: ${error.message}`);
+  }
 
-process.on('SIGINT', () => {
-  logger.info('SIGINT signal received: closing HTTP server');
   process.exit(0);
-});
\ No newline at end of file
+};
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+
+process.on('SIGINT', () => shutdown('SIGINT'));
@@ -0,0 +1,421 @@
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const brandService = require('./brand.service');
+const claudeService = require('./claude.service');
+const providers = require('../providers');
+const { createCostTracker } = require('../utils/cost');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+
+const FINISHED_STATUSES = ['completed', 'failed'];
+
+/**
+ * Bulk legacy analyses submitted as one provider batch (Anthropic Message Batches).
+ * The batch is polled in the background; each result is saved like a single
+ * legacy analysis once the batch has ended. State survives restarts.
+ */
+class BatchService {
+  constructor() {
+    this.settings = config.batches;
+    this.jobs = new Map();
+    this.pollTimers = new Map();
+    this.stateFile = path.join(this.settings.dataDir, 'bulk-jobs.json');
+    this.loaded = false;
+    this.stopped = false;
+    this.writeChain = Promise.resolve();
+  }
+
+  /**
+   * Load persisted bulk jobs and resume polling the unfinished ones
+   */
+  start() {
+    this.ensureLoaded();
+    this.stopped = false;
+
+    for (const job of this.jobs.values()) {
+      if (job.status === 'processing') this.schedulePoll(job, 0);
+    }
+
+    logger.info(`Bulk batch polling started`, this.getStatistics());
+  }
+
+  /**
+   * Stop polling and flush state to disk; polling resumes on next start
+   * @returns {Promise<void>}
+   */
+  async shutdown() {
+    this.stopped = true;
+    this.pollTimers.forEach(timer => clearTimeout(timer));
+    this.pollTimers.clear();
+    this.persist();
+    await this.writeChain;
+
+    logger.info(`Bulk batch polling stopped`, { jobs: this.jobs.size });
+  }
+
+  /**
+   * Read bulk job state from disk once
+   */
+  ensureLoaded() {
+    if (this.loaded) return;
+    this.loaded = true;
+
+    let state;
+    try {
+      state = JSON.parse(fs.readFileSync(this.stateFile, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.error(`Failed to load bulk job state: ${error.message}`, { stateFile: this.stateFile });
+      }
+      return;
+    }
+
+    for (const job of state.jobs || []) {
+      this.jobs.set(job.bulkJobId, job);
+    }
+
+    logger.info(`Bulk job state loaded`, { jobs: this.jobs.size });
+  }
+
+  /**
+   * Write bulk job state to disk (serialized, atomic via rename)
+   */
+  persist() {
+    const state = {
+      savedAt: new Date().toISOString(),
+      jobs: Array.from(this.jobs.values())
+    };
+    const tmpFile = `${this.stateFile}.tmp`;
+
+    this.writeChain = this.writeChain
+      .then(async () => {
+        await fs.promises.mkdir(path.dirname(this.stateFile), { recursive: true });
+        await fs.promises.writeFile(tmpFile, JSON.stringify(state), 'utf8');
+        await fs.promises.rename(tmpFile, this.stateFile);
+      })
+      .catch(error => {
+        logger.error(`Failed to persist bulk job state: ${error.message}`, { stateFile: this.stateFile });
+      });
+  }
+
+  /**
+   * Submit legacy analyses for several brands as one batch
+   * @param {Array<string>} brands - Brand names
+   * @param {Object} options - { provider, model, websiteUrl, requestIp, userAgent, apiKeyId }
+   * @returns {Promise<Object>} Public bulk job representation
+   */
+  async createBulkJob(brands, options = {}) {
+    this.ensureLoaded();
+    this.pruneFinishedJobs();
+
+    const { provider: providerId, model, ...requestOptions } = options;
+    const target = providers.resolveTarget(providerId, model);
+
+    if (!target.provider.supportsBatches()) {
+      throw target.provider.createError(`${target.provider.displayName} does not support batch processing`, 400);
+    }
+
+    const items = brands.map((brandName, index) => ({
+      customId: `brand-${index + 1}`,
+      brandName,
+      status: 'processing',
+      requestId: null,
+      fileName: null,
+      error: null
+    }));
+
+    const batch = await target.provider.createBatch(items.map(item => ({
+      customId: item.customId,
+      request: {
+        ...claudeService.createBrandAnalysisRequest(item.brandName, { ...options, provider: target.provider.id }).request,
+        model: target.model
+      }
+    })));
+
+    const job = {
+      bulkJobId: uuidv4(),
+      status: 'processing',
+      provider: target.provider.id,
+      model: target.model,
+      batchId: batch.id,
+      batch,
+      brands: items,
+      options: requestOptions,
+      pollErrors: 0,
+      error: null,
+      createdAt: new Date().toISOString(),
+      lastPolledAt: null,
+      completedAt: null
+    };
+
+    this.jobs.set(job.bulkJobId, job);
+    this.persist();
+
+    logger.info(`Bulk batch submitted`, {
+      bulkJobId: job.bulkJobId,
+      batchId: batch.id,
+      provider: job.provider,
+      model: job.model,
+      brands: brands.length
+    });
+
+    this.schedulePoll(job);
+
+    return this.serializeJob(job);
+  }
+
+  /**
+   * Get bulk job by ID
+   * @param {string} bulkJobId - Bulk job ID
+   * @returns {Object|null} Public bulk job representation
+   */
+  getBulkJob(bulkJobId) {
+    this.ensureLoaded();
+    const job = this.jobs.get(bulkJobId);
+    return job ? this.serializeJob(job) : null;
+  }
+
+  /**
+   * All bulk jobs, newest first
+   * @returns {Array<Object>} Public bulk job representations
+   */
+  listBulkJobs() {
+    this.ensureLoaded();
+    return Array.from(this.jobs.values())
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+      .map(job => this.serializeJob(job));
+  }
+
+  /**
+   * Check the batch again after a delay
+   * @param {Object} job - Internal bulk job
+   * @param {number} delay - Milliseconds (default: poll interval)
+   */
+  schedulePoll(job, delay = this.settings.pollIntervalMs) {
+    if (this.stopped || this.pollTimers.has(job.bulkJobId)) return;
+
+    const timer = setTimeout(async () => {
+      this.pollTimers.delete(job.bulkJobId);
+      await this.poll(job);
+    }, delay);
+    timer.unref();
+    this.pollTimers.set(job.bulkJobId, timer);
+  }
+
+  /**
+   * Refresh the batch status and collect its results once it has ended.
+   * Failed status checks are retried on the next poll.
+   * @param {Object} job - Internal bulk job
+   */
+  async poll(job) {
+    const provider = providers.getProvider(job.provider);
+
+    try {
+      const batch = await provider.getBatch(job.batchId);
+      job.batch = batch;
+      job.lastPolledAt = new Date().toISOString();
+      job.pollErrors = 0;
+
+      if (batch.status === 'ended') {
+        await this.collectResults(job, provider, batch);
+        return;
+      }
+    } catch (error) {
+      job.pollErrors++;
+      job.error = error.message;
+
+      logger.warn(`Bulk batch status check failed: ${error.message}`, {
+        bulkJobId: job.bulkJobId,
+        batchId: job.batchId,
+        pollErrors: job.pollErrors
+      });
+
+      // The batch is gone (expired results, other account): nothing left to collect
+      if (error.status === 404) {
+        this.failUnfinished(job, error.message);
+        this.finishJob(job, 'failed');
+        return;
+      }
+    }
+
+    this.persist();
+    this.schedulePoll(job);
+  }
+
+  /**
+   * Save every succeeded result as a report and mark the others failed
+   * @param {Object} job - Internal bulk job
+   * @param {LLMProvider} provider - Batch provider
+   * @param {Object} batch - Ended batch
+   */
+  async collectResults(job, provider, batch) {
+    const results = await provider.getBatchResults(batch);
+    const target = providers.resolveTarget(job.provider, job.model);
+
+    for (const result of results) {
+      const item = job.brands.find(brand => brand.customId === result.customId);
+      if (!item || item.status !== 'processing') continue;
+
+      if (result.status !== 'succeeded') {
+        item.status = result.status === 'errored' ? 'failed' : result.status;
+        item.error = result.error || `Request ${result.status}`;
+        continue;
+      }
+
+      try {
+        const { request } = claudeService.createBrandAnalysisRequest(item.brandName, { ...job.options, provider: job.provider, model: job.model });
+        const costTracker = createCostTracker();
+        costTracker.record({
+          purpose: 'analysis',
+          provider: job.provider,
+          model: job.model,
+          responseModel: result.response.model,
+          usage: result.response.usage,
+          priceFactor: provider.settings.batchPriceFactor
+        });
+
+        const startTime = new Date(job.createdAt).getTime();
+        const saved = await brandService.saveBrandAnalysis(
+          item.brandName,
+          claudeService.buildBrandAnalysisResult(target, request, result.response, Date.now() - startTime),
+          {
+            requestId: uuidv4(),
+            startTime,
+            costTracker,
+            options: { ...job.options, bulkJobId: job.bulkJobId, batchId: job.batchId },
+            type: 'batch'
+          }
+        );
+
+        item.status = 'completed';
+        item.requestId = saved.requestId;
+        item.fileName = saved.fileName;
+      } catch (error) {
+        item.status = 'failed';
+        item.error = `Saving the analysis failed: ${error.message}`;
+      }
+
+      this.persist();
+    }
+
+    this.failUnfinished(job, 'No result returned for this request');
+
+    job.error = null;
+    this.finishJob(job, job.brands.some(brand => brand.status === 'completed') ? 'completed' : 'failed');
+  }
+
+  /**
+   * Mark brands still waiting for a result as failed
+   * @param {Object} job - Internal bulk job
+   * @param {string} reason - Error recorded for each brand
+   */
+  failUnfinished(job, reason) {
+    for (const item of job.brands.filter(brand => brand.status === 'processing')) {
+      item.status = 'failed';
+      item.error = reason;
+    }
+  }
+
+  /**
+   * Mark bulk job as finished
+   * @param {Object} job - Internal bulk job
+   * @param {string} status - Final status
+   */
+  finishJob(job, status) {
+    job.status = status;
+    job.completedAt = new Date().toISOString();
+    this.persist();
+
+    const counts = this.countBrands(job);
+    const log = status === 'failed' ? logger.error.bind(logger) : logger.info.bind(logger);
+    log(`Bulk batch ${status}`, {
+      bulkJobId: job.bulkJobId,
+      batchId: job.batchId,
+      completed: counts.completed,
+      failed: counts.failed,
+      error: job.error || undefined
+    });
+  }
+
+  /**
+   * Drop finished bulk jobs older than the retention window
+   */
+  pruneFinishedJobs() {
+    const cutoff = Date.now() - this.settings.retentionMs;
+
+    for (const [bulkJobId, job] of this.jobs) {
+      if (FINISHED_STATUSES.includes(job.status) && new Date(job.completedAt).getTime() < cutoff) {
+        this.jobs.delete(bulkJobId);
+      }
+    }
+  }
+
+  /**
+   * Brands per status
+   * @param {Object} job - Internal bulk job
+   * @returns {Object} { total, processing, completed, failed, ... }
+   */
+  countBrands(job) {
+    const counts = { total: job.brands.length, processing: 0, completed: 0, failed: 0 };
+    for (const brand of job.brands) {
+      counts[brand.status] = (counts[brand.status] || 0) + 1;
+    }
+    return counts;
+  }
+
+  /**
+   * Get bulk job statistics
+   */
+  getStatistics() {
+    this.ensureLoaded();
+    const byStatus = {};
+    for (const job of this.jobs.values()) {
+      byStatus[job.status] = (byStatus[job.status] || 0) + 1;
+    }
+
+    return {
+      jobs: this.jobs.size,
+      polling: this.pollTimers.size,
+      pollIntervalMs: this.settings.pollIntervalMs,
+      byStatus
+    };
+  }
+
+  /**
+   * Public bulk job representation (no request options)
+   * @param {Object} job - Internal bulk job
+   * @returns {Object} Serializable bulk job
+   */
+  serializeJob(job) {
+    const counts = this.countBrands(job);
+    // Per-brand results arrive when the batch ends; until then the provider's counts show progress
+    const finished = job.status === 'processing' && job.batch?.counts
+      ? counts.total - job.batch.counts.processing
+      : counts.total - counts.processing;
+
+    return {
+      bulkJobId: job.bulkJobId,
+      status: job.status,
+      provider: job.provider,
+      model: job.model,
+      batch: {
+        id: job.batchId,
+        status: job.batch?.status || null,
+        requestCounts: job.batch?.counts || null, // As reported by the provider while the batch runs
+        endedAt: job.batch?.endedAt || null
+      },
+      progress: {
+        ...counts,
+        percent: counts.total > 0 ? Math.round((finished / counts.total) * 100) : 0
+      },
+      brands: job.brands.map(({ customId, ...brand }) => brand),
+      error: job.error,
+      createdAt: job.createdAt,
+      lastPolledAt: job.lastPolledAt,
+      completedAt: job.completedAt
+    };
+  }
+}
+
+module.exports = new BatchService();
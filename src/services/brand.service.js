@@ -1,23 +1,126 @@
+const path = require('path');
 const { v4: uuidv4 } = require('uuid');
 const claudeService = require('./claude.service');
 const fileService = require('./file.service');
+const probeService = require('./probe.service');
+const usageService = require('./usage.service');
+const templateService = require('./template.service');
+const crawlerService = require('./crawler.service');
+const resultCache = require('./cache.service');
+const { calculateVisibilityScores } = require('../utils/scoring');
+const { extractReportMetrics, buildTrendSeries } = require('../utils/trends');
+const { createCostTracker } = require('../utils/cost');
+const { describeMarket, matchesMarket } = require('../utils/markets');
+const { DEFAULT_OUTPUT_LANGUAGE, getOutputLanguage } = require('../utils/i18n');
 const config = require('../config/config');
 const logger = require('../utils/logger');
 
+/**
+ * Wait for a shared analysis, giving up (without cancelling it) when the waiting request is cancelled
+ * @param {Promise<Object>} promise - Shared analysis
+ * @param {AbortSignal} signal - Signal of the waiting request
+ * @returns {Promise<Object>} Analysis result
+ */
+const waitForResult = (promise, signal) => {
+  if (!signal) return promise;
+  if (signal.aborted) return Promise.reject(new Error('Analysis was cancelled'));
+
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(new Error('Analysis was cancelled'));
+    signal.addEventListener('abort', onAbort, { once: true });
+    promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
+  });
+};
+
 class BrandService {
   constructor() {
     this.reportsDir = config.reportsDir;
   }
 
   /**
-   * Comprehensive brand analysis with form data
+   * Comprehensive brand analysis with form data. Identical requests share one run:
+   * a request matching an analysis in progress attaches to it, and one matching a
+   * result from within the cache TTL gets the stored report (cached: true).
    * @param {Object} formData - Complete form data from client
    * @param {Object} options - Analysis options
    * @returns {Promise<Object>} Analysis result
    */
   async analyzeComprehensiveBrand(formData, options = {}) {
-    const requestId = uuidv4();
+    if (!config.cache.enabled) {
+      return { ...(await this.runComprehensiveAnalysis(formData, options)), cached: false };
+    }
+
+    const cacheKey = resultCache.createKey(formData);
+    const emit = options.onEvent || (() => {});
+    // useCache: false skips the lookup, but the fresh result replaces the stored one
+    const useCache = formData.useCache !== false;
+
+    const stored = useCache ? await resultCache.get(cacheKey) : null;
+    if (stored) {
+      logger.info(`Returning cached analysis result`, {
+        brandName: formData.brandName,
+        requestId: stored.result.requestId,
+        fileName: stored.result.fileName,
+        storedAt: stored.storedAt
+      });
+      return this.replayResult(stored.result, emit);
+    }
+
+    const running = useCache ? resultCache.getInFlight(cacheKey) : null;
+    if (running) {
+      logger.info(`Attaching to identical analysis in progress`, {
+        brandName: formData.brandName,
+        requestId: running.requestId
+      });
+      emit('attached', { requestId: running.requestId, startedAt: running.startedAt });
+
+      try {
+        return this.replayResult(await waitForResult(running.promise, options.signal), emit);
+      } catch (error) {
+        // Only a run cancelled by the request that started it is run again for this one
+        if (options.signal?.aborted || !running.signal?.aborted) throw error;
+      }
+    }
+
+    const requestId = options.requestId || uuidv4();
+    const promise = this.runComprehensiveAnalysis(formData, { ...options, requestId });
+    resultCache.track(cacheKey, promise, { requestId, signal: options.signal });
+
+    return { ...(await promise), cached: false };
+  }
+
+  /**
+   * Hand a stored or shared result to another request. Streaming clients get
+   * the whole report as one delta, since they saw none of the original deltas.
+   * @param {Object} result - Result of the original analysis
+   * @param {Function} emit - Event listener of the new request
+   * @returns {Object} Result marked cached: true
+   */
+  replayResult(result, emit) {
+    emit('cached', {
+      requestId: result.requestId,
+      fileName: result.fileName,
+      createdAt: result.metadata.createdAt
+    });
+    emit('delta', { text: result.analysisText });
+
+    return { ...result, cached: true, cachedAt: result.metadata.createdAt };
+  }
+
+  /**
+   * Run a comprehensive brand analysis: crawl, measure, analyze, save
+   * @param {Object} formData - Complete form data from client
+   * @param {Object} options - Analysis options
+   * @returns {Promise<Object>} Analysis result
+   */
+  async runComprehensiveAnalysis(formData, options = {}) {
+    const requestId = options.requestId || uuidv4();
     const startTime = Date.now();
+    // Runtime hooks (cancellation, progress, streaming, checkpoints) are not part of the stored request options
+    const { signal, onProgress, onEvent, checkpoint, onCheckpoint, ...requestOptions } = options;
+    const reportProgress = onProgress || (() => {});
+    const emit = onEvent || (() => {});
+    const costTracker = createCostTracker();
 
     logger.info(`Starting comprehensive brand analysis`, { 
       requestId, 
@@ -34,16 +137,72 @@ class BrandService {
       // Validate required fields
       this.validateFormData(formData);
 
-      // Get comprehensive analysis from Claude
-      const analysisResult = await claudeService.analyzeBrandComprehensive(formData, options);
+      // Custom prompt template (pinned to a version by the route)
+      let template = null;
+      if (formData.template) {
+        template = await templateService.resolve(formData.template);
+        if (!template) {
+          throw new Error(`Validation failed: Template not found: ${formData.template}`);
+        }
+      }
+
+      // Ground the analysis in what the website actually says
+      let crawl = null;
+      if (formData.crawlWebsite ?? config.crawler.enabled) {
+        reportProgress('crawling', 3);
+        crawl = await crawlerService.crawl(formData.websiteUrl, { signal, onEvent });
+      }
+
+      // Measure real AI platform answers first so the report can build on them
+      let measurement = null;
+      if (formData.measureVisibility ?? config.probes.enabled) {
+        reportProgress('measuring', 5);
+        measurement = await probeService.measureVisibility(formData, {
+          providers: formData.probeProviders,
+          signal,
+          onEvent,
+          onUsage: costTracker.record
+        });
+      }
+      const visibility = calculateVisibilityScores(measurement);
+
+      // Get comprehensive analysis: phased pipeline by default, one large prompt in single mode
+      // (custom templates are always a single prompt)
+      const analysisMode = template ? 'single' : (formData.analysisMode || config.analysis.mode);
+      const analysisOptions = { ...options, onUsage: costTracker.record };
+      const analysisResult = analysisMode === 'pipeline'
+        ? await claudeService.analyzeBrandPipeline(formData, analysisOptions, { measurement, visibility, crawl })
+        : await claudeService.analyzeBrandComprehensive(formData, analysisOptions, { measurement, visibility, crawl, template });
+
+      // Structured JSON version of the same analysis (format=json)
+      let structured = null;
+      if (formData.format === 'json') {
+        reportProgress('structuring', 80);
+        structured = await claudeService.generateStructuredReport(formData, analysisResult.analysis, {
+          signal,
+          onUsage: costTracker.record
+        }, {
+          visibility
+        });
+      }
       
       // Prepare metadata
+      const cost = costTracker.summary();
       const metadata = {
         ...analysisResult.metadata,
         requestId,
         totalProcessingTime: Date.now() - startTime,
         createdAt: new Date().toISOString(),
-        options,
+        options: requestOptions,
+        template: template ? { id: template.id, version: template.version, reference: template.reference, name: template.name } : null,
+        markets: (formData.markets || []).map(market => describeMarket(market)),
+        outputLanguage: formData.outputLanguage || DEFAULT_OUTPUT_LANGUAGE,
+        estimatedCostUsd: cost.estimatedCostUsd,
+        cost,
+        website: crawl ? { origin: crawl.origin, crawledAt: crawl.crawledAt, error: crawl.error, ...crawl.summary } : null,
+        measurement: measurement && !measurement.skipped ? measurement.summary : null,
+        visibility,
+        structuredReport: structured ? structured.metadata : null,
         clientInfo: {
           email: formData.email,
           brandName: formData.brandName,
@@ -51,7 +210,12 @@ class BrandService {
         }
       };
 
+      if (signal?.aborted) {
+        throw new Error('Analysis was cancelled');
+      }
+
       // Save to brand-specific folder
+      reportProgress('saving', 90);
       const filePath = await fileService.saveAnalysisToFile(
         formData.brandName, 
         analysisResult.analysis, 
@@ -59,6 +223,42 @@ class BrandService {
         formData
       );
 
+      // Raw answers, detected mentions and crawled pages are kept next to the report
+      if (crawl) {
+        await fileService.saveSidecarFile(filePath, 'crawl', crawl);
+      }
+      if (measurement && !measurement.skipped) {
+        await fileService.saveSidecarFile(filePath, 'probes', measurement);
+      }
+      if (structured) {
+        await fileService.saveSidecarFile(filePath, 'report', {
+          ...structured.metadata,
+          requestId,
+          brandName: formData.brandName,
+          generatedAt: metadata.createdAt,
+          report: structured.report
+        });
+      }
+      await fileService.saveSidecarFile(filePath, 'meta', this.buildReportMeta(metadata, formData));
+
+      await this.recordUsage(costTracker, {
+        requestId,
+        type: 'comprehensive',
+        status: 'completed',
+        brandName: formData.brandName,
+        email: formData.email,
+        apiKeyId: requestOptions.apiKeyId,
+        provider: metadata.provider,
+        model: metadata.model
+      });
+
+      emit('saved', {
+        requestId,
+        filePath,
+        fileName: path.basename(filePath),
+        brandFolder: path.basename(path.dirname(filePath))
+      });
+
       logger.info(`Comprehensive brand analysis completed`, {
         requestId,
         brandName: formData.brandName,
@@ -78,15 +278,33 @@ class BrandService {
         fileName: filePath.split('/').pop(),
         brandFolder: filePath.split('/').slice(-2, -1)[0],
         analysisText: analysisResult.analysis, // Return full text for UI display
+        structuredReport: structured ? structured.report : null,
         metadata: {
           tokensUsed: metadata.tokensUsed,
           inputTokens: metadata.inputTokens,
           outputTokens: metadata.outputTokens,
+          cacheCreationInputTokens: metadata.cacheCreationInputTokens || 0,
+          cacheReadInputTokens: metadata.cacheReadInputTokens || 0,
+          promptCaching: metadata.promptCaching || false,
           processingTime: metadata.totalProcessingTime,
           createdAt: metadata.createdAt,
+          provider: metadata.provider,
           model: metadata.model,
+          analysisMode: metadata.analysisMode,
+          template: metadata.template,
+          markets: metadata.markets,
+          outputLanguage: metadata.outputLanguage,
+          phases: metadata.phases || null,
           responseLength: metadata.responseLength,
-          formDataProcessed: metadata.formDataProcessed
+          truncated: metadata.truncated || false,
+          continuationError: metadata.continuationError || null,
+          formDataProcessed: metadata.formDataProcessed,
+          website: metadata.website,
+          measurement: metadata.measurement,
+          visibility: metadata.visibility,
+          structuredReport: metadata.structuredReport,
+          estimatedCostUsd: metadata.estimatedCostUsd,
+          cost: metadata.cost
         }
       };
 
@@ -98,10 +316,165 @@ class BrandService {
         error: error.message,
         totalProcessingTime: Date.now() - startTime
       });
+
+      // Tokens spent before the failure are still billed
+      await this.recordUsage(costTracker, {
+        requestId,
+        type: 'comprehensive',
+        status: 'failed',
+        brandName: formData.brandName,
+        email: formData.email,
+        apiKeyId: requestOptions.apiKeyId
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Form suggestions (competitors, topics, prompts, personas) the user can review
+   * before paying for the full analysis
+   * @param {string} kind - Suggestion type
+   * @param {Object} input - Validated suggestion request
+   * @param {Object} options - { apiKeyId }
+   * @returns {Promise<Object>} Suggestions with the form value and cost
+   */
+  async suggest(kind, input, options = {}) {
+    const requestId = uuidv4();
+    const costTracker = createCostTracker();
+
+    try {
+      const result = await claudeService.generateSuggestions(kind, input, { onUsage: costTracker.record });
+      const cost = costTracker.summary();
+
+      await this.recordUsage(costTracker, {
+        requestId,
+        type: `suggest:${kind}`,
+        status: 'completed',
+        brandName: input.brandName,
+        email: input.email,
+        apiKeyId: options.apiKeyId,
+        provider: result.metadata.provider,
+        model: result.metadata.model
+      });
+
+      logger.info(`Suggestions generated`, {
+        requestId,
+        kind,
+        brandName: input.brandName,
+        count: result.suggestions.length,
+        estimatedCostUsd: cost.estimatedCostUsd
+      });
+
+      return {
+        ...result,
+        requestId,
+        metadata: { ...result.metadata, estimatedCostUsd: cost.estimatedCostUsd }
+      };
+    } catch (error) {
+      await this.recordUsage(costTracker, {
+        requestId,
+        type: `suggest:${kind}`,
+        status: 'failed',
+        brandName: input.brandName,
+        email: input.email,
+        apiKeyId: options.apiKeyId
+      });
       throw error;
     }
   }
 
+  /**
+   * Dry run of a comprehensive analysis (nothing is billed or saved)
+   * @param {Object} formData - Complete form data from client
+   * @returns {Promise<Object>} Prompt, token count and projected cost
+   */
+  async previewComprehensiveBrand(formData) {
+    this.validateFormData(formData);
+
+    let template = null;
+    if (formData.template) {
+      template = await templateService.resolve(formData.template);
+      if (!template) {
+        throw new Error(`Validation failed: Template not found: ${formData.template}`);
+      }
+    }
+
+    const analysisMode = template ? 'single' : (formData.analysisMode || config.analysis.mode);
+    const preview = await claudeService.previewComprehensive(formData, { analysisMode, template });
+
+    // Measured prompt tests run before the analysis and are billed on their own providers
+    let probes = null;
+    if (formData.measureVisibility ?? config.probes.enabled) {
+      const targets = probeService.resolveProviders(formData.probeProviders);
+      const prompts = (formData.prompts?.length || 0) + config.probes.generatedPrompts;
+      const markets = Math.max(formData.markets?.length || 0, 1);
+      probes = {
+        providers: targets.map(target => target.provider.id),
+        markets: (formData.markets || []).map(market => describeMarket(market).key),
+        queries: prompts * targets.length * markets,
+        maxOutputTokensPerQuery: config.probes.maxTokens
+      };
+    }
+
+    logger.info(`Comprehensive analysis preview`, {
+      brandName: formData.brandName,
+      provider: preview.provider,
+      model: preview.model,
+      analysisMode,
+      inputTokens: preview.tokens.inputTokens,
+      counting: preview.tokens.counting,
+      maxCostUsd: preview.projectedCost.maxCostUsd
+    });
+
+    return { ...preview, probes };
+  }
+
+  /**
+   * Write an analysis to the usage ledger. Analyses that made no LLM calls are skipped.
+   * @param {Object} costTracker - Tracker from createCostTracker()
+   * @param {Object} entry - { requestId, type, status, brandName, email, apiKeyId, provider, model }
+   * @returns {Promise<void>}
+   */
+  async recordUsage(costTracker, entry) {
+    const cost = costTracker.summary();
+    if (cost.calls === 0) return;
+
+    const models = Object.keys(cost.byModel);
+    await usageService.record({
+      ...entry,
+      model: entry.model || (models.length === 1 ? models[0] : models.join(',')),
+      inputTokens: cost.inputTokens,
+      outputTokens: cost.outputTokens,
+      cacheCreationInputTokens: cost.cacheCreationInputTokens,
+      cacheReadInputTokens: cost.cacheReadInputTokens,
+      estimatedCostUsd: cost.estimatedCostUsd,
+      calls: cost.calls
+    });
+  }
+
+  /**
+   * Machine-readable report metadata stored next to the .txt report
+   * @param {Object} metadata - Analysis metadata
+   * @param {Object} formData - Form data from client
+   * @returns {Object} Report metadata
+   */
+  buildReportMeta(metadata, formData) {
+    const { options, ...reportMetadata } = metadata;
+
+    return {
+      ...reportMetadata,
+      formData: {
+        brandName: formData.brandName,
+        websiteUrl: formData.websiteUrl,
+        competitors: formData.competitors || [],
+        topics: formData.topics || [],
+        prompts: formData.prompts || [],
+        personas: formData.personas || '',
+        markets: formData.markets || []
+      }
+    };
+  }
+
   /**
    * Legacy brand analysis (backward compatibility)
    * @param {string} brandName - The brand name to analyze
@@ -114,65 +487,23 @@ class BrandService {
 
     logger.info(`Starting legacy brand analysis`, { requestId, brandName });
 
+    const costTracker = createCostTracker();
+
     try {
       // Get analysis from Claude
       const analysisResult = await claudeService.analyzeBrand(brandName, {
         ...options,
-        websiteUrl: options.websiteUrl
+        websiteUrl: options.websiteUrl,
+        onUsage: costTracker.record
       });
-      
-      // Prepare metadata
-      const metadata = {
-        ...analysisResult.metadata,
-        requestId,
-        totalProcessingTime: Date.now() - startTime,
-        createdAt: new Date().toISOString(),
-        options
-      };
-
-      // Save to brand-specific folder (legacy format)
-      const legacyFormData = {
-        brandName,
-        websiteUrl: options.websiteUrl || '',
-        email: 'legacy@analysis.com',
-        competitors: [],
-        topics: [],
-        prompts: [],
-        personas: ''
-      };
 
-      const filePath = await fileService.saveAnalysisToFile(
-        brandName, 
-        analysisResult.analysis, 
-        metadata,
-        legacyFormData
-      );
-
-      logger.info(`Legacy brand analysis completed`, {
+      return await this.saveBrandAnalysis(brandName, analysisResult, {
         requestId,
-        brandName,
-        filePath,
-        totalProcessingTime: metadata.totalProcessingTime,
-        responseLength: analysisResult.analysis.length
+        startTime,
+        costTracker,
+        options
       });
 
-      return {
-        success: true,
-        requestId,
-        brandName,
-        filePath,
-        fileName: filePath.split('/').pop(),
-        metadata: {
-          tokensUsed: metadata.tokensUsed,
-          inputTokens: metadata.inputTokens,
-          outputTokens: metadata.outputTokens,
-          processingTime: metadata.totalProcessingTime,
-          createdAt: metadata.createdAt,
-          model: metadata.model,
-          responseLength: metadata.responseLength
-        }
-      };
-
     } catch (error) {
       logger.error(`Legacy brand analysis failed`, {
         requestId,
@@ -180,10 +511,100 @@ class BrandService {
         error: error.message,
         totalProcessingTime: Date.now() - startTime
       });
+
+      await this.recordUsage(costTracker, {
+        requestId,
+        type: 'legacy',
+        status: 'failed',
+        brandName,
+        email: 'legacy@analysis.com',
+        apiKeyId: options.apiKeyId
+      });
       throw error;
     }
   }
 
+  /**
+   * Save a legacy analysis to the brand folder and record its usage
+   * (shared by single legacy analyses and bulk batch results)
+   * @param {string} brandName - Brand name
+   * @param {Object} analysisResult - { analysis, metadata } from claudeService
+   * @param {Object} context - { requestId, startTime, costTracker, options, type }
+   * @returns {Promise<Object>} Analysis result
+   */
+  async saveBrandAnalysis(brandName, analysisResult, context) {
+    const { requestId, startTime, costTracker, options = {}, type = 'legacy' } = context;
+
+    // Prepare metadata
+    const cost = costTracker.summary();
+    const metadata = {
+      ...analysisResult.metadata,
+      requestId,
+      totalProcessingTime: Date.now() - startTime,
+      createdAt: new Date().toISOString(),
+      options,
+      estimatedCostUsd: cost.estimatedCostUsd,
+      cost
+    };
+
+    // Save to brand-specific folder (legacy format)
+    const legacyFormData = {
+      brandName,
+      websiteUrl: options.websiteUrl || '',
+      email: 'legacy@analysis.com',
+      competitors: [],
+      topics: [],
+      prompts: [],
+      personas: ''
+    };
+
+    const filePath = await fileService.saveAnalysisToFile(
+      brandName, 
+      analysisResult.analysis, 
+      metadata,
+      legacyFormData
+    );
+
+    await this.recordUsage(costTracker, {
+      requestId,
+      type,
+      status: 'completed',
+      brandName,
+      email: legacyFormData.email,
+      apiKeyId: options.apiKeyId,
+      provider: metadata.provider,
+      model: metadata.model
+    });
+
+    logger.info(`Legacy brand analysis completed`, {
+      requestId,
+      brandName,
+      filePath,
+      type,
+      totalProcessingTime: metadata.totalProcessingTime,
+      responseLength: analysisResult.analysis.length
+    });
+
+    return {
+      success: true,
+      requestId,
+      brandName,
+      filePath,
+      fileName: filePath.split('/').pop(),
+      metadata: {
+        tokensUsed: metadata.tokensUsed,
+        inputTokens: metadata.inputTokens,
+        outputTokens: metadata.outputTokens,
+        processingTime: metadata.totalProcessingTime,
+        createdAt: metadata.createdAt,
+        provider: metadata.provider,
+        model: metadata.model,
+        responseLength: metadata.responseLength,
+        estimatedCostUsd: metadata.estimatedCostUsd
+      }
+    };
+  }
+
   /**
    * Validate form data
    * @param {Object} formData - Form data to validate
@@ -266,6 +687,12 @@ class BrandService {
           new Date(file.created) <= toDate
         );
       }
+
+      // Markets are only recorded in the metadata sidecar
+      if (filters.market) {
+        const metas = await Promise.all(filteredFiles.map(file => fileService.readSidecarFile(file.filePath, 'meta')));
+        filteredFiles = filteredFiles.filter((file, index) => metas[index] && matchesMarket(metas[index].formData?.markets, filters.market));
+      }
       
       return filteredFiles.map(file => ({
         fileName: file.fileName,
@@ -308,6 +735,100 @@ class BrandService {
     }
   }
 
+  /**
+   * Whether a brand folder exists (only listed folders, so the name cannot point outside the reports directory)
+   * @param {string} brandFolder - Brand folder name
+   * @returns {Promise<boolean>}
+   */
+  async hasBrandFolder(brandFolder) {
+    const brands = await fileService.getBrandsList();
+    return brands.some(brand => brand.brandName === brandFolder);
+  }
+
+  /**
+   * Visibility, mention, competitor and cost trends over a brand's saved reports.
+   * Only reports with a metadata sidecar carry metrics (the .txt header has no
+   * scores or token counts); legacy reports and translated copies are listed
+   * as skipped.
+   * @param {string} brandFolder - Brand folder name
+   * @param {Object} filters - { fromDate, toDate, granularity }
+   * @returns {Promise<Object|null>} Trend series, or null when the brand folder does not exist
+   */
+  async getBrandTrends(brandFolder, filters = {}) {
+    if (!(await this.hasBrandFolder(brandFolder))) return null;
+
+    const files = await fileService.getBrandFiles(brandFolder);
+    const metas = await Promise.all(files.map(file => fileService.readSidecarFile(file.filePath, 'meta')));
+    const fromDate = filters.fromDate ? new Date(filters.fromDate) : null;
+    const toDate = filters.toDate ? new Date(filters.toDate) : null;
+    // A date without a time covers that whole (UTC) day
+    if (toDate && /^\d{4}-\d{2}-\d{2}$/.test(filters.toDate)) {
+      toDate.setUTCHours(23, 59, 59, 999);
+    }
+
+    const skipped = [];
+    const points = [];
+
+    files.forEach((file, index) => {
+      const meta = metas[index];
+      if (!meta || meta.translatedFrom) {
+        skipped.push({
+          fileName: file.fileName,
+          reason: meta ? 'translation of another report' : 'no metadata (saved before metadata was recorded)'
+        });
+        return;
+      }
+
+      const point = extractReportMetrics(meta, file);
+      const createdAt = new Date(point.createdAt);
+      if ((fromDate && createdAt < fromDate) || (toDate && createdAt > toDate)) return;
+
+      points.push(point);
+    });
+
+    return {
+      brandFolder,
+      brandName: metas.find(meta => meta?.clientInfo?.brandName)?.clientInfo.brandName || brandFolder,
+      fromDate: fromDate ? fromDate.toISOString() : null,
+      toDate: toDate ? toDate.toISOString() : null,
+      skippedReports: skipped.length,
+      skipped,
+      ...buildTrendSeries(points, filters.granularity)
+    };
+  }
+
+  /**
+   * A saved report with the data needed to compare it with another run
+   * @param {string} fileName - Report file name
+   * @param {string} brandFolder - Brand folder name
+   * @returns {Promise<Object|null>} { fileName, brandFolder, created, createdAt, text, meta, structured },
+   *                                 or null when the brand folder has no such report
+   */
+  async getReportSnapshot(fileName, brandFolder) {
+    if (!(await this.hasBrandFolder(brandFolder))) return null;
+
+    const files = await fileService.getBrandFiles(brandFolder);
+    const fileInfo = files.find(file => file.fileName === fileName);
+    if (!fileInfo) return null;
+
+    const report = await this.getReport(fileName, brandFolder);
+    const [meta, structured] = await Promise.all([
+      fileService.readSidecarFile(fileInfo.filePath, 'meta'),
+      fileService.readSidecarFile(fileInfo.filePath, 'report')
+    ]);
+
+    return {
+      fileName,
+      brandFolder,
+      created: fileInfo.created,
+      createdAt: meta?.createdAt || new Date(fileInfo.created).toISOString(),
+      // Reports without the standard header and footer are compared as a whole
+      text: fileService.extractAnalysisText(report.content) ?? report.content,
+      meta,
+      structured
+    };
+  }
+
   /**
    * Get specific file content
    */
@@ -339,12 +860,179 @@ class BrandService {
     }
   }
 
+  /**
+   * Get measured prompt test results stored with a report
+   * @param {string} fileName - Report file name
+   * @param {string} brandFolder - Brand folder (optional)
+   * @returns {Promise<Object|null>} Measurement, or null when none was stored
+   */
+  async getReportMeasurements(fileName, brandFolder = null) {
+    const fileInfo = await this.findReportFile(fileName, brandFolder);
+    return fileService.readSidecarFile(fileInfo.filePath, 'probes');
+  }
+
+  /**
+   * Get the website crawl snapshot stored with a report
+   * @param {string} fileName - Report file name
+   * @param {string} brandFolder - Brand folder (optional)
+   * @returns {Promise<Object|null>} Crawl snapshot, or null when the site was not crawled
+   */
+  async getReportCrawl(fileName, brandFolder = null) {
+    const fileInfo = await this.findReportFile(fileName, brandFolder);
+    return fileService.readSidecarFile(fileInfo.filePath, 'crawl');
+  }
+
+  /**
+   * Language a saved report is written in
+   * @param {string} fileName - Report file name
+   * @param {string} brandFolder - Brand folder (optional)
+   * @returns {Promise<string|null>} Language code, or null when the report does not exist
+   */
+  async getReportLanguage(fileName, brandFolder = null) {
+    const files = await fileService.getFilesList();
+    const fileInfo = files.find(f => f.fileName === fileName &&
+      (brandFolder ? f.brandFolder === brandFolder : true));
+
+    if (!fileInfo) return null;
+
+    const meta = await fileService.readSidecarFile(fileInfo.filePath, 'meta');
+    return meta?.outputLanguage || DEFAULT_OUTPUT_LANGUAGE;
+  }
+
+  /**
+   * Translate a saved report and save the copy next to the original.
+   * Reports with stored metadata get their header and footer rebuilt in the
+   * target language; older reports are translated as a whole.
+   * @param {string} fileName - Report file name
+   * @param {string} brandFolder - Brand folder (optional)
+   * @param {Object} request - { language, provider, model }
+   * @param {Object} options - { apiKeyId }
+   * @returns {Promise<Object>} Translated file info and metadata
+   */
+  async translateReport(fileName, brandFolder, request, options = {}) {
+    const requestId = uuidv4();
+    const costTracker = createCostTracker();
+    const fileInfo = await this.findReportFile(fileName, brandFolder);
+    const meta = await fileService.readSidecarFile(fileInfo.filePath, 'meta');
+    const content = await fileService.readFile(fileInfo.fileName, fileInfo.brandFolder);
+    const analysisText = meta ? fileService.extractAnalysisText(content) : null;
+    const brandName = meta?.clientInfo?.brandName || fileInfo.brandName;
+    const translatedFrom = {
+      fileName: fileInfo.fileName,
+      language: meta?.outputLanguage || DEFAULT_OUTPUT_LANGUAGE
+    };
+    const usageEntry = {
+      requestId,
+      type: 'translation',
+      brandName,
+      email: meta?.clientInfo?.email,
+      apiKeyId: options.apiKeyId
+    };
+
+    logger.info(`Starting report translation`, {
+      requestId,
+      fileName,
+      from: translatedFrom.language,
+      to: request.language,
+      rebuildHeader: analysisText !== null
+    });
+
+    try {
+      const translation = await claudeService.translateReport(analysisText ?? content, request.language, {
+        provider: request.provider,
+        model: request.model,
+        onUsage: costTracker.record
+      });
+      const cost = costTracker.summary();
+      const translationMeta = {
+        ...translation.metadata,
+        requestId,
+        createdAt: new Date().toISOString(),
+        estimatedCostUsd: cost.estimatedCostUsd
+      };
+
+      const fileContent = analysisText !== null
+        ? fileService.createFileContent(
+          brandName,
+          translation.text,
+          { ...meta, outputLanguage: request.language, translatedFrom },
+          { ...meta.formData, email: meta.clientInfo?.email }
+        )
+        : translation.text;
+
+      const filePath = await fileService.saveTranslatedFile(fileInfo.filePath, request.language, fileContent);
+      await fileService.saveSidecarFile(filePath, 'meta', {
+        ...(meta || {}),
+        outputLanguage: request.language,
+        translatedFrom,
+        translation: translationMeta
+      });
+
+      await this.recordUsage(costTracker, {
+        ...usageEntry,
+        status: 'completed',
+        provider: translation.metadata.provider,
+        model: translation.metadata.model
+      });
+
+      logger.info(`Report translated to ${getOutputLanguage(request.language).name}`, {
+        requestId,
+        fileName: path.basename(filePath),
+        parts: translation.metadata.parts,
+        estimatedCostUsd: cost.estimatedCostUsd
+      });
+
+      return {
+        fileName: path.basename(filePath),
+        brandFolder: fileInfo.brandFolder,
+        filePath,
+        language: request.language,
+        translatedFrom,
+        metadata: { ...translationMeta, cost }
+      };
+    } catch (error) {
+      await this.recordUsage(costTracker, { ...usageEntry, status: 'failed' });
+      logger.error(`Report translation failed: ${error.message}`, { requestId, fileName, language: request.language });
+      throw error;
+    }
+  }
+
+  /**
+   * Get the structured JSON report stored next to a report
+   * @param {string} fileName - Report file name
+   * @param {string} brandFolder - Brand folder (optional)
+   * @returns {Promise<Object|null>} Structured report sidecar, or null
+   */
+  async getStructuredReport(fileName, brandFolder = null) {
+    const fileInfo = await this.findReportFile(fileName, brandFolder);
+    return fileService.readSidecarFile(fileInfo.filePath, 'report');
+  }
+
+  /**
+   * Locate a report file
+   * @param {string} fileName - Report file name
+   * @param {string} brandFolder - Brand folder (optional)
+   * @returns {Promise<Object>} File info from fileService.getFilesList()
+   */
+  async findReportFile(fileName, brandFolder = null) {
+    const files = await fileService.getFilesList();
+    const fileInfo = files.find(f => f.fileName === fileName &&
+      (brandFolder ? f.brandFolder === brandFolder : true));
+
+    if (!fileInfo) {
+      throw new Error(`File not found: ${fileName}`);
+    }
+
+    return fileInfo;
+  }
+
   /**
    * Delete file
    */
   async deleteReport(fileName, brandFolder = null) {
     try {
       const success = await fileService.deleteFile(fileName, brandFolder);
+      resultCache.invalidateFile(fileName);
       logger.info(`Report deleted: ${fileName}${brandFolder ? ` from brand: ${brandFolder}` : ''}`);
       return success;
     } catch (error) {
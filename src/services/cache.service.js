@@ -0,0 +1,172 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const providers = require('../providers');
+const { marketKey } = require('../utils/markets');
+const { DEFAULT_OUTPUT_LANGUAGE } = require('../utils/i18n');
+
+// Trim, collapse whitespace
+const clean = (value) => String(value ?? '').replace(/\s+/g, ' ').trim();
+const cleanList = (values) => (values || []).map(clean).filter(Boolean).sort();
+
+/**
+ * URL with case-insensitive parts (scheme, host) lower-cased and no trailing slash
+ * @param {string} url - Website URL
+ * @returns {string}
+ */
+const normalizeUrl = (url) => {
+  try {
+    const parsed = new URL(url);
+    return `${parsed.origin}${parsed.pathname.replace(/\/+$/, '')}${parsed.search}`;
+  } catch (error) {
+    return clean(url);
+  }
+};
+
+class ResultCacheService {
+  constructor() {
+    this.settings = config.cache;
+    this.results = new Map(); // key -> { result, storedAt, expiresAt }
+    this.inFlight = new Map(); // key -> { promise, requestId, signal, startedAt }
+    this.stats = { hits: 0, attached: 0, misses: 0 };
+  }
+
+  /**
+   * Cache key for a comprehensive analysis: a hash of everything that shapes the report.
+   * Defaults are resolved first, so omitting a field and sending its default match.
+   * Delivery-only fields (priority, includeHistory, metadata, useCache) are left out.
+   * @param {Object} formData - Validated form data (template already pinned to id@version)
+   * @returns {string} SHA-256 hex digest
+   */
+  createKey(formData) {
+    const target = providers.resolveTarget(formData.provider, formData.model);
+    const measureVisibility = formData.measureVisibility ?? config.probes.enabled;
+
+    const normalized = {
+      brandName: clean(formData.brandName),
+      websiteUrl: normalizeUrl(formData.websiteUrl),
+      email: clean(formData.email).toLowerCase(),
+      competitors: cleanList(formData.competitors),
+      topics: cleanList(formData.topics),
+      prompts: cleanList(formData.prompts),
+      personas: clean(formData.personas),
+      markets: (formData.markets || []).map(market => marketKey(market)).sort(),
+      outputLanguage: formData.outputLanguage || DEFAULT_OUTPUT_LANGUAGE,
+      provider: target.provider.id,
+      model: target.model,
+      template: formData.template || null,
+      analysisMode: formData.template ? 'single' : (formData.analysisMode || config.analysis.mode),
+      format: formData.format || 'text',
+      crawlWebsite: formData.crawlWebsite ?? config.crawler.enabled,
+      measureVisibility,
+      probeProviders: measureVisibility ? [...(formData.probeProviders || config.probes.providers)].sort() : null
+    };
+
+    return crypto.createHash('sha256').update(JSON.stringify(normalized)).digest('hex');
+  }
+
+  /**
+   * Stored result for a key, if still within the TTL and its report file still exists
+   * @param {string} key - Cache key
+   * @returns {Promise<Object|null>} { result, storedAt } or null
+   */
+  async get(key) {
+    const entry = this.results.get(key);
+    if (!entry) return null;
+
+    if (entry.expiresAt <= Date.now()) {
+      this.results.delete(key);
+      return null;
+    }
+
+    try {
+      await fs.promises.access(entry.result.filePath);
+    } catch (error) {
+      this.results.delete(key);
+      return null;
+    }
+
+    this.stats.hits++;
+    return entry;
+  }
+
+  /**
+   * Store a finished result, evicting the oldest entries beyond maxEntries
+   * @param {string} key - Cache key
+   * @param {Object} result - Result from the analysis
+   */
+  set(key, result) {
+    const now = Date.now();
+    this.results.delete(key);
+    this.results.set(key, { result, storedAt: new Date(now).toISOString(), expiresAt: now + this.settings.ttlMs });
+
+    while (this.results.size > this.settings.maxEntries) {
+      this.results.delete(this.results.keys().next().value);
+    }
+  }
+
+  /**
+   * Running analysis a new request can attach to (not one its owner already cancelled)
+   * @param {string} key - Cache key
+   * @returns {Object|null} { promise, requestId, signal, startedAt }
+   */
+  getInFlight(key) {
+    const running = this.inFlight.get(key);
+    if (!running || running.signal?.aborted) return null;
+
+    this.stats.attached++;
+    return running;
+  }
+
+  /**
+   * Register a running analysis so identical requests can attach to it;
+   * its result is cached once it completes
+   * @param {string} key - Cache key
+   * @param {Promise<Object>} promise - Analysis result
+   * @param {Object} owner - { requestId, signal } of the request that runs it
+   * @returns {Promise<Object>} The same promise
+   */
+  track(key, promise, owner = {}) {
+    this.stats.misses++;
+    this.inFlight.set(key, { promise, requestId: owner.requestId || null, signal: owner.signal, startedAt: new Date().toISOString() });
+
+    promise
+      .then(result => this.set(key, result))
+      .catch(() => {})
+      .finally(() => {
+        if (this.inFlight.get(key)?.promise === promise) this.inFlight.delete(key);
+      });
+
+    return promise;
+  }
+
+  /**
+   * Drop cached results that point to a report file
+   * @param {string} fileName - Report file name
+   */
+  invalidateFile(fileName) {
+    for (const [key, entry] of this.results) {
+      if (entry.result.fileName === fileName) {
+        this.results.delete(key);
+        logger.info(`Cached analysis result invalidated`, { fileName });
+      }
+    }
+  }
+
+  /**
+   * Cache counters for monitoring
+   * @returns {Object} Statistics
+   */
+  getStatistics() {
+    return {
+      enabled: this.settings.enabled,
+      ttlMs: this.settings.ttlMs,
+      entries: this.results.size,
+      inFlight: this.inFlight.size,
+      ...this.stats
+    };
+  }
+}
+
+module.exports = new ResultCacheService();
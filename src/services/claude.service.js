@@ -1,49 +1,197 @@
-const Anthropic = require('@anthropic-ai/sdk');
 const config = require('../config/config');
 const logger = require('../utils/logger');
-const { createComprehensiveBrandAnalysisPrompt, createBrandAnalysisPrompt } = require('../utils/prompt');
+const providers = require('../providers');
+const { REPORT_SCHEMA, REPORT_SCHEMA_VERSION, validateAgainstSchema, validateReport } = require('../utils/reportSchema');
+const { SUGGESTION_TYPES } = require('../utils/suggestions');
+const { PHASES, createPhasePrompt } = require('../utils/pipeline');
+const { getRetryAfterMs } = require('../utils/resilience');
+const { calculateCost } = require('../utils/cost');
+const { createLanguageSection } = require('../utils/i18n');
+const {
+  createComprehensiveBrandAnalysisPrompt,
+  createCacheableAnalysisPrompt,
+  createStructuredReportPrompt,
+  createTranslationPrompt,
+  renderPromptTemplate,
+  findTemplateVariables,
+  createBrandAnalysisPrompt
+} = require('../utils/prompt');
+
+// Attempts at a schema-valid structured report (the retry gets the validation errors)
+const STRUCTURED_REPORT_ATTEMPTS = 2;
+
+/**
+ * Split text into parts of at most maxChars, at paragraph boundaries where possible
+ * @param {string} text - Text to split
+ * @param {number} maxChars - Maximum part length
+ * @returns {Array<string>} Parts
+ */
+const splitIntoParts = (text, maxChars) => {
+  const parts = [];
+  let current = '';
+
+  for (const paragraph of text.split(/\n{2,}/)) {
+    const pieces = paragraph.length > maxChars
+      ? paragraph.match(new RegExp(`[\\s\\S]{1,${maxChars}}`, 'g'))
+      : [paragraph];
+
+    for (const piece of pieces) {
+      if (current && current.length + piece.length + 2 > maxChars) {
+        parts.push(current);
+        current = '';
+      }
+      current = current ? `${current}\n\n${piece}` : piece;
+    }
+  }
+
+  if (current) parts.push(current);
+  return parts;
+};
 
 class ClaudeService {
-  constructor() {
-    this.client = new Anthropic({
-      apiKey: config.claude.apiKey,
+  /**
+   * Send a request to the resolved provider/model
+   * @param {Object} target - Result of providers.resolveTarget()
+   * @param {Object} request - { messages, system, maxTokens, temperature }
+   * @param {Object} options - { signal, onEvent, onUsage, purpose }
+   * @returns {Promise<Object>} Normalized provider response
+   */
+  async sendMessage(target, request, options = {}) {
+    const response = await target.provider.analyze({
+      ...request,
+      model: target.model,
+      signal: options.signal,
+      onEvent: options.onEvent
     });
+
+    // Every billed call is reported, continuations included
+    if (options.onUsage) {
+      options.onUsage({
+        purpose: options.purpose || 'analysis',
+        provider: target.provider.id,
+        model: target.model,
+        responseModel: response.model, // As reported by the provider; pricing uses the requested model
+        usage: response.usage
+      });
+    }
+
+    return response;
+  }
+
+  /**
+   * Render a custom prompt template; the output language instruction is
+   * prepended when the template does not place {{languageSection}} itself
+   * @param {Object} template - Resolved template ({ content })
+   * @param {Object} formData - Form data
+   * @param {Object} context - Extra prompt context
+   * @returns {string} Prompt
+   */
+  renderTemplate(template, formData, context = {}) {
+    const placesLanguage = findTemplateVariables(template.content).includes('languageSection');
+    return (placesLanguage ? '' : createLanguageSection(formData.outputLanguage)) +
+      renderPromptTemplate(template.content, formData, context);
+  }
+
+  /**
+   * Build an error that names the provider that failed
+   * @param {string} message - Error message
+   * @param {Object} target - Resolved provider/model
+   * @returns {Error}
+   */
+  providerError(message, target) {
+    const error = new Error(message);
+    error.provider = target.provider.id;
+    return error;
+  }
+
+  /**
+   * Translate a provider failure into a client-facing error
+   * @param {Error} error - Provider error (may carry status and headers)
+   * @param {Object} target - Resolved provider/model
+   * @returns {Error}
+   */
+  mapProviderError(error, target) {
+    const apiName = `${target.provider.displayName} API`;
+
+    // Open circuit: already client-facing, keeps its 503 code and retry hint
+    if (error.code === 'CIRCUIT_OPEN') {
+      return error;
+    }
+
+    if (error.status === 429) {
+      const retryAfterMs = getRetryAfterMs(error);
+      const retryAfter = retryAfterMs !== null ? Math.ceil(retryAfterMs / 1000) : 60;
+      const mapped = this.providerError(`${apiName} rate limit exceeded. Retry after ${retryAfter} seconds.`, target);
+      mapped.retryAfter = retryAfter;
+      return mapped;
+    }
+    
+    if (error.status === 401) {
+      return this.providerError(`${apiName} key is invalid or expired. Please check your API key.`, target);
+    }
+    
+    if (error.status === 400) {
+      return this.providerError(`${apiName} bad request: ${error.message}. Check if your request exceeds input token limits.`, target);
+    }
+
+    if (error.status === 500) {
+      return this.providerError(`${apiName} server error. Please try again later.`, target);
+    }
+
+    return this.providerError(`${apiName} error: ${error.message}`, target);
   }
 
   /**
    * Analyze brand using Claude with comprehensive form data integration
    * @param {Object} formData - Complete form data from client
    * @param {Object} options - Analysis options
+   * @param {Object} context - Extra prompt context ({ measurement, visibility, crawl, template })
    * @returns {Promise<Object>} Analysis result
    */
-  async analyzeBrandComprehensive(formData, options = {}) {
+  async analyzeBrandComprehensive(formData, options = {}, context = {}) {
     const startTime = Date.now();
+    const target = providers.resolveTarget(formData.provider, formData.model);
+    const maxTokens = target.modelInfo.maxTokens || config.claude.maxTokens;
+    const messageOptions = { signal: options.signal, onEvent: options.onEvent, onUsage: options.onUsage };
+    const reportProgress = options.onProgress || (() => {});
+    const emit = options.onEvent || (() => {});
     
     try {
-      logger.info(`Starting comprehensive Claude analysis for brand: ${formData.brandName}`, {
-        model: config.claude.model,
-        maxTokens: config.claude.maxTokens,
+      logger.info(`Starting comprehensive analysis for brand: ${formData.brandName}`, {
+        provider: target.provider.id,
+        model: target.model,
+        maxTokens,
         hasCompetitors: formData.competitors?.length > 0,
         hasTopics: formData.topics?.length > 0,
         hasPrompts: formData.prompts?.length > 0,
         hasPersonas: Boolean(formData.personas?.trim())
       });
 
-      const prompt = createComprehensiveBrandAnalysisPrompt(formData);
+      // A custom template replaces the built-in prompt wording. The built-in prompt is
+      // split into a static system prompt the provider caches and the per-brand brief.
+      const { system, prompt } = context.template
+        ? { system: null, prompt: this.renderTemplate(context.template, formData, context) }
+        : createCacheableAnalysisPrompt(formData, context);
+      const promptLength = (system ? system.length : 0) + prompt.length;
+      const systemRequest = system ? { system, cacheSystem: true } : {};
 
       // Log prompt details for monitoring
       logger.info(`Comprehensive prompt generated`, {
-        promptLength: prompt.length,
-        estimatedTokens: Math.ceil(prompt.length / 4),
-        maxInputTokens: config.claude.inputLimit,
+        template: context.template ? context.template.reference : 'builtin',
+        promptLength,
+        cachedSystemLength: system ? system.length : 0,
+        estimatedTokens: Math.ceil(promptLength / 4),
+        maxInputTokens: target.modelInfo.inputLimit || config.claude.inputLimit,
         brandName: formData.brandName,
         websiteUrl: formData.websiteUrl
       });
 
+      reportProgress('analyzing', 10);
+
       // Primary request with maximum tokens for comprehensive analysis
-      const response = await this.client.messages.create({
-        model: config.claude.model,
-        max_tokens: config.claude.maxTokens,
+      const response = await this.sendMessage(target, {
+        ...systemRequest,
+        maxTokens,
         temperature: 0.05, // Very low for maximum consistency and detail
         messages: [
           {
@@ -51,40 +199,64 @@ class ClaudeService {
             content: prompt
           }
         ],
-      });
+      }, messageOptions);
 
-      let analysis = response.content[0].text;
-      let totalInputTokens = response.usage.input_tokens;
-      let totalOutputTokens = response.usage.output_tokens;
+      let analysis = response.text;
+      let totalInputTokens = response.usage.inputTokens;
+      let totalOutputTokens = response.usage.outputTokens;
       let totalTokens = totalInputTokens + totalOutputTokens;
+      let cacheCreationInputTokens = response.usage.cacheCreationInputTokens || 0;
+      let cacheReadInputTokens = response.usage.cacheReadInputTokens || 0;
       
       const processingTime = Date.now() - startTime;
 
       // Check if we hit the token limit and response was truncated
-      const wasIncomplete = response.stop_reason === 'max_tokens' && 
+      const wasIncomplete = response.stopReason === 'max_tokens' && 
                            analysis.length > 0 && 
                            !analysis.includes('EXECUTIVE CONCLUSION');
+      let truncated = wasIncomplete;
+      let continuationError = null;
 
       if (wasIncomplete) {
         logger.warn(`Response may be incomplete due to token limit`, {
-          stopReason: response.stop_reason,
+          stopReason: response.stopReason,
           outputTokens: totalOutputTokens,
-          maxTokens: config.claude.maxTokens,
+          maxTokens,
           responseLength: analysis.length
         });
 
         // Attempt to get a continuation focusing on the specific brand
         try {
           logger.info('Requesting completion of analysis...');
+          reportProgress('continuation', 60);
+          emit('continuation', {
+            reason: response.stopReason,
+            outputTokens: totalOutputTokens,
+            responseLength: analysis.length
+          });
+          emit('delta', { text: '\n\n' });
+
+          // Report usage as running totals across both requests
+          const previousInput = totalInputTokens;
+          const previousOutput = totalOutputTokens;
+          const continuationOptions = {
+            ...messageOptions,
+            purpose: 'continuation',
+            onEvent: options.onEvent && ((event, data) => options.onEvent(event, event !== 'usage' ? data : {
+              inputTokens: data.inputTokens !== undefined ? previousInput + data.inputTokens : undefined,
+              outputTokens: previousOutput + data.outputTokens
+            }))
+          };
           
-          const continuationResponse = await this.client.messages.create({
-            model: config.claude.model,
-            max_tokens: config.claude.maxTokens,
+          // Same system prompt as the first request, so it is read from the cache
+          const continuationResponse = await this.sendMessage(target, {
+            ...systemRequest,
+            maxTokens,
             temperature: 0.1,
             messages: [
               {
                 role: 'user',
-                content: `Complete the comprehensive brand visibility audit for ${formData.brandName} (${formData.websiteUrl}). 
+                content: `${createLanguageSection(formData.outputLanguage)}Complete the comprehensive brand visibility audit for ${formData.brandName} (${formData.websiteUrl}). 
 
 Your previous response was cut off at ${totalOutputTokens} tokens. The client ${formData.email} has paid for a complete analysis.
 
@@ -95,18 +267,21 @@ COMPLETE THE ANALYSIS with the remaining sections:
 - Add implementation timeline with detailed monthly breakdown
 - Provide resource allocation and budget recommendations
 
-Focus specifically on ${formData.brandName} and their competitive landscape. Use the remaining ${config.claude.maxTokens} tokens to provide maximum value and detail.
+Focus specifically on ${formData.brandName} and their competitive landscape. Use the remaining ${maxTokens} tokens to provide maximum value and detail.
 
 This must be a complete, professional deliverable worthy of a $50,000 consulting engagement.`
               }
             ],
-          });
+          }, continuationOptions);
 
           // Append the continuation to the original response
-          analysis = analysis + '\n\n' + continuationResponse.content[0].text;
-          totalInputTokens += continuationResponse.usage.input_tokens;
-          totalOutputTokens += continuationResponse.usage.output_tokens;
+          analysis = analysis + '\n\n' + continuationResponse.text;
+          totalInputTokens += continuationResponse.usage.inputTokens;
+          totalOutputTokens += continuationResponse.usage.outputTokens;
           totalTokens = totalInputTokens + totalOutputTokens;
+          cacheCreationInputTokens += continuationResponse.usage.cacheCreationInputTokens || 0;
+          cacheReadInputTokens += continuationResponse.usage.cacheReadInputTokens || 0;
+          truncated = continuationResponse.stopReason === 'max_tokens';
 
           logger.info(`Comprehensive response completed`, {
             finalLength: analysis.length,
@@ -114,22 +289,29 @@ This must be a complete, professional deliverable worthy of a $50,000 consulting
             totalTokens: totalTokens
           });
 
-        } catch (continuationError) {
-          logger.warn(`Continuation request failed: ${continuationError.message}`);
-          // Continue with original response
+        } catch (error) {
+          if (options.signal?.aborted) {
+            throw error;
+          }
+          logger.warn(`Continuation request failed: ${error.message}`);
+          // Keep the truncated response; the result reports why it is incomplete
+          continuationError = error.message;
         }
       }
 
-      logger.info(`Claude comprehensive analysis completed successfully`, {
+      logger.info(`Comprehensive analysis completed successfully`, {
         brandName: formData.brandName,
-        model: config.claude.model,
+        provider: target.provider.id,
+        model: target.model,
         tokensUsed: totalTokens,
         inputTokens: totalInputTokens,
         outputTokens: totalOutputTokens,
+        cacheCreationInputTokens,
+        cacheReadInputTokens,
         processingTime,
         responseLength: analysis.length,
-        stopReason: response.stop_reason,
-        tokensUtilization: `${((totalOutputTokens / config.claude.maxTokens) * 100).toFixed(1)}%`,
+        stopReason: response.stopReason,
+        tokensUtilization: `${((totalOutputTokens / maxTokens) * 100).toFixed(1)}%`,
         formDataIncluded: {
           competitors: formData.competitors?.length || 0,
           topics: formData.topics?.length || 0,
@@ -141,18 +323,28 @@ This must be a complete, professional deliverable worthy of a $50,000 consulting
       return {
         analysis,
         metadata: {
-          model: config.claude.model,
+          provider: target.provider.id,
+          providerName: target.provider.displayName,
+          model: target.model,
+          analysisMode: 'single',
           tokensUsed: totalTokens,
           inputTokens: totalInputTokens,
           outputTokens: totalOutputTokens,
-          maxTokensAvailable: config.claude.maxTokens,
-          tokensUtilization: ((totalOutputTokens / config.claude.maxTokens) * 100).toFixed(1) + '%',
+          cacheCreationInputTokens, // Prompt cache writes and reads, not included in inputTokens
+          cacheReadInputTokens,
+          promptCaching: target.provider.cachesSystem(systemRequest), // Built-in prompt: the static system prompt carries a cache marker
+          maxTokensAvailable: maxTokens,
+          tokensUtilization: ((totalOutputTokens / maxTokens) * 100).toFixed(1) + '%',
           processingTime,
           timestamp: new Date().toISOString(),
           responseLength: analysis.length,
-          stopReason: response.stop_reason,
+          stopReason: response.stopReason,
+          truncated, // Ends at the token limit: the continuation failed or was cut off as well
+          continuationError,
           wasOptimizedForMaxDetail: true,
-          promptLength: prompt.length,
+          promptLength,
+          measuredResultsIncluded: Boolean(context.measurement && !context.measurement.skipped),
+          websitePagesIncluded: context.crawl ? context.crawl.pages.length : 0,
           formDataProcessed: {
             brandName: formData.brandName,
             websiteUrl: formData.websiteUrl,
@@ -166,7 +358,9 @@ This must be a complete, professional deliverable worthy of a $50,000 consulting
       };
 
     } catch (error) {
-      logger.error(`Claude comprehensive analysis failed for brand: ${formData.brandName}`, {
+      logger.error(`Comprehensive analysis failed for brand: ${formData.brandName}`, {
+        provider: target.provider.id,
+        model: target.model,
         error: error.message,
         type: error.constructor.name,
         status: error.status,
@@ -179,92 +373,705 @@ This must be a complete, professional deliverable worthy of a $50,000 consulting
       });
 
       // Enhanced error handling
-      if (error.status === 429) {
-        const retryAfter = error.headers?.['retry-after'] || 60;
-        throw new Error(`Claude API rate limit exceeded. Retry after ${retryAfter} seconds.`);
+      if (options.signal?.aborted) {
+        throw new Error('Analysis was cancelled');
       }
-      
-      if (error.status === 401) {
-        throw new Error('Claude API key is invalid or expired. Please check your API key.');
+
+      throw this.mapProviderError(error, target);
+    }
+  }
+
+  /**
+   * Run the comprehensive analysis as an ordered pipeline of phases.
+   * Each phase gets its own prompt plus the output of earlier phases, is retried
+   * on its own, and can be restored from a checkpoint of a previous attempt.
+   * @param {Object} formData - Complete form data from client
+   * @param {Object} options - { signal, onEvent, onUsage, onProgress, checkpoint, onCheckpoint }
+   * @param {Object} context - Extra prompt context ({ measurement, visibility, crawl })
+   * @returns {Promise<Object>} Analysis result (same shape as analyzeBrandComprehensive)
+   */
+  async analyzeBrandPipeline(formData, options = {}, context = {}) {
+    const startTime = Date.now();
+    const target = providers.resolveTarget(formData.provider, formData.model);
+    const modelMaxTokens = target.modelInfo.maxTokens || config.claude.maxTokens;
+    const reportProgress = options.onProgress || (() => {});
+    const emit = options.onEvent || (() => {});
+    const restored = options.checkpoint?.phases || {};
+    const completed = [];
+    const phaseMetadata = [];
+    let totalInputTokens = 0;
+    let totalOutputTokens = 0;
+    let promptLength = 0;
+
+    logger.info(`Starting pipeline analysis for brand: ${formData.brandName}`, {
+      provider: target.provider.id,
+      model: target.model,
+      phases: PHASES.map(phase => phase.id),
+      restoredPhases: Object.keys(restored)
+    });
+
+    for (const [index, phase] of PHASES.entries()) {
+      const phaseInfo = { phase: phase.id, title: phase.title, index: index + 1, total: PHASES.length };
+      reportProgress(`phase:${phase.id}`, 10 + Math.round((70 * index) / PHASES.length));
+
+      // Completed in an earlier attempt of the same job
+      if (restored[phase.id]) {
+        completed.push({ id: phase.id, title: phase.title, output: restored[phase.id].output });
+        phaseMetadata.push({ ...restored[phase.id].metadata, restored: true });
+        totalInputTokens += restored[phase.id].metadata.inputTokens;
+        totalOutputTokens += restored[phase.id].metadata.outputTokens;
+        emit('phase', { ...phaseInfo, status: 'restored' });
+        continue;
       }
-      
-      if (error.status === 400) {
-        throw new Error(`Claude API bad request: ${error.message}. Check if your request exceeds input token limits.`);
+
+      const prompt = createPhasePrompt(phase, formData, completed, context);
+      const maxTokens = Math.min(phase.maxTokens, modelMaxTokens);
+      promptLength += prompt.length;
+
+      const result = await this.runPhase(target, phase, prompt, maxTokens, {
+        ...options,
+        phaseInfo,
+        previousUsage: { inputTokens: totalInputTokens, outputTokens: totalOutputTokens }
+      });
+
+      completed.push({ id: phase.id, title: phase.title, output: result.output });
+      phaseMetadata.push(result.metadata);
+      totalInputTokens += result.metadata.inputTokens;
+      totalOutputTokens += result.metadata.outputTokens;
+
+      emit('phase', { ...phaseInfo, status: 'completed', ...result.metadata });
+
+      if (options.onCheckpoint) {
+        options.onCheckpoint(phase.id, result);
       }
+    }
+
+    const analysis = completed
+      .map((phase, index) => `PHASE ${index + 1}: ${phase.title.toUpperCase()}\n\n${phase.output.trim()}`)
+      .join('\n\n');
+    const totalTokens = totalInputTokens + totalOutputTokens;
+    const processingTime = Date.now() - startTime;
+    const lastPhase = phaseMetadata[phaseMetadata.length - 1];
+    const maxTokensAvailable = phaseMetadata.reduce((sum, phase) => sum + phase.maxTokens, 0);
+
+    logger.info(`Pipeline analysis completed successfully`, {
+      brandName: formData.brandName,
+      provider: target.provider.id,
+      model: target.model,
+      tokensUsed: totalTokens,
+      inputTokens: totalInputTokens,
+      outputTokens: totalOutputTokens,
+      processingTime,
+      responseLength: analysis.length,
+      restoredPhases: phaseMetadata.filter(phase => phase.restored).length
+    });
 
-      if (error.status === 500) {
-        throw new Error('Claude API server error. Please try again later.');
+    return {
+      analysis,
+      metadata: {
+        provider: target.provider.id,
+        providerName: target.provider.displayName,
+        model: target.model,
+        analysisMode: 'pipeline',
+        tokensUsed: totalTokens,
+        inputTokens: totalInputTokens,
+        outputTokens: totalOutputTokens,
+        // The static instructions of a phase prompt are far below the minimum
+        // cacheable prompt length (1,024 tokens on Claude) and everything else is
+        // brand-specific, so prompt caching applies to single mode only
+        promptCaching: false,
+        maxTokensAvailable,
+        tokensUtilization: ((totalOutputTokens / maxTokensAvailable) * 100).toFixed(1) + '%',
+        processingTime,
+        timestamp: new Date().toISOString(),
+        responseLength: analysis.length,
+        stopReason: lastPhase ? lastPhase.stopReason : null,
+        promptLength,
+        phases: phaseMetadata,
+        measuredResultsIncluded: Boolean(context.measurement && !context.measurement.skipped),
+        websitePagesIncluded: context.crawl ? context.crawl.pages.length : 0,
+        formDataProcessed: {
+          brandName: formData.brandName,
+          websiteUrl: formData.websiteUrl,
+          email: formData.email,
+          competitorsProvided: formData.competitors?.length || 0,
+          topicsProvided: formData.topics?.length || 0,
+          promptsProvided: formData.prompts?.length || 0,
+          personasProvided: Boolean(formData.personas?.trim())
+        }
       }
+    };
+  }
+
+  /**
+   * Run one pipeline phase with its own retry budget. A phase cut off at the
+   * token limit is continued once with the partial output as assistant prefill,
+   * so the continuation sees everything written so far. Providers without
+   * prefill get the partial output as a finished turn and are asked to go on.
+   * @param {Object} target - Resolved provider/model
+   * @param {Object} phase - Phase definition
+   * @param {string} prompt - Phase prompt
+   * @param {number} maxTokens - Output budget for the phase
+   * @param {Object} options - { signal, onEvent, onUsage, phaseInfo, previousUsage }
+   * @returns {Promise<Object>} { output, metadata }
+   */
+  async runPhase(target, phase, prompt, maxTokens, options) {
+    const maxAttempts = config.analysis.phaseAttempts;
+    const emit = options.onEvent || (() => {});
+
+    for (let attempt = 1; ; attempt++) {
+      const phaseStart = Date.now();
+      emit('phase', { ...options.phaseInfo, status: 'started', attempt });
+
+      try {
+        let inputTokens = 0;
+        let outputTokens = 0;
+        const request = (messages) => this.sendMessage(target, {
+          maxTokens,
+          temperature: 0.1,
+          messages
+        }, {
+          signal: options.signal,
+          onUsage: options.onUsage,
+          purpose: `phase:${phase.id}`,
+          // Usage events report running totals across the whole pipeline
+          onEvent: options.onEvent && ((event, data) => options.onEvent(event, event !== 'usage' ? data : {
+            inputTokens: data.inputTokens !== undefined
+              ? options.previousUsage.inputTokens + inputTokens + data.inputTokens
+              : undefined,
+            outputTokens: options.previousUsage.outputTokens + outputTokens + data.outputTokens
+          }))
+        });
 
-      throw new Error(`Claude API error: ${error.message}`);
+        const response = await request([{ role: 'user', content: prompt }]);
+        let output = response.text;
+        let stopReason = response.stopReason;
+        inputTokens += response.usage.inputTokens;
+        outputTokens += response.usage.outputTokens;
+
+        if (stopReason === 'max_tokens' && output.trim()) {
+          emit('continuation', { ...options.phaseInfo, reason: stopReason, outputTokens });
+
+          const prefill = target.provider.supportsPrefill();
+          const continuation = await request([
+            { role: 'user', content: prompt },
+            { role: 'assistant', content: output.trimEnd() },
+            ...(prefill ? [] : [{
+              role: 'user',
+              content: `Your response was cut off. Continue exactly where it stopped, without repeating anything. It ended with:\n\n${output.trimEnd().slice(-500)}`
+            }])
+          ]);
+          output = output.trimEnd() + (prefill ? '' : '\n') + continuation.text;
+          stopReason = continuation.stopReason;
+          inputTokens += continuation.usage.inputTokens;
+          outputTokens += continuation.usage.outputTokens;
+        }
+
+        return {
+          output,
+          metadata: {
+            phase: phase.id,
+            title: phase.title,
+            attempts: attempt,
+            inputTokens,
+            outputTokens,
+            maxTokens,
+            durationMs: Date.now() - phaseStart,
+            stopReason,
+            responseLength: output.length
+          }
+        };
+      } catch (error) {
+        if (options.signal?.aborted) {
+          throw new Error('Analysis was cancelled');
+        }
+
+        // Retries the phase as a whole, but only for transient errors the provider layer did not
+        // already retry (e.g. a stream cut off after text arrived); the job queue retries the rest
+        const retryable = error.code !== 'CIRCUIT_OPEN' && !error.retriesExhausted &&
+          (!error.status || error.status === 429 || error.status >= 500);
+
+        logger.warn(`Pipeline phase ${phase.id} failed`, {
+          provider: target.provider.id,
+          model: target.model,
+          attempt,
+          maxAttempts,
+          retryable,
+          error: error.message,
+          status: error.status
+        });
+
+        if (!retryable || attempt >= maxAttempts) {
+          const mapped = this.mapProviderError(error, target);
+          mapped.message = `Phase "${phase.title}" failed: ${mapped.message}`;
+          mapped.phase = phase.id;
+          throw mapped;
+        }
+
+        emit('phase', { ...options.phaseInfo, status: 'retrying', attempt, error: error.message });
+        await new Promise(resolve => setTimeout(resolve, config.analysis.phaseRetryDelayMs * attempt));
+      }
     }
   }
 
   /**
-   * Legacy analyze brand method for backward compatibility
-   * @param {string} brandName - Brand name to analyze
-   * @param {Object} options - Analysis options
-   * @returns {Promise<Object>} Analysis result
+   * Convert a finished analysis into the structured JSON report (format=json).
+   * Uses tool use / JSON schema on the same provider and model as the analysis.
+   * @param {Object} formData - Complete form data from client
+   * @param {string} analysisText - Prose analysis
+   * @param {Object} options - { signal, onUsage }
+   * @param {Object} context - { visibility }
+   * @returns {Promise<Object>} { report, metadata }
    */
-  async analyzeBrand(brandName, options = {}) {
+  async generateStructuredReport(formData, analysisText, options = {}, context = {}) {
     const startTime = Date.now();
-    
+    const target = providers.resolveTarget(formData.provider, formData.model);
+    const apiName = `${target.provider.displayName} API`;
+    let inputTokens = 0;
+    let outputTokens = 0;
+    let validationErrors = [];
+
+    for (let attempt = 1; attempt <= STRUCTURED_REPORT_ATTEMPTS; attempt++) {
+      let response;
+
+      try {
+        response = await target.provider.extractStructured({
+          model: target.model,
+          maxTokens: target.modelInfo.maxTokens || config.claude.maxTokens,
+          temperature: 0,
+          system: 'You convert brand visibility analyses into structured reports. Be faithful to the source analysis.',
+          messages: [{
+            role: 'user',
+            content: createStructuredReportPrompt(formData, analysisText, { ...context, validationErrors })
+          }],
+          schema: {
+            name: 'brand_visibility_report',
+            description: 'Structured brand visibility report with typed sections',
+            schema: REPORT_SCHEMA
+          },
+          signal: options.signal
+        });
+      } catch (error) {
+        if (options.signal?.aborted) {
+          throw new Error('Analysis was cancelled');
+        }
+
+        logger.error(`Structured report generation failed for brand: ${formData.brandName}`, {
+          provider: target.provider.id,
+          model: target.model,
+          attempt,
+          error: error.message,
+          status: error.status
+        });
+
+        throw this.providerError(`${apiName} error while building structured report: ${error.message}`, target);
+      }
+
+      inputTokens += response.usage.inputTokens;
+      outputTokens += response.usage.outputTokens;
+      if (options.onUsage) {
+        options.onUsage({
+          purpose: 'structured_report',
+          provider: target.provider.id,
+          model: target.model,
+          responseModel: response.model,
+          usage: response.usage
+        });
+      }
+      validationErrors = validateReport(response.data);
+
+      if (validationErrors.length === 0) {
+        logger.info(`Structured report generated`, {
+          brandName: formData.brandName,
+          provider: target.provider.id,
+          model: target.model,
+          attempts: attempt,
+          inputTokens,
+          outputTokens
+        });
+
+        return {
+          report: response.data,
+          metadata: {
+            schemaVersion: REPORT_SCHEMA_VERSION,
+            provider: target.provider.id,
+            model: target.model,
+            attempts: attempt,
+            inputTokens,
+            outputTokens,
+            processingTime: Date.now() - startTime
+          }
+        };
+      }
+
+      logger.warn(`Structured report failed schema validation`, {
+        brandName: formData.brandName,
+        attempt,
+        errors: validationErrors.slice(0, 10)
+      });
+    }
+
+    throw this.providerError(
+      `${apiName} returned a structured report that does not match the schema: ${validationErrors.slice(0, 3).join('; ')}`,
+      target
+    );
+  }
+
+  /**
+   * Suggest competitors, topics, prompts or personas for the analysis form
+   * @param {string} kind - Key of SUGGESTION_TYPES
+   * @param {Object} input - { brandName, websiteUrl, competitors, topics, personas, count, provider, model }
+   * @param {Object} options - { signal, onUsage }
+   * @returns {Promise<Object>} { kind, suggestions, formValue, metadata }
+   */
+  async generateSuggestions(kind, input, options = {}) {
+    const startTime = Date.now();
+    const type = SUGGESTION_TYPES[kind];
+    const target = providers.resolveTarget(input.provider, input.model);
+    const count = Math.min(input.count || type.maxCount, type.maxCount);
+    let response;
+
     try {
-      logger.info(`Starting legacy Claude analysis for brand: ${brandName}`, {
-        model: config.claude.model,
-        maxTokens: config.claude.maxTokens
+      response = await target.provider.extractStructured({
+        model: target.model,
+        maxTokens: Math.min(2000, target.modelInfo.maxTokens || config.claude.maxTokens),
+        temperature: 0.3,
+        messages: [{ role: 'user', content: type.createPrompt(input, count) }],
+        schema: {
+          name: `${kind}_suggestions`,
+          description: `Suggested ${kind} for a brand visibility analysis`,
+          schema: type.schema
+        },
+        signal: options.signal
       });
+    } catch (error) {
+      logger.error(`Suggestion generation failed`, {
+        kind,
+        brandName: input.brandName,
+        provider: target.provider.id,
+        model: target.model,
+        error: error.message,
+        status: error.status
+      });
+
+      throw this.mapProviderError(error, target);
+    }
+
+    if (options.onUsage) {
+      options.onUsage({
+        purpose: `suggest:${kind}`,
+        provider: target.provider.id,
+        model: target.model,
+        responseModel: response.model,
+        usage: response.usage
+      });
+    }
+
+    const errors = validateAgainstSchema(response.data, type.schema, 'suggestions');
+    if (errors.length > 0) {
+      throw this.providerError(
+        `${target.provider.displayName} API returned invalid ${kind} suggestions: ${errors.slice(0, 3).join('; ')}`,
+        target
+      );
+    }
+
+    const suggestions = response.data[kind].slice(0, count);
+
+    return {
+      kind,
+      suggestions,
+      formValue: type.toFormValue({ [kind]: suggestions }),
+      metadata: {
+        provider: target.provider.id,
+        model: target.model,
+        inputTokens: response.usage.inputTokens,
+        outputTokens: response.usage.outputTokens,
+        processingTime: Date.now() - startTime
+      }
+    };
+  }
+
+  /**
+   * Translate report text, in parts small enough for each translation to fit the output limit
+   * @param {string} text - Report text
+   * @param {string} language - Target language code
+   * @param {Object} options - { provider, model, signal, onUsage }
+   * @returns {Promise<Object>} { text, metadata }
+   */
+  async translateReport(text, language, options = {}) {
+    const startTime = Date.now();
+    const target = providers.resolveTarget(options.provider, options.model);
+    const parts = splitIntoParts(text, config.translation.maxPartChars);
+    const translated = [];
+    let inputTokens = 0;
+    let outputTokens = 0;
+
+    for (const [index, part] of parts.entries()) {
+      let response;
+      try {
+        response = await this.sendMessage(target, {
+          maxTokens: target.modelInfo.maxTokens || config.claude.maxTokens,
+          temperature: 0.1,
+          messages: [{ role: 'user', content: createTranslationPrompt(part, language, { index, total: parts.length }) }]
+        }, { signal: options.signal, onUsage: options.onUsage, purpose: 'translation' });
+      } catch (error) {
+        logger.error(`Report translation failed`, {
+          language,
+          part: index + 1,
+          parts: parts.length,
+          provider: target.provider.id,
+          model: target.model,
+          error: error.message,
+          status: error.status
+        });
+
+        throw this.mapProviderError(error, target);
+      }
+
+      // A cut-off part would silently drop report content
+      if (response.stopReason === 'max_tokens') {
+        throw this.providerError(
+          `${target.provider.displayName} API translation hit the output token limit (part ${index + 1} of ${parts.length}). Lower TRANSLATION_MAX_PART_CHARS and try again.`,
+          target
+        );
+      }
+
+      translated.push(response.text.trim());
+      inputTokens += response.usage.inputTokens;
+      outputTokens += response.usage.outputTokens;
+    }
+
+    return {
+      text: translated.join('\n\n'),
+      metadata: {
+        provider: target.provider.id,
+        model: target.model,
+        language,
+        parts: parts.length,
+        inputTokens,
+        outputTokens,
+        processingTime: Date.now() - startTime
+      }
+    };
+  }
+
+  /**
+   * Dry run of a comprehensive analysis: the prompt that would be sent, its
+   * input token count and the projected cost. Nothing is generated or billed.
+   * @param {Object} formData - Complete form data from client
+   * @param {Object} context - { analysisMode, template }
+   * @returns {Promise<Object>} Preview
+   */
+  async previewComprehensive(formData, context = {}) {
+    const target = providers.resolveTarget(formData.provider, formData.model);
+    const modelMaxTokens = target.modelInfo.maxTokens || config.claude.maxTokens;
+    const count = (prompt, system) => target.provider.countTokens({
+      model: target.model,
+      ...(system ? { system } : {}),
+      messages: [{ role: 'user', content: prompt }]
+    });
+
+    // The built-in single prompt is sent as a cached system prompt plus the per-brand brief
+    const split = !context.template && context.analysisMode !== 'pipeline'
+      ? createCacheableAnalysisPrompt(formData)
+      : null;
+    const prompt = context.template
+      ? this.renderTemplate(context.template, formData)
+      : (split ? split.prompt : createComprehensiveBrandAnalysisPrompt(formData));
+    const caching = Boolean(split) && target.provider.cachesSystem({ system: split.system, cacheSystem: true });
+
+    // Website content is only known after the crawl; count it at its budget
+    // (maxPromptChars of page text, about four characters per token)
+    const placesWebsite = !context.template || findTemplateVariables(context.template.content).includes('websiteSection');
+    const websiteTokens = (formData.crawlWebsite ?? config.crawler.enabled) && placesWebsite
+      ? Math.ceil(config.crawler.maxPromptChars / 4)
+      : 0;
 
-      const prompt = createBrandAnalysisPrompt(brandName, options.websiteUrl);
+    // Calls the run would make. Pipeline phases also receive the output of
+    // earlier phases, counted here at their maximum length.
+    let calls;
+    if (context.analysisMode === 'pipeline') {
+      const phasePrompts = PHASES.map(phase => createPhasePrompt(phase, formData));
+      const counts = await Promise.all(phasePrompts.map(prompt => count(prompt)));
+      let earlierOutputTokens = 0;
 
-      const response = await this.client.messages.create({
-        model: config.claude.model,
-        max_tokens: config.claude.maxTokens,
+      calls = PHASES.map((phase, index) => {
+        const maxOutputTokens = Math.min(phase.maxTokens, modelMaxTokens);
+        // Only the research phase receives the website content
+        const phaseWebsiteTokens = index === 0 ? websiteTokens : 0;
+        const call = {
+          purpose: `phase:${phase.id}`,
+          title: phase.title,
+          prompt: phasePrompts[index],
+          inputTokens: counts[index].inputTokens + earlierOutputTokens + phaseWebsiteTokens,
+          websiteTokens: phaseWebsiteTokens,
+          maxOutputTokens,
+          method: counts[index].method
+        };
+        earlierOutputTokens += maxOutputTokens;
+        return call;
+      });
+    } else {
+      const counted = await count(prompt, split?.system);
+      calls = [{
+        purpose: 'analysis',
+        inputTokens: counted.inputTokens + websiteTokens,
+        websiteTokens,
+        cacheableTokens: caching ? (await count(split.system)).inputTokens : 0,
+        maxOutputTokens: modelMaxTokens,
+        method: counted.method
+      }];
+    }
+
+    const inputTokens = calls.reduce((sum, call) => sum + call.inputTokens, 0);
+    const cacheableTokens = calls.reduce((sum, call) => sum + (call.cacheableTokens || 0), 0);
+    const maxOutputTokens = calls.reduce((sum, call) => sum + call.maxOutputTokens, 0);
+    // The first run writes the system prompt to the cache; runs within the cache lifetime read it
+    const inputCostUsd = calculateCost(target.model, {
+      inputTokens: inputTokens - cacheableTokens,
+      cacheCreationInputTokens: cacheableTokens
+    });
+    const cachedInputCostUsd = calculateCost(target.model, {
+      inputTokens: inputTokens - cacheableTokens,
+      cacheReadInputTokens: cacheableTokens
+    });
+    const maxOutputCostUsd = calculateCost(target.model, { outputTokens: maxOutputTokens });
+
+    return {
+      provider: target.provider.id,
+      model: target.model,
+      analysisMode: context.analysisMode,
+      template: context.template ? context.template.reference : null,
+      system: split ? split.system : null, // Static system prompt, identical for every brand
+      prompt,
+      promptLength: (split ? split.system.length : 0) + prompt.length,
+      // Sections the model researches itself because the form left them empty
+      aiGenerated: {
+        competitors: !(formData.competitors?.length > 0),
+        topics: !(formData.topics?.length > 0),
+        personas: !formData.personas?.trim(),
+        prompts: !(formData.prompts?.length > 0)
+      },
+      tokens: {
+        inputTokens,
+        cacheableTokens, // Part of inputTokens sent as the cached system prompt
+        websiteTokens, // Part of inputTokens estimated for the crawled website content
+        maxOutputTokens,
+        counting: calls.every(call => call.method === calls[0].method) ? calls[0].method : 'mixed'
+      },
+      phases: context.analysisMode === 'pipeline'
+        ? calls.map(({ method, ...call }) => call)
+        : null,
+      projectedCost: {
+        currency: 'USD',
+        pricing: target.modelInfo.pricing || null,
+        inputCostUsd,
+        cachedInputCostUsd, // Input cost when the system prompt is read from the cache
+        maxOutputCostUsd,
+        maxCostUsd: inputCostUsd === null ? null : Math.round((inputCostUsd + maxOutputCostUsd) * 1e6) / 1e6,
+        excludes: context.analysisMode === 'pipeline'
+          ? ['phase retries and continuations', 'measured prompt tests', 'structured report (format=json)']
+          : ['continuation when the response hits the token limit', 'measured prompt tests', 'structured report (format=json)']
+      }
+    };
+  }
+
+  /**
+   * Request for the legacy brand analysis (also submitted as part of bulk batches)
+   * @param {string} brandName - Brand name to analyze
+   * @param {Object} options - { provider, model, websiteUrl }
+   * @returns {Object} { target, request } - request without model, as passed to sendMessage()
+   */
+  createBrandAnalysisRequest(brandName, options = {}) {
+    const target = providers.resolveTarget(options.provider, options.model);
+    const maxTokens = target.modelInfo.maxTokens || config.claude.maxTokens;
+    const prompt = createBrandAnalysisPrompt(brandName, options.websiteUrl);
+
+    return {
+      target,
+      request: {
+        maxTokens,
         temperature: 0.05,
         messages: [
           {
             role: 'user',
             content: prompt
           }
-        ],
-      });
+        ]
+      }
+    };
+  }
 
-      let analysis = response.content[0].text;
-      let totalInputTokens = response.usage.input_tokens;
-      let totalOutputTokens = response.usage.output_tokens;
-      let totalTokens = totalInputTokens + totalOutputTokens;
-      
-      const processingTime = Date.now() - startTime;
+  /**
+   * Legacy analysis result for a provider response
+   * @param {Object} target - Resolved provider and model
+   * @param {Object} request - Request from createBrandAnalysisRequest()
+   * @param {Object} response - Normalized provider response
+   * @param {number} processingTime - Milliseconds
+   * @returns {Object} { analysis, metadata }
+   */
+  buildBrandAnalysisResult(target, request, response, processingTime) {
+    const analysis = response.text;
+    const totalInputTokens = response.usage.inputTokens;
+    const totalOutputTokens = response.usage.outputTokens;
 
-      logger.info(`Claude legacy analysis completed successfully`, {
-        brandName,
-        model: config.claude.model,
-        tokensUsed: totalTokens,
+    return {
+      analysis,
+      metadata: {
+        provider: target.provider.id,
+        providerName: target.provider.displayName,
+        model: target.model,
+        tokensUsed: totalInputTokens + totalOutputTokens,
         inputTokens: totalInputTokens,
         outputTokens: totalOutputTokens,
+        maxTokensAvailable: request.maxTokens,
+        tokensUtilization: ((totalOutputTokens / request.maxTokens) * 100).toFixed(1) + '%',
         processingTime,
-        responseLength: analysis.length
+        timestamp: new Date().toISOString(),
+        responseLength: analysis.length,
+        stopReason: response.stopReason,
+        promptLength: request.messages[0].content.length
+      }
+    };
+  }
+
+  /**
+   * Legacy analyze brand method for backward compatibility
+   * @param {string} brandName - Brand name to analyze
+   * @param {Object} options - Analysis options
+   * @returns {Promise<Object>} Analysis result
+   */
+  async analyzeBrand(brandName, options = {}) {
+    const startTime = Date.now();
+    const { target, request } = this.createBrandAnalysisRequest(brandName, options);
+    
+    try {
+      logger.info(`Starting legacy analysis for brand: ${brandName}`, {
+        provider: target.provider.id,
+        model: target.model,
+        maxTokens: request.maxTokens
       });
 
-      return {
-        analysis,
-        metadata: {
-          model: config.claude.model,
-          tokensUsed: totalTokens,
-          inputTokens: totalInputTokens,
-          outputTokens: totalOutputTokens,
-          maxTokensAvailable: config.claude.maxTokens,
-          tokensUtilization: ((totalOutputTokens / config.claude.maxTokens) * 100).toFixed(1) + '%',
-          processingTime,
-          timestamp: new Date().toISOString(),
-          responseLength: analysis.length,
-          stopReason: response.stop_reason,
-          promptLength: prompt.length
-        }
-      };
+      const response = await this.sendMessage(target, request, { onUsage: options.onUsage });
+      const result = this.buildBrandAnalysisResult(target, request, response, Date.now() - startTime);
+
+      logger.info(`Legacy analysis completed successfully`, {
+        brandName,
+        provider: target.provider.id,
+        model: target.model,
+        tokensUsed: result.metadata.tokensUsed,
+        inputTokens: result.metadata.inputTokens,
+        outputTokens: result.metadata.outputTokens,
+        processingTime: result.metadata.processingTime,
+        responseLength: result.metadata.responseLength
+      });
+
+      return result;
 
     } catch (error) {
-      logger.error(`Claude legacy analysis failed for brand: ${brandName}`, {
+      logger.error(`Legacy analysis failed for brand: ${brandName}`, {
+        provider: target.provider.id,
+        model: target.model,
         error: error.message,
         type: error.constructor.name,
         status: error.status,
@@ -276,59 +1083,65 @@ This must be a complete, professional deliverable worthy of a $50,000 consulting
   }
 
   /**
-   * Get Claude service status
+   * Get status of the default LLM provider
    */
   async getStatus() {
-    try {
-      const testStart = Date.now();
-      const response = await this.client.messages.create({
-        model: config.claude.model,
-        max_tokens: 50,
-        messages: [
-          {
-            role: 'user',
-            content: 'Service status check - respond with "operational"'
-          }
-        ]
-      });
-
-      const responseTime = Date.now() - testStart;
+    const provider = providers.getProvider();
+    const status = await provider.getStatus();
 
-      return {
-        status: 'operational',
-        model: config.claude.model,
-        maxTokens: config.claude.maxTokens,
-        responseTime: `${responseTime}ms`,
-        lastChecked: new Date().toISOString(),
-        testResponse: response.content[0].text,
-        capabilities: {
-          comprehensiveAnalysis: true,
-          formDataProcessing: true,
-          competitorGeneration: true,
-          topicIdentification: true,
-          promptDevelopment: true,
-          personaCreation: true
-        }
-      };
-    } catch (error) {
-      return {
-        status: 'error',
-        error: error.message,
-        model: config.claude.model,
-        lastChecked: new Date().toISOString()
-      };
+    if (status.status !== 'operational') {
+      return status;
     }
+
+    return {
+      ...status,
+      maxTokens: config.availableModels[status.model]?.maxTokens || config.claude.maxTokens,
+      capabilities: {
+        comprehensiveAnalysis: true,
+        formDataProcessing: true,
+        competitorGeneration: true,
+        topicIdentification: true,
+        promptDevelopment: true,
+        personaCreation: true
+      }
+    };
+  }
+
+  /**
+   * Client-side rate limit queue for the provider a request would use
+   * @param {string} providerId - Requested provider (optional)
+   * @param {string} model - Requested model (optional)
+   * @returns {Object|null} Scheduler state, or null when the provider is not rate scheduled
+   */
+  getRateLimitStatus(providerId, model) {
+    const target = providers.resolveTarget(providerId, model);
+    return target.provider.scheduler ? target.provider.scheduler.getState() : null;
+  }
+
+  /**
+   * Rate scheduler state for every provider with a configured rate budget
+   * @returns {Array<Object>} Scheduler states
+   */
+  getRateLimits() {
+    return Object.keys(config.llm.providers)
+      .map(providerId => providers.getProvider(providerId))
+      .filter(provider => provider.scheduler)
+      .map(provider => provider.scheduler.getState());
   }
 
   /**
    * Get detailed model information
    */
   getModelInfo() {
+    const defaultTarget = providers.resolveTarget();
+
     return {
       current: {
-        model: config.claude.model,
-        maxTokens: config.claude.maxTokens
+        provider: defaultTarget.provider.id,
+        model: defaultTarget.model,
+        maxTokens: defaultTarget.modelInfo.maxTokens || config.claude.maxTokens
       },
+      providers: providers.listProviders(),
       features: {
         comprehensiveAnalysis: 'Full 6,000-8,000 word detailed reports',
         formDataIntegration: 'Client-specified competitors, topics, prompts, and personas',
@@ -337,7 +1150,9 @@ This must be a complete, professional deliverable worthy of a $50,000 consulting
         competitorAnalysis: 'Up to 5 competitors with detailed comparison',
         topicAnalysis: 'Up to 4 key topics with market analysis',
         promptTesting: 'Up to 4 realistic test prompts',
-        personaDevelopment: 'Detailed ICP creation and analysis'
+        personaDevelopment: 'Detailed ICP creation and analysis',
+        providerSelection: 'Provider and model selectable per request',
+        structuredReport: 'Schema-validated JSON report with format=json'
       }
     };
   }
@@ -0,0 +1,341 @@
+const dns = require('dns');
+const net = require('net');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const { extractPage } = require('../utils/html');
+const { parseRobots, isAllowed } = require('../utils/robots');
+const { mapWithConcurrency } = require('../utils/concurrency');
+const { sleep } = require('../utils/resilience');
+
+const MAX_REDIRECTS = 5;
+
+// Links to files that are never worth fetching as pages
+const SKIPPED_EXTENSIONS = /\.(pdf|jpe?g|png|gif|webp|svg|ico|css|js|json|xml|zip|gz|mp4|mp3|mov|avi|woff2?|ttf|eot|docx?|xlsx?|pptx?)$/i;
+
+/**
+ * Whether an IP address is loopback, private, link-local or otherwise not public
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean}
+ */
+const isPrivateAddress = (address) => {
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+  if (mapped) return isPrivateAddress(mapped[1]);
+
+  if (net.isIPv4(address)) {
+    const [a, b] = address.split('.').map(Number);
+    return a === 0 || a === 10 || a === 127 ||
+      (a === 100 && b >= 64 && b <= 127) ||
+      (a === 169 && b === 254) ||
+      (a === 172 && b >= 16 && b <= 31) ||
+      (a === 192 && b === 168) ||
+      a >= 224;
+  }
+
+  const normalized = address.toLowerCase();
+  return normalized === '::' || normalized === '::1' ||
+    normalized.startsWith('fc') || normalized.startsWith('fd') || normalized.startsWith('fe80');
+};
+
+class CrawlerService {
+  constructor() {
+    this.settings = config.crawler;
+  }
+
+  /**
+   * Fetch the homepage and a bounded set of internal pages, honoring robots.txt,
+   * and extract their titles, meta descriptions, headings and text. With a
+   * robots.txt Crawl-delay, pages are fetched one at a time at that pace.
+   * @param {string} websiteUrl - Brand website
+   * @param {Object} options - { signal, onEvent, maxPages, maxDepth }
+   * @returns {Promise<Object>} Crawl snapshot
+   */
+  async crawl(websiteUrl, options = {}) {
+    const startTime = Date.now();
+    const emit = options.onEvent || (() => {});
+    const maxPages = options.maxPages || this.settings.maxPages;
+    const maxDepth = options.maxDepth ?? this.settings.maxDepth;
+    const pages = [];
+    const skipped = [];
+
+    logger.info(`Starting website crawl`, { websiteUrl, maxPages, maxDepth });
+
+    // The homepage may redirect (e.g. to www. or https); its final origin defines the site
+    let homepage;
+    try {
+      homepage = await this.fetchPage(websiteUrl, options.signal);
+    } catch (error) {
+      if (options.signal?.aborted) throw error;
+
+      logger.warn(`Website crawl failed: ${error.message}`, { websiteUrl });
+      return this.buildSnapshot(websiteUrl, startTime, { error: error.message, pages, skipped });
+    }
+
+    const origin = new URL(homepage.url).origin;
+    const robots = await this.fetchRobots(origin, options.signal);
+
+    if (!isAllowed(robots, new URL(homepage.url).pathname)) {
+      skipped.push({ url: homepage.url, reason: 'robots.txt' });
+      return this.buildSnapshot(websiteUrl, startTime, { origin, robots, pages, skipped });
+    }
+
+    const visited = new Set([this.normalizeUrl(websiteUrl), this.normalizeUrl(homepage.url)]);
+    let level = [{ url: homepage.url, depth: 0, fetched: homepage }];
+
+    const crawlDelayMs = robots.crawlDelay ? robots.crawlDelay * 1000 : 0;
+    const delayTooLong = crawlDelayMs > this.settings.maxCrawlDelayMs;
+    let lastFetchAt = Date.now();
+
+    while (level.length > 0 && pages.length < maxPages) {
+      const batch = level.slice(0, maxPages - pages.length);
+      const results = await mapWithConcurrency(batch, crawlDelayMs ? 1 : this.settings.concurrency, async (item) => {
+        try {
+          if (!item.fetched && crawlDelayMs) {
+            await sleep(Math.max(0, lastFetchAt + crawlDelayMs - Date.now()), options.signal);
+            lastFetchAt = Date.now();
+          }
+          const fetched = item.fetched || await this.fetchPage(item.url, options.signal);
+          if (new URL(fetched.url).origin !== origin) {
+            return { item, skipped: 'redirected off-site' };
+          }
+          return { item, fetched };
+        } catch (error) {
+          if (options.signal?.aborted) throw error;
+          return { item, skipped: error.message };
+        }
+      });
+
+      const next = [];
+      for (const { item, fetched, skipped: reason } of results) {
+        if (reason) {
+          skipped.push({ url: item.url, reason });
+          continue;
+        }
+
+        const page = extractPage(fetched.body, fetched.url);
+        if (!page.noindex) {
+          pages.push({
+            url: fetched.url,
+            depth: item.depth,
+            status: fetched.status,
+            title: page.title,
+            metaDescription: page.metaDescription,
+            headings: page.headings,
+            text: page.text.slice(0, this.settings.maxTextPerPage),
+            bytes: fetched.bytes,
+            truncated: fetched.truncated || page.text.length > this.settings.maxTextPerPage
+          });
+          emit('crawl', { url: fetched.url, title: page.title, pages: pages.length });
+        } else {
+          skipped.push({ url: fetched.url, reason: 'noindex' });
+        }
+
+        if (item.depth >= maxDepth || page.nofollow) continue;
+
+        for (const link of page.links) {
+          const url = new URL(link);
+          const key = this.normalizeUrl(link);
+          if (url.origin !== origin || visited.has(key) || SKIPPED_EXTENSIONS.test(url.pathname)) continue;
+          visited.add(key);
+
+          if (delayTooLong) {
+            skipped.push({ url: link, reason: `robots.txt Crawl-delay ${robots.crawlDelay}s` });
+            continue;
+          }
+
+          if (!isAllowed(robots, url.pathname + url.search)) {
+            skipped.push({ url: link, reason: 'robots.txt' });
+            continue;
+          }
+          next.push({ url: link, depth: item.depth + 1 });
+        }
+      }
+
+      level = next;
+    }
+
+    const snapshot = this.buildSnapshot(websiteUrl, startTime, { origin, robots, pages, skipped });
+
+    logger.info(`Website crawl completed`, {
+      websiteUrl,
+      pages: pages.length,
+      skipped: skipped.length,
+      durationMs: snapshot.durationMs
+    });
+
+    return snapshot;
+  }
+
+  /**
+   * Crawl result stored with the report
+   * @param {string} websiteUrl - Requested website
+   * @param {number} startTime - Crawl start
+   * @param {Object} data - { origin, robots, pages, skipped, error }
+   * @returns {Object} Snapshot
+   */
+  buildSnapshot(websiteUrl, startTime, data) {
+    return {
+      websiteUrl,
+      origin: data.origin || null,
+      crawledAt: new Date(startTime).toISOString(),
+      durationMs: Date.now() - startTime,
+      userAgent: this.settings.userAgent,
+      robots: data.robots
+        ? { found: data.robots.found, rules: data.robots.rules.length, crawlDelay: data.robots.crawlDelay, error: data.robots.error || null }
+        : null,
+      error: data.error || null,
+      summary: {
+        pagesCrawled: data.pages.length,
+        pagesSkipped: data.skipped.length,
+        textLength: data.pages.reduce((sum, page) => sum + page.text.length, 0)
+      },
+      pages: data.pages,
+      skipped: data.skipped
+    };
+  }
+
+  /**
+   * Load robots.txt rules for our user agent. As RFC 9309 requires, a missing
+   * file (4xx) allows everything, while a server error or an unreachable file
+   * disallows everything.
+   * @param {string} origin - Site origin
+   * @param {AbortSignal} signal - Optional abort signal
+   * @returns {Promise<Object>} { found, rules, crawlDelay, error }
+   */
+  async fetchRobots(origin, signal) {
+    try {
+      const response = await this.fetchPage(`${origin}/robots.txt`, signal, { accept: 'text/plain' });
+      return { found: true, ...parseRobots(response.body, this.settings.userAgent.split('/')[0]) };
+    } catch (error) {
+      if (signal?.aborted) throw error;
+
+      if (error.status && error.status < 500) {
+        return { found: false, rules: [], crawlDelay: null };
+      }
+      return { found: false, rules: [{ allow: false, path: '/' }], crawlDelay: null, error: `robots.txt unavailable: ${error.message}` };
+    }
+  }
+
+  /**
+   * Fetch one URL with timeout, size limit and manual redirects
+   * (every hop is checked so a public site cannot redirect into the private network)
+   * @param {string} url - URL to fetch
+   * @param {AbortSignal} signal - Optional abort signal
+   * @param {Object} options - { accept: expected content type prefix (default text/html) }
+   * @returns {Promise<Object>} { url, status, body, bytes, truncated }
+   */
+  async fetchPage(url, signal, options = {}) {
+    const accept = options.accept || 'text/html';
+    let currentUrl = url;
+
+    for (let redirects = 0; redirects <= MAX_REDIRECTS; redirects++) {
+      await this.assertFetchable(currentUrl);
+
+      const controller = new AbortController();
+      const timer = setTimeout(() => controller.abort(new Error(`Timed out after ${this.settings.timeoutMs}ms`)), this.settings.timeoutMs);
+      const onAbort = () => controller.abort(signal.reason);
+      signal?.addEventListener('abort', onAbort, { once: true });
+
+      try {
+        const response = await fetch(currentUrl, {
+          redirect: 'manual',
+          signal: controller.signal,
+          headers: {
+            'User-Agent': this.settings.userAgent,
+            'Accept': accept === 'text/html' ? 'text/html,application/xhtml+xml' : accept
+          }
+        });
+
+        if (response.status >= 300 && response.status < 400 && response.headers.get('location')) {
+          await response.body?.cancel();
+          currentUrl = new URL(response.headers.get('location'), currentUrl).href;
+          continue;
+        }
+
+        if (!response.ok) {
+          await response.body?.cancel();
+          throw Object.assign(new Error(`HTTP ${response.status}`), { status: response.status });
+        }
+
+        const contentType = response.headers.get('content-type') || '';
+        if (!contentType.startsWith(accept) && !(accept === 'text/html' && contentType.includes('xhtml'))) {
+          await response.body?.cancel();
+          throw Object.assign(new Error(`Unsupported content type ${contentType || 'unknown'}`), { status: response.status });
+        }
+
+        const { body, bytes, truncated } = await this.readBody(response);
+        return { url: currentUrl, status: response.status, body, bytes, truncated };
+      } catch (error) {
+        if (controller.signal.aborted && !signal?.aborted) {
+          throw new Error(controller.signal.reason?.message || 'Request aborted');
+        }
+        // fetch() reports network failures as "fetch failed" with the reason in cause
+        if (error.cause && !signal?.aborted) {
+          throw new Error(`${error.message}: ${error.cause.code || error.cause.message}`);
+        }
+        throw error;
+      } finally {
+        clearTimeout(timer);
+        signal?.removeEventListener('abort', onAbort);
+      }
+    }
+
+    throw new Error(`Too many redirects (over ${MAX_REDIRECTS})`);
+  }
+
+  /**
+   * Read a response body up to the page size limit
+   * @param {Response} response - Fetch response
+   * @returns {Promise<Object>} { body, bytes, truncated }
+   */
+  async readBody(response) {
+    const chunks = [];
+    let bytes = 0;
+    let truncated = false;
+
+    for await (const chunk of response.body) {
+      const remaining = this.settings.maxPageBytes - bytes;
+      chunks.push(chunk.length > remaining ? chunk.subarray(0, remaining) : chunk);
+      bytes += Math.min(chunk.length, remaining);
+      if (bytes >= this.settings.maxPageBytes) {
+        truncated = true;
+        break;
+      }
+    }
+
+    return { body: new TextDecoder('utf-8').decode(Buffer.concat(chunks)), bytes, truncated };
+  }
+
+  /**
+   * Refuse non-HTTP URLs and (unless allowed) hosts that resolve to private addresses
+   * @param {string} url - URL to check
+   */
+  async assertFetchable(url) {
+    const parsed = new URL(url);
+    if (!['http:', 'https:'].includes(parsed.protocol)) {
+      throw new Error(`Unsupported protocol ${parsed.protocol}`);
+    }
+    if (this.settings.allowPrivateHosts) return;
+
+    const hostname = parsed.hostname.replace(/^\[|\]$/g, '');
+    const addresses = net.isIP(hostname)
+      ? [{ address: hostname }]
+      : await dns.promises.lookup(hostname, { all: true });
+
+    if (addresses.some(({ address }) => isPrivateAddress(address))) {
+      throw new Error(`Refusing to crawl private address for ${parsed.hostname}`);
+    }
+  }
+
+  /**
+   * Key used to avoid fetching the same page twice
+   * @param {string} url - URL
+   * @returns {string} Normalized URL
+   */
+  normalizeUrl(url) {
+    const parsed = new URL(url);
+    parsed.hash = '';
+    return `${parsed.origin}${parsed.pathname.replace(/\/+$/, '') || '/'}${parsed.search}`;
+  }
+}
+
+module.exports = new CrawlerService();
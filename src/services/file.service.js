@@ -3,6 +3,8 @@ const path = require('path');
 const moment = require('moment');
 const config = require('../config/config');
 const logger = require('../utils/logger');
+const { getOutputLanguage, languageName } = require('../utils/i18n');
+const { describeMarket } = require('../utils/markets');
 
 class FileService {
   constructor() {
@@ -89,6 +91,86 @@ class FileService {
     }
   }
 
+  /**
+   * Save a translated copy next to the original report (name_analysis_..._<language>.txt)
+   * @param {string} reportFilePath - Path of the original .txt report
+   * @param {string} language - Language code of the translation
+   * @param {string} content - Translated file content
+   * @returns {Promise<string>} File path
+   */
+  async saveTranslatedFile(reportFilePath, language, content) {
+    // A translation of a translation replaces the language suffix instead of stacking it
+    const filePath = reportFilePath.replace(/(_[a-z]{2})?\.txt$/, `_${language}.txt`);
+
+    try {
+      await fs.writeFile(filePath, content, 'utf8');
+      logger.info(`Translated report saved: ${path.basename(filePath)}`, { language, original: path.basename(reportFilePath) });
+      return filePath;
+    } catch (error) {
+      logger.error(`Failed to save translated report: ${error.message}`, { reportFilePath, language });
+      throw error;
+    }
+  }
+
+  /**
+   * Analysis text of a saved report, without the header and footer
+   * @param {string} content - Report file content
+   * @returns {string|null} Analysis text, or null when the file has no standard header and footer
+   */
+  extractAnalysisText(content) {
+    // Header and footer are framed by separator lines; cleanAnalysisText() strips them from the analysis
+    const parts = content.split('='.repeat(50));
+    return parts.length === 5 ? parts[2].trim() : null;
+  }
+
+  /**
+   * Path of a JSON sidecar stored next to a report (e.g. report.probes.json)
+   * @param {string} reportFilePath - Path of the .txt report
+   * @param {string} kind - Sidecar kind
+   * @returns {string} Sidecar path
+   */
+  getSidecarPath(reportFilePath, kind) {
+    return reportFilePath.replace(/\.txt$/, `.${kind}.json`);
+  }
+
+  /**
+   * Save JSON data next to a report
+   * @param {string} reportFilePath - Path of the .txt report
+   * @param {string} kind - Sidecar kind (probes, meta, ...)
+   * @param {Object} data - Data to store
+   * @returns {Promise<string>} Sidecar path
+   */
+  async saveSidecarFile(reportFilePath, kind, data) {
+    const sidecarPath = this.getSidecarPath(reportFilePath, kind);
+
+    try {
+      await fs.writeFile(sidecarPath, JSON.stringify(data, null, 2), 'utf8');
+      logger.info(`Report ${kind} data saved: ${path.basename(sidecarPath)}`);
+      return sidecarPath;
+    } catch (error) {
+      logger.error(`Failed to save report ${kind} data: ${error.message}`, { reportFilePath });
+      throw error;
+    }
+  }
+
+  /**
+   * Read JSON data stored next to a report
+   * @param {string} reportFilePath - Path of the .txt report
+   * @param {string} kind - Sidecar kind
+   * @returns {Promise<Object|null>} Data, or null when there is none
+   */
+  async readSidecarFile(reportFilePath, kind) {
+    try {
+      const content = await fs.readFile(this.getSidecarPath(reportFilePath, kind), 'utf8');
+      return JSON.parse(content);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.warn(`Failed to read report ${kind} data: ${error.message}`, { reportFilePath });
+      }
+      return null;
+    }
+  }
+
   /**
    * Generate file name with timestamp
    * @param {string} brandName - Brand name
@@ -115,18 +197,28 @@ class FileService {
  * @returns {string} File content
  */
 createFileContent(brandName, analysisText, metadata, formData) {
-  // Create simple, clean header
-  const header = `Brand Visibility Analysis of ${brandName}
+  const language = getOutputLanguage(metadata.outputLanguage);
+  const labels = language.labels;
+
+  // Create simple, clean header in the report language
+  const header = `${labels.title(brandName)}
 ${'='.repeat(50)}
 
-Generated: ${new Date(metadata.timestamp).toLocaleString()}
-Website: ${formData.websiteUrl || 'Not provided'}
-Contact: ${formData.email || 'Not provided'}
+${labels.generated}: ${new Date(metadata.timestamp).toLocaleString(language.locale)}
+${labels.website}: ${formData.websiteUrl || labels.notProvided}
+${labels.contact}: ${formData.email || labels.notProvided}
 
-Analysis Parameters:
-- Processing Time: ${metadata.processingTime}ms
-- Analysis Quality: ${metadata.responseLength > 5000 ? 'COMPREHENSIVE' : 'STANDARD'}
-- Client Specifications: ${formData.competitors?.length || 0} competitors, ${formData.topics?.length || 0} topics, ${formData.prompts?.length || 0} prompts
+${labels.parameters}:
+- ${labels.provider}: ${metadata.providerName || 'Anthropic Claude'} (${metadata.model})
+- ${labels.processingTime}: ${metadata.processingTime}ms
+- ${labels.quality}: ${metadata.responseLength > 5000 ? labels.comprehensive : labels.standard}
+- ${labels.specifications}: ${labels.specificationCounts(formData.competitors?.length || 0, formData.topics?.length || 0, formData.prompts?.length || 0)}${metadata.website ? `
+- ${labels.websitePages}: ${metadata.website.pagesCrawled}${metadata.website.error ? ` (${labels.crawlFailed}: ${metadata.website.error})` : ''}` : ''}${metadata.measurement ? `
+- ${labels.measuredTests}: ${labels.measuredCounts(metadata.measurement.answeredQueries, brandName, metadata.measurement.brandMentions)}` : ''}${metadata.visibility ? `
+- ${labels.visibilityScore}: ${metadata.visibility.visibilityScore === null ? labels.notMeasured : `${metadata.visibility.visibilityScore}/100 (${labels.shareOfVoice} ${Math.round((metadata.visibility.brand?.shareOfVoice || 0) * 100)}%)`}` : ''}${metadata.template ? `
+- ${labels.template}: ${metadata.template.reference}` : ''}${metadata.markets?.length > 0 ? `
+- ${labels.markets}: ${metadata.markets.map(market => describeMarket(market, language.locale).label).join(', ')}` : ''}${metadata.translatedFrom ? `
+- ${labels.translatedFrom}: ${languageName(metadata.translatedFrom.language, language.code)} (${metadata.translatedFrom.fileName})` : ''}
 
 ${'='.repeat(50)}
 
@@ -135,8 +227,8 @@ ${'='.repeat(50)}
   const footer = `
 
 ${'='.repeat(50)}
-Analysis completed on ${new Date().toLocaleString()}
-For questions or clarifications, contact: ${formData.email || 'client'}
+${labels.completedOn} ${new Date().toLocaleString(language.locale)}
+${labels.questions}: ${formData.email || labels.client}
 ${'='.repeat(50)}`;
 
   // Clean the analysis text by removing excessive formatting
@@ -371,6 +463,15 @@ cleanAnalysisText(text) {
       }
       
       await fs.unlink(filePath);
+
+      // Remove JSON sidecars stored with the report
+      const baseName = path.basename(filePath, '.txt');
+      const siblings = await fs.readdir(path.dirname(filePath)).catch(() => []);
+      for (const sibling of siblings) {
+        if (sibling.startsWith(`${baseName}.`) && sibling.endsWith('.json')) {
+          await fs.unlink(path.join(path.dirname(filePath), sibling)).catch(() => {});
+        }
+      }
       
       logger.info(`File deleted: ${fileName}${brandFolder ? ` from brand: ${brandFolder}` : ''}`);
       return true;
@@ -0,0 +1,557 @@
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const brandService = require('./brand.service');
+const fileService = require('./file.service');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+
+const FINISHED_STATUSES = ['completed', 'failed', 'cancelled'];
+
+class JobService {
+  constructor() {
+    this.jobs = new Map();
+    this.deadLetter = [];
+    this.pending = [];
+    this.running = 0;
+    this.concurrency = config.jobs.concurrency;
+    this.maxAttempts = config.jobs.maxAttempts;
+    this.retryDelayMs = config.jobs.retryDelayMs;
+    this.retentionMs = config.jobs.retentionMs;
+    this.stateFile = path.join(config.jobs.dataDir, 'queue.json');
+    this.loaded = false;
+    this.stopped = false;
+    this.retryTimers = new Set();
+    this.writeChain = Promise.resolve();
+  }
+
+  /**
+   * Load persisted queue state and resume interrupted jobs
+   */
+  start() {
+    this.ensureLoaded();
+    this.stopped = false;
+    this.processQueue();
+
+    logger.info(`Job queue started`, this.getStatistics());
+  }
+
+  /**
+   * Stop starting new jobs and flush queue state to disk.
+   * Jobs still running are left as "running" and resumed on next start.
+   * @returns {Promise<void>}
+   */
+  async shutdown() {
+    this.stopped = true;
+    this.retryTimers.forEach(timer => clearTimeout(timer));
+    this.retryTimers.clear();
+    this.persist();
+    await this.writeChain;
+
+    logger.info(`Job queue stopped`, { running: this.running, queued: this.pending.length });
+  }
+
+  /**
+   * Read queue state from disk once. Interrupted jobs go back to the queue;
+   * jobs that were being cancelled are finished as cancelled.
+   */
+  ensureLoaded() {
+    if (this.loaded) return;
+    this.loaded = true;
+
+    let state;
+    try {
+      state = JSON.parse(fs.readFileSync(this.stateFile, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.error(`Failed to load job queue state: ${error.message}`, { stateFile: this.stateFile });
+      }
+      return;
+    }
+
+    this.deadLetter = state.deadLetter || [];
+
+    let recovered = 0;
+    let cancelled = 0;
+    for (const job of state.jobs || []) {
+      if (job.status === 'running') {
+        job.status = 'queued';
+        job.progress = { stage: 'queued', percent: 0 };
+        job.startedAt = null;
+        recovered++;
+      } else if (job.status === 'cancelling') {
+        // Cancelled before the restart: the user asked for it to stop, so it is not run again
+        job.status = 'cancelled';
+        job.progress = { ...job.progress, stage: 'cancelled' };
+        job.completedAt = new Date().toISOString();
+        cancelled++;
+      }
+
+      this.jobs.set(job.jobId, job);
+      if (job.status === 'queued') {
+        job.nextAttemptAt = null;
+        this.pending.push(job.jobId);
+      }
+    }
+
+    logger.info(`Job queue state loaded`, {
+      jobs: this.jobs.size,
+      queued: this.pending.length,
+      recovered,
+      cancelled,
+      deadLetter: this.deadLetter.length
+    });
+  }
+
+  /**
+   * Write queue state to disk (serialized, atomic via rename)
+   */
+  persist() {
+    const state = {
+      savedAt: new Date().toISOString(),
+      jobs: Array.from(this.jobs.values()).map(job => this.toRecord(job)),
+      deadLetter: this.deadLetter
+    };
+    const tmpFile = `${this.stateFile}.tmp`;
+
+    this.writeChain = this.writeChain
+      .then(async () => {
+        await fs.promises.mkdir(path.dirname(this.stateFile), { recursive: true });
+        await fs.promises.writeFile(tmpFile, JSON.stringify(state), 'utf8');
+        await fs.promises.rename(tmpFile, this.stateFile);
+      })
+      .catch(error => {
+        logger.error(`Failed to persist job queue state: ${error.message}`, { stateFile: this.stateFile });
+      });
+  }
+
+  /**
+   * Queue a comprehensive brand analysis to run in the background
+   * @param {Object} formData - Validated form data from client
+   * @param {Object} options - Analysis options (requestIp, userAgent, ...)
+   * @returns {Object} Public job representation
+   */
+  createComprehensiveJob(formData, options = {}) {
+    this.ensureLoaded();
+    this.pruneFinishedJobs();
+
+    const job = {
+      jobId: uuidv4(),
+      type: 'comprehensive',
+      status: 'queued',
+      brandName: formData.brandName,
+      formData,
+      options,
+      progress: {
+        stage: 'queued',
+        percent: 0
+      },
+      attempts: 0,
+      maxAttempts: this.maxAttempts,
+      errors: [],
+      checkpoint: { phases: {} }, // Completed pipeline phases, reused by the next attempt
+      result: null,
+      error: null,
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      completedAt: null
+    };
+
+    this.jobs.set(job.jobId, job);
+    this.pending.push(job.jobId);
+    this.persist();
+
+    logger.info(`Analysis job queued`, {
+      jobId: job.jobId,
+      brandName: job.brandName,
+      queuePosition: this.pending.length
+    });
+
+    this.processQueue();
+
+    return this.serializeJob(job);
+  }
+
+  /**
+   * Get job by ID
+   * @param {string} jobId - Job ID
+   * @returns {Object|null} Public job representation
+   */
+  getJob(jobId) {
+    this.ensureLoaded();
+    const job = this.jobs.get(jobId);
+    return job ? this.serializeJob(job) : null;
+  }
+
+  /**
+   * Get job by ID with the full result. Results loaded from the queue file
+   * only reference their report, so the text is read back from it.
+   * @param {string} jobId - Job ID
+   * @returns {Promise<Object|null>} Public job representation
+   */
+  async getJobWithResult(jobId) {
+    const job = this.getJob(jobId);
+    if (!job?.result || job.result.analysisText !== undefined) return job;
+
+    const { filePath } = job.result;
+    const [content, structured] = await Promise.all([
+      fs.promises.readFile(filePath, 'utf8').catch(() => null),
+      fileService.readSidecarFile(filePath, 'report')
+    ]);
+
+    return {
+      ...job,
+      result: {
+        ...job.result,
+        analysisText: content === null ? null : (fileService.extractAnalysisText(content) ?? content),
+        structuredReport: structured ? structured.report : null
+      }
+    };
+  }
+
+  /**
+   * Cancel a queued or running job
+   * @param {string} jobId - Job ID
+   * @returns {Object} Public job representation
+   */
+  cancelJob(jobId) {
+    this.ensureLoaded();
+    const job = this.jobs.get(jobId);
+
+    if (!job) {
+      throw new Error(`Job not found: ${jobId}`);
+    }
+
+    if (FINISHED_STATUSES.includes(job.status)) {
+      throw new Error(`Job ${jobId} is already ${job.status}`);
+    }
+
+    if (job.status === 'queued') {
+      this.pending = this.pending.filter(id => id !== jobId);
+      this.finishJob(job, 'cancelled');
+    } else {
+      // The running analysis rejects once the abort reaches the Claude request
+      job.status = 'cancelling';
+      job.controller.abort();
+      this.persist();
+    }
+
+    logger.info(`Analysis job cancellation requested`, { jobId, brandName: job.brandName });
+
+    return this.serializeJob(job);
+  }
+
+  /**
+   * List dead-lettered jobs (exhausted all attempts)
+   * @returns {Array} Dead-letter entries, newest first
+   */
+  getDeadLetter() {
+    this.ensureLoaded();
+    return [...this.deadLetter].reverse();
+  }
+
+  /**
+   * Move a dead-lettered job back into the queue with a fresh attempt budget
+   * @param {string} jobId - Job ID
+   * @returns {Object} Public job representation
+   */
+  retryDeadLetter(jobId) {
+    this.ensureLoaded();
+    const entry = this.deadLetter.find(item => item.jobId === jobId);
+
+    if (!entry) {
+      throw new Error(`Dead-letter job not found: ${jobId}`);
+    }
+
+    this.deadLetter = this.deadLetter.filter(item => item.jobId !== jobId);
+
+    const job = {
+      ...entry,
+      status: 'queued',
+      progress: { stage: 'queued', percent: 0 },
+      attempts: 0,
+      maxAttempts: this.maxAttempts,
+      result: null,
+      error: null,
+      startedAt: null,
+      completedAt: null
+    };
+    delete job.deadLetteredAt;
+
+    this.jobs.set(jobId, job);
+    this.pending.push(jobId);
+    this.persist();
+
+    logger.info(`Dead-letter job re-queued`, { jobId, brandName: job.brandName });
+
+    this.processQueue();
+
+    return this.serializeJob(job);
+  }
+
+  /**
+   * Remove a job from the dead-letter list
+   * @param {string} jobId - Job ID
+   * @returns {boolean} Whether an entry was removed
+   */
+  removeDeadLetter(jobId) {
+    this.ensureLoaded();
+    const before = this.deadLetter.length;
+    this.deadLetter = this.deadLetter.filter(item => item.jobId !== jobId);
+
+    if (this.deadLetter.length === before) {
+      return false;
+    }
+
+    this.persist();
+    return true;
+  }
+
+  /**
+   * Start queued jobs while there is free capacity
+   */
+  processQueue() {
+    while (!this.stopped && this.running < this.concurrency && this.pending.length > 0) {
+      const job = this.jobs.get(this.pending.shift());
+      if (job && job.status === 'queued') {
+        this.runJob(job);
+      }
+    }
+  }
+
+  /**
+   * Run a single attempt of a job
+   * @param {Object} job - Internal job record
+   */
+  async runJob(job) {
+    this.running++;
+    job.status = 'running';
+    job.attempts++;
+    job.startedAt = new Date().toISOString();
+    job.controller = new AbortController();
+    this.updateProgress(job, 'starting', 5);
+    this.persist();
+
+    logger.info(`Analysis job started`, {
+      jobId: job.jobId,
+      brandName: job.brandName,
+      attempt: job.attempts,
+      maxAttempts: job.maxAttempts
+    });
+
+    try {
+      const result = await brandService.analyzeComprehensiveBrand(job.formData, {
+        ...job.options,
+        jobId: job.jobId,
+        signal: job.controller.signal,
+        onProgress: (stage, percent) => this.updateProgress(job, stage, percent),
+        checkpoint: job.checkpoint,
+        onCheckpoint: (phaseId, phaseResult) => this.saveCheckpoint(job, phaseId, phaseResult)
+      });
+
+      job.result = result;
+      job.error = null;
+      job.checkpoint = null;
+      this.updateProgress(job, 'completed', 100);
+      this.finishJob(job, 'completed');
+    } catch (error) {
+      if (job.controller.signal.aborted) {
+        this.finishJob(job, 'cancelled');
+      } else {
+        this.handleFailure(job, error);
+      }
+    } finally {
+      job.controller = null;
+      this.running--;
+      this.processQueue();
+    }
+  }
+
+  /**
+   * Record a completed pipeline phase so a retry resumes after it
+   * @param {Object} job - Internal job record
+   * @param {string} phaseId - Phase ID
+   * @param {Object} phaseResult - { output, metadata }
+   */
+  saveCheckpoint(job, phaseId, phaseResult) {
+    job.checkpoint = job.checkpoint || { phases: {} };
+    job.checkpoint.phases[phaseId] = phaseResult;
+    this.persist();
+  }
+
+  /**
+   * Schedule another attempt or dead-letter the job
+   * @param {Object} job - Internal job record
+   * @param {Error} error - Failure cause
+   */
+  handleFailure(job, error) {
+    job.error = error.message;
+    job.errors.push({
+      attempt: job.attempts,
+      error: error.message,
+      failedAt: new Date().toISOString()
+    });
+
+    if (job.attempts < job.maxAttempts) {
+      // Wait at least as long as the provider asked (rate limit or open circuit)
+      const delay = Math.max(
+        this.retryDelayMs * Math.pow(2, job.attempts - 1),
+        (error.retryAfter || 0) * 1000
+      );
+
+      job.status = 'queued';
+      job.progress = { stage: 'retry_scheduled', percent: 0 };
+      job.nextAttemptAt = new Date(Date.now() + delay).toISOString();
+      this.persist();
+
+      logger.warn(`Analysis job attempt failed, retrying`, {
+        jobId: job.jobId,
+        brandName: job.brandName,
+        attempt: job.attempts,
+        maxAttempts: job.maxAttempts,
+        retryInMs: delay,
+        error: error.message
+      });
+
+      const timer = setTimeout(() => {
+        this.retryTimers.delete(timer);
+        if (job.status === 'queued') {
+          job.nextAttemptAt = null;
+          this.pending.push(job.jobId);
+          this.processQueue();
+        }
+      }, delay);
+      timer.unref();
+      this.retryTimers.add(timer);
+      return;
+    }
+
+    this.finishJob(job, 'failed');
+
+    this.deadLetter.push({
+      ...this.toRecord(job),
+      deadLetteredAt: new Date().toISOString()
+    });
+    this.persist();
+
+    logger.error(`Analysis job moved to dead-letter list`, {
+      jobId: job.jobId,
+      brandName: job.brandName,
+      attempts: job.attempts
+    });
+  }
+
+  /**
+   * Update job progress
+   * @param {Object} job - Internal job record
+   * @param {string} stage - Current stage name
+   * @param {number} percent - Completion percentage (0-100)
+   */
+  updateProgress(job, stage, percent) {
+    job.progress = {
+      stage,
+      percent: Math.max(job.progress.percent, percent)
+    };
+  }
+
+  /**
+   * Mark job as finished
+   * @param {Object} job - Internal job record
+   * @param {string} status - Final status
+   */
+  finishJob(job, status) {
+    job.status = status;
+    job.completedAt = new Date().toISOString();
+    if (status !== 'completed') {
+      job.progress = { ...job.progress, stage: status };
+    }
+    this.persist();
+
+    const log = status === 'failed' ? logger.error.bind(logger) : logger.info.bind(logger);
+    log(`Analysis job ${status}`, {
+      jobId: job.jobId,
+      brandName: job.brandName,
+      attempts: job.attempts,
+      error: job.error || undefined
+    });
+  }
+
+  /**
+   * Drop finished jobs older than the retention window
+   */
+  pruneFinishedJobs() {
+    const cutoff = Date.now() - this.retentionMs;
+
+    for (const [jobId, job] of this.jobs) {
+      if (FINISHED_STATUSES.includes(job.status) && new Date(job.completedAt).getTime() < cutoff) {
+        this.jobs.delete(jobId);
+      }
+    }
+  }
+
+  /**
+   * Get queue statistics
+   */
+  getStatistics() {
+    this.ensureLoaded();
+    const byStatus = {};
+    for (const job of this.jobs.values()) {
+      byStatus[job.status] = (byStatus[job.status] || 0) + 1;
+    }
+
+    return {
+      queued: this.pending.length,
+      running: this.running,
+      concurrency: this.concurrency,
+      maxAttempts: this.maxAttempts,
+      deadLetter: this.deadLetter.length,
+      byStatus
+    };
+  }
+
+  /**
+   * Persistable job record (no runtime handles). The queue is rewritten on
+   * every progress update, so results keep only the reference to their report
+   * and leave out the analysis text and structured report saved with it.
+   * @param {Object} job - Internal job record
+   * @returns {Object} Plain job record
+   */
+  toRecord(job) {
+    const { controller, ...record } = job;
+    if (record.result) {
+      const { analysisText, structuredReport, ...result } = record.result;
+      record.result = result;
+    }
+    return record;
+  }
+
+  /**
+   * Public job representation (no internal handles or request data)
+   * @param {Object} job - Internal job record
+   * @returns {Object} Serializable job
+   */
+  serializeJob(job) {
+    return {
+      jobId: job.jobId,
+      type: job.type,
+      status: job.status,
+      brandName: job.brandName,
+      progress: job.progress,
+      queuePosition: job.status === 'queued' && this.pending.includes(job.jobId)
+        ? this.pending.indexOf(job.jobId) + 1
+        : null,
+      attempts: job.attempts,
+      maxAttempts: job.maxAttempts,
+      nextAttemptAt: job.nextAttemptAt || null,
+      completedPhases: Object.keys(job.checkpoint?.phases || {}),
+      result: job.result,
+      error: job.error,
+      errors: job.errors,
+      createdAt: job.createdAt,
+      startedAt: job.startedAt,
+      completedAt: job.completedAt
+    };
+  }
+}
+
+module.exports = new JobService();
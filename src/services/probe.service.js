@@ -0,0 +1,363 @@
+const { v4: uuidv4 } = require('uuid');
+const providers = require('../providers');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const { buildEntities, detectMentions, entityNameFromValue } = require('../utils/mentions');
+const { mapWithConcurrency } = require('../utils/concurrency');
+const { describeMarket } = require('../utils/markets');
+
+class ProbeService {
+  constructor() {
+    this.settings = config.probes;
+  }
+
+  /**
+   * Send client and generated prompts to LLM providers as real end-user
+   * queries and record where the brand and competitors are mentioned.
+   * With target markets, every prompt is localized and run once per market.
+   * @param {Object} formData - Validated form data
+   * @param {Object} options - { providers, signal, onEvent, onUsage }
+   * @returns {Promise<Object>} Measurement (raw answers, mentions, summary)
+   */
+  async measureVisibility(formData, options = {}) {
+    const startTime = Date.now();
+    const emit = options.onEvent || (() => {});
+    const probeProviders = this.resolveProviders(options.providers);
+
+    if (probeProviders.length === 0) {
+      logger.warn(`Measured prompt testing skipped: no configured providers`, {
+        brandName: formData.brandName,
+        requested: options.providers || this.settings.providers
+      });
+
+      return {
+        skipped: true,
+        reason: 'No configured LLM providers available for prompt testing',
+        measuredAt: new Date().toISOString(),
+        results: []
+      };
+    }
+
+    const basePrompts = [
+      ...(formData.prompts || []).map(text => ({ text, source: 'client' })),
+      ...(await this.generatePrompts(formData, this.settings.generatedPrompts, options))
+    ];
+    const markets = (formData.markets || []).map(market => describeMarket(market));
+    const prompts = markets.length > 0
+      ? (await mapWithConcurrency(markets, this.settings.concurrency,
+        market => this.localizePrompts(basePrompts, market, options))).flat()
+      : basePrompts;
+    const entities = buildEntities(formData);
+    const tasks = [];
+
+    for (const prompt of prompts) {
+      for (const target of probeProviders) {
+        tasks.push({ prompt, target });
+      }
+    }
+
+    logger.info(`Starting measured prompt testing`, {
+      brandName: formData.brandName,
+      prompts: prompts.length,
+      providers: probeProviders.map(target => target.provider.id),
+      markets: markets.map(market => market.key),
+      queries: tasks.length
+    });
+
+    const results = await mapWithConcurrency(tasks, this.settings.concurrency, async ({ prompt, target }) => {
+      const result = await this.runQuery(prompt, target, entities, options);
+
+      emit('probe', {
+        prompt: result.prompt,
+        provider: result.provider,
+        brandMentioned: result.brand ? result.brand.mentioned : false,
+        position: result.brand ? result.brand.position : null,
+        error: result.error
+      });
+
+      return result;
+    });
+
+    const measurement = {
+      skipped: false,
+      measuredAt: new Date().toISOString(),
+      durationMs: Date.now() - startTime,
+      providers: probeProviders.map(target => ({ provider: target.provider.id, model: target.model })),
+      markets,
+      prompts,
+      entities: entities.map(entity => ({ name: entity.name, isBrand: entity.isBrand })),
+      results,
+      usage: {
+        inputTokens: results.reduce((sum, result) => sum + (result.usage?.inputTokens || 0), 0),
+        outputTokens: results.reduce((sum, result) => sum + (result.usage?.outputTokens || 0), 0)
+      }
+    };
+
+    measurement.summary = this.summarize(measurement);
+
+    logger.info(`Measured prompt testing completed`, {
+      brandName: formData.brandName,
+      queries: results.length,
+      failed: measurement.summary.failedQueries,
+      brandMentions: measurement.summary.brandMentions,
+      durationMs: measurement.durationMs
+    });
+
+    return measurement;
+  }
+
+  /**
+   * Run one prompt against one provider and detect mentions in the answer
+   * @param {Object} prompt - { text, source, market }
+   * @param {Object} target - Resolved provider/model
+   * @param {Array} entities - Brand and competitor entities
+   * @param {Object} options - { signal, onUsage }
+   * @returns {Promise<Object>} Query result
+   */
+  async runQuery(prompt, target, entities, options = {}) {
+    const { signal } = options;
+    const queryStart = Date.now();
+    const base = {
+      id: uuidv4().split('-')[0],
+      prompt: prompt.text,
+      source: prompt.source,
+      market: prompt.market || null,
+      provider: target.provider.id,
+      model: target.model
+    };
+
+    try {
+      // Sent exactly as an end user would type it: no system prompt, no brand hints
+      const response = await target.provider.analyze({
+        model: target.model,
+        maxTokens: this.settings.maxTokens,
+        temperature: this.settings.temperature,
+        messages: [{ role: 'user', content: prompt.text }],
+        signal
+      });
+
+      if (options.onUsage) {
+        options.onUsage({ purpose: 'probe', provider: target.provider.id, model: target.model, usage: response.usage });
+      }
+
+      const mentions = detectMentions(response.text, entities);
+
+      return {
+        ...base,
+        answer: response.text,
+        mentions,
+        brand: mentions.find(mention => mention.isBrand) || null,
+        usage: response.usage,
+        durationMs: Date.now() - queryStart,
+        error: null
+      };
+    } catch (error) {
+      if (signal?.aborted) {
+        throw error;
+      }
+
+      logger.warn(`Prompt test query failed`, {
+        provider: target.provider.id,
+        model: target.model,
+        prompt: prompt.text,
+        error: error.message
+      });
+
+      return {
+        ...base,
+        answer: null,
+        mentions: [],
+        brand: null,
+        usage: null,
+        durationMs: Date.now() - queryStart,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Resolve requested provider IDs to configured provider/model targets
+   * @param {Array<string>} requested - Provider IDs (defaults to config.probes.providers)
+   * @returns {Array<Object>} Targets
+   */
+  resolveProviders(requested) {
+    const ids = requested && requested.length > 0 ? requested : this.settings.providers;
+
+    return [...new Set(ids)]
+      .filter(id => config.llm.providers[id])
+      .map(id => providers.resolveTarget(id))
+      .filter(target => target.provider.isConfigured());
+  }
+
+  /**
+   * Generate additional brand-neutral prompts from topics and competitors,
+   * asking the default provider for more when the form gives too little to go on
+   * @param {Object} formData - Form data
+   * @param {number} count - Number of prompts to generate
+   * @param {Object} options - { signal, onUsage }
+   * @returns {Promise<Array>} Prompts { text, source: 'generated' }
+   */
+  async generatePrompts(formData, count, options = {}) {
+    if (count <= 0) return [];
+
+    const existing = new Set((formData.prompts || []).map(prompt => prompt.toLowerCase()));
+    const candidates = [];
+
+    for (const topic of formData.topics || []) {
+      candidates.push(`What are the best companies for ${topic}?`);
+    }
+    for (const competitor of formData.competitors || []) {
+      candidates.push(`What are the top alternatives to ${entityNameFromValue(competitor)}?`);
+    }
+    for (const topic of formData.topics || []) {
+      candidates.push(`Which ${topic} providers would you recommend for a mid-size company, and why?`);
+    }
+
+    let generated = candidates.filter(text => !existing.has(text.toLowerCase())).slice(0, count);
+
+    if (generated.length < count) {
+      try {
+        const fromModel = await this.generatePromptsWithModel(formData, count - generated.length, options);
+        generated = generated.concat(fromModel.filter(text => !existing.has(text.toLowerCase())));
+      } catch (error) {
+        if (options.signal?.aborted) throw error;
+        logger.warn(`Prompt generation failed, continuing with template prompts: ${error.message}`);
+      }
+    }
+
+    return generated.slice(0, count).map(text => ({ text, source: 'generated' }));
+  }
+
+  /**
+   * Ask the default provider for realistic buyer questions that do not name the brand
+   * @param {Object} formData - Form data
+   * @param {number} count - Number of prompts
+   * @param {Object} options - { signal, onUsage }
+   * @returns {Promise<Array<string>>} Prompts
+   */
+  async generatePromptsWithModel(formData, count, options = {}) {
+    const target = providers.resolveTarget();
+    const response = await target.provider.analyze({
+      model: target.model,
+      maxTokens: 500,
+      temperature: 0.3,
+      messages: [{
+        role: 'user',
+        content: `List ${count} realistic questions a prospective customer would ask an AI assistant when looking for the kind of products or services offered by ${formData.brandName} (${formData.websiteUrl}).
+
+Rules:
+- Do NOT mention ${formData.brandName} or any other company name
+- Each question must be a natural, self-contained search query
+- One question per line, no numbering, no extra text`
+      }],
+      signal: options.signal
+    });
+
+    if (options.onUsage) {
+      options.onUsage({ purpose: 'prompt_generation', provider: target.provider.id, model: target.model, usage: response.usage });
+    }
+
+    const brandPattern = new RegExp(formData.brandName.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+
+    return response.text
+      .split('\n')
+      .map(line => line.replace(/^\s*(?:[-*•]|\d+[.)])\s*/, '').trim())
+      .filter(line => line.length >= 10 && line.length <= 500 && !brandPattern.test(line))
+      .slice(0, count);
+  }
+
+  /**
+   * Rewrite prompts the way a buyer in the market would ask them, in the market language.
+   * Falls back to the original wording when the provider fails or returns the wrong number of lines.
+   * @param {Array<Object>} prompts - Prompts { text, source }
+   * @param {Object} market - Result of describeMarket()
+   * @param {Object} options - { signal, onUsage }
+   * @returns {Promise<Array<Object>>} Prompts { text, source, market, original, localized }
+   */
+  async localizePrompts(prompts, market, options = {}) {
+    const unchanged = prompts.map(prompt => ({ ...prompt, market: market.key, original: prompt.text, localized: false }));
+    if (prompts.length === 0) return unchanged;
+
+    try {
+      const target = providers.resolveTarget();
+      const response = await target.provider.analyze({
+        model: target.model,
+        maxTokens: 150 * prompts.length + 100,
+        temperature: 0.3,
+        messages: [{
+          role: 'user',
+          content: `Rewrite each question below the way a prospective customer in ${market.countryName} would type it into an AI assistant, written in ${market.languageName}.
+
+Rules:
+- Keep the meaning and intent of each question
+- Adapt wording, spelling, units, currency and local context to ${market.countryName}
+- Do NOT add company names
+- Return exactly ${prompts.length} lines, one rewritten question per line, in the same order, no numbering, no extra text
+
+Questions:
+${prompts.map((prompt, index) => `${index + 1}. ${prompt.text}`).join('\n')}`
+        }],
+        signal: options.signal
+      });
+
+      if (options.onUsage) {
+        options.onUsage({ purpose: 'prompt_localization', provider: target.provider.id, model: target.model, usage: response.usage });
+      }
+
+      const lines = response.text
+        .split('\n')
+        .map(line => line.replace(/^\s*(?:[-*•]|\d+[.)])\s*/, '').trim())
+        .filter(Boolean);
+
+      if (lines.length !== prompts.length) {
+        throw new Error(`expected ${prompts.length} questions, got ${lines.length}`);
+      }
+
+      return prompts.map((prompt, index) => ({
+        text: lines[index].slice(0, 500),
+        source: prompt.source,
+        market: market.key,
+        original: prompt.text,
+        localized: true
+      }));
+    } catch (error) {
+      if (options.signal?.aborted) throw error;
+      logger.warn(`Prompt localization failed, using original wording: ${error.message}`, { market: market.key });
+      return unchanged;
+    }
+  }
+
+  /**
+   * Mention counts per provider, per market and overall
+   * @param {Object} measurement - Measurement with results
+   * @returns {Object} Summary
+   */
+  summarize(measurement) {
+    const answered = measurement.results.filter(result => !result.error);
+    const byProvider = {};
+    const byMarket = {};
+
+    for (const result of answered) {
+      const groups = [byProvider[result.provider] || (byProvider[result.provider] = { queries: 0, brandMentions: 0 })];
+      if (result.market) {
+        groups.push(byMarket[result.market] || (byMarket[result.market] = { queries: 0, brandMentions: 0 }));
+      }
+
+      for (const entry of groups) {
+        entry.queries++;
+        if (result.brand?.mentioned) entry.brandMentions++;
+      }
+    }
+
+    return {
+      totalQueries: measurement.results.length,
+      answeredQueries: answered.length,
+      failedQueries: measurement.results.length - answered.length,
+      brandMentions: answered.filter(result => result.brand?.mentioned).length,
+      byProvider,
+      byMarket
+    };
+  }
+}
+
+module.exports = new ProbeService();
@@ -0,0 +1,471 @@
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const jobService = require('./job.service');
+const templateService = require('./template.service');
+const { parseCron, nextRun, nextRuns } = require('../utils/cron');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+
+// Run statuses that will not change any more
+const FINAL_RUN_STATUSES = ['completed', 'failed', 'cancelled', 'skipped', 'unknown'];
+
+// Stop counting missed occurrences of very frequent schedules after long downtime
+const MAX_MISSED_COUNT = 1000;
+
+/**
+ * Recurring comprehensive analyses. Each schedule keeps a brand's form data and
+ * a cron expression; due schedules are queued as analysis jobs. Runs missed
+ * while the service was down are caught up once on start.
+ */
+class ScheduleService {
+  constructor() {
+    this.settings = config.schedules;
+    this.schedules = new Map();
+    this.stateFile = path.join(this.settings.dataDir, 'schedules.json');
+    this.loaded = false;
+    this.timer = null;
+    this.writeChain = Promise.resolve();
+  }
+
+  /**
+   * Load schedules, catch up missed runs and start checking for due schedules
+   */
+  start() {
+    this.ensureLoaded();
+
+    const check = () => this.tick().catch(error => {
+      logger.error(`Schedule check failed: ${error.message}`);
+    });
+    check();
+
+    this.timer = setInterval(check, this.settings.tickMs);
+    this.timer.unref();
+
+    logger.info(`Scheduler started`, this.getStatistics());
+  }
+
+  /**
+   * Stop checking schedules and flush state to disk
+   * @returns {Promise<void>}
+   */
+  async shutdown() {
+    clearInterval(this.timer);
+    this.timer = null;
+    this.persist();
+    await this.writeChain;
+
+    logger.info(`Scheduler stopped`, { schedules: this.schedules.size });
+  }
+
+  /**
+   * Read schedules from disk once
+   */
+  ensureLoaded() {
+    if (this.loaded) return;
+    this.loaded = true;
+
+    let state;
+    try {
+      state = JSON.parse(fs.readFileSync(this.stateFile, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.error(`Failed to load schedules: ${error.message}`, { stateFile: this.stateFile });
+      }
+      return;
+    }
+
+    for (const schedule of state.schedules || []) {
+      this.schedules.set(schedule.scheduleId, schedule);
+    }
+
+    logger.info(`Schedules loaded`, { schedules: this.schedules.size });
+  }
+
+  /**
+   * Write schedules to disk (serialized, atomic via rename)
+   */
+  persist() {
+    const state = {
+      savedAt: new Date().toISOString(),
+      schedules: Array.from(this.schedules.values())
+    };
+    const tmpFile = `${this.stateFile}.tmp`;
+
+    this.writeChain = this.writeChain
+      .then(async () => {
+        await fs.promises.mkdir(path.dirname(this.stateFile), { recursive: true });
+        await fs.promises.writeFile(tmpFile, JSON.stringify(state), 'utf8');
+        await fs.promises.rename(tmpFile, this.stateFile);
+      })
+      .catch(error => {
+        logger.error(`Failed to persist schedules: ${error.message}`, { stateFile: this.stateFile });
+      });
+  }
+
+  /**
+   * Create a schedule
+   * @param {Object} data - Validated { name, cron, timezone, enabled, catchUp, formData }
+   * @param {Object} options - { createdBy: API key ID }
+   * @returns {Object} Public schedule representation
+   */
+  createSchedule(data, options = {}) {
+    this.ensureLoaded();
+    const now = new Date().toISOString();
+
+    const schedule = {
+      scheduleId: uuidv4(),
+      name: data.name || `${data.formData.brandName} (${data.cron})`,
+      brandName: data.formData.brandName,
+      cron: data.cron,
+      timezone: data.timezone,
+      enabled: data.enabled,
+      catchUp: data.catchUp,
+      formData: data.formData,
+      createdBy: options.createdBy || null,
+      createdAt: now,
+      updatedAt: now,
+      nextRunAt: null,
+      lastRunAt: null,
+      runs: []
+    };
+    this.updateNextRun(schedule);
+
+    this.schedules.set(schedule.scheduleId, schedule);
+    this.persist();
+
+    logger.info(`Schedule created`, {
+      scheduleId: schedule.scheduleId,
+      brandName: schedule.brandName,
+      cron: schedule.cron,
+      timezone: schedule.timezone,
+      nextRunAt: schedule.nextRunAt
+    });
+
+    return this.serializeSchedule(schedule);
+  }
+
+  /**
+   * List schedules, optionally for one brand
+   * @param {Object} filters - { brandName }
+   * @returns {Array<Object>} Public schedule representations, by next run
+   */
+  listSchedules(filters = {}) {
+    this.ensureLoaded();
+    const brandName = filters.brandName?.trim().toLowerCase();
+
+    return Array.from(this.schedules.values())
+      .filter(schedule => !brandName || schedule.brandName.toLowerCase() === brandName)
+      .sort((a, b) => (a.nextRunAt || '~').localeCompare(b.nextRunAt || '~'))
+      .map(schedule => this.serializeSchedule(schedule));
+  }
+
+  /**
+   * Get schedule by ID
+   * @param {string} scheduleId - Schedule ID
+   * @returns {Object|null} Public schedule representation
+   */
+  getSchedule(scheduleId) {
+    this.ensureLoaded();
+    const schedule = this.schedules.get(scheduleId);
+    if (!schedule) return null;
+
+    if (this.refreshRuns(schedule)) this.persist();
+    return this.serializeSchedule(schedule);
+  }
+
+  /**
+   * Change a schedule; the next run is recalculated from now
+   * @param {string} scheduleId - Schedule ID
+   * @param {Object} changes - Validated subset of { name, cron, timezone, enabled, catchUp, formData }
+   * @returns {Object|null} Public schedule representation, or null when not found
+   */
+  updateSchedule(scheduleId, changes) {
+    this.ensureLoaded();
+    const schedule = this.schedules.get(scheduleId);
+    if (!schedule) return null;
+
+    Object.assign(schedule, changes);
+    if (changes.formData) schedule.brandName = changes.formData.brandName;
+    schedule.updatedAt = new Date().toISOString();
+    this.updateNextRun(schedule);
+    this.persist();
+
+    logger.info(`Schedule updated`, {
+      scheduleId,
+      fields: Object.keys(changes),
+      nextRunAt: schedule.nextRunAt
+    });
+
+    return this.serializeSchedule(schedule);
+  }
+
+  /**
+   * Delete a schedule (analyses it already queued keep running)
+   * @param {string} scheduleId - Schedule ID
+   * @returns {boolean} Whether a schedule was deleted
+   */
+  deleteSchedule(scheduleId) {
+    this.ensureLoaded();
+    if (!this.schedules.delete(scheduleId)) return false;
+
+    this.persist();
+    logger.info(`Schedule deleted`, { scheduleId });
+    return true;
+  }
+
+  /**
+   * Upcoming run times of a schedule
+   * @param {string} scheduleId - Schedule ID
+   * @param {number} count - Number of runs
+   * @returns {Array<string>|null} ISO times, or null when not found
+   */
+  getNextRuns(scheduleId, count) {
+    this.ensureLoaded();
+    const schedule = this.schedules.get(scheduleId);
+    if (!schedule) return null;
+
+    return nextRuns(schedule.cron, count, new Date(), schedule.timezone).map(date => date.toISOString());
+  }
+
+  /**
+   * Run history of a schedule, newest first
+   * @param {string} scheduleId - Schedule ID
+   * @returns {Array<Object>|null} Runs, or null when not found
+   */
+  getRuns(scheduleId) {
+    this.ensureLoaded();
+    const schedule = this.schedules.get(scheduleId);
+    if (!schedule) return null;
+
+    if (this.refreshRuns(schedule)) this.persist();
+    return [...schedule.runs].reverse();
+  }
+
+  /**
+   * Queue a run now, outside the schedule (the next scheduled run is unchanged)
+   * @param {string} scheduleId - Schedule ID
+   * @returns {Promise<Object|null>} Run, or null when not found
+   */
+  async runNow(scheduleId) {
+    this.ensureLoaded();
+    const schedule = this.schedules.get(scheduleId);
+    if (!schedule) return null;
+
+    return this.startRun(schedule, { trigger: 'manual', scheduledFor: new Date().toISOString() });
+  }
+
+  /**
+   * Queue every due schedule. A schedule whose run time passed well before this
+   * check (the service was down) gets one catch-up run, however many were missed.
+   */
+  async tick() {
+    this.ensureLoaded();
+    const now = Date.now();
+    let changed = false;
+
+    for (const schedule of this.schedules.values()) {
+      changed = this.refreshRuns(schedule) || changed;
+
+      if (!schedule.enabled || !schedule.nextRunAt) continue;
+
+      const due = new Date(schedule.nextRunAt);
+      if (due.getTime() > now) continue;
+
+      const late = now - due.getTime() > this.settings.tickMs * 2;
+      const missedRuns = late ? this.countMissedRuns(schedule, due, now) : 0;
+
+      // Advance first, so a failing run does not fire again on every check
+      this.updateNextRun(schedule);
+      changed = true;
+
+      if (late && !schedule.catchUp) {
+        this.recordRun(schedule, {
+          trigger: 'catch_up',
+          scheduledFor: due.toISOString(),
+          missedRuns,
+          status: 'skipped',
+          error: 'Missed while the service was down (catch-up disabled)'
+        });
+        continue;
+      }
+
+      await this.startRun(schedule, {
+        trigger: late ? 'catch_up' : 'schedule',
+        scheduledFor: due.toISOString(),
+        missedRuns
+      });
+    }
+
+    if (changed) this.persist();
+  }
+
+  /**
+   * Queue the schedule's analysis as a job and record the run.
+   * Skipped while the previous run of the schedule is still queued or running.
+   * @param {Object} schedule - Internal schedule
+   * @param {Object} run - { trigger, scheduledFor, missedRuns }
+   * @returns {Promise<Object>} Run record
+   */
+  async startRun(schedule, run) {
+    this.refreshRuns(schedule);
+
+    const active = schedule.runs.find(previous => !FINAL_RUN_STATUSES.includes(previous.status));
+    if (active) {
+      return this.recordRun(schedule, { ...run, status: 'skipped', error: `Previous run is still ${active.status} (job ${active.jobId})` });
+    }
+
+    // Scheduled runs always measure anew; a stored result of an identical request would hide changes
+    const formData = { ...schedule.formData, useCache: false };
+
+    try {
+      if (formData.template) {
+        const template = await templateService.resolve(formData.template);
+        if (!template) throw new Error(`Template not found: ${formData.template}`);
+        formData.template = template.reference;
+      }
+
+      const job = jobService.createComprehensiveJob(formData, {
+        apiKeyId: schedule.createdBy,
+        userAgent: 'scheduler',
+        scheduleId: schedule.scheduleId
+      });
+
+      logger.info(`Scheduled analysis queued`, {
+        scheduleId: schedule.scheduleId,
+        brandName: schedule.brandName,
+        trigger: run.trigger,
+        scheduledFor: run.scheduledFor,
+        missedRuns: run.missedRuns || 0,
+        jobId: job.jobId
+      });
+
+      return this.recordRun(schedule, { ...run, jobId: job.jobId, status: job.status });
+    } catch (error) {
+      logger.error(`Scheduled analysis could not be queued: ${error.message}`, {
+        scheduleId: schedule.scheduleId,
+        brandName: schedule.brandName
+      });
+
+      return this.recordRun(schedule, { ...run, status: 'failed', error: error.message });
+    }
+  }
+
+  /**
+   * Append a run to the history (bounded by historyLimit)
+   * @param {Object} schedule - Internal schedule
+   * @param {Object} data - Run fields
+   * @returns {Object} Run record
+   */
+  recordRun(schedule, data) {
+    const now = new Date().toISOString();
+    const run = {
+      runId: uuidv4(),
+      trigger: data.trigger,
+      scheduledFor: data.scheduledFor,
+      missedRuns: data.missedRuns || 0,
+      startedAt: now,
+      jobId: data.jobId || null,
+      status: data.status,
+      fileName: null,
+      error: data.error || null,
+      completedAt: FINAL_RUN_STATUSES.includes(data.status) ? now : null
+    };
+
+    schedule.runs.push(run);
+    schedule.runs = schedule.runs.slice(-this.settings.historyLimit);
+    if (run.jobId) schedule.lastRunAt = now;
+    this.persist();
+
+    return run;
+  }
+
+  /**
+   * Copy the state of unfinished runs from their analysis jobs
+   * @param {Object} schedule - Internal schedule
+   * @returns {boolean} Whether any run changed
+   */
+  refreshRuns(schedule) {
+    let changed = false;
+
+    for (const run of schedule.runs) {
+      if (FINAL_RUN_STATUSES.includes(run.status) || !run.jobId) continue;
+
+      const job = jobService.getJob(run.jobId);
+      // Finished jobs are pruned after the job retention window
+      const status = job ? job.status : 'unknown';
+      if (status === run.status) continue;
+
+      run.status = status;
+      if (job?.result) run.fileName = job.result.fileName;
+      if (job?.error) run.error = job.error;
+      if (FINAL_RUN_STATUSES.includes(status)) run.completedAt = job?.completedAt || new Date().toISOString();
+      changed = true;
+    }
+
+    return changed;
+  }
+
+  /**
+   * Occurrences between the first missed run and now
+   * @param {Object} schedule - Internal schedule
+   * @param {Date} due - First missed run
+   * @param {number} now - Epoch milliseconds
+   * @returns {number} Missed runs (capped at MAX_MISSED_COUNT)
+   */
+  countMissedRuns(schedule, due, now) {
+    const cron = parseCron(schedule.cron);
+    let count = 1;
+    let run = nextRun(cron, due, schedule.timezone);
+
+    while (run && run.getTime() <= now && count < MAX_MISSED_COUNT) {
+      count++;
+      run = nextRun(cron, run, schedule.timezone);
+    }
+
+    return count;
+  }
+
+  /**
+   * Set the next run after now (none while disabled)
+   * @param {Object} schedule - Internal schedule
+   */
+  updateNextRun(schedule) {
+    const next = schedule.enabled ? nextRun(schedule.cron, new Date(), schedule.timezone) : null;
+    schedule.nextRunAt = next ? next.toISOString() : null;
+  }
+
+  /**
+   * Get scheduler statistics
+   */
+  getStatistics() {
+    this.ensureLoaded();
+    const schedules = Array.from(this.schedules.values());
+    const upcoming = schedules.map(schedule => schedule.nextRunAt).filter(Boolean).sort();
+
+    return {
+      schedules: schedules.length,
+      enabled: schedules.filter(schedule => schedule.enabled).length,
+      running: Boolean(this.timer),
+      tickMs: this.settings.tickMs,
+      nextRunAt: upcoming[0] || null
+    };
+  }
+
+  /**
+   * Public schedule representation (latest run instead of the full history)
+   * @param {Object} schedule - Internal schedule
+   * @returns {Object} Serializable schedule
+   */
+  serializeSchedule(schedule) {
+    const { runs, ...rest } = schedule;
+
+    return {
+      ...rest,
+      lastRun: runs.length > 0 ? runs[runs.length - 1] : null,
+      runCount: runs.length
+    };
+  }
+}
+
+module.exports = new ScheduleService();
@@ -0,0 +1,227 @@
+const fs = require('fs');
+const path = require('path');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+
+// "id" (latest version) or "id@version"
+const REFERENCE_PATTERN = /^([a-z0-9][a-z0-9_-]{0,63})(?:@(\d+))?$/;
+
+class TemplateService {
+  constructor() {
+    this.dataDir = config.templates.dataDir;
+    this.writeChain = Promise.resolve();
+  }
+
+  /**
+   * Split a template reference into ID and version
+   * @param {string} reference - "id" or "id@version"
+   * @returns {Object|null} { id, version } (version null for latest), or null when malformed
+   */
+  parseReference(reference) {
+    const match = REFERENCE_PATTERN.exec(reference || '');
+    if (!match) return null;
+    return { id: match[1], version: match[2] ? parseInt(match[2], 10) : null };
+  }
+
+  /**
+   * Path of a template file
+   * @param {string} id - Template ID
+   * @returns {string} File path
+   */
+  getFilePath(id) {
+    return path.join(this.dataDir, `${id}.json`);
+  }
+
+  /**
+   * Read a template with all of its versions
+   * @param {string} id - Template ID
+   * @returns {Promise<Object|null>} Template, or null when it does not exist
+   */
+  async getTemplate(id) {
+    if (!this.parseReference(id)) return null;
+
+    try {
+      return JSON.parse(await fs.promises.readFile(this.getFilePath(id), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      logger.error(`Failed to read prompt template: ${error.message}`, { id });
+      throw error;
+    }
+  }
+
+  /**
+   * List templates with their latest version (without content)
+   * @returns {Promise<Array<Object>>} Template summaries
+   */
+  async listTemplates() {
+    let fileNames;
+    try {
+      fileNames = await fs.promises.readdir(this.dataDir);
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const templates = await Promise.all(fileNames
+      .filter(fileName => fileName.endsWith('.json'))
+      .map(fileName => this.getTemplate(path.basename(fileName, '.json'))));
+
+    return templates
+      .filter(Boolean)
+      .map(template => this.summarize(template))
+      .sort((a, b) => a.id.localeCompare(b.id));
+  }
+
+  /**
+   * Template metadata without version contents
+   * @param {Object} template - Stored template
+   * @returns {Object} Summary
+   */
+  summarize(template) {
+    const latest = template.versions[template.versions.length - 1];
+
+    return {
+      id: template.id,
+      name: template.name,
+      description: template.description,
+      latestVersion: latest.version,
+      versions: template.versions.length,
+      reference: `${template.id}@${latest.version}`,
+      createdAt: template.createdAt,
+      updatedAt: template.updatedAt
+    };
+  }
+
+  /**
+   * Resolve a reference to one template version
+   * @param {string} reference - "id" (latest) or "id@version"
+   * @returns {Promise<Object|null>} { id, version, reference, name, content }, or null when not found
+   */
+  async resolve(reference) {
+    const parsed = this.parseReference(reference);
+    if (!parsed) return null;
+
+    const template = await this.getTemplate(parsed.id);
+    if (!template) return null;
+
+    const entry = parsed.version === null
+      ? template.versions[template.versions.length - 1]
+      : template.versions.find(item => item.version === parsed.version);
+    if (!entry) return null;
+
+    return {
+      id: template.id,
+      version: entry.version,
+      reference: `${template.id}@${entry.version}`,
+      name: template.name,
+      content: entry.content
+    };
+  }
+
+  /**
+   * Create a template with its first version
+   * @param {Object} data - { id, name, description, content, changelog }
+   * @param {Object} options - { createdBy }
+   * @returns {Promise<Object|null>} Template, or null when the ID is already taken
+   */
+  createTemplate(data, options = {}) {
+    return this.withLock(async () => {
+      if (await this.getTemplate(data.id)) return null;
+
+      const now = new Date().toISOString();
+      const template = {
+        id: data.id,
+        name: data.name || data.id,
+        description: data.description || '',
+        createdAt: now,
+        updatedAt: now,
+        versions: [{
+          version: 1,
+          content: data.content,
+          changelog: data.changelog || 'Initial version',
+          createdAt: now,
+          createdBy: options.createdBy || null
+        }]
+      };
+
+      await this.writeTemplate(template);
+      logger.info(`Prompt template created: ${template.id}@1`);
+      return template;
+    });
+  }
+
+  /**
+   * Add a new version; earlier versions stay unchanged so saved reports remain reproducible
+   * @param {string} id - Template ID
+   * @param {Object} data - { content, name, description, changelog }
+   * @param {Object} options - { createdBy }
+   * @returns {Promise<Object|null>} Template, or null when it does not exist
+   */
+  addVersion(id, data, options = {}) {
+    return this.withLock(async () => {
+      const template = await this.getTemplate(id);
+      if (!template) return null;
+
+      const now = new Date().toISOString();
+      const version = template.versions[template.versions.length - 1].version + 1;
+
+      template.name = data.name || template.name;
+      template.description = data.description ?? template.description;
+      template.updatedAt = now;
+      template.versions.push({
+        version,
+        content: data.content,
+        changelog: data.changelog || '',
+        createdAt: now,
+        createdBy: options.createdBy || null
+      });
+
+      await this.writeTemplate(template);
+      logger.info(`Prompt template updated: ${id}@${version}`);
+      return template;
+    });
+  }
+
+  /**
+   * Delete a template and all of its versions
+   * @param {string} id - Template ID
+   * @returns {Promise<boolean>} False when it did not exist
+   */
+  deleteTemplate(id) {
+    return this.withLock(async () => {
+      if (!(await this.getTemplate(id))) return false;
+
+      await fs.promises.unlink(this.getFilePath(id));
+      logger.info(`Prompt template deleted: ${id}`);
+      return true;
+    });
+  }
+
+  /**
+   * Run a read-modify-write after every earlier one has finished,
+   * so concurrent edits cannot hand out the same version number
+   * @param {Function} fn - async () => result
+   * @returns {Promise<*>} Result of fn
+   */
+  withLock(fn) {
+    const run = this.writeChain.then(fn);
+    this.writeChain = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Write a template file atomically (via rename)
+   * @param {Object} template - Template to store
+   * @returns {Promise<void>}
+   */
+  async writeTemplate(template) {
+    const filePath = this.getFilePath(template.id);
+    const tmpFile = `${filePath}.tmp`;
+
+    await fs.promises.mkdir(this.dataDir, { recursive: true });
+    await fs.promises.writeFile(tmpFile, JSON.stringify(template, null, 2), 'utf8');
+    await fs.promises.rename(tmpFile, filePath);
+  }
+}
+
+module.exports = new TemplateService();
@@ -0,0 +1,130 @@
+const fs = require('fs');
+const path = require('path');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+
+const round = (value) => Math.round(value * 1e6) / 1e6;
+
+class UsageService {
+  constructor() {
+    this.ledgerFile = config.usage.ledgerFile;
+    this.writeChain = Promise.resolve();
+  }
+
+  /**
+   * Append one analysis to the usage ledger (JSON lines, serialized writes)
+   * @param {Object} entry - { requestId, type, status, brandName, email, apiKeyId, provider, model,
+   *                           inputTokens, outputTokens, cacheCreationInputTokens, cacheReadInputTokens,
+   *                           estimatedCostUsd, calls }
+   * @returns {Promise<void>}
+   */
+  record(entry) {
+    const line = JSON.stringify({ ...entry, createdAt: entry.createdAt || new Date().toISOString() }) + '\n';
+
+    this.writeChain = this.writeChain
+      .then(async () => {
+        await fs.promises.mkdir(path.dirname(this.ledgerFile), { recursive: true });
+        await fs.promises.appendFile(this.ledgerFile, line, 'utf8');
+      })
+      .catch(error => {
+        logger.error(`Failed to record usage: ${error.message}`, { ledgerFile: this.ledgerFile });
+      });
+
+    return this.writeChain;
+  }
+
+  /**
+   * Read ledger entries, skipping lines that cannot be parsed
+   * @returns {Promise<Array<Object>>} Entries
+   */
+  async readLedger() {
+    await this.writeChain;
+
+    let content;
+    try {
+      content = await fs.promises.readFile(this.ledgerFile, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    return content.split('\n').filter(Boolean).reduce((entries, line) => {
+      try {
+        entries.push(JSON.parse(line));
+      } catch (error) {
+        logger.warn(`Skipping malformed usage ledger line`, { ledgerFile: this.ledgerFile });
+      }
+      return entries;
+    }, []);
+  }
+
+  /**
+   * Cost and token totals by brand, client email, API key and day
+   * @param {Object} filters - { fromDate, toDate, brandName, email }
+   * @returns {Promise<Object>} Aggregated usage
+   */
+  async getUsage(filters = {}) {
+    let entries = await this.readLedger();
+
+    if (filters.fromDate) {
+      const fromDate = new Date(filters.fromDate);
+      entries = entries.filter(entry => new Date(entry.createdAt) >= fromDate);
+    }
+    if (filters.toDate) {
+      const toDate = new Date(filters.toDate);
+      entries = entries.filter(entry => new Date(entry.createdAt) <= toDate);
+    }
+    if (filters.brandName) {
+      const searchTerm = filters.brandName.toLowerCase();
+      entries = entries.filter(entry => (entry.brandName || '').toLowerCase().includes(searchTerm));
+    }
+    if (filters.email) {
+      entries = entries.filter(entry => (entry.email || '').toLowerCase() === filters.email.toLowerCase());
+    }
+
+    const aggregate = (keyOf) => {
+      const groups = {};
+
+      for (const entry of entries) {
+        const key = keyOf(entry) || 'unknown';
+        const group = groups[key] || (groups[key] = {
+          analyses: 0,
+          failed: 0,
+          inputTokens: 0,
+          outputTokens: 0,
+          cacheCreationInputTokens: 0,
+          cacheReadInputTokens: 0,
+          estimatedCostUsd: 0
+        });
+        group.analyses++;
+        if (entry.status === 'failed') group.failed++;
+        group.inputTokens += entry.inputTokens || 0;
+        group.outputTokens += entry.outputTokens || 0;
+        group.cacheCreationInputTokens += entry.cacheCreationInputTokens || 0;
+        group.cacheReadInputTokens += entry.cacheReadInputTokens || 0;
+        group.estimatedCostUsd = round(group.estimatedCostUsd + (entry.estimatedCostUsd || 0));
+      }
+
+      return groups;
+    };
+
+    return {
+      currency: 'USD',
+      totals: aggregate(() => 'all').all || {
+        analyses: 0,
+        failed: 0,
+        inputTokens: 0,
+        outputTokens: 0,
+        cacheCreationInputTokens: 0,
+        cacheReadInputTokens: 0,
+        estimatedCostUsd: 0
+      },
+      byBrand: aggregate(entry => entry.brandName),
+      byEmail: aggregate(entry => entry.email),
+      byApiKey: aggregate(entry => entry.apiKeyId),
+      byDay: aggregate(entry => entry.createdAt && entry.createdAt.slice(0, 10))
+    };
+  }
+}
+
+module.exports = new UsageService();
@@ -0,0 +1,132 @@
+/**
+ * Input of bulk comprehensive analyses: a JSON array of form payloads or a CSV
+ * file with one client per row and the form fields as column headers
+ *
+ * CSV cells hold plain values; list fields (competitors, topics, prompts,
+ * probeProviders, markets) separate their items with ";" or line breaks and
+ * markets are written as locales ("de-DE; fr-FR").
+ */
+
+const LIST_FIELDS = ['competitors', 'topics', 'prompts', 'probeProviders', 'markets'];
+const LIST_SEPARATOR = /\s*(?:;|\r?\n)\s*/;
+
+/**
+ * Parse CSV text (RFC 4180: quoted cells, "" escapes, line breaks inside quotes)
+ * @param {string} text - CSV content
+ * @returns {Array<Array<string>>} Rows of cells; blank lines are skipped
+ */
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  const input = text.replace(/^\uFEFF/, ''); // Spreadsheet exports often start with a BOM
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"' && cell === '') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (quoted) {
+    throw new Error('CSV has an unterminated quoted cell');
+  }
+
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  return rows.filter(cells => cells.some(value => value.trim() !== ''));
+};
+
+// Header matching ignores case, spaces, "_" and "-" (Brand Name, brand_name, brandName)
+const headerKey = (value) => value.toLowerCase().replace(/[\s_-]/g, '');
+
+/**
+ * Value of a list cell; markets become { country, language } objects
+ * (cells that are not locales are left as text so validation reports them)
+ * @param {string} field - Form field
+ * @param {string} value - Cell text
+ * @returns {Array}
+ */
+const parseListCell = (field, value) => {
+  const items = value.split(LIST_SEPARATOR).filter(Boolean);
+  if (field !== 'markets') return items;
+
+  return items.map(item => {
+    const match = /^([a-z]{2})[-_]([a-z]{2})$/i.exec(item);
+    return match ? { country: match[2].toUpperCase(), language: match[1].toLowerCase() } : item;
+  });
+};
+
+/**
+ * Turn CSV rows into form payloads
+ * @param {string} text - CSV content with a header row
+ * @param {Array<string>} fields - Form fields the columns may name
+ * @returns {Array<Object>} One payload per data row; empty cells are left out
+ */
+const csvToPayloads = (text, fields) => {
+  const [header, ...rows] = parseCsv(text);
+  if (!header) return [];
+
+  const fieldsByKey = new Map(fields.map(field => [headerKey(field), field]));
+  const columns = header.map(name => fieldsByKey.get(headerKey(name.trim())) || name.trim());
+
+  return rows.map(cells => {
+    const payload = {};
+
+    columns.forEach((field, index) => {
+      const value = (cells[index] || '').trim();
+      if (value === '') return;
+
+      payload[field] = LIST_FIELDS.includes(field) ? parseListCell(field, value) : value;
+    });
+
+    return payload;
+  });
+};
+
+/**
+ * Rows of a bulk request body
+ * @param {*} body - Parsed body: CSV text, an array of payloads, { rows } or { csv }
+ * @param {Array<string>} fields - Form fields the CSV columns may name
+ * @returns {Array<Object>} Form payloads (not validated yet)
+ */
+const parseBulkPayloads = (body, fields) => {
+  if (typeof body === 'string') return csvToPayloads(body, fields);
+  if (Array.isArray(body)) return body;
+  if (body && Array.isArray(body.rows)) return body.rows;
+  if (body && typeof body.csv === 'string') return csvToPayloads(body.csv, fields);
+
+  throw new Error('Send an array of comprehensive analysis payloads, { "rows": [...] }, { "csv": "..." } or a CSV file with Content-Type: text/csv');
+};
+
+module.exports = {
+  parseCsv,
+  csvToPayloads,
+  parseBulkPayloads
+};
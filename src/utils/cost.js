@@ -0,0 +1,96 @@
+/**
+ * USD cost of LLM calls from the per-model pricing in config.availableModels
+ */
+const config = require('../config/config');
+
+const round = (value) => Math.round(value * 1e6) / 1e6;
+
+/**
+ * Cost of one call. Prompt cache writes and reads are priced separately where the
+ * model has cache pricing, at the normal input price otherwise.
+ * @param {string} model - Model ID
+ * @param {Object} usage - { inputTokens, outputTokens, cacheCreationInputTokens, cacheReadInputTokens }
+ * @param {number} priceFactor - Multiplier on the list price (e.g. 0.5 for batch requests)
+ * @returns {number|null} USD, or null when the model has no pricing
+ */
+const calculateCost = (model, usage = {}, priceFactor = 1) => {
+  const pricing = config.availableModels[model]?.pricing;
+  if (!pricing) return null;
+
+  return round((
+    (usage.inputTokens || 0) * pricing.inputPerMTok +
+    (usage.outputTokens || 0) * pricing.outputPerMTok +
+    (usage.cacheCreationInputTokens || 0) * (pricing.cacheWritePerMTok ?? pricing.inputPerMTok) +
+    (usage.cacheReadInputTokens || 0) * (pricing.cacheReadPerMTok ?? pricing.inputPerMTok)
+  ) * priceFactor / 1e6);
+};
+
+/**
+ * Collects the cost of every call made for one analysis
+ * (probes, prompt generation, analysis, continuations, phases, structured report).
+ * Calls are priced by the requested model, which is the one with configured pricing.
+ * @returns {Object} { record(call), summary() }
+ */
+const createCostTracker = () => {
+  const calls = [];
+
+  const record = ({ purpose, provider, model, responseModel, usage, priceFactor }) => {
+    calls.push({
+      purpose,
+      provider,
+      model,
+      responseModel: responseModel || model,
+      inputTokens: usage?.inputTokens || 0,
+      outputTokens: usage?.outputTokens || 0,
+      cacheCreationInputTokens: usage?.cacheCreationInputTokens || 0,
+      cacheReadInputTokens: usage?.cacheReadInputTokens || 0,
+      costUsd: calculateCost(model, usage, priceFactor)
+    });
+  };
+
+  const summary = () => {
+    const byPurpose = {};
+    const byModel = {};
+
+    for (const call of calls) {
+      for (const [groups, key] of [[byPurpose, call.purpose], [byModel, call.model]]) {
+        const entry = groups[key] || (groups[key] = {
+          calls: 0,
+          inputTokens: 0,
+          outputTokens: 0,
+          cacheCreationInputTokens: 0,
+          cacheReadInputTokens: 0,
+          costUsd: 0
+        });
+        entry.calls++;
+        entry.inputTokens += call.inputTokens;
+        entry.outputTokens += call.outputTokens;
+        entry.cacheCreationInputTokens += call.cacheCreationInputTokens;
+        entry.cacheReadInputTokens += call.cacheReadInputTokens;
+        entry.costUsd = round(entry.costUsd + (call.costUsd || 0));
+      }
+    }
+
+    return {
+      estimatedCostUsd: round(calls.reduce((sum, call) => sum + (call.costUsd || 0), 0)),
+      currency: 'USD',
+      calls: calls.length,
+      inputTokens: calls.reduce((sum, call) => sum + call.inputTokens, 0),
+      outputTokens: calls.reduce((sum, call) => sum + call.outputTokens, 0),
+      cacheCreationInputTokens: calls.reduce((sum, call) => sum + call.cacheCreationInputTokens, 0),
+      cacheReadInputTokens: calls.reduce((sum, call) => sum + call.cacheReadInputTokens, 0),
+      unpricedModels: [...new Set(calls.filter(call => call.costUsd === null).map(call => call.model))],
+      // Model IDs the providers reported (an alias resolves to a dated snapshot); informational only
+      responseModels: [...new Set(calls.map(call => call.responseModel))],
+      byPurpose,
+      byModel
+    };
+  };
+
+  return { record, summary };
+};
+
+module.exports = {
+  calculateCost,
+  createCostTracker
+};
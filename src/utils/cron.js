@@ -0,0 +1,258 @@
+/**
+ * Cron expressions for recurring analyses
+ *
+ * Five fields: minute hour day-of-month month day-of-week, each a *, a value,
+ * a range (1-5), a step (*\/15, 1-10/2) or a comma-separated list of those.
+ * Months and weekdays also take names (jan, mon). When both day fields are
+ * restricted a day matching either one runs (classic cron behavior).
+ * Macros: @yearly, @monthly, @weekly, @daily, @hourly.
+ * Times are evaluated in an IANA time zone (UTC by default).
+ */
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'], offset: 1 },
+  { name: 'day of week', min: 0, max: 7, names: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'], offset: 0 } // 0 and 7 are Sunday
+];
+
+const MACROS = {
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *',
+  '@monthly': '0 0 1 * *',
+  '@weekly': '0 0 * * 0',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@hourly': '0 * * * *'
+};
+
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+const MINUTE_MS = 60000;
+const SEARCH_LIMIT_MS = 5 * 366 * 24 * 60 * MINUTE_MS; // Expressions that never match (31 2 *) stop here
+
+/**
+ * Number or name of one field value
+ * @param {string} text - Value text
+ * @param {Object} field - Field definition
+ * @returns {number}
+ */
+const parseValue = (text, field) => {
+  const nameIndex = field.names ? field.names.indexOf(text.toLowerCase()) : -1;
+  const value = nameIndex >= 0 ? nameIndex + field.offset : (/^\d+$/.test(text) ? parseInt(text, 10) : NaN);
+
+  if (Number.isNaN(value) || value < field.min || value > field.max) {
+    throw new Error(`Invalid ${field.name} value "${text}" (${field.min}-${field.max})`);
+  }
+  return value;
+};
+
+/**
+ * Values one field matches
+ * @param {string} text - Field text
+ * @param {Object} field - Field definition
+ * @returns {Set<number>}
+ */
+const parseField = (text, field) => {
+  const values = new Set();
+
+  for (const part of text.split(',')) {
+    const [range, stepText] = part.split('/');
+    const step = stepText === undefined ? 1 : parseInt(stepText, 10);
+    if (!(step > 0) || (stepText !== undefined && !/^\d+$/.test(stepText))) {
+      throw new Error(`Invalid ${field.name} step in "${part}"`);
+    }
+
+    let start;
+    let end;
+    if (range === '*') {
+      start = field.min;
+      end = field.max;
+    } else if (range.includes('-')) {
+      const [from, to] = range.split('-');
+      start = parseValue(from, field);
+      end = parseValue(to, field);
+      if (start > end) throw new Error(`Invalid ${field.name} range "${range}"`);
+    } else {
+      start = parseValue(range, field);
+      end = stepText === undefined ? start : field.max; // "5/15" means from 5 every 15
+    }
+
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  }
+
+  return values;
+};
+
+/**
+ * Parse a cron expression
+ * @param {string} expression - Five fields or a macro
+ * @returns {Object} { minute, hour, dayOfMonth, month, dayOfWeek (Sets), dayOfMonthRestricted, dayOfWeekRestricted }
+ * @throws {Error} When the expression is malformed
+ */
+const parseCron = (expression) => {
+  const text = String(expression || '').trim();
+  const fields = (MACROS[text.toLowerCase()] || text).split(/\s+/);
+
+  if (fields.length !== 5) {
+    throw new Error(`Cron expression must have 5 fields (minute hour day-of-month month day-of-week), got ${fields.length}`);
+  }
+
+  const [minute, hour, dayOfMonth, month, dayOfWeek] = fields.map((field, index) => parseField(field, FIELDS[index]));
+  if (dayOfWeek.has(7)) dayOfWeek.add(0);
+
+  return {
+    minute,
+    hour,
+    dayOfMonth,
+    month,
+    dayOfWeek,
+    dayOfMonthRestricted: fields[2] !== '*',
+    dayOfWeekRestricted: fields[4] !== '*'
+  };
+};
+
+/**
+ * Whether an expression parses
+ * @param {string} expression - Cron expression
+ * @returns {boolean}
+ */
+const isValidCron = (expression) => {
+  try {
+    parseCron(expression);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Whether a time zone name is known to Intl
+ * @param {string} timeZone - IANA time zone ("Europe/Berlin")
+ * @returns {boolean}
+ */
+const isValidTimeZone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Formatters by time zone, created on first use
+const formatters = new Map();
+
+/**
+ * Wall-clock fields of an instant in a time zone
+ * @param {number} time - Epoch milliseconds
+ * @param {string} timeZone - IANA time zone
+ * @returns {Object} { month, day, weekday, hour, minute }
+ */
+const localParts = (time, timeZone) => {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      month: 'numeric',
+      day: 'numeric',
+      weekday: 'short',
+      hour: 'numeric',
+      minute: 'numeric'
+    }));
+  }
+
+  const parts = {};
+  for (const { type, value } of formatters.get(timeZone).formatToParts(time)) {
+    parts[type] = value;
+  }
+
+  return {
+    month: parseInt(parts.month, 10),
+    day: parseInt(parts.day, 10),
+    weekday: WEEKDAYS[parts.weekday],
+    hour: parseInt(parts.hour, 10),
+    minute: parseInt(parts.minute, 10)
+  };
+};
+
+/**
+ * Whether a local date matches the day fields
+ * @param {Object} cron - Parsed expression
+ * @param {Object} parts - Local date fields
+ * @returns {boolean}
+ */
+const matchesDay = (cron, parts) => {
+  const byMonthDay = cron.dayOfMonth.has(parts.day);
+  const byWeekday = cron.dayOfWeek.has(parts.weekday);
+
+  if (cron.dayOfMonthRestricted && cron.dayOfWeekRestricted) return byMonthDay || byWeekday;
+  return byMonthDay && byWeekday;
+};
+
+/**
+ * First run strictly after a time. Non-matching days and hours are skipped
+ * whole, so even yearly expressions take a few thousand steps at most. Days
+ * are skipped to 23:00 and then hour by hour: a day shortened or lengthened by
+ * a DST change lands on midnight or an hour early instead of past midnight.
+ * @param {string|Object} expression - Cron expression or parsed expression
+ * @param {Date} after - Start of the search (exclusive)
+ * @param {string} timeZone - IANA time zone
+ * @returns {Date|null} Next run, or null when none within five years
+ */
+const nextRun = (expression, after = new Date(), timeZone = 'UTC') => {
+  const cron = typeof expression === 'string' ? parseCron(expression) : expression;
+  const limit = after.getTime() + SEARCH_LIMIT_MS;
+  let time = Math.floor(after.getTime() / MINUTE_MS) * MINUTE_MS + MINUTE_MS;
+
+  while (time <= limit) {
+    const parts = localParts(time, timeZone);
+
+    if (!cron.month.has(parts.month) || !matchesDay(cron, parts)) {
+      // 23:00 (22:00 or midnight across a DST change), or the next hour from 23:00 on
+      time += Math.max((22 - parts.hour) * 60, 0) * MINUTE_MS + (60 - parts.minute) * MINUTE_MS;
+    } else if (!cron.hour.has(parts.hour)) {
+      time += (60 - parts.minute) * MINUTE_MS; // Next local hour
+    } else if (!cron.minute.has(parts.minute)) {
+      time += MINUTE_MS;
+    } else {
+      return new Date(time);
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Upcoming runs
+ * @param {string} expression - Cron expression
+ * @param {number} count - Number of runs
+ * @param {Date} after - Start of the search (exclusive)
+ * @param {string} timeZone - IANA time zone
+ * @returns {Array<Date>}
+ */
+const nextRuns = (expression, count, after = new Date(), timeZone = 'UTC') => {
+  const cron = parseCron(expression);
+  const runs = [];
+  let from = after;
+
+  while (runs.length < count) {
+    const run = nextRun(cron, from, timeZone);
+    if (!run) break;
+    runs.push(run);
+    from = run;
+  }
+
+  return runs;
+};
+
+module.exports = {
+  parseCron,
+  isValidCron,
+  isValidTimeZone,
+  nextRun,
+  nextRuns
+};
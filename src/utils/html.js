@@ -0,0 +1,132 @@
+/**
+ * Lightweight HTML text extraction for crawled pages (no DOM dependency)
+ */
+
+const NAMED_ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: "'",
+  nbsp: ' ',
+  ndash: '–',
+  mdash: '—',
+  hellip: '…',
+  rsquo: '’',
+  lsquo: '‘',
+  rdquo: '”',
+  ldquo: '“',
+  copy: '©',
+  reg: '®',
+  trade: '™'
+};
+
+/**
+ * Decode HTML entities
+ * @param {string} text - Text with entities
+ * @returns {string} Decoded text
+ */
+const decodeEntities = (text) => text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+  if (code[0] === '#') {
+    const value = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+    return Number.isNaN(value) ? entity : String.fromCodePoint(value);
+  }
+  return NAMED_ENTITIES[code.toLowerCase()] ?? entity;
+});
+
+/**
+ * Strip tags and collapse whitespace
+ * @param {string} html - HTML fragment
+ * @returns {string} Plain text
+ */
+const toText = (html) => decodeEntities(html.replace(/<[^>]*>/g, ' ')).replace(/\s+/g, ' ').trim();
+
+/**
+ * Value of an attribute in a single tag
+ * @param {string} tag - Opening tag
+ * @param {string} name - Attribute name
+ * @returns {string|null}
+ */
+const getAttribute = (tag, name) => {
+  const match = new RegExp(`\\s${name}\\s*=\\s*(?:"([^"]*)"|'([^']*)'|([^\\s>]+))`, 'i').exec(tag);
+  return match ? decodeEntities(match[1] ?? match[2] ?? match[3]) : null;
+};
+
+/**
+ * Extract title, meta description, headings, visible text and links from a page
+ * @param {string} html - Page HTML
+ * @param {string} baseUrl - Page URL, for resolving relative links
+ * @returns {Object} { title, metaDescription, headings, text, links, noindex, nofollow }
+ */
+const extractPage = (html, baseUrl) => {
+  const titleMatch = /<title[^>]*>([\s\S]*?)<\/title>/i.exec(html);
+
+  let metaDescription = null;
+  let robotsMeta = '';
+  for (const [tag] of html.matchAll(/<meta\b[^>]*>/gi)) {
+    const name = (getAttribute(tag, 'name') || getAttribute(tag, 'property') || '').toLowerCase();
+    if (!metaDescription && (name === 'description' || name === 'og:description')) {
+      metaDescription = (getAttribute(tag, 'content') || '').trim() || null;
+    } else if (name === 'robots') {
+      robotsMeta = (getAttribute(tag, 'content') || '').toLowerCase();
+    }
+  }
+
+  let base = baseUrl;
+  const baseTag = /<base\b[^>]*>/i.exec(html);
+  if (baseTag && getAttribute(baseTag[0], 'href')) {
+    try {
+      base = new URL(getAttribute(baseTag[0], 'href'), baseUrl).href;
+    } catch (error) {
+      // Keep the page URL
+    }
+  }
+
+  // Drop markup that never holds visible content
+  const body = html
+    .replace(/<!--[\s\S]*?-->/g, ' ')
+    .replace(/<(script|style|noscript|template|svg|iframe|head)\b[\s\S]*?<\/\1>/gi, ' ');
+
+  const headings = Array.from(body.matchAll(/<h([1-3])\b[^>]*>([\s\S]*?)<\/h\1>/gi))
+    .map(match => ({ level: parseInt(match[1], 10), text: toText(match[2]) }))
+    .filter(heading => heading.text);
+
+  const links = [];
+  for (const [tag] of body.matchAll(/<a\b[^>]*>/gi)) {
+    const href = getAttribute(tag, 'href');
+    if (!href || /^(mailto|tel|javascript|data):/i.test(href)) continue;
+    if ((getAttribute(tag, 'rel') || '').toLowerCase().includes('nofollow')) continue;
+
+    try {
+      const url = new URL(href, base);
+      url.hash = '';
+      links.push(url.href);
+    } catch (error) {
+      // Ignore malformed links
+    }
+  }
+
+  // Block elements end a line so text from separate elements does not run together
+  const text = decodeEntities(body
+    .replace(/<(br|\/p|\/div|\/li|\/h[1-6]|\/tr|\/section|\/article)\b[^>]*>/gi, '\n')
+    .replace(/<[^>]*>/g, ' '))
+    .split('\n')
+    .map(line => line.replace(/\s+/g, ' ').trim())
+    .filter(Boolean)
+    .join('\n');
+
+  return {
+    title: titleMatch ? toText(titleMatch[1]) || null : null,
+    metaDescription,
+    headings,
+    text,
+    links: [...new Set(links)],
+    noindex: robotsMeta.includes('noindex'),
+    nofollow: robotsMeta.includes('nofollow')
+  };
+};
+
+module.exports = {
+  decodeEntities,
+  extractPage
+};
@@ -0,0 +1,182 @@
+/**
+ * Report output languages: the prompt instruction that makes the model write
+ * in the language, and the labels of the report file header and footer
+ */
+
+const OUTPUT_LANGUAGES = {
+  en: {
+    name: 'English',
+    nativeName: 'English',
+    locale: 'en-US',
+    labels: {
+      title: (brandName) => `Brand Visibility Analysis of ${brandName}`,
+      generated: 'Generated',
+      website: 'Website',
+      contact: 'Contact',
+      notProvided: 'Not provided',
+      parameters: 'Analysis Parameters',
+      provider: 'AI Provider',
+      processingTime: 'Processing Time',
+      quality: 'Analysis Quality',
+      comprehensive: 'COMPREHENSIVE',
+      standard: 'STANDARD',
+      specifications: 'Client Specifications',
+      specificationCounts: (competitors, topics, prompts) => `${competitors} competitors, ${topics} topics, ${prompts} prompts`,
+      websitePages: 'Website Pages Analyzed',
+      crawlFailed: 'crawl failed',
+      measuredTests: 'Measured Prompt Tests',
+      measuredCounts: (answered, brandName, mentions) => `${answered} answered queries, ${brandName} mentioned in ${mentions}`,
+      visibilityScore: 'Visibility Score',
+      notMeasured: 'not measured',
+      shareOfVoice: 'share of voice',
+      template: 'Prompt Template',
+      markets: 'Target Markets',
+      translatedFrom: 'Translated From',
+      completedOn: 'Analysis completed on',
+      questions: 'For questions or clarifications, contact',
+      client: 'client'
+    }
+  },
+  de: {
+    name: 'German',
+    nativeName: 'Deutsch',
+    locale: 'de-DE',
+    labels: {
+      title: (brandName) => `Markensichtbarkeitsanalyse für ${brandName}`,
+      generated: 'Erstellt',
+      website: 'Website',
+      contact: 'Kontakt',
+      notProvided: 'Nicht angegeben',
+      parameters: 'Analyseparameter',
+      provider: 'KI-Anbieter',
+      processingTime: 'Verarbeitungszeit',
+      quality: 'Analysequalität',
+      comprehensive: 'UMFASSEND',
+      standard: 'STANDARD',
+      specifications: 'Kundenvorgaben',
+      specificationCounts: (competitors, topics, prompts) => `${competitors} Wettbewerber, ${topics} Themen, ${prompts} Prompts`,
+      websitePages: 'Analysierte Webseiten',
+      crawlFailed: 'Abruf fehlgeschlagen',
+      measuredTests: 'Gemessene Prompt-Tests',
+      measuredCounts: (answered, brandName, mentions) => `${answered} beantwortete Anfragen, ${brandName} in ${mentions} erwähnt`,
+      visibilityScore: 'Sichtbarkeitswert',
+      notMeasured: 'nicht gemessen',
+      shareOfVoice: 'Share of Voice',
+      template: 'Prompt-Vorlage',
+      markets: 'Zielmärkte',
+      translatedFrom: 'Übersetzt aus',
+      completedOn: 'Analyse abgeschlossen am',
+      questions: 'Bei Fragen oder Rückfragen wenden Sie sich an',
+      client: 'den Kunden'
+    }
+  },
+  fr: {
+    name: 'French',
+    nativeName: 'Français',
+    locale: 'fr-FR',
+    labels: {
+      title: (brandName) => `Analyse de visibilité de la marque ${brandName}`,
+      generated: 'Généré le',
+      website: 'Site web',
+      contact: 'Contact',
+      notProvided: 'Non renseigné',
+      parameters: "Paramètres de l'analyse",
+      provider: 'Fournisseur IA',
+      processingTime: 'Temps de traitement',
+      quality: "Qualité de l'analyse",
+      comprehensive: 'COMPLÈTE',
+      standard: 'STANDARD',
+      specifications: 'Spécifications du client',
+      specificationCounts: (competitors, topics, prompts) => `${competitors} concurrents, ${topics} thèmes, ${prompts} prompts`,
+      websitePages: 'Pages du site analysées',
+      crawlFailed: "échec de l'exploration",
+      measuredTests: 'Tests de prompts mesurés',
+      measuredCounts: (answered, brandName, mentions) => `${answered} requêtes traitées, ${brandName} mentionnée dans ${mentions}`,
+      visibilityScore: 'Score de visibilité',
+      notMeasured: 'non mesuré',
+      shareOfVoice: 'part de voix',
+      template: 'Modèle de prompt',
+      markets: 'Marchés cibles',
+      translatedFrom: 'Traduit de',
+      completedOn: 'Analyse terminée le',
+      questions: 'Pour toute question ou précision, contactez',
+      client: 'le client'
+    }
+  },
+  es: {
+    name: 'Spanish',
+    nativeName: 'Español',
+    locale: 'es-ES',
+    labels: {
+      title: (brandName) => `Análisis de visibilidad de marca de ${brandName}`,
+      generated: 'Generado',
+      website: 'Sitio web',
+      contact: 'Contacto',
+      notProvided: 'No indicado',
+      parameters: 'Parámetros del análisis',
+      provider: 'Proveedor de IA',
+      processingTime: 'Tiempo de procesamiento',
+      quality: 'Calidad del análisis',
+      comprehensive: 'EXHAUSTIVO',
+      standard: 'ESTÁNDAR',
+      specifications: 'Especificaciones del cliente',
+      specificationCounts: (competitors, topics, prompts) => `${competitors} competidores, ${topics} temas, ${prompts} prompts`,
+      websitePages: 'Páginas del sitio analizadas',
+      crawlFailed: 'error de rastreo',
+      measuredTests: 'Pruebas de prompts medidas',
+      measuredCounts: (answered, brandName, mentions) => `${answered} consultas respondidas, ${brandName} mencionada en ${mentions}`,
+      visibilityScore: 'Puntuación de visibilidad',
+      notMeasured: 'no medido',
+      shareOfVoice: 'cuota de voz',
+      template: 'Plantilla de prompt',
+      markets: 'Mercados objetivo',
+      translatedFrom: 'Traducido del',
+      completedOn: 'Análisis completado el',
+      questions: 'Para preguntas o aclaraciones, contacte con',
+      client: 'el cliente'
+    }
+  }
+};
+
+const DEFAULT_OUTPUT_LANGUAGE = 'en';
+
+/**
+ * Output language settings, falling back to English
+ * @param {string} code - Language code (en, de, fr, es)
+ * @returns {Object} { code, name, nativeName, locale, labels }
+ */
+const getOutputLanguage = (code) => {
+  const resolved = OUTPUT_LANGUAGES[code] ? code : DEFAULT_OUTPUT_LANGUAGE;
+  return { code: resolved, ...OUTPUT_LANGUAGES[resolved] };
+};
+
+/**
+ * Name of a language as written in another language, e.g. "Englisch" for en in de
+ * @param {string} code - Language to name
+ * @param {string} inLanguage - Language to write the name in
+ * @returns {string}
+ */
+const languageName = (code, inLanguage = DEFAULT_OUTPUT_LANGUAGE) =>
+  new Intl.DisplayNames([getOutputLanguage(inLanguage).locale], { type: 'language' }).of(code);
+
+/**
+ * Prompt instruction for writing the report in a language
+ * @param {string} code - Output language code
+ * @returns {string} Prompt section (empty for English)
+ */
+const createLanguageSection = (code) => {
+  if (!code || code === DEFAULT_OUTPUT_LANGUAGE) return '';
+
+  const language = getOutputLanguage(code);
+  return `OUTPUT LANGUAGE: Write the entire report in ${language.name} (${language.nativeName}), including headings, tables, recommendations and the conclusion. Keep brand, company and product names, URLs and quoted test prompts exactly as given.
+
+`;
+};
+
+module.exports = {
+  OUTPUT_LANGUAGES,
+  DEFAULT_OUTPUT_LANGUAGE,
+  getOutputLanguage,
+  languageName,
+  createLanguageSection
+};
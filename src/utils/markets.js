@@ -0,0 +1,89 @@
+/**
+ * Target markets: ISO 3166-1 alpha-2 country plus ISO 639-1 language
+ *
+ * A market is keyed as a BCP 47 locale ("de-DE", "fr-CA"), which is how it
+ * appears in probe results, visibility breakdowns and report metadata.
+ */
+
+const regionNames = new Intl.DisplayNames(['en'], { type: 'region', fallback: 'none' });
+const languageNames = new Intl.DisplayNames(['en'], { type: 'language', fallback: 'none' });
+
+// Display names in other report languages, created on first use
+const localizedNames = new Map([['en', { regionNames, languageNames }]]);
+
+const getNames = (locale) => {
+  if (!localizedNames.has(locale)) {
+    localizedNames.set(locale, {
+      regionNames: new Intl.DisplayNames([locale], { type: 'region', fallback: 'none' }),
+      languageNames: new Intl.DisplayNames([locale], { type: 'language', fallback: 'none' })
+    });
+  }
+  return localizedNames.get(locale);
+};
+
+/**
+ * Whether a code is a known ISO 3166-1 alpha-2 country
+ * @param {string} code - Upper-case country code
+ * @returns {boolean}
+ */
+const isCountryCode = (code) => {
+  if (!/^[A-Z]{2}$/.test(code)) return false;
+  const name = regionNames.of(code);
+  return Boolean(name) && name !== 'Unknown Region';
+};
+
+/**
+ * Whether a code is a known ISO 639-1 language
+ * @param {string} code - Lower-case language code
+ * @returns {boolean}
+ */
+const isLanguageCode = (code) => /^[a-z]{2}$/.test(code) && Boolean(languageNames.of(code));
+
+/**
+ * Locale key for a market
+ * @param {Object} market - { country, language }
+ * @returns {string} e.g. "de-DE"
+ */
+const marketKey = (market) => `${market.language}-${market.country}`;
+
+/**
+ * Market with its key and display names
+ * @param {Object} market - { country, language }
+ * @param {string} locale - Locale of the display names (default English)
+ * @returns {Object} { key, country, language, countryName, languageName, label }
+ */
+const describeMarket = (market, locale = 'en') => {
+  const names = getNames(locale);
+  const countryName = names.regionNames.of(market.country) || market.country;
+  const languageName = names.languageNames.of(market.language) || market.language;
+
+  return {
+    key: marketKey(market),
+    country: market.country,
+    language: market.language,
+    countryName,
+    languageName,
+    label: `${countryName} (${languageName})`
+  };
+};
+
+/**
+ * Whether any of a report's markets matches a filter
+ * @param {Array<Object>} markets - Report markets ({ country, language })
+ * @param {string} filter - Country ("DE") or locale ("de-DE"), case-insensitive
+ * @returns {boolean}
+ */
+const matchesMarket = (markets, filter) => {
+  const wanted = filter.trim().toLowerCase();
+
+  return (markets || []).some(market =>
+    market.country.toLowerCase() === wanted || marketKey(market).toLowerCase() === wanted);
+};
+
+module.exports = {
+  isCountryCode,
+  isLanguageCode,
+  marketKey,
+  describeMarket,
+  matchesMarket
+};
@@ -0,0 +1,183 @@
+/**
+ * Brand / competitor mention detection for raw LLM answers
+ */
+
+/**
+ * Derive a display name from a competitor entry that may be a URL
+ * @param {string} value - Competitor name or URL
+ * @returns {string} Name
+ */
+const entityNameFromValue = (value) => {
+  const trimmed = value.trim();
+
+  if (/^https?:\/\//i.test(trimmed) || /^www\./i.test(trimmed)) {
+    try {
+      const url = new URL(/^https?:\/\//i.test(trimmed) ? trimmed : `https://${trimmed}`);
+      const label = url.hostname.replace(/^www\./i, '').split('.')[0];
+      return label.charAt(0).toUpperCase() + label.slice(1);
+    } catch (error) {
+      return trimmed;
+    }
+  }
+
+  return trimmed;
+};
+
+/**
+ * Name variants worth matching for a website (e.g. "oxagile", "oxagile.com")
+ * @param {string} websiteUrl - Website URL
+ * @returns {Array<string>} Aliases
+ */
+const aliasesFromUrl = (websiteUrl) => {
+  if (!websiteUrl) return [];
+
+  try {
+    const hostname = new URL(websiteUrl).hostname.replace(/^www\./i, '');
+    return [hostname, hostname.split('.')[0]];
+  } catch (error) {
+    return [];
+  }
+};
+
+/**
+ * Build the brand + competitor entity list for a form submission
+ * @param {Object} formData - Form data (brandName, websiteUrl, competitors)
+ * @returns {Array<Object>} Entities { name, aliases, isBrand }
+ */
+const buildEntities = (formData) => {
+  const entities = [{
+    name: formData.brandName,
+    aliases: aliasesFromUrl(formData.websiteUrl),
+    isBrand: true
+  }];
+
+  for (const competitor of formData.competitors || []) {
+    const name = entityNameFromValue(competitor);
+    const aliases = /^(https?:\/\/|www\.)/i.test(competitor.trim())
+      ? aliasesFromUrl(/^https?:\/\//i.test(competitor.trim()) ? competitor.trim() : `https://${competitor.trim()}`)
+      : [];
+
+    entities.push({ name, aliases, isBrand: false });
+  }
+
+  return entities;
+};
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Regex matching any variant of an entity as a whole word
+ * @param {Object} entity - { name, aliases }
+ * @returns {RegExp|null}
+ */
+const buildMatcher = (entity) => {
+  const variants = [entity.name, ...(entity.aliases || [])]
+    .map(variant => variant && variant.trim())
+    .filter(variant => variant && variant.length >= 2);
+
+  if (variants.length === 0) return null;
+
+  // Longest first so "Acme Labs" wins over "Acme"
+  const pattern = [...new Set(variants)]
+    .sort((a, b) => b.length - a.length)
+    .map(escapeRegExp)
+    .join('|');
+
+  return new RegExp(`(?<![\\p{L}\\p{N}])(?:${pattern})(?![\\p{L}\\p{N}])`, 'giu');
+};
+
+/**
+ * Sentence around a character offset
+ * @param {string} text - Full text
+ * @param {number} index - Offset of the match
+ * @returns {string} Sentence, trimmed to 300 characters
+ */
+const sentenceAt = (text, index) => {
+  const before = text.slice(0, index);
+  const start = Math.max(
+    before.lastIndexOf('. ') + 1,
+    before.lastIndexOf('\n') + 1,
+    before.lastIndexOf('! ') + 1,
+    before.lastIndexOf('? ') + 1
+  );
+  const rest = text.slice(index);
+  const endMatch = rest.search(/[.!?](\s|$)|\n/);
+  const end = endMatch === -1 ? text.length : index + endMatch + 1;
+
+  return text.slice(start, end)
+    .trim()
+    .replace(/^(?:[-*•]|\d+[.)])\s+/, '')
+    .substring(0, 300);
+};
+
+/**
+ * Number of the list item containing an offset (numbered or bulleted lists)
+ * @param {string} text - Full text
+ * @param {number} index - Offset of the match
+ * @returns {number|null} 1-based list rank
+ */
+const listRankAt = (text, index) => {
+  const lines = text.split('\n');
+  let offset = 0;
+  let bulletCount = 0;
+
+  for (const line of lines) {
+    const isNumbered = line.match(/^\s*(\d+)[.)]\s+/);
+    const isBullet = /^\s*[-*•]\s+/.test(line);
+
+    if (isBullet) bulletCount++;
+    if (!isNumbered && !isBullet && line.trim() !== '' && !/^\s{2,}/.test(line)) bulletCount = 0;
+
+    if (index < offset + line.length + 1) {
+      if (isNumbered) return parseInt(isNumbered[1], 10);
+      if (isBullet) return bulletCount;
+      return null;
+    }
+
+    offset += line.length + 1;
+  }
+
+  return null;
+};
+
+/**
+ * Detect which entities an answer mentions, in what order and with what wording
+ * @param {string} text - Raw LLM answer
+ * @param {Array<Object>} entities - From buildEntities()
+ * @returns {Array<Object>} One entry per entity:
+ *   { name, isBrand, mentioned, count, position, listRank, snippet }
+ *   position is the 1-based order of first mention among mentioned entities.
+ */
+const detectMentions = (text = '', entities = []) => {
+  const results = entities.map(entity => {
+    const matcher = buildMatcher(entity);
+    const matches = matcher ? [...text.matchAll(matcher)] : [];
+    const first = matches[0];
+
+    return {
+      name: entity.name,
+      isBrand: Boolean(entity.isBrand),
+      mentioned: matches.length > 0,
+      count: matches.length,
+      firstIndex: first ? first.index : null,
+      position: null,
+      listRank: first ? listRankAt(text, first.index) : null,
+      snippet: first ? sentenceAt(text, first.index) : null
+    };
+  });
+
+  results
+    .filter(result => result.mentioned)
+    .sort((a, b) => a.firstIndex - b.firstIndex)
+    .forEach((result, index) => {
+      result.position = index + 1;
+    });
+
+  return results.map(({ firstIndex, ...result }) => result);
+};
+
+module.exports = {
+  buildEntities,
+  detectMentions,
+  entityNameFromValue
+};
@@ -0,0 +1,157 @@
+/**
+ * Multi-stage analysis pipeline: phase definitions and phase prompts
+ *
+ * Each phase gets its own focused prompt plus the full output of every
+ * earlier phase, so later sections build on (instead of repeat) earlier ones.
+ */
+const { createMeasurementSection, createWebsiteSection, createFormSections } = require('./prompt');
+
+/**
+ * Ordered phases. maxTokens is the output budget for the phase
+ * (capped by the model limit).
+ */
+const PHASES = [
+  {
+    id: 'research',
+    title: 'Brand Intelligence & Competitive Landscape',
+    maxTokens: 3000,
+    task: (formData, sections, context) => `${context.websiteSection}Research ${formData.brandName} and its competitive landscape.
+
+WEBSITE & SERVICE PORTFOLIO:
+- Analyze ${formData.websiteUrl} for every service offering, capability and specialization
+- Unique value propositions, differentiators, proprietary methods and certifications
+- Client portfolio, industries served, case studies and outcomes
+- Company history, leadership, geographic presence and market focus
+- Content quality and thought leadership presence
+
+${sections.competitorSection}
+
+For each competitor: positioning, core services, target market, strengths, weaknesses and brand recognition compared to ${formData.brandName}.`
+  },
+  {
+    id: 'icp',
+    title: 'Ideal Customer Profiles',
+    maxTokens: 2500,
+    task: (formData, sections) => `${sections.personasSection}
+
+For each ICP cover:
+- Role, seniority, responsibilities and decision-making authority
+- Company profile: industry, size, revenue, technology maturity
+- Pain points and the business outcomes they need
+- Vendor selection criteria and buying process
+- How they use AI assistants (ChatGPT, Claude, Gemini, Perplexity) during vendor research`
+  },
+  {
+    id: 'topics',
+    title: 'Strategic Topics',
+    maxTokens: 2000,
+    task: (formData, sections) => `${sections.topicsSection}
+
+For each topic cover:
+- Why it matters to the ICPs defined earlier
+- Search and question volume indicators on AI platforms
+- How well ${formData.brandName} is positioned on the topic today
+- Which competitors own the topic and why`
+  },
+  {
+    id: 'prompts',
+    title: 'Prompt Development',
+    maxTokens: 2500,
+    task: (formData, sections) => `${sections.promptsSection}
+
+Tie every prompt to one ICP and one topic from earlier phases. For each prompt cover:
+- The business scenario and intent behind it (informational, comparison, recommendation, transactional)
+- What a strong AI answer would contain
+- Whether ${formData.brandName} is likely to appear, and which competitors would`
+  },
+  {
+    id: 'audit',
+    title: 'AI Visibility Audit',
+    maxTokens: 3500,
+    task: (formData, sections, context) => `${context.measurementSection}Audit ${formData.brandName}'s visibility on each major AI platform (ChatGPT, Claude, Gemini, Perplexity) for the prompts and topics above.
+
+PLATFORM-BY-PLATFORM ASSESSMENT:
+- How often and how prominently ${formData.brandName} is mentioned
+- Accuracy and sentiment of the description
+- Which competitors appear instead, and why
+
+COMPETITIVE SHARE OF VOICE:
+- Head-to-head comparison with every competitor from the research phase
+- Estimated share of voice per topic
+
+CONTENT SOURCE COVERAGE:
+- Website, industry publications, review sites, social and community presence that feed AI answers
+- Gaps that keep ${formData.brandName} out of AI answers`
+  },
+  {
+    id: 'recommendations',
+    title: 'Strategic Recommendations',
+    maxTokens: 3500,
+    task: (formData) => `Turn the audit findings into recommendations for ${formData.brandName}.
+
+VISIBILITY GAP ANALYSIS:
+- The most important gaps from the audit, ranked by business impact
+- ICP alignment: where the brand's AI presence misses what the ICPs ask
+
+RECOMMENDATIONS BY HORIZON (each with priority, effort and expected impact):
+- IMMEDIATE ACTIONS (0-3 months)
+- MEDIUM-TERM STRATEGY (3-12 months)
+- LONG-TERM VISION (12+ months)
+
+Every recommendation must reference a specific finding from the audit.`
+  },
+  {
+    id: 'roadmap',
+    title: 'Implementation Roadmap',
+    maxTokens: 3000,
+    task: (formData) => `Build the implementation plan for the recommendations above.
+
+- Month-by-month breakdown for the first 12 months
+- Team requirements, budget allocation and technology needs
+- SUCCESS METRICS & KPIs: baseline, target and timeframe for each, and how it is measured
+
+Finish with a section titled "EXECUTIVE CONCLUSION & STRATEGIC NEXT STEPS for ${formData.brandName}" that summarizes the whole engagement.`
+  }
+];
+
+/**
+ * Build the prompt for one pipeline phase
+ * @param {Object} phase - Entry from PHASES
+ * @param {Object} formData - Validated form data
+ * @param {Array<Object>} previousPhases - Completed phases { id, title, output }
+ * @param {Object} context - Extra analysis context ({ measurement, visibility, crawl })
+ * @returns {string} Prompt
+ */
+const createPhasePrompt = (phase, formData, previousPhases = [], context = {}) => {
+  const { brandName, websiteUrl } = formData;
+  const index = PHASES.findIndex(entry => entry.id === phase.id);
+  const sections = createFormSections(formData);
+  const measurementSection = createMeasurementSection(context.measurement, brandName, context.visibility);
+  const websiteSection = createWebsiteSection(context.crawl, brandName);
+
+  const previousBlock = previousPhases.length > 0
+    ? `OUTPUT OF EARLIER PHASES (build on these; do not repeat or contradict them):
+
+${previousPhases.map(previous => `=== ${previous.title.toUpperCase()} ===
+${previous.output}`).join('\n\n')}
+
+`
+    : '';
+
+  return `You are a senior AI/LLM Visibility Research Analyst producing one section of a multi-phase brand visibility audit.
+
+CLIENT INFORMATION:
+- Brand: ${brandName}
+- Website: ${websiteUrl}
+
+${sections.languageSection}${sections.marketsSection}${previousBlock}CURRENT PHASE ${index + 1} OF ${PHASES.length}: ${phase.title.toUpperCase()}
+
+${phase.task(formData, sections, { measurementSection, websiteSection })}
+
+Write only this phase, in detail, with specific examples and evidence. Start directly with the content; do not add a report title or restate earlier phases.`;
+};
+
+module.exports = {
+  PHASES,
+  createPhasePrompt
+};
@@ -3,24 +3,136 @@
  * Enhanced with Form Data Integration and AI-Generated Content
  * Optimized for Maximum Token Utilization (8,192 tokens)
  */
+const config = require('../config/config');
+const { describeMarket } = require('./markets');
+const { getOutputLanguage, createLanguageSection } = require('./i18n');
 
-const createComprehensiveBrandAnalysisPrompt = (formData) => {
+/**
+ * Summarize measured prompt test results for inclusion in the analysis prompt
+ * @param {Object} measurement - Result of probeService.measureVisibility()
+ * @param {string} brandName - Brand name
+ * @param {Object} visibility - Scores from calculateVisibilityScores() (optional)
+ * @returns {string} Prompt section (empty when nothing was measured)
+ */
+const createMeasurementSection = (measurement, brandName, visibility = null) => {
+  if (!measurement || measurement.skipped || measurement.results.length === 0) {
+    return '';
+  }
+
+  const byPrompt = new Map();
+  for (const result of measurement.results) {
+    if (!byPrompt.has(result.prompt)) byPrompt.set(result.prompt, []);
+    byPrompt.get(result.prompt).push(result);
+  }
+
+  const promptBlocks = Array.from(byPrompt.entries()).map(([promptText, results], index) => {
+    const lines = results.map(result => {
+      const platform = `${result.provider} (${result.model})`;
+
+      if (result.error) {
+        return `- ${platform}: query failed, no data`;
+      }
+
+      const brand = result.brand;
+      const brandLine = brand && brand.mentioned
+        ? `${brandName} mentioned ${brand.count}x, first at position ${brand.position}${brand.listRank ? `, list rank ${brand.listRank}` : ''}: "${brand.snippet}"`
+        : `${brandName} NOT mentioned`;
+      const competitors = result.mentions
+        .filter(mention => !mention.isBrand && mention.mentioned)
+        .map(mention => `${mention.name} (#${mention.position})`);
+
+      return `- ${platform}: ${brandLine}. Competitors mentioned: ${competitors.length > 0 ? competitors.join(', ') : 'none'}`;
+    });
+
+    const market = results[0].market ? `, ${results[0].market}` : '';
+    return `Prompt ${index + 1} (${results[0].source}${market}): "${promptText}"
+${lines.join('\n')}`;
+  });
+
+  const percent = (value) => `${Math.round((value || 0) * 100)}%`;
+  const marketLines = Object.entries(visibility?.byMarket || {}).map(([market, score]) => (score.visibilityScore === null
+    ? `- ${brandName} in ${market}: not measured (no answered queries)`
+    : `- ${brandName} in ${market}: visibility score ${score.visibilityScore}/100, mention rate ${percent(score.mentionRate)}, share of voice ${percent(score.shareOfVoice)}; leading competitors: ${score.competitors.slice(0, 3).map(competitor => `${competitor.name} (${competitor.visibilityScore})`).join(', ') || 'none'}`));
+  let scoreBlock = '';
+  if (visibility && visibility.visibilityScore === null) {
+    scoreBlock = `
+MEASURED VISIBILITY SCORES: not measured (no query was answered). Do not report a visibility score of 0; state that visibility could not be measured.
+`;
+  } else if (visibility && visibility.brand) {
+    scoreBlock = `
+MEASURED VISIBILITY SCORES:
+- ${brandName}: visibility score ${visibility.visibilityScore}/100, mention rate ${percent(visibility.brand.mentionRate)}, average position ${visibility.brand.averagePosition ?? 'n/a'}, first-mention share ${percent(visibility.brand.firstMentionShare)}, share of voice ${percent(visibility.brand.shareOfVoice)}
+${visibility.competitors.map(competitor => `- ${competitor.name}: visibility score ${competitor.visibilityScore}/100, mention rate ${percent(competitor.mentionRate)}, share of voice ${percent(competitor.shareOfVoice)}`).join('\n')}
+${marketLines.length > 0 ? `
+PER-MARKET VISIBILITY:
+${marketLines.join('\n')}
+` : ''}`;
+  }
+
+  return `MEASURED AI PLATFORM RESULTS (real end-user queries run ${measurement.measuredAt}):
+The prompts below were sent to AI platforms exactly as a prospective customer would type them. ${brandName} was mentioned in ${measurement.summary.brandMentions} of ${measurement.summary.answeredQueries} answered queries.
+Base the platform-by-platform assessment and share-of-voice analysis on these measured results. Do not contradict them; clearly label anything beyond them as an estimate.
+${scoreBlock}
+${promptBlocks.join('\n\n')}
+
+`;
+};
+
+/**
+ * Summarize crawled website pages for inclusion in the analysis prompt
+ * @param {Object} crawl - Result of crawlerService.crawl()
+ * @param {string} brandName - Brand name
+ * @param {number} maxChars - Budget for page content
+ * @returns {string} Prompt section (empty when nothing was crawled)
+ */
+const createWebsiteSection = (crawl, brandName, maxChars = config.crawler.maxPromptChars) => {
+  if (!crawl || !crawl.pages || crawl.pages.length === 0) {
+    return '';
+  }
+
+  const blocks = [];
+  let remaining = maxChars;
+
+  for (const page of crawl.pages) {
+    if (remaining <= 0) break;
+
+    const headings = page.headings.slice(0, 15).map(heading => `${'#'.repeat(heading.level)} ${heading.text}`).join('\n');
+    const text = page.text.slice(0, Math.max(0, remaining));
+    remaining -= text.length;
+
+    blocks.push(`PAGE: ${page.url}
+Title: ${page.title || 'none'}
+Meta description: ${page.metaDescription || 'none'}${headings ? `
+Headings:
+${headings}` : ''}
+Content:
+${text}`);
+  }
+
+  return `WEBSITE CONTENT (${crawl.pages.length} pages fetched from ${crawl.origin} on ${crawl.crawledAt}):
+Base statements about ${brandName}'s services, clients and positioning on this content. Where it is silent, say so rather than guessing.
+
+${blocks.join('\n\n')}
+
+`;
+};
+
+/**
+ * Build the client-specified (or AI-generated) competitor, topic, persona and prompt sections
+ * @param {Object} formData - Validated form data
+ * @returns {Object} { competitorSection, topicsSection, personasSection, promptsSection }
+ */
+const createFormSections = (formData) => {
   const {
     brandName,
-    websiteUrl,
-    email,
     competitors = [],
     topics = [],
     prompts = [],
-    personas = ''
+    personas = '',
+    markets = [],
+    outputLanguage
   } = formData;
 
-  // Determine what needs to be AI-generated
-  const needsCompetitors = competitors.length === 0;
-  const needsTopics = topics.length === 0;
-  const needsPrompts = prompts.length === 0;
-  const needsPersonas = !personas || personas.trim() === '';
-  
   // Build competitor section
   let competitorSection = '';
   if (competitors.length > 0) {
@@ -81,24 +193,33 @@ Additionally, develop 2-3 more relevant prompts based on your analysis.`;
 Create 4-5 realistic prompts that target customers would use when searching for services like ${brandName} offers. These should reflect actual search behavior and business scenarios.`;
   }
 
-  return `You are a Master-level AI/LLM Visibility Research Analyst conducting the most comprehensive brand visibility audit possible. This is a premium $50,000 consulting deliverable that MUST utilize the full 8,192 output tokens available.
+  // Build markets section (empty for a market-neutral analysis)
+  let marketsSection = '';
+  if (markets.length > 0) {
+    marketsSection = `TARGET MARKETS:
+${markets.map(market => describeMarket(market)).map((market, index) => `${index + 1}. ${market.label} - ${market.key}`).join('\n')}
 
-CLIENT INFORMATION:
-- Brand: ${brandName}
-- Website: ${websiteUrl}
-- Contact: ${email}
+Break the analysis out per market: for each market assess ${brandName}'s AI visibility, identify the competitors that matter locally, and give market-specific recommendations (language, local platforms and directories, regulation, local proof points). Write test prompts in each market's language.
 
-CRITICAL REQUIREMENTS:
-- Use ALL 8,192 output tokens - this is mandatory
-- Provide exhaustive detail in every section
-- Include specific examples, data points, and evidence
-- Write comprehensive explanations, not brief summaries
-- Each major section should be 800-1,200 words minimum
-- Total response should be 6,000-8,000 words
+`;
+  }
 
-TARGET ANALYSIS: ${brandName} at ${websiteUrl}
+  // Report language instruction (empty for English)
+  const languageSection = createLanguageSection(outputLanguage);
+
+  return { competitorSection, topicsSection, personasSection, promptsSection, marketsSection, languageSection };
+};
 
-ULTRA-COMPREHENSIVE BRAND VISIBILITY & SHARE-OF-VOICE AUDIT
+/**
+ * Audit methodology: research, ICPs, topics, prompts, visibility audit,
+ * recommendations and roadmap. Written for one brand, or for "the client brand"
+ * in the static system prompt that is identical for every analysis.
+ * @param {string} brandName - Brand name (or neutral reference)
+ * @param {string} websiteUrl - Website URL (or neutral reference)
+ * @param {Object} sections - { competitorSection, personasSection, topicsSection, promptsSection, measurementSection }
+ * @returns {string} Methodology text
+ */
+const createAuditMethodology = (brandName, websiteUrl, sections) => `ULTRA-COMPREHENSIVE BRAND VISIBILITY & SHARE-OF-VOICE AUDIT
 
 Phase 1: EXTENSIVE BRAND RESEARCH & ICP DEVELOPMENT
 
@@ -140,7 +261,7 @@ CLIENT PORTFOLIO & CASE STUDY ANALYSIS:
 
 COMPETITIVE LANDSCAPE ASSESSMENT:
 
-${competitorSection}
+${sections.competitorSection}
 
 For each competitor identified, provide comprehensive analysis:
 - Detailed service comparison with ${brandName}
@@ -156,7 +277,7 @@ For each competitor identified, provide comprehensive analysis:
 
 Step 2: DETAILED Ideal Customer Profile (ICP) Creation
 
-${personasSection}
+${sections.personasSection}
 
 Develop 2-3 comprehensive ICPs with extensive detail:
 
@@ -205,7 +326,7 @@ SEARCH BEHAVIOR & AI PLATFORM USAGE:
 
 Step 3: STRATEGIC Topic Identification
 
-${topicsSection}
+${sections.topicsSection}
 
 For each identified topic, provide extensive analysis:
 
@@ -227,7 +348,7 @@ Phase 2: REALISTIC PROMPT DEVELOPMENT & TESTING
 
 Step 4: EXTENSIVE Prompt Creation & Analysis
 
-${promptsSection}
+${sections.promptsSection}
 
 For each prompt (client-specified and AI-developed), provide detailed analysis:
 
@@ -255,7 +376,7 @@ Phase 3: COMPREHENSIVE AI VISIBILITY AUDIT
 
 DETAILED Brand Mentions Analysis:
 
-PLATFORM-BY-PLATFORM ASSESSMENT:
+${sections.measurementSection}PLATFORM-BY-PLATFORM ASSESSMENT:
 
 For each major AI platform (ChatGPT, Claude, Gemini, Perplexity, etc.), analyze ${brandName}'s visibility:
 
@@ -497,11 +618,257 @@ The implementation of this strategy should result in ${brandName} achieving top-
 
 Expected ROI: 300-500% return on marketing investment within 18 months through improved lead generation, higher conversion rates, and enhanced market positioning.
 
-This comprehensive analysis provides ${brandName} with a clear roadmap to dominate AI platform visibility in their target markets and achieve sustainable competitive advantage through strategic content and partnership development.
+This comprehensive analysis provides ${brandName} with a clear roadmap to dominate AI platform visibility in their target markets and achieve sustainable competitive advantage through strategic content and partnership development.`;
+
+// Requirements shared by the single prompt and the static system prompt
+const ANALYST_ROLE = 'You are a Master-level AI/LLM Visibility Research Analyst conducting the most comprehensive brand visibility audit possible. This is a premium $50,000 consulting deliverable that MUST utilize the full 8,192 output tokens available.';
+
+const CRITICAL_REQUIREMENTS = `CRITICAL REQUIREMENTS:
+- Use ALL 8,192 output tokens - this is mandatory
+- Provide exhaustive detail in every section
+- Include specific examples, data points, and evidence
+- Write comprehensive explanations, not brief summaries
+- Each major section should be 800-1,200 words minimum
+- Total response should be 6,000-8,000 words`;
+
+/**
+ * @param {Object} formData - Validated form data
+ * @param {Object} context - Extra analysis context ({ measurement, visibility, crawl })
+ */
+const createComprehensiveBrandAnalysisPrompt = (formData, context = {}) => {
+  const { brandName, websiteUrl, email } = formData;
+
+  const measurementSection = createMeasurementSection(context.measurement, brandName, context.visibility);
+  const websiteSection = createWebsiteSection(context.crawl, brandName);
+  const { competitorSection, topicsSection, personasSection, promptsSection, marketsSection, languageSection } = createFormSections(formData);
+
+  return `${ANALYST_ROLE}
+
+CLIENT INFORMATION:
+- Brand: ${brandName}
+- Website: ${websiteUrl}
+- Contact: ${email}
+
+${languageSection}${marketsSection}${websiteSection}${CRITICAL_REQUIREMENTS}
+
+TARGET ANALYSIS: ${brandName} at ${websiteUrl}
+
+${createAuditMethodology(brandName, websiteUrl, { competitorSection, personasSection, topicsSection, promptsSection, measurementSection })}
 
 MANDATORY: This analysis MUST be 6,000-8,000 words and utilize all 8,192 available output tokens. Provide exhaustive detail in every section with specific examples, data points, and comprehensive strategic guidance tailored specifically to ${brandName} and their service offerings at ${websiteUrl}.`;
+};
+
+/**
+ * The comprehensive prompt split for prompt caching: a system prompt that is
+ * byte-identical for every brand (role, requirements, methodology) and a
+ * per-brand brief with everything that varies
+ * @param {Object} formData - Validated form data
+ * @param {Object} context - Extra analysis context ({ measurement, visibility, crawl })
+ * @returns {Object} { system, prompt }
+ */
+const createCacheableAnalysisPrompt = (formData, context = {}) => {
+  const { brandName, websiteUrl, email } = formData;
+
+  const measurementSection = createMeasurementSection(context.measurement, brandName, context.visibility);
+  const websiteSection = createWebsiteSection(context.crawl, brandName);
+  const { competitorSection, topicsSection, personasSection, promptsSection, marketsSection, languageSection } = createFormSections(formData);
+
+  const system = `${ANALYST_ROLE}
+
+Every request contains a CLIENT BRIEF: the brand, its website and the client's specifications. Apply the methodology below to that brand; "the client brand" and "the client website" always mean the brand and website in the brief, and each placeholder section below is filled by the matching section of the brief.
+
+${CRITICAL_REQUIREMENTS}
+
+${createAuditMethodology('the client brand', 'the client website', {
+    competitorSection: 'COMPETITORS: as specified in the COMPETITORS section of the CLIENT BRIEF.',
+    personasSection: 'TARGET PERSONAS: as specified in the PERSONAS section of the CLIENT BRIEF.',
+    topicsSection: 'KEY TOPICS: as specified in the TOPICS section of the CLIENT BRIEF.',
+    promptsSection: 'TEST PROMPTS: as specified in the PROMPTS section of the CLIENT BRIEF.',
+    measurementSection: 'When the CLIENT BRIEF contains MEASURED AI PLATFORM RESULTS, base this audit on them.\n\n'
+  })}
+
+MANDATORY: This analysis MUST be 6,000-8,000 words and utilize all 8,192 available output tokens. Provide exhaustive detail in every section with specific examples, data points, and comprehensive strategic guidance tailored specifically to the client brand and their service offerings.`;
+
+  const prompt = `CLIENT BRIEF
+
+CLIENT INFORMATION:
+- Brand: ${brandName}
+- Website: ${websiteUrl}
+- Contact: ${email}
+
+${languageSection}${marketsSection}${websiteSection}COMPETITORS:
+${competitorSection}
+
+PERSONAS:
+${personasSection}
+
+TOPICS:
+${topicsSection}
+
+PROMPTS:
+${promptsSection}
+
+${measurementSection}TARGET ANALYSIS: ${brandName} at ${websiteUrl}
+
+Write the complete audit for ${brandName} following the methodology in your instructions.`;
+
+  return { system, prompt };
+};
+
+// Scoring fractions (0-1) that the report schema expresses in percent
+const PERCENT_KEYS = ['mentionRate', 'firstMentionShare', 'shareOfVoice'];
+
+/**
+ * Measured scores with the 0-1 fractions (mentionRate, firstMentionShare,
+ * shareOfVoice) converted to percent, the unit the report schema uses
+ * @param {*} scores - Visibility scores (objects and arrays are converted recursively)
+ * @returns {*} Converted copy
+ */
+const toPercentScores = (scores) => {
+  if (Array.isArray(scores)) return scores.map(toPercentScores);
+  if (!scores || typeof scores !== 'object') return scores;
+
+  return Object.fromEntries(Object.entries(scores).map(([key, value]) => [
+    key,
+    PERCENT_KEYS.includes(key) && typeof value === 'number'
+      ? Math.round(value * 1000) / 10
+      : toPercentScores(value)
+  ]));
+};
+
+/**
+ * Prompt that turns a finished prose analysis into the structured JSON report
+ * @param {Object} formData - Form data from client
+ * @param {string} analysisText - Prose analysis
+ * @param {Object} context - { visibility, validationErrors }
+ * @returns {string} Prompt
+ */
+const createStructuredReportPrompt = (formData, analysisText, context = {}) => {
+  const { brandName, websiteUrl } = formData;
+  // Scores that were not measured (null) are left to the model's estimate
+  const measured = context.visibility && context.visibility.visibilityScore !== null ? context.visibility : null;
+  const measuredMarkets = Object.fromEntries(Object.entries(measured?.byMarket || {})
+    .filter(([, score]) => score.visibilityScore !== null));
+  const visibilityNote = measured
+    ? `
+Measured visibility scores are available (visibilityScore 0-100, rates and shares in percent); use them verbatim for ${brandName} and its competitors in competitorMatrix:
+${JSON.stringify(toPercentScores({ brand: measured.brand, competitors: measured.competitors }))}
+`
+    : '';
+  const marketsNote = formData.markets && formData.markets.length > 0
+    ? `
+Fill markets with one entry per target market (${formData.markets.map(market => describeMarket(market).key).join(', ')})${Object.keys(measuredMarkets).length > 0
+    ? `, using these measured per-market scores verbatim:
+${JSON.stringify(toPercentScores(measuredMarkets))}`
+    : ''}
+`
+    : '';
+  const languageNote = formData.outputLanguage && formData.outputLanguage !== 'en'
+    ? `
+Write every text value in ${getOutputLanguage(formData.outputLanguage).name}; keep enum values (priority, effort, relevance, intent) in English
+`
+    : '';
+  const errorNote = context.validationErrors && context.validationErrors.length > 0
+    ? `
+Your previous report did not match the schema. Fix these problems:
+${context.validationErrors.map(error => `- ${error}`).join('\n')}
+`
+    : '';
+
+  return `Convert the brand visibility analysis below for ${brandName} (${websiteUrl}) into the structured report.
+
+Rules:
+- Take every fact, score and recommendation from the analysis; do not invent new findings
+- Include ${brandName} in competitorMatrix with isBrand true, plus every competitor the analysis covers
+- Scores are 0-100; where the analysis gives none, estimate one consistent with its wording
+- Group recommendations into immediate (0-30 days), shortTerm (1-3 months) and longTerm (3-12 months)
+${visibilityNote}${marketsNote}${languageNote}${errorNote}
+ANALYSIS:
+${analysisText}`;
+};
 
-  return prompt;
+/**
+ * Prompt for translating a saved report (or one part of it)
+ * @param {string} text - Report text
+ * @param {string} language - Target language code
+ * @param {Object} part - { index, total } when the report is translated in parts
+ * @returns {string} Prompt
+ */
+const createTranslationPrompt = (text, language, part = { index: 0, total: 1 }) => {
+  const { name, nativeName } = getOutputLanguage(language);
+  const excerpt = part.total > 1 ? ` (part ${part.index + 1} of ${part.total})` : '';
+
+  return `Translate the brand visibility report${excerpt} below into ${name} (${nativeName}).
+
+Rules:
+- Translate everything, including headings and list items; keep the line structure and bullet characters
+- Keep brand, company and product names, URLs, numbers and quoted test prompts exactly as they are
+- Use the professional register of a consulting deliverable
+- Return only the translation, with no introduction or notes
+
+REPORT:
+${text}`;
+};
+
+/**
+ * Variables available to custom prompt templates as {{name}}
+ */
+const TEMPLATE_VARIABLES = {
+  brandName: 'Brand name',
+  websiteUrl: 'Brand website URL',
+  email: 'Client contact email',
+  competitors: 'Client-specified competitors, comma separated (empty when none)',
+  topics: 'Client-specified topics, comma separated (empty when none)',
+  prompts: 'Client-specified test prompts, one per line (empty when none)',
+  personas: 'Client-specified personas description (empty when none)',
+  competitorSection: 'Competitor instructions (client list, or research the top 5)',
+  topicsSection: 'Topic instructions (client list, or identify 3-4 core topics)',
+  personasSection: 'Persona instructions (client personas, or develop 2-3 ICPs)',
+  promptsSection: 'Test prompt instructions (client prompts, or develop 4-5)',
+  markets: 'Target markets, comma separated, e.g. "Germany (German)" (empty when none)',
+  marketsSection: 'Per-market breakout instructions (empty when no markets)',
+  outputLanguage: 'Report language name, e.g. "German"',
+  languageSection: 'Instruction to write the report in the output language (empty for English)',
+  measurementSection: 'Measured AI platform results and visibility scores (empty when not measured)',
+  websiteSection: 'Content crawled from the brand website (empty when not crawled)'
+};
+
+const TEMPLATE_VARIABLE_PATTERN = /\{\{\s*([A-Za-z0-9_]+)\s*\}\}/g;
+
+/**
+ * Variable names used in a template
+ * @param {string} content - Template text
+ * @returns {Array<string>} Unique variable names
+ */
+const findTemplateVariables = (content) => [
+  ...new Set(Array.from(content.matchAll(TEMPLATE_VARIABLE_PATTERN), match => match[1]))
+];
+
+/**
+ * Interpolate form data and analysis context into a custom prompt template
+ * @param {string} content - Template text with {{variable}} placeholders
+ * @param {Object} formData - Validated form data
+ * @param {Object} context - Extra analysis context ({ measurement, visibility, crawl })
+ * @returns {string} Prompt
+ */
+const renderPromptTemplate = (content, formData, context = {}) => {
+  const values = {
+    brandName: formData.brandName,
+    websiteUrl: formData.websiteUrl,
+    email: formData.email,
+    competitors: (formData.competitors || []).join(', '),
+    topics: (formData.topics || []).join(', '),
+    prompts: (formData.prompts || []).join('\n'),
+    personas: formData.personas || '',
+    markets: (formData.markets || []).map(market => describeMarket(market).label).join(', '),
+    outputLanguage: getOutputLanguage(formData.outputLanguage).name,
+    ...createFormSections(formData),
+    measurementSection: createMeasurementSection(context.measurement, formData.brandName, context.visibility),
+    websiteSection: createWebsiteSection(context.crawl, formData.brandName)
+  };
+
+  return content.replace(TEMPLATE_VARIABLE_PATTERN, (placeholder, name) =>
+    (Object.prototype.hasOwnProperty.call(values, name) ? values[name] : placeholder));
 };
 
 // Legacy prompt function for backward compatibility
@@ -527,5 +894,14 @@ MANDATORY: This analysis MUST be 6,000-8,000 words and utilize all 8,192 availab
 
 module.exports = {
   createComprehensiveBrandAnalysisPrompt,
+  createCacheableAnalysisPrompt,
+  createMeasurementSection,
+  createWebsiteSection,
+  createFormSections,
+  createStructuredReportPrompt,
+  createTranslationPrompt,
+  TEMPLATE_VARIABLES,
+  findTemplateVariables,
+  renderPromptTemplate,
   createBrandAnalysisPrompt // Keep for backward compatibility
 };
\ No newline at end of file
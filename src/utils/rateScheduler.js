@@ -0,0 +1,243 @@
+/**
+ * Client-side scheduler for provider rate limits.
+ *
+ * Keeps a sliding one-minute window of requests and output tokens. Work that
+ * would exceed the requests-per-minute (RPM) or output-tokens-per-minute (OTPM)
+ * budget waits in a FIFO queue until the window has room. Output tokens are
+ * reserved up front (max_tokens) and corrected to the real count afterwards,
+ * or released when the request fails.
+ */
+const logger = require('./logger');
+
+const WINDOW_MS = 60000;
+
+class RateScheduler {
+  /**
+   * @param {string} name - Scheduler name (provider ID)
+   * @param {Object} limits - { tier, requestsPerMinute, outputTokensPerMinute }
+   */
+  constructor(name, limits) {
+    this.name = name;
+    this.tier = limits.tier || null;
+    this.requestsPerMinute = limits.requestsPerMinute;
+    this.outputTokensPerMinute = limits.outputTokensPerMinute;
+    this.queue = [];
+    this.window = []; // { startedAt, outputTokens }
+    this.inFlight = 0;
+    this.timer = null;
+    this.stats = { scheduled: 0, completed: 0, delayed: 0, totalWaitMs: 0 };
+  }
+
+  /**
+   * Run fn once the rate budget allows it
+   * @param {Function} fn - async () => result
+   * @param {Object} options - { estimatedOutputTokens, countOutputTokens(result), signal }
+   * @returns {Promise<*>} Result of fn
+   */
+  schedule(fn, options = {}) {
+    return new Promise((resolve, reject) => {
+      if (options.signal?.aborted) {
+        return reject(options.signal.reason || new Error('Aborted'));
+      }
+
+      const entry = {
+        fn,
+        estimatedOutputTokens: Math.min(options.estimatedOutputTokens || 0, this.outputTokensPerMinute),
+        countOutputTokens: options.countOutputTokens,
+        signal: options.signal,
+        queuedAt: Date.now(),
+        resolve,
+        reject
+      };
+
+      // Cancelled while waiting: leave the queue without using any budget
+      entry.onAbort = () => {
+        this.queue = this.queue.filter(item => item !== entry);
+        reject(options.signal.reason || new Error('Aborted'));
+        this.pump();
+      };
+      options.signal?.addEventListener('abort', entry.onAbort, { once: true });
+
+      this.stats.scheduled++;
+      this.queue.push(entry);
+      this.pump();
+    });
+  }
+
+  /**
+   * Drop window entries older than one minute
+   * @param {number} now - Current time
+   */
+  prune(now = Date.now()) {
+    this.window = this.window.filter(item => now - item.startedAt < WINDOW_MS);
+  }
+
+  /**
+   * Requests and output tokens used in the current window
+   * @returns {Object} { requests, outputTokens }
+   */
+  getUsage() {
+    this.prune();
+    return {
+      requests: this.window.length,
+      outputTokens: this.window.reduce((sum, item) => sum + item.outputTokens, 0)
+    };
+  }
+
+  /**
+   * Milliseconds until a request with the given output reservation fits the budget
+   * @param {number} outputTokens - Tokens to reserve
+   * @param {Array} window - Window to check (defaults to the live window)
+   * @param {number} now - Current time
+   * @returns {number} 0 when it fits now
+   */
+  waitFor(outputTokens, window = this.window, now = Date.now()) {
+    const active = window.filter(item => now - item.startedAt < WINDOW_MS);
+    let wait = 0;
+
+    if (active.length >= this.requestsPerMinute) {
+      const oldest = active[active.length - this.requestsPerMinute];
+      wait = Math.max(wait, oldest.startedAt + WINDOW_MS - now);
+    }
+
+    let tokens = active.reduce((sum, item) => sum + item.outputTokens, 0);
+    for (const item of active) {
+      if (tokens + outputTokens <= this.outputTokensPerMinute) break;
+      tokens -= item.outputTokens;
+      wait = Math.max(wait, item.startedAt + WINDOW_MS - now);
+    }
+
+    return wait;
+  }
+
+  /**
+   * Start queued work while the budget allows, then wait for the window to move
+   */
+  pump() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+
+    const now = Date.now();
+    this.prune(now);
+
+    while (this.queue.length > 0) {
+      const entry = this.queue[0];
+      const wait = this.waitFor(entry.estimatedOutputTokens, this.window, now);
+
+      if (wait > 0) {
+        this.timer = setTimeout(() => this.pump(), wait);
+        this.timer.unref();
+        return;
+      }
+
+      this.queue.shift();
+      this.start(entry, now);
+    }
+  }
+
+  /**
+   * Run one entry and settle its reservation with the real token count
+   * @param {Object} entry - Queue entry
+   * @param {number} now - Start time
+   */
+  async start(entry, now) {
+    entry.signal?.removeEventListener('abort', entry.onAbort);
+
+    const waitMs = now - entry.queuedAt;
+    const reservation = { startedAt: now, outputTokens: entry.estimatedOutputTokens };
+    this.window.push(reservation);
+    this.inFlight++;
+    this.stats.totalWaitMs += waitMs;
+    if (waitMs > 0) {
+      this.stats.delayed++;
+      logger.debug(`Rate scheduler ${this.name} delayed request`, { waitMs, queueDepth: this.queue.length });
+    }
+
+    try {
+      const result = await entry.fn();
+      if (entry.countOutputTokens) {
+        reservation.outputTokens = entry.countOutputTokens(result) ?? reservation.outputTokens;
+      }
+      entry.resolve(result);
+    } catch (error) {
+      // A failed request still counts against RPM, but produced no output worth
+      // reserving; keeping max_tokens would stall the queue for a minute
+      reservation.outputTokens = 0;
+      entry.reject(error);
+    } finally {
+      this.inFlight--;
+      this.stats.completed++;
+      this.pump();
+    }
+  }
+
+  /**
+   * Estimated wait for a new request, simulating the queue ahead of it
+   * @param {number} outputTokens - Output tokens the new request would reserve
+   * @returns {number} Milliseconds
+   */
+  estimateWaitMs(outputTokens = 0) {
+    const window = this.window.map(item => ({ ...item }));
+    let now = Date.now();
+    const start = now;
+
+    for (const entry of [...this.queue, { estimatedOutputTokens: Math.min(outputTokens, this.outputTokensPerMinute) }]) {
+      now += this.waitFor(entry.estimatedOutputTokens, window, now);
+      window.push({ startedAt: now, outputTokens: entry.estimatedOutputTokens });
+    }
+
+    return now - start;
+  }
+
+  /**
+   * Current state for the API and health checks
+   * @returns {Object} State
+   */
+  getState() {
+    const usage = this.getUsage();
+
+    return {
+      name: this.name,
+      tier: this.tier,
+      limits: {
+        requestsPerMinute: this.requestsPerMinute,
+        outputTokensPerMinute: this.outputTokensPerMinute
+      },
+      currentMinute: {
+        requests: usage.requests,
+        outputTokens: usage.outputTokens,
+        remainingRequests: Math.max(0, this.requestsPerMinute - usage.requests),
+        remainingOutputTokens: Math.max(0, this.outputTokensPerMinute - usage.outputTokens)
+      },
+      queueDepth: this.queue.length,
+      inFlight: this.inFlight,
+      estimatedWaitMs: this.estimateWaitMs(),
+      stats: {
+        ...this.stats,
+        averageWaitMs: this.stats.completed > 0 ? Math.round(this.stats.totalWaitMs / this.stats.completed) : 0
+      }
+    };
+  }
+}
+
+const schedulers = new Map();
+
+/**
+ * Get (or create) the scheduler for a provider
+ * @param {string} name - Provider ID
+ * @param {Object} limits - { tier, requestsPerMinute, outputTokensPerMinute }
+ * @returns {RateScheduler}
+ */
+const getRateScheduler = (name, limits) => {
+  if (!schedulers.has(name)) {
+    schedulers.set(name, new RateScheduler(name, limits));
+  }
+  return schedulers.get(name);
+};
+
+module.exports = {
+  RateScheduler,
+  getRateScheduler
+};
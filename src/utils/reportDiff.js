@@ -0,0 +1,452 @@
+/**
+ * Comparison of two saved reports of the same brand
+ *
+ * A report snapshot is { fileName, createdAt, text, meta, structured }: the
+ * analysis body, its metadata sidecar and the structured JSON report (format=json),
+ * the last two null when not stored. Competitors, topics and recommendations
+ * come from the structured report when both reports have one, otherwise from
+ * the form data and the report text. The body is compared section by section
+ * (Step n / PHASE n headings) and as a line diff with unified-style hunks.
+ */
+
+const { extractReportMetrics } = require('./trends');
+
+const CONTEXT_LINES = 3;
+
+// Larger line tables fall back to replacing the changed middle as a whole
+const MAX_DIFF_CELLS = 25000000;
+
+const SECTION_HEADING = /\b(?:PHASE|Step) (\d+):[^\n]*/g;
+const CONCLUSION_HEADING = /EXECUTIVE CONCLUSION[^\n]*/;
+
+const RELEVANCE_ORDER = { high: 0, medium: 1, low: 2 };
+
+const METRICS = [
+  'visibilityScore',
+  'mentionRate',
+  'averagePosition',
+  'shareOfVoice',
+  'answeredQueries',
+  'brandMentions',
+  'totalMentions',
+  'inputTokens',
+  'outputTokens',
+  'estimatedCostUsd'
+];
+
+const round = (value, digits = 4) => Math.round(value * Math.pow(10, digits)) / Math.pow(10, digits);
+
+// Names compare case- and whitespace-insensitively, without trailing punctuation
+const nameKey = (name) => String(name).toLowerCase().replace(/\s+/g, ' ').replace(/[.:;,!]+$/, '').trim();
+
+/**
+ * Line operations turning one text into another (longest common subsequence)
+ * @param {string} fromText - Old text
+ * @param {string} toText - New text
+ * @returns {Array<Object>} { type: equal|remove|add, text } in order
+ */
+const diffLines = (fromText, toText) => {
+  const a = fromText.split('\n').map(line => line.trimEnd());
+  const b = toText.split('\n').map(line => line.trimEnd());
+
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const ops = a.slice(0, start).map(text => ({ type: 'equal', text }));
+  const midA = a.slice(start, endA);
+  const midB = b.slice(start, endB);
+  const cols = midB.length + 1;
+
+  if ((midA.length + 1) * cols > MAX_DIFF_CELLS) {
+    ops.push(...midA.map(text => ({ type: 'remove', text })), ...midB.map(text => ({ type: 'add', text })));
+  } else {
+    // lengths[i * cols + j]: common lines of midA[i..] and midB[j..]
+    const lengths = new Uint32Array((midA.length + 1) * cols);
+    for (let i = midA.length - 1; i >= 0; i--) {
+      for (let j = midB.length - 1; j >= 0; j--) {
+        lengths[i * cols + j] = midA[i] === midB[j]
+          ? lengths[(i + 1) * cols + j + 1] + 1
+          : Math.max(lengths[(i + 1) * cols + j], lengths[i * cols + j + 1]);
+      }
+    }
+
+    let i = 0;
+    let j = 0;
+    while (i < midA.length && j < midB.length) {
+      if (midA[i] === midB[j]) {
+        ops.push({ type: 'equal', text: midA[i] });
+        i++;
+        j++;
+      } else if (lengths[(i + 1) * cols + j] >= lengths[i * cols + j + 1]) {
+        ops.push({ type: 'remove', text: midA[i++] });
+      } else {
+        ops.push({ type: 'add', text: midB[j++] });
+      }
+    }
+    while (i < midA.length) ops.push({ type: 'remove', text: midA[i++] });
+    while (j < midB.length) ops.push({ type: 'add', text: midB[j++] });
+  }
+
+  ops.push(...a.slice(endA).map(text => ({ type: 'equal', text })));
+  return ops;
+};
+
+/**
+ * Group changed lines with surrounding context
+ * @param {Array<Object>} ops - Result of diffLines()
+ * @param {number} context - Unchanged lines kept around each change
+ * @returns {Array<Object>} { fromStart, fromLines, toStart, toLines, lines: [{ type, text }] } (1-based)
+ */
+const buildHunks = (ops, context = CONTEXT_LINES) => {
+  const hunks = [];
+  let fromLine = 1;
+  let toLine = 1;
+  let hunk = null;
+  let trailing = 0; // Unchanged lines since the last change of the open hunk
+
+  ops.forEach((op, index) => {
+    if (op.type !== 'equal') {
+      if (!hunk) {
+        const lead = [];
+        for (let k = index - 1; k >= 0 && lead.length < context && ops[k].type === 'equal'; k--) {
+          lead.unshift({ type: 'context', text: ops[k].text });
+        }
+        hunk = { fromStart: fromLine - lead.length, toStart: toLine - lead.length, lines: lead };
+        hunks.push(hunk);
+      }
+      hunk.lines.push(op);
+      trailing = 0;
+    } else if (hunk) {
+      if (trailing < context * 2) {
+        hunk.lines.push({ type: 'context', text: op.text });
+        trailing++;
+      } else {
+        hunk = null;
+      }
+    }
+
+    if (op.type !== 'add') fromLine++;
+    if (op.type !== 'remove') toLine++;
+  });
+
+  for (const item of hunks) {
+    // Context beyond what the next change needs is dropped from the end
+    let extra = 0;
+    for (let k = item.lines.length - 1; k >= 0 && item.lines[k].type === 'context'; k--) extra++;
+    item.lines.splice(item.lines.length - Math.max(0, extra - context));
+
+    item.fromLines = item.lines.filter(line => line.type !== 'add').length;
+    item.toLines = item.lines.filter(line => line.type !== 'remove').length;
+  }
+
+  return hunks.map(({ fromStart, fromLines, toStart, toLines, lines }) => ({ fromStart, fromLines, toStart, toLines, lines }));
+};
+
+/**
+ * Unified diff text
+ * @param {Array<Object>} hunks - Result of buildHunks()
+ * @param {string} fromName - Old file name
+ * @param {string} toName - New file name
+ * @returns {string}
+ */
+const formatUnified = (hunks, fromName, toName) => {
+  const prefix = { context: ' ', remove: '-', add: '+' };
+
+  return [
+    `--- ${fromName}`,
+    `+++ ${toName}`,
+    ...hunks.flatMap(hunk => [
+      `@@ -${hunk.fromStart},${hunk.fromLines} +${hunk.toStart},${hunk.toLines} @@`,
+      ...hunk.lines.map(line => `${prefix[line.type]}${line.text}`)
+    ])
+  ].join('\n');
+};
+
+/**
+ * Split an analysis body at its step or phase headings
+ * @param {string} text - Analysis text
+ * @returns {Array<Object>} { key, title, text }; text before the first heading is the introduction
+ */
+const splitSections = (text) => {
+  const headings = [...text.matchAll(SECTION_HEADING)].map(match => ({
+    key: `step-${match[1]}`,
+    title: match[0].trim().slice(0, 120),
+    index: match.index
+  }));
+
+  const conclusion = CONCLUSION_HEADING.exec(text);
+  if (conclusion && !headings.some(heading => heading.index === conclusion.index)) {
+    headings.push({ key: 'conclusion', title: conclusion[0].trim().slice(0, 120), index: conclusion.index });
+    headings.sort((x, y) => x.index - y.index);
+  }
+
+  // A heading quoted again later (e.g. "as shown in Step 2:") stays part of the current section
+  const unique = headings.filter((heading, position) => headings.findIndex(other => other.key === heading.key) === position);
+
+  const sections = [];
+  const introduction = text.slice(0, unique.length > 0 ? unique[0].index : text.length).trim();
+  if (introduction) {
+    sections.push({ key: 'introduction', title: 'Introduction', text: introduction });
+  }
+
+  unique.forEach((heading, position) => {
+    const end = position + 1 < unique.length ? unique[position + 1].index : text.length;
+    sections.push({ key: heading.key, title: heading.title, text: text.slice(heading.index, end).trim() });
+  });
+
+  return sections;
+};
+
+/**
+ * Section by section comparison of two analysis bodies
+ * @param {string} fromText - Old analysis text
+ * @param {string} toText - New analysis text
+ * @returns {Array<Object>} { key, title, status (added|removed|changed|unchanged), similarity, addedLines, removedLines }
+ */
+const compareSections = (fromText, toText) => {
+  const fromSections = splitSections(fromText);
+  const toSections = splitSections(toText);
+  const keys = [...new Set([...toSections, ...fromSections].map(section => section.key))];
+
+  return keys.map(key => {
+    const before = fromSections.find(section => section.key === key);
+    const after = toSections.find(section => section.key === key);
+    const title = (after || before).title;
+
+    if (!before) return { key, title, status: 'added', similarity: 0, addedLines: after.text.split('\n').length, removedLines: 0 };
+    if (!after) return { key, title, status: 'removed', similarity: 0, addedLines: 0, removedLines: before.text.split('\n').length };
+
+    const ops = diffLines(before.text, after.text);
+    const equal = ops.filter(op => op.type === 'equal').length;
+    const addedLines = ops.filter(op => op.type === 'add').length;
+    const removedLines = ops.filter(op => op.type === 'remove').length;
+
+    return {
+      key,
+      title,
+      status: addedLines + removedLines === 0 ? 'unchanged' : 'changed',
+      similarity: round((2 * equal) / (2 * equal + addedLines + removedLines || 1), 3),
+      addedLines,
+      removedLines
+    };
+  });
+};
+
+/**
+ * Items only in one of two lists
+ * @param {Array<string>} before - Old names
+ * @param {Array<string>} after - New names
+ * @returns {Object} { added, dropped, unchanged }
+ */
+const compareNames = (before, after) => {
+  const beforeKeys = new Set(before.map(nameKey));
+  const afterKeys = new Set(after.map(nameKey));
+
+  return {
+    added: after.filter(name => !beforeKeys.has(nameKey(name))),
+    dropped: before.filter(name => !afterKeys.has(nameKey(name))),
+    unchanged: after.filter(name => beforeKeys.has(nameKey(name)))
+  };
+};
+
+/**
+ * Unique names, first spelling wins
+ * @param {Array<string>} names - Names
+ * @returns {Array<string>}
+ */
+const uniqueNames = (names) => {
+  const seen = new Map();
+  for (const name of names.filter(Boolean)) {
+    if (!seen.has(nameKey(name))) seen.set(nameKey(name), name);
+  }
+  return Array.from(seen.values());
+};
+
+/**
+ * Competitors a report covers: client-specified, measured and in the competitor matrix
+ * @param {Object} report - Report snapshot
+ * @returns {Array<string>}
+ */
+const listCompetitors = (report) => uniqueNames([
+  ...(report.meta?.formData?.competitors || []),
+  ...(report.meta?.visibility?.competitors || []).map(competitor => competitor.name),
+  ...(report.structured?.report?.competitorMatrix || []).filter(entry => !entry.isBrand).map(entry => entry.name)
+]);
+
+/**
+ * Topics in rank order: by relevance in the structured report, else as entered in the form
+ * @param {Object} report - Report snapshot
+ * @param {string} source - structured or formData
+ * @returns {Array<Object>} { name, rank, relevance }
+ */
+const rankTopics = (report, source) => {
+  const topics = source === 'structured'
+    ? [...report.structured.report.topics]
+      .map((topic, index) => ({ ...topic, index }))
+      .sort((x, y) => (RELEVANCE_ORDER[x.relevance] ?? 3) - (RELEVANCE_ORDER[y.relevance] ?? 3) || x.index - y.index)
+    : (report.meta?.formData?.topics || []).map(name => ({ name, relevance: null }));
+
+  return topics.map((topic, index) => ({ name: topic.name, rank: index + 1, relevance: topic.relevance }));
+};
+
+/**
+ * Rank changes of topics between two reports
+ * @param {Object} from - Old report snapshot
+ * @param {Object} to - New report snapshot
+ * @returns {Object} { source, rankings, added, dropped }
+ */
+const compareTopics = (from, to) => {
+  const source = from.structured?.report?.topics && to.structured?.report?.topics ? 'structured' : 'formData';
+  const before = rankTopics(from, source);
+  const after = rankTopics(to, source);
+  const beforeByKey = new Map(before.map(topic => [nameKey(topic.name), topic]));
+  const afterKeys = new Set(after.map(topic => nameKey(topic.name)));
+
+  const rankings = [
+    ...after.map(topic => {
+      const previous = beforeByKey.get(nameKey(topic.name));
+      if (!previous) return { name: topic.name, status: 'new', fromRank: null, toRank: topic.rank, change: null, fromRelevance: null, toRelevance: topic.relevance };
+
+      return {
+        name: topic.name,
+        status: previous.rank === topic.rank ? 'unchanged' : (topic.rank < previous.rank ? 'up' : 'down'),
+        fromRank: previous.rank,
+        toRank: topic.rank,
+        change: previous.rank - topic.rank, // Positive when the topic moved up
+        fromRelevance: previous.relevance,
+        toRelevance: topic.relevance
+      };
+    }),
+    ...before
+      .filter(topic => !afterKeys.has(nameKey(topic.name)))
+      .map(topic => ({ name: topic.name, status: 'dropped', fromRank: topic.rank, toRank: null, change: null, fromRelevance: topic.relevance, toRelevance: null }))
+  ];
+
+  return {
+    source,
+    rankings,
+    added: rankings.filter(topic => topic.status === 'new').map(topic => topic.name),
+    dropped: rankings.filter(topic => topic.status === 'dropped').map(topic => topic.name)
+  };
+};
+
+/**
+ * Recommendations of a report: from the structured report, else the bullet
+ * points of the text sections about recommendations and next steps
+ * @param {Object} report - Report snapshot
+ * @param {string} source - structured or text
+ * @returns {Array<Object>} { title, horizon, priority }
+ */
+const listRecommendations = (report, source) => {
+  if (source === 'structured') {
+    return Object.entries(report.structured.report.recommendations)
+      .flatMap(([horizon, items]) => (items || []).map(item => ({ title: item.title, horizon, priority: item.priority || null })));
+  }
+
+  return splitSections(report.text)
+    .filter(section => /recommendation|next steps/i.test(section.title))
+    .flatMap(section => section.text.split('\n'))
+    .filter(line => line.startsWith('•'))
+    .map(line => ({ title: line.replace(/^•\s*/, '').slice(0, 300), horizon: null, priority: null }));
+};
+
+/**
+ * New and dropped recommendations
+ * @param {Object} from - Old report snapshot
+ * @param {Object} to - New report snapshot
+ * @returns {Object} { source, added, dropped, unchanged }
+ */
+const compareRecommendations = (from, to) => {
+  const source = from.structured?.report?.recommendations && to.structured?.report?.recommendations ? 'structured' : 'text';
+  const before = listRecommendations(from, source);
+  const after = listRecommendations(to, source);
+  const beforeKeys = new Set(before.map(item => nameKey(item.title)));
+  const afterKeys = new Set(after.map(item => nameKey(item.title)));
+
+  return {
+    source,
+    added: after.filter(item => !beforeKeys.has(nameKey(item.title))),
+    dropped: before.filter(item => !afterKeys.has(nameKey(item.title))),
+    unchanged: after.filter(item => beforeKeys.has(nameKey(item.title))).length
+  };
+};
+
+/**
+ * Old value, new value and change of each metric
+ * @param {Object} from - Old report snapshot
+ * @param {Object} to - New report snapshot
+ * @returns {Object} { metrics, competitorShareOfVoice, byProvider } (null when a report has no metadata)
+ */
+const compareMetrics = (from, to) => {
+  if (!from.meta || !to.meta) return { metrics: null, competitorShareOfVoice: null, byProvider: null };
+
+  const before = extractReportMetrics(from.meta, from);
+  const after = extractReportMetrics(to.meta, to);
+  const delta = (oldValue, newValue) => ({
+    from: oldValue ?? null,
+    to: newValue ?? null,
+    change: typeof oldValue === 'number' && typeof newValue === 'number' ? round(newValue - oldValue) : null
+  });
+
+  const providers = [...new Set([
+    ...Object.keys(from.meta.visibility?.byProvider || {}),
+    ...Object.keys(to.meta.visibility?.byProvider || {})
+  ])];
+
+  return {
+    metrics: Object.fromEntries(METRICS.map(metric => [metric, delta(before[metric], after[metric])])),
+    competitorShareOfVoice: Object.fromEntries(
+      [...new Set([...Object.keys(before.competitors), ...Object.keys(after.competitors)])]
+        .map(name => [name, delta(before.competitors[name], after.competitors[name])])
+    ),
+    byProvider: Object.fromEntries(providers.map(provider => [
+      provider,
+      delta(from.meta.visibility?.byProvider?.[provider]?.visibilityScore, to.meta.visibility?.byProvider?.[provider]?.visibilityScore)
+    ]))
+  };
+};
+
+/**
+ * Everything that changed between two reports
+ * @param {Object} from - Old report snapshot
+ * @param {Object} to - New report snapshot
+ * @returns {Object} { from, to, competitors, topics, recommendations, metrics, competitorShareOfVoice, byProvider, sections, textDiff }
+ */
+const compareReports = (from, to) => {
+  const ops = diffLines(from.text, to.text);
+  const hunks = buildHunks(ops);
+
+  return {
+    from: { fileName: from.fileName, createdAt: from.createdAt },
+    to: { fileName: to.fileName, createdAt: to.createdAt },
+    competitors: compareNames(listCompetitors(from), listCompetitors(to)),
+    topics: compareTopics(from, to),
+    recommendations: compareRecommendations(from, to),
+    ...compareMetrics(from, to),
+    sections: compareSections(from.text, to.text),
+    textDiff: {
+      stats: {
+        addedLines: ops.filter(op => op.type === 'add').length,
+        removedLines: ops.filter(op => op.type === 'remove').length,
+        unchangedLines: ops.filter(op => op.type === 'equal').length,
+        hunks: hunks.length
+      },
+      unified: formatUnified(hunks, from.fileName, to.fileName),
+      hunks
+    }
+  };
+};
+
+module.exports = {
+  diffLines,
+  buildHunks,
+  formatUnified,
+  splitSections,
+  compareReports
+};
@@ -0,0 +1,260 @@
+/**
+ * JSON schema for the structured analysis report (format=json)
+ *
+ * The schema is sent to providers as a tool / response format definition and
+ * every returned document is checked against it with validateReport().
+ */
+
+const REPORT_SCHEMA_VERSION = 1;
+
+const stringList = (description) => ({
+  type: 'array',
+  description,
+  items: { type: 'string' }
+});
+
+const score = (description) => ({
+  type: 'number',
+  minimum: 0,
+  maximum: 100,
+  description
+});
+
+const recommendation = {
+  type: 'object',
+  properties: {
+    title: { type: 'string' },
+    description: { type: 'string' },
+    priority: { type: 'string', enum: ['high', 'medium', 'low'] },
+    effort: { type: 'string', enum: ['high', 'medium', 'low'] },
+    expectedImpact: { type: 'string' }
+  },
+  required: ['title', 'description', 'priority']
+};
+
+const REPORT_SCHEMA = {
+  type: 'object',
+  properties: {
+    executiveSummary: {
+      type: 'string',
+      description: 'Two or three paragraph summary of the findings'
+    },
+    brandIntelligence: {
+      type: 'object',
+      properties: {
+        summary: { type: 'string' },
+        offerings: stringList('Core products and services'),
+        differentiators: stringList('What sets the brand apart'),
+        targetMarkets: stringList('Industries, regions or segments served'),
+        currentAiVisibility: { type: 'string', description: 'How AI platforms currently describe the brand' }
+      },
+      required: ['summary', 'offerings', 'differentiators']
+    },
+    icps: {
+      type: 'array',
+      description: 'Ideal customer profiles',
+      items: {
+        type: 'object',
+        properties: {
+          name: { type: 'string' },
+          description: { type: 'string' },
+          painPoints: stringList('Problems the persona needs solved'),
+          decisionCriteria: stringList('What the persona weighs when choosing a vendor'),
+          aiUsage: { type: 'string', description: 'How the persona uses AI assistants in research' }
+        },
+        required: ['name', 'description', 'painPoints']
+      }
+    },
+    topics: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          name: { type: 'string' },
+          relevance: { type: 'string', enum: ['high', 'medium', 'low'] },
+          rationale: { type: 'string' }
+        },
+        required: ['name', 'relevance']
+      }
+    },
+    prompts: {
+      type: 'array',
+      description: 'Prompts a prospective customer would ask an AI assistant',
+      items: {
+        type: 'object',
+        properties: {
+          text: { type: 'string' },
+          intent: { type: 'string', enum: ['informational', 'comparison', 'recommendation', 'transactional'] },
+          topic: { type: 'string' },
+          persona: { type: 'string' }
+        },
+        required: ['text', 'intent']
+      }
+    },
+    platformAssessments: {
+      type: 'array',
+      description: 'Per AI platform assessment (ChatGPT, Claude, Gemini, Perplexity, ...)',
+      items: {
+        type: 'object',
+        properties: {
+          platform: { type: 'string' },
+          visibilityScore: score('Estimated or measured brand visibility on the platform'),
+          summary: { type: 'string' },
+          strengths: stringList('Where the brand shows up well'),
+          gaps: stringList('Where the brand is missing or misrepresented')
+        },
+        required: ['platform', 'visibilityScore', 'summary']
+      }
+    },
+    competitorMatrix: {
+      type: 'array',
+      description: 'The brand and each competitor, compared on AI visibility',
+      items: {
+        type: 'object',
+        properties: {
+          name: { type: 'string' },
+          isBrand: { type: 'boolean' },
+          visibilityScore: score('AI visibility score'),
+          shareOfVoice: score('Share of voice in AI answers, in percent'),
+          strengths: stringList('Competitive strengths'),
+          weaknesses: stringList('Competitive weaknesses')
+        },
+        required: ['name', 'isBrand', 'visibilityScore']
+      }
+    },
+    recommendations: {
+      type: 'object',
+      description: 'Recommendations grouped by time horizon',
+      properties: {
+        immediate: { type: 'array', description: '0-30 days', items: recommendation },
+        shortTerm: { type: 'array', description: '1-3 months', items: recommendation },
+        longTerm: { type: 'array', description: '3-12 months', items: recommendation }
+      },
+      required: ['immediate', 'shortTerm', 'longTerm']
+    },
+    roadmap: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          phase: { type: 'string' },
+          timeframe: { type: 'string' },
+          objectives: stringList('Phase objectives'),
+          actions: stringList('Concrete actions')
+        },
+        required: ['phase', 'timeframe', 'actions']
+      }
+    },
+    markets: {
+      type: 'array',
+      description: 'Per target market breakout (only when the analysis has target markets)',
+      items: {
+        type: 'object',
+        properties: {
+          market: { type: 'string', description: 'Locale key of the market, e.g. de-DE' },
+          visibilityScore: score('Estimated or measured brand visibility in the market'),
+          summary: { type: 'string' },
+          competitors: stringList('Competitors that matter most in the market'),
+          recommendations: { type: 'array', items: recommendation }
+        },
+        required: ['market', 'visibilityScore', 'summary', 'recommendations']
+      }
+    },
+    kpis: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          name: { type: 'string' },
+          baseline: { type: 'string' },
+          target: { type: 'string' },
+          timeframe: { type: 'string' },
+          measurement: { type: 'string', description: 'How the KPI is measured' }
+        },
+        required: ['name', 'target']
+      }
+    }
+  },
+  required: [
+    'executiveSummary',
+    'brandIntelligence',
+    'icps',
+    'topics',
+    'prompts',
+    'platformAssessments',
+    'competitorMatrix',
+    'recommendations',
+    'roadmap',
+    'kpis'
+  ]
+};
+
+const TYPE_CHECKS = {
+  object: value => value !== null && typeof value === 'object' && !Array.isArray(value),
+  array: value => Array.isArray(value),
+  string: value => typeof value === 'string',
+  number: value => typeof value === 'number' && Number.isFinite(value),
+  integer: value => Number.isInteger(value),
+  boolean: value => typeof value === 'boolean'
+};
+
+/**
+ * Check a value against the subset of JSON schema used in REPORT_SCHEMA
+ * (type, properties, required, items, enum, minimum, maximum)
+ * @param {*} value - Value to check
+ * @param {Object} schema - Schema node
+ * @param {string} path - Path of the value, for error messages
+ * @returns {Array<string>} Errors (empty when valid)
+ */
+const validateAgainstSchema = (value, schema, path = 'report') => {
+  if (schema.type && !TYPE_CHECKS[schema.type](value)) {
+    return [`${path} must be ${schema.type === 'array' || schema.type === 'object' ? 'an' : 'a'} ${schema.type}`];
+  }
+
+  const errors = [];
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path} must be one of: ${schema.enum.join(', ')}`);
+  }
+  if (schema.minimum !== undefined && value < schema.minimum) {
+    errors.push(`${path} must be >= ${schema.minimum}`);
+  }
+  if (schema.maximum !== undefined && value > schema.maximum) {
+    errors.push(`${path} must be <= ${schema.maximum}`);
+  }
+
+  if (schema.type === 'object') {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined || value[key] === null) {
+        errors.push(`${path}.${key} is required`);
+      }
+    }
+    for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+      if (value[key] !== undefined && value[key] !== null) {
+        errors.push(...validateAgainstSchema(value[key], propertySchema, `${path}.${key}`));
+      }
+    }
+  }
+
+  if (schema.type === 'array' && schema.items) {
+    value.forEach((item, index) => {
+      errors.push(...validateAgainstSchema(item, schema.items, `${path}[${index}]`));
+    });
+  }
+
+  return errors;
+};
+
+/**
+ * Validate a structured report
+ * @param {Object} report - Report returned by the provider
+ * @returns {Array<string>} Errors (empty when valid)
+ */
+const validateReport = (report) => validateAgainstSchema(report, REPORT_SCHEMA);
+
+module.exports = {
+  REPORT_SCHEMA,
+  REPORT_SCHEMA_VERSION,
+  validateAgainstSchema,
+  validateReport
+};
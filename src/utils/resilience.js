@@ -0,0 +1,288 @@
+/**
+ * Retry with jittered exponential backoff, and a circuit breaker per LLM provider
+ */
+const config = require('../config/config');
+const logger = require('./logger');
+
+// Network failures worth retrying
+const RETRYABLE_CODES = ['ECONNRESET', 'ETIMEDOUT', 'ECONNREFUSED', 'EAI_AGAIN', 'UND_ERR_SOCKET'];
+
+/**
+ * Whether an error is transient: rate limit, overloaded, server error or network failure
+ * @param {Error} error - Provider error
+ * @returns {boolean}
+ */
+const isRetryableError = (error) => {
+  if (!error || error.name === 'AbortError' || error.code === 'CIRCUIT_OPEN') return false;
+  if (error.status === 429 || error.status === 529 || error.status >= 500) return true;
+  if (/overloaded/i.test(error.message || '') || error.error?.error?.type === 'overloaded_error') return true;
+  if (RETRYABLE_CODES.includes(error.code) || RETRYABLE_CODES.includes(error.cause?.code)) return true;
+
+  // Connection errors from the Anthropic SDK and fetch carry no status
+  return !error.status && /connection|network|fetch failed|timed? ?out/i.test(error.message || '');
+};
+
+/**
+ * Delay requested by the provider, if any
+ * @param {Error} error - Provider error with response headers
+ * @returns {number|null} Milliseconds
+ */
+const getRetryAfterMs = (error) => {
+  const headers = error?.headers || {};
+  const header = (name) => (typeof headers.get === 'function' ? headers.get(name) : headers[name]);
+
+  const retryAfterMs = parseFloat(header('retry-after-ms'));
+  if (!Number.isNaN(retryAfterMs)) return retryAfterMs;
+
+  const retryAfter = header('retry-after');
+  if (retryAfter === undefined || retryAfter === null) return null;
+
+  const seconds = parseFloat(retryAfter);
+  if (!Number.isNaN(seconds)) return seconds * 1000;
+
+  const date = Date.parse(retryAfter);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+};
+
+/**
+ * Full-jitter exponential backoff: random delay in [0, min(max, base * 2^(attempt-1))]
+ * @param {number} attempt - Attempt that just failed (1-based)
+ * @param {Object} options - { baseDelayMs, maxDelayMs }
+ * @returns {number} Milliseconds
+ */
+const computeBackoff = (attempt, options = {}) => {
+  const baseDelayMs = options.baseDelayMs ?? config.resilience.baseDelayMs;
+  const maxDelayMs = options.maxDelayMs ?? config.resilience.maxDelayMs;
+  return Math.round(Math.random() * Math.min(maxDelayMs, baseDelayMs * Math.pow(2, attempt - 1)));
+};
+
+/**
+ * Sleep that ends early (rejecting) when the signal aborts
+ * @param {number} ms - Milliseconds
+ * @param {AbortSignal} signal - Optional abort signal
+ * @returns {Promise<void>}
+ */
+const sleep = (ms, signal) => new Promise((resolve, reject) => {
+  if (signal?.aborted) return reject(signal.reason || new Error('Aborted'));
+
+  const onAbort = () => {
+    clearTimeout(timer);
+    reject(signal.reason || new Error('Aborted'));
+  };
+  const timer = setTimeout(() => {
+    signal?.removeEventListener('abort', onAbort);
+    resolve();
+  }, ms);
+
+  signal?.addEventListener('abort', onAbort, { once: true });
+});
+
+/**
+ * Run fn, retrying transient failures with jittered backoff.
+ * A provider-supplied retry-after wins over the computed delay. A transient
+ * error that used up every attempt is thrown with retriesExhausted set, so
+ * outer layers do not spend another full budget on it.
+ * @param {Function} fn - async (attempt) => result
+ * @param {Object} options - { maxAttempts, baseDelayMs, maxDelayMs, signal, shouldRetry, onRetry, name }
+ * @returns {Promise<*>} Result of fn
+ */
+const withRetry = async (fn, options = {}) => {
+  const maxAttempts = options.maxAttempts ?? config.resilience.maxAttempts;
+  const shouldRetry = options.shouldRetry || isRetryableError;
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (error) {
+      if (options.signal?.aborted || !shouldRetry(error)) {
+        throw error;
+      }
+      if (attempt >= maxAttempts) {
+        if (error && typeof error === 'object') error.retriesExhausted = true;
+        throw error;
+      }
+
+      const retryAfterMs = getRetryAfterMs(error);
+      const delay = Math.min(
+        retryAfterMs ?? computeBackoff(attempt, options),
+        options.maxDelayMs ?? config.resilience.maxDelayMs
+      );
+
+      logger.warn(`Retrying ${options.name || 'request'} after transient error`, {
+        attempt,
+        maxAttempts,
+        delayMs: delay,
+        retryAfterMs,
+        status: error.status,
+        error: error.message
+      });
+
+      if (options.onRetry) options.onRetry(error, attempt, delay);
+      await sleep(delay, options.signal);
+    }
+  }
+};
+
+/**
+ * Circuit breaker. Opens after `failureThreshold` consecutive transient failures;
+ * while open, calls fail fast with a 503 CIRCUIT_OPEN error. After `resetTimeoutMs`
+ * one trial call is let through (half-open): success (or a 4xx answer) closes the circuit,
+ * a transient failure re-opens it, and a cancelled trial leaves it half-open.
+ */
+class CircuitBreaker {
+  /**
+   * @param {string} name - Breaker name (provider ID)
+   * @param {Object} options - { failureThreshold, resetTimeoutMs }
+   */
+  constructor(name, options = {}) {
+    this.name = name;
+    this.failureThreshold = options.failureThreshold ?? config.resilience.breakerFailureThreshold;
+    this.resetTimeoutMs = options.resetTimeoutMs ?? config.resilience.breakerResetMs;
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = null;
+    this.lastFailure = null;
+    this.trialInFlight = false;
+    this.stats = { calls: 0, failures: 0, rejected: 0, timesOpened: 0 };
+  }
+
+  /**
+   * Run fn through the breaker
+   * @param {Function} fn - async () => result
+   * @returns {Promise<*>} Result of fn
+   */
+  async execute(fn) {
+    if (this.state === 'open' && Date.now() - this.openedAt >= this.resetTimeoutMs) {
+      this.state = 'half-open';
+    }
+
+    if (this.state === 'open' || (this.state === 'half-open' && this.trialInFlight)) {
+      this.stats.rejected++;
+      throw this.createOpenError();
+    }
+
+    const isTrial = this.state === 'half-open';
+    if (isTrial) this.trialInFlight = true;
+    this.stats.calls++;
+
+    try {
+      const result = await fn();
+      this.onSuccess();
+      return result;
+    } catch (error) {
+      // Client errors (bad request, auth) and cancellations say nothing about provider health.
+      // A trial rejected with a 4xx still got an answer, so the provider is back; a cancelled
+      // trial proves nothing and leaves the circuit half-open for the next call.
+      if (isRetryableError(error)) {
+        this.onFailure(error);
+      } else if (isTrial && error.status >= 400 && error.status < 500) {
+        this.onSuccess();
+      }
+      throw error;
+    } finally {
+      if (isTrial) this.trialInFlight = false;
+    }
+  }
+
+  /**
+   * Record a successful call
+   */
+  onSuccess() {
+    if (this.state !== 'closed') {
+      logger.info(`Circuit breaker closed for ${this.name}`);
+    }
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = null;
+  }
+
+  /**
+   * Record a transient failure, opening the circuit at the threshold
+   * @param {Error} error - Failure cause
+   */
+  onFailure(error) {
+    this.failures++;
+    this.stats.failures++;
+    this.lastFailure = { error: error.message, status: error.status, at: new Date().toISOString() };
+
+    if (this.state === 'half-open' || this.failures >= this.failureThreshold) {
+      if (this.state !== 'open') this.stats.timesOpened++;
+      this.state = 'open';
+      this.openedAt = Date.now();
+
+      logger.error(`Circuit breaker opened for ${this.name}`, {
+        failures: this.failures,
+        resetTimeoutMs: this.resetTimeoutMs,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Error thrown while the circuit is open
+   * @returns {Error}
+   */
+  createOpenError() {
+    const retryAfterMs = Math.max(0, this.resetTimeoutMs - (Date.now() - this.openedAt));
+    const error = new Error(`LLM provider ${this.name} is temporarily unavailable after repeated failures. Retry after ${Math.ceil(retryAfterMs / 1000)} seconds.`);
+    error.code = 'CIRCUIT_OPEN';
+    error.status = 503;
+    error.retryAfter = Math.ceil(retryAfterMs / 1000);
+    error.provider = this.name;
+    return error;
+  }
+
+  /**
+   * Current state for health checks
+   * @returns {Object} State
+   */
+  getState() {
+    if (this.state === 'open' && Date.now() - this.openedAt >= this.resetTimeoutMs) {
+      this.state = 'half-open';
+    }
+
+    return {
+      name: this.name,
+      state: this.state,
+      consecutiveFailures: this.failures,
+      failureThreshold: this.failureThreshold,
+      openedAt: this.openedAt ? new Date(this.openedAt).toISOString() : null,
+      retryAfterSeconds: this.state === 'open'
+        ? Math.ceil((this.resetTimeoutMs - (Date.now() - this.openedAt)) / 1000)
+        : null,
+      lastFailure: this.lastFailure,
+      stats: this.stats
+    };
+  }
+}
+
+const breakers = new Map();
+
+/**
+ * Get (or create) the breaker for a name
+ * @param {string} name - Breaker name (provider ID)
+ * @returns {CircuitBreaker}
+ */
+const getCircuitBreaker = (name) => {
+  if (!breakers.has(name)) {
+    breakers.set(name, new CircuitBreaker(name));
+  }
+  return breakers.get(name);
+};
+
+/**
+ * State of every breaker created so far
+ * @returns {Array<Object>} Breaker states
+ */
+const getCircuitBreakerStates = () => Array.from(breakers.values()).map(breaker => breaker.getState());
+
+module.exports = {
+  CircuitBreaker,
+  computeBackoff,
+  getCircuitBreaker,
+  getCircuitBreakerStates,
+  getRetryAfterMs,
+  isRetryableError,
+  sleep,
+  withRetry
+};
@@ -0,0 +1,94 @@
+/**
+ * Minimal robots.txt support (RFC 9309): user-agent groups, Allow / Disallow
+ * with * and $ wildcards, longest match wins, Allow wins ties.
+ */
+
+/**
+ * Parse robots.txt into the rules that apply to one user agent
+ * @param {string} content - robots.txt body
+ * @param {string} userAgent - Product token of the crawler (e.g. "GeoAnalysisBot")
+ * @returns {Object} { rules: [{ allow, path }], crawlDelay }
+ */
+const parseRobots = (content, userAgent) => {
+  const token = userAgent.toLowerCase();
+  const groups = [];
+  let current = null;
+  let lastWasAgent = false;
+
+  for (const rawLine of (content || '').split(/\r?\n/)) {
+    const line = rawLine.replace(/#.*$/, '').trim();
+    const separator = line.indexOf(':');
+    if (separator === -1) continue;
+
+    const field = line.slice(0, separator).trim().toLowerCase();
+    const value = line.slice(separator + 1).trim();
+
+    if (field === 'user-agent') {
+      // Consecutive user-agent lines share one group
+      if (!current || !lastWasAgent) {
+        current = { agents: [], rules: [], crawlDelay: null };
+        groups.push(current);
+      }
+      current.agents.push(value.toLowerCase());
+      lastWasAgent = true;
+      continue;
+    }
+
+    lastWasAgent = false;
+    if (!current) continue;
+
+    if (field === 'allow' || field === 'disallow') {
+      // An empty Disallow allows everything
+      if (value) current.rules.push({ allow: field === 'allow', path: value });
+    } else if (field === 'crawl-delay') {
+      const delay = parseFloat(value);
+      if (!Number.isNaN(delay)) current.crawlDelay = delay;
+    }
+  }
+
+  const specific = groups.filter(group => group.agents.some(agent => agent !== '*' && token.includes(agent)));
+  const matched = specific.length > 0 ? specific : groups.filter(group => group.agents.includes('*'));
+
+  return {
+    rules: matched.flatMap(group => group.rules),
+    crawlDelay: matched.find(group => group.crawlDelay !== null)?.crawlDelay ?? null
+  };
+};
+
+/**
+ * Convert a robots.txt path pattern to a regular expression
+ * @param {string} pattern - Path pattern with * and optional trailing $
+ * @returns {RegExp}
+ */
+const patternToRegExp = (pattern) => {
+  const anchored = pattern.endsWith('$');
+  const body = (anchored ? pattern.slice(0, -1) : pattern)
+    .split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp(`^${body}${anchored ? '$' : ''}`);
+};
+
+/**
+ * Whether a path may be crawled
+ * @param {Object} robots - Result of parseRobots()
+ * @param {string} pathWithQuery - URL path and query
+ * @returns {boolean}
+ */
+const isAllowed = (robots, pathWithQuery) => {
+  let best = null;
+
+  for (const rule of robots.rules) {
+    if (!patternToRegExp(rule.path).test(pathWithQuery)) continue;
+    if (!best || rule.path.length > best.path.length || (rule.path.length === best.path.length && rule.allow)) {
+      best = rule;
+    }
+  }
+
+  return best ? best.allow : true;
+};
+
+module.exports = {
+  parseRobots,
+  isAllowed
+};
@@ -0,0 +1,169 @@
+/**
+ * Share-of-voice scoring for measured LLM answers
+ *
+ * Inputs are the query results from probeService.measureVisibility(); each
+ * answered result carries one mention entry per entity (brand + competitors).
+ *
+ * Metrics per entity (fractions are 0-1):
+ * - mentionRate:       answers mentioning the entity / answered queries
+ * - averagePosition:   mean order of first mention, over answers that mention it
+ * - firstMentionShare: answers where it is mentioned first / answers mentioning any entity
+ * - shareOfVoice:      answers mentioning it / sum of answers mentioning each entity
+ * - visibilityScore:   0-100, weighted from the metrics above (see WEIGHTS)
+ *
+ * Without answered queries nothing was measured: scores are null, not 0.
+ */
+
+const WEIGHTS = {
+  mentionRate: 0.5,
+  position: 0.2,
+  firstMention: 0.15,
+  shareOfVoice: 0.15
+};
+
+const round = (value, digits = 4) => {
+  if (value === null || value === undefined || Number.isNaN(value)) return null;
+  const factor = Math.pow(10, digits);
+  return Math.round(value * factor) / factor;
+};
+
+/**
+ * Score for being mentioned at a position: 1st = 1, then decays (2nd = 0.5, 3rd = 0.33, ...)
+ * @param {number|null} averagePosition - Average first-mention position
+ * @returns {number} 0-1
+ */
+const positionScore = (averagePosition) => (averagePosition ? 1 / averagePosition : 0);
+
+/**
+ * Compute metrics for every entity over a set of answered results
+ * @param {Array<Object>} results - Answered query results (with mentions)
+ * @returns {Array<Object>} Entity metrics
+ */
+const scoreEntities = (results) => {
+  const answered = results.filter(result => !result.error && Array.isArray(result.mentions));
+  const answersWithAnyMention = answered.filter(result => result.mentions.some(mention => mention.mentioned)).length;
+  const stats = new Map();
+
+  for (const result of answered) {
+    for (const mention of result.mentions) {
+      const entry = stats.get(mention.name) || {
+        name: mention.name,
+        isBrand: mention.isBrand,
+        answersMentioning: 0,
+        totalMentions: 0,
+        positions: [],
+        firstMentions: 0
+      };
+
+      if (mention.mentioned) {
+        entry.answersMentioning++;
+        entry.totalMentions += mention.count;
+        entry.positions.push(mention.position);
+        if (mention.position === 1) entry.firstMentions++;
+      }
+
+      stats.set(mention.name, entry);
+    }
+  }
+
+  const totalAnswersMentioning = Array.from(stats.values())
+    .reduce((sum, entry) => sum + entry.answersMentioning, 0);
+
+  return Array.from(stats.values()).map(entry => {
+    const mentionRate = answered.length > 0 ? entry.answersMentioning / answered.length : 0;
+    const averagePosition = entry.positions.length > 0
+      ? entry.positions.reduce((sum, position) => sum + position, 0) / entry.positions.length
+      : null;
+    const firstMentionShare = answersWithAnyMention > 0 ? entry.firstMentions / answersWithAnyMention : 0;
+    const shareOfVoice = totalAnswersMentioning > 0 ? entry.answersMentioning / totalAnswersMentioning : 0;
+
+    const visibilityScore = 100 * (
+      WEIGHTS.mentionRate * mentionRate +
+      WEIGHTS.position * positionScore(averagePosition) +
+      WEIGHTS.firstMention * firstMentionShare +
+      WEIGHTS.shareOfVoice * shareOfVoice
+    );
+
+    return {
+      name: entry.name,
+      isBrand: entry.isBrand,
+      answersMentioning: entry.answersMentioning,
+      totalMentions: entry.totalMentions,
+      mentionRate: round(mentionRate),
+      averagePosition: round(averagePosition, 2),
+      firstMentionShare: round(firstMentionShare),
+      shareOfVoice: round(shareOfVoice),
+      visibilityScore: round(visibilityScore, 1)
+    };
+  });
+};
+
+/**
+ * Visibility scores for a brand and its competitors
+ * @param {Object} measurement - Result of probeService.measureVisibility()
+ * @returns {Object|null} Scores, or null when nothing was measured
+ */
+const calculateVisibilityScores = (measurement) => {
+  if (!measurement || measurement.skipped || !measurement.results) {
+    return null;
+  }
+
+  const answered = measurement.results.filter(result => !result.error);
+  const entities = scoreEntities(answered);
+  const brand = entities.find(entity => entity.isBrand) || null;
+  const competitors = entities
+    .filter(entity => !entity.isBrand)
+    .sort((a, b) => b.visibilityScore - a.visibilityScore);
+
+  // Every probed provider and market is listed; one whose queries all failed has null scores
+  const byProvider = {};
+  for (const provider of [...new Set(measurement.results.map(result => result.provider))]) {
+    const providerResults = answered.filter(result => result.provider === provider);
+    const providerBrand = scoreEntities(providerResults).find(entity => entity.isBrand);
+
+    byProvider[provider] = {
+      answeredQueries: providerResults.length,
+      mentionRate: providerBrand ? providerBrand.mentionRate : null,
+      averagePosition: providerBrand ? providerBrand.averagePosition : null,
+      shareOfVoice: providerBrand ? providerBrand.shareOfVoice : null,
+      visibilityScore: providerBrand ? providerBrand.visibilityScore : null
+    };
+  }
+
+  // Brand score and local competitor ranking per target market
+  const byMarket = {};
+  for (const market of [...new Set(measurement.results.map(result => result.market).filter(Boolean))]) {
+    const marketResults = answered.filter(result => result.market === market);
+    const marketEntities = scoreEntities(marketResults);
+    const marketBrand = marketEntities.find(entity => entity.isBrand);
+
+    byMarket[market] = {
+      answeredQueries: marketResults.length,
+      mentionRate: marketBrand ? marketBrand.mentionRate : null,
+      averagePosition: marketBrand ? marketBrand.averagePosition : null,
+      shareOfVoice: marketBrand ? marketBrand.shareOfVoice : null,
+      visibilityScore: marketBrand ? marketBrand.visibilityScore : null,
+      competitors: marketEntities
+        .filter(entity => !entity.isBrand)
+        .sort((a, b) => b.visibilityScore - a.visibilityScore)
+        .map(({ name, mentionRate, shareOfVoice, visibilityScore }) => ({ name, mentionRate, shareOfVoice, visibilityScore }))
+    };
+  }
+
+  return {
+    scoringVersion: 1,
+    weights: WEIGHTS,
+    answeredQueries: answered.length,
+    visibilityScore: brand ? brand.visibilityScore : null,
+    brand,
+    competitors,
+    shareOfVoice: Object.fromEntries(entities.map(entity => [entity.name, entity.shareOfVoice])),
+    byProvider,
+    byMarket
+  };
+};
+
+module.exports = {
+  calculateVisibilityScores,
+  scoreEntities
+};
@@ -0,0 +1,150 @@
+/**
+ * Suggestion types for the analysis form (competitors, topics, prompts, personas)
+ *
+ * Each type has a JSON schema sent to the provider as a tool / response format,
+ * a prompt, and a converter to the value the form field accepts, so the
+ * frontend can prefill what the analysis would otherwise generate silently.
+ */
+const config = require('../config/config');
+
+const limits = config.formLimits;
+
+/**
+ * Brand and any form fields already filled in, as prompt context
+ * @param {Object} input - { brandName, websiteUrl, competitors, topics, personas }
+ * @returns {string} Prompt block
+ */
+const describeBrand = (input) => {
+  const lines = [
+    `- Brand: ${input.brandName}`,
+    `- Website: ${input.websiteUrl}`
+  ];
+  if (input.competitors?.length > 0) lines.push(`- Known competitors: ${input.competitors.join(', ')}`);
+  if (input.topics?.length > 0) lines.push(`- Key topics: ${input.topics.join(', ')}`);
+  if (input.personas?.trim()) lines.push(`- Target personas: ${input.personas.trim()}`);
+  return lines.join('\n');
+};
+
+const SUGGESTION_TYPES = {
+  competitors: {
+    maxCount: limits.maxCompetitors,
+    schema: {
+      type: 'object',
+      properties: {
+        competitors: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              name: { type: 'string', description: 'Company name' },
+              websiteUrl: { type: 'string', description: 'Company website URL, empty when unsure' },
+              reason: { type: 'string', description: 'Why it competes with the brand' }
+            },
+            required: ['name', 'reason']
+          }
+        }
+      },
+      required: ['competitors']
+    },
+    createPrompt: (input, count) => `Identify the ${count} most direct competitors of this company.
+
+${describeBrand(input)}
+
+Base the choice on service offerings, target customers, industry focus and geography. Prefer companies a buyer would realistically compare against ${input.brandName}. Do not list ${input.brandName} itself or companies already listed as known competitors.`,
+    toFormValue: (data) => data.competitors.map(item => item.name.trim().slice(0, limits.maxCompetitorLength))
+  },
+
+  topics: {
+    maxCount: limits.maxTopics,
+    schema: {
+      type: 'object',
+      properties: {
+        topics: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              topic: { type: 'string', description: 'Topic or service area, a few words' },
+              reason: { type: 'string', description: 'Why AI visibility on this topic matters for the brand' }
+            },
+            required: ['topic', 'reason']
+          }
+        }
+      },
+      required: ['topics']
+    },
+    createPrompt: (input, count) => `Identify the ${count} most important topics or service areas where this company should be visible in AI assistant answers.
+
+${describeBrand(input)}
+
+Consider primary service offerings, customer demand, competitive differentiators and industry trends. Keep each topic to a few words.`,
+    toFormValue: (data) => data.topics.map(item => item.topic.trim().slice(0, limits.maxTopicLength))
+  },
+
+  prompts: {
+    maxCount: limits.maxPrompts,
+    schema: {
+      type: 'object',
+      properties: {
+        prompts: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              prompt: { type: 'string', description: 'Question exactly as a buyer would type it into an AI assistant' },
+              intent: { type: 'string', enum: ['informational', 'comparison', 'recommendation', 'transactional'] },
+              persona: { type: 'string', description: 'Who would ask it' }
+            },
+            required: ['prompt', 'intent']
+          }
+        }
+      },
+      required: ['prompts']
+    },
+    createPrompt: (input, count) => `Write ${count} realistic questions a prospective customer would ask an AI assistant (ChatGPT, Claude, Gemini, Perplexity) when looking for what this company offers.
+
+${describeBrand(input)}
+
+Rules:
+- Do NOT mention ${input.brandName} or any other company name
+- Each question is a natural, self-contained query between 10 and ${limits.maxPromptLength} characters
+- Mix intents: informational, comparison, recommendation and transactional`,
+    toFormValue: (data) => data.prompts
+      .map(item => item.prompt.trim())
+      .filter(prompt => prompt.length >= 10 && prompt.length <= limits.maxPromptLength)
+  },
+
+  personas: {
+    maxCount: 3,
+    schema: {
+      type: 'object',
+      properties: {
+        personas: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              title: { type: 'string', description: 'Role and company type, e.g. "CTO at a mid-size fintech"' },
+              description: { type: 'string', description: 'One or two sentences: needs, pain points, buying criteria' }
+            },
+            required: ['title', 'description']
+          }
+        }
+      },
+      required: ['personas']
+    },
+    createPrompt: (input, count) => `Describe the ${count} ideal customer profiles (buyer personas) for this company.
+
+${describeBrand(input)}
+
+For each persona give the role and company type as a short title, then one or two sentences on their needs, pain points and buying criteria. Keep the combined descriptions under ${limits.maxPersonasLength} characters.`,
+    toFormValue: (data) => data.personas
+      .map(item => `${item.title.trim()}: ${item.description.trim()}`)
+      .join('\n')
+      .slice(0, limits.maxPersonasLength)
+  }
+};
+
+module.exports = {
+  SUGGESTION_TYPES
+};
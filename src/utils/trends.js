@@ -0,0 +1,209 @@
+/**
+ * Visibility trends of a brand across its saved comprehensive reports
+ *
+ * Each report's metadata sidecar yields one data point (visibility score,
+ * mentions, competitor share of voice, tokens and cost). Points are grouped
+ * per report, day, ISO week (starting Monday) or month, all in UTC. Periods
+ * without reports are included with null metrics so charts keep a time axis.
+ */
+
+const GRANULARITIES = ['report', 'day', 'week', 'month'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const round = (value, digits = 4) => {
+  if (value === null || value === undefined || Number.isNaN(value)) return null;
+  const factor = Math.pow(10, digits);
+  return Math.round(value * factor) / factor;
+};
+
+const average = (values, digits) => {
+  const present = values.filter(value => value !== null && value !== undefined);
+  return present.length > 0 ? round(present.reduce((sum, value) => sum + value, 0) / present.length, digits) : null;
+};
+
+/**
+ * Metrics of one saved report
+ * @param {Object} meta - Report metadata sidecar
+ * @param {Object} file - { fileName, created }
+ * @returns {Object} Data point; visibility metrics are null when nothing was measured
+ */
+const extractReportMetrics = (meta, file) => {
+  const visibility = meta.visibility || null;
+  const brand = visibility?.brand || null;
+  const cost = meta.cost || {};
+  // Reports whose probe queries all failed have no scores (older reports stored them as 0)
+  const measured = Boolean(visibility) && visibility.answeredQueries > 0;
+
+  return {
+    createdAt: meta.createdAt || new Date(file.created).toISOString(),
+    fileName: file.fileName,
+    requestId: meta.requestId || null,
+    provider: meta.provider || null,
+    model: meta.model || null,
+    measured,
+    visibilityScore: measured ? visibility.visibilityScore : null,
+    mentionRate: measured ? (brand ? brand.mentionRate : 0) : null,
+    averagePosition: brand ? brand.averagePosition : null,
+    shareOfVoice: measured ? (brand ? brand.shareOfVoice : 0) : null,
+    answeredQueries: visibility ? visibility.answeredQueries : null,
+    brandMentions: meta.measurement ? meta.measurement.brandMentions : null,
+    totalMentions: measured ? (brand ? brand.totalMentions : 0) : null,
+    competitors: measured ? Object.fromEntries((visibility.competitors || []).map(competitor => [competitor.name, competitor.shareOfVoice])) : {},
+    inputTokens: cost.inputTokens ?? meta.inputTokens ?? 0,
+    outputTokens: cost.outputTokens ?? meta.outputTokens ?? 0,
+    cacheReadInputTokens: cost.cacheReadInputTokens || 0,
+    estimatedCostUsd: meta.estimatedCostUsd || 0
+  };
+};
+
+/**
+ * Start of the UTC period a time falls into
+ * @param {Date} date - Time
+ * @param {string} granularity - day, week or month
+ * @returns {Date}
+ */
+const periodStart = (date, granularity) => {
+  const start = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), granularity === 'month' ? 1 : date.getUTCDate()));
+  if (granularity === 'week') {
+    start.setUTCDate(start.getUTCDate() - ((start.getUTCDay() + 6) % 7));
+  }
+  return start;
+};
+
+/**
+ * Start of the following period
+ * @param {Date} start - Period start
+ * @param {string} granularity - day, week or month
+ * @returns {Date}
+ */
+const nextPeriod = (start, granularity) => {
+  if (granularity === 'month') {
+    return new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth() + 1, 1));
+  }
+  return new Date(start.getTime() + (granularity === 'week' ? 7 : 1) * DAY_MS);
+};
+
+/**
+ * Label of a period (2024-05-13 for days and weeks, 2024-05 for months)
+ * @param {Date} start - Period start
+ * @param {string} granularity - day, week or month
+ * @returns {string}
+ */
+const periodLabel = (start, granularity) => start.toISOString().slice(0, granularity === 'month' ? 7 : 10);
+
+/**
+ * Combine the data points of one period
+ * @param {string} period - Period label
+ * @param {Array<Object>} points - Report data points
+ * @param {Array<string>} competitors - Competitor names of the whole series
+ * @returns {Object} Period data point
+ */
+const aggregatePoints = (period, points, competitors) => {
+  const measured = points.filter(point => point.measured);
+  const sum = (key) => points.reduce((total, point) => total + (point[key] || 0), 0);
+  const sumMeasured = (key) => (measured.length > 0 ? measured.reduce((total, point) => total + (point[key] || 0), 0) : null);
+
+  return {
+    period,
+    reports: points.length,
+    measuredReports: measured.length,
+    visibilityScore: average(measured.map(point => point.visibilityScore), 1),
+    mentionRate: average(measured.map(point => point.mentionRate)),
+    averagePosition: average(measured.map(point => point.averagePosition), 2),
+    shareOfVoice: average(measured.map(point => point.shareOfVoice)),
+    answeredQueries: sumMeasured('answeredQueries'),
+    brandMentions: sumMeasured('brandMentions'),
+    totalMentions: sumMeasured('totalMentions'),
+    // A competitor missing from a measured report had no share in it
+    competitors: Object.fromEntries(competitors.map(name => [
+      name,
+      average(measured.map(point => point.competitors[name] ?? 0))
+    ])),
+    inputTokens: sum('inputTokens'),
+    outputTokens: sum('outputTokens'),
+    cacheReadInputTokens: sum('cacheReadInputTokens'),
+    estimatedCostUsd: round(sum('estimatedCostUsd'), 6),
+    fileNames: points.map(point => point.fileName)
+  };
+};
+
+/**
+ * Time series of report data points
+ * @param {Array<Object>} points - Results of extractReportMetrics()
+ * @param {string} granularity - report, day, week or month
+ * @returns {Object} { granularity, competitors, points, chart, summary }
+ */
+const buildTrendSeries = (points, granularity = 'report') => {
+  const sorted = [...points].sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  const competitors = [...new Set(sorted.flatMap(point => Object.keys(point.competitors)))];
+
+  let series;
+  if (granularity === 'report') {
+    series = sorted.map(point => ({
+      ...aggregatePoints(point.createdAt, [point], competitors),
+      provider: point.provider,
+      model: point.model
+    }));
+  } else {
+    const groups = new Map();
+    for (const point of sorted) {
+      const label = periodLabel(periodStart(new Date(point.createdAt), granularity), granularity);
+      if (!groups.has(label)) groups.set(label, []);
+      groups.get(label).push(point);
+    }
+
+    series = [];
+    if (sorted.length > 0) {
+      const last = periodStart(new Date(sorted[sorted.length - 1].createdAt), granularity);
+      for (let start = periodStart(new Date(sorted[0].createdAt), granularity); start <= last; start = nextPeriod(start, granularity)) {
+        const label = periodLabel(start, granularity);
+        series.push(aggregatePoints(label, groups.get(label) || [], competitors));
+      }
+    }
+  }
+
+  const scored = series.filter(point => point.visibilityScore !== null);
+  const first = scored[0] || null;
+  const latest = scored[scored.length - 1] || null;
+
+  return {
+    granularity,
+    competitors,
+    points: series,
+    // Parallel arrays for chart libraries: one value per label, null where nothing was measured
+    chart: {
+      labels: series.map(point => point.period),
+      series: {
+        visibilityScore: series.map(point => point.visibilityScore),
+        mentionRate: series.map(point => point.mentionRate),
+        shareOfVoice: series.map(point => point.shareOfVoice),
+        brandMentions: series.map(point => point.brandMentions),
+        totalTokens: series.map(point => point.inputTokens + point.outputTokens),
+        estimatedCostUsd: series.map(point => point.estimatedCostUsd)
+      },
+      competitorShareOfVoice: Object.fromEntries(competitors.map(name => [
+        name,
+        series.map(point => point.competitors[name])
+      ]))
+    },
+    summary: {
+      reports: sorted.length,
+      measuredReports: sorted.filter(point => point.measured).length,
+      firstReportAt: sorted[0]?.createdAt || null,
+      latestReportAt: sorted[sorted.length - 1]?.createdAt || null,
+      firstVisibilityScore: first ? first.visibilityScore : null,
+      latestVisibilityScore: latest ? latest.visibilityScore : null,
+      visibilityScoreChange: first && latest ? round(latest.visibilityScore - first.visibilityScore, 1) : null,
+      inputTokens: sorted.reduce((total, point) => total + point.inputTokens, 0),
+      outputTokens: sorted.reduce((total, point) => total + point.outputTokens, 0),
+      estimatedCostUsd: round(sorted.reduce((total, point) => total + point.estimatedCostUsd, 0), 6)
+    }
+  };
+};
+
+module.exports = {
+  GRANULARITIES,
+  extractReportMetrics,
+  buildTrendSeries
+};
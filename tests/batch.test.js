@@ -0,0 +1,197 @@
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+const dataDir = path.join(os.tmpdir(), `geo-batch-test-${process.pid}`);
+Object.assign(process.env, {
+  API_KEY: 'test-api-key-1234567890',
+  CLAUDE_API_KEY: 'test-claude-key',
+  LLM_PROVIDER: 'anthropic',
+  LOG_LEVEL: 'error',
+  REPORTS_DIR: path.join(dataDir, 'reports'),
+  JOBS_DIR: path.join(dataDir, 'jobs'),
+  BATCHES_DIR: path.join(dataDir, 'batches'),
+  SCHEDULES_DIR: path.join(dataDir, 'schedules'),
+  TEMPLATES_DIR: path.join(dataDir, 'templates'),
+  USAGE_LEDGER_FILE: path.join(dataDir, 'usage', 'ledger.jsonl'),
+  BATCH_POLL_INTERVAL_MS: '20'
+});
+
+jest.spyOn(console, 'log').mockImplementation(() => {});
+jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+// Required once the stand-in listens: provider settings are read at load time
+let batchService;
+
+/**
+ * Stand-in for the Message Batches API. A batch reports in_progress until
+ * it has been checked `endAfter` times, then ended with JSONL results.
+ */
+const api = {
+  batches: new Map(),
+  submitted: []
+};
+
+const message = (brandName) => ({
+  id: 'msg_1',
+  type: 'message',
+  role: 'assistant',
+  model: 'claude-3-5-sonnet-20241022',
+  content: [{ type: 'text', text: `Brand analysis of ${brandName}.` }],
+  stop_reason: 'end_turn',
+  usage: { input_tokens: 120, output_tokens: 80 }
+});
+
+const resultLine = (customId, brandName) => {
+  const result = {
+    'brand-1': { type: 'succeeded', message: message(brandName) },
+    'brand-2': { type: 'errored', error: { type: 'error', error: { type: 'invalid_request_error', message: 'prompt is too long' } } },
+    'brand-3': { type: 'expired' }
+  }[customId];
+  return JSON.stringify({ custom_id: customId, result });
+};
+
+const sendJson = (res, status, body) => {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+};
+
+const server = http.createServer((req, res) => {
+  let raw = '';
+  req.on('data', chunk => { raw += chunk; });
+  req.on('end', () => {
+    const match = /^\/v1\/messages\/batches(?:\/([^/]+))?(\/results)?$/.exec(req.url);
+    if (!match) return sendJson(res, 404, { type: 'error', error: { type: 'not_found_error', message: 'Not found' } });
+
+    if (req.method === 'POST' && !match[1]) {
+      const body = JSON.parse(raw);
+      const id = `msgbatch_${api.batches.size + 1}`;
+      api.submitted.push({ id, body, beta: req.headers['anthropic-beta'] });
+      api.batches.set(id, { id, requests: body.requests, polls: 0, endAfter: 2 });
+      return sendJson(res, 200, serializeBatch(api.batches.get(id)));
+    }
+
+    const batch = api.batches.get(match[1]);
+    if (!batch) {
+      return sendJson(res, 404, { type: 'error', error: { type: 'not_found_error', message: `Batch ${match[1]} not found` } });
+    }
+
+    if (match[2]) {
+      res.writeHead(200, { 'Content-Type': 'application/binary' });
+      return res.end(batch.requests.map(({ custom_id: customId }, index) => resultLine(customId, `Brand ${index + 1}`)).join('\n') + '\n');
+    }
+
+    batch.polls++;
+    return sendJson(res, 200, serializeBatch(batch));
+  });
+});
+
+const serializeBatch = (batch) => {
+  const ended = batch.polls >= batch.endAfter;
+  const total = batch.requests.length;
+  return {
+    id: batch.id,
+    type: 'message_batch',
+    processing_status: ended ? 'ended' : 'in_progress',
+    request_counts: ended
+      ? { processing: 0, succeeded: 1, errored: 1, canceled: 0, expired: total - 2 }
+      : { processing: total, succeeded: 0, errored: 0, canceled: 0, expired: 0 },
+    created_at: new Date().toISOString(),
+    ended_at: ended ? new Date().toISOString() : null,
+    results_url: ended ? `${process.env.ANTHROPIC_BASE_URL}/v1/messages/batches/${batch.id}/results` : null
+  };
+};
+
+/**
+ * Wait until a condition holds
+ * @param {Function} condition - Checked every 10ms
+ * @param {number} timeoutMs - Give up after this long
+ */
+const waitFor = async (condition, timeoutMs = 5000) => {
+  const deadline = Date.now() + timeoutMs;
+  while (!condition()) {
+    if (Date.now() > deadline) throw new Error('Timed out waiting for condition');
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+};
+
+beforeAll(async () => {
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  process.env.ANTHROPIC_BASE_URL = `http://127.0.0.1:${server.address().port}`;
+  batchService = require('../src/services/batch.service');
+});
+
+afterAll(async () => {
+  await batchService.shutdown();
+  await new Promise(resolve => server.close(resolve));
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+describe('bulk analysis via Message Batches', () => {
+  let job;
+
+  test('submits one batch request per brand', async () => {
+    job = await batchService.createBulkJob(['Brand 1', 'Brand 2', 'Brand 3'], { provider: 'anthropic' });
+
+    expect(job.status).toBe('processing');
+    expect(job.batch.id).toBe('msgbatch_1');
+    expect(job.progress).toMatchObject({ total: 3, processing: 3 });
+
+    const [submitted] = api.submitted;
+    expect(submitted.beta).toMatch(/message-batches-2024-09-24/);
+    expect(submitted.body.requests.map(request => request.custom_id)).toEqual(['brand-1', 'brand-2', 'brand-3']);
+    expect(submitted.body.requests[0].params.messages[0].content).toMatch(/Brand 1/);
+  });
+
+  test('polls until the batch has ended and records each result', async () => {
+    await waitFor(() => batchService.getBulkJob(job.bulkJobId).status !== 'processing');
+    const finished = batchService.getBulkJob(job.bulkJobId);
+
+    expect(api.batches.get('msgbatch_1').polls).toBe(2);
+    expect(finished.status).toBe('completed');
+    expect(finished.batch.status).toBe('ended');
+    expect(finished.progress).toMatchObject({ total: 3, completed: 1, failed: 1, expired: 1, percent: 100 });
+
+    const [succeeded, errored, expired] = finished.brands;
+    expect(succeeded).toMatchObject({ brandName: 'Brand 1', status: 'completed', error: null });
+    expect(succeeded.fileName).toMatch(/\.txt$/);
+    expect(errored).toMatchObject({ brandName: 'Brand 2', status: 'failed', error: 'prompt is too long' });
+    expect(expired).toMatchObject({ brandName: 'Brand 3', status: 'expired', error: 'Request expired' });
+
+    const report = fs.readFileSync(path.join(process.env.REPORTS_DIR, 'brand_1', succeeded.fileName), 'utf8');
+    expect(report).toMatch(/Brand analysis of Brand 1\./);
+  });
+
+  test('fails the job when the batch no longer exists', async () => {
+    const created = await batchService.createBulkJob(['Brand 1'], { provider: 'anthropic' });
+    api.batches.delete(created.batch.id);
+
+    await waitFor(() => batchService.getBulkJob(created.bulkJobId).status !== 'processing');
+    const failed = batchService.getBulkJob(created.bulkJobId);
+
+    expect(failed.status).toBe('failed');
+    expect(failed.error).toMatch(/not found/);
+    expect(failed.brands[0]).toMatchObject({ status: 'failed', error: expect.stringMatching(/not found/) });
+  });
+
+  test('resumes polling unfinished batches after a restart', async () => {
+    const created = await batchService.createBulkJob(['Brand 1', 'Brand 2', 'Brand 3'], { provider: 'anthropic' });
+    await batchService.shutdown();
+    api.batches.get(created.batch.id).endAfter = 1;
+
+    const restarted = new batchService.constructor();
+    restarted.start();
+    try {
+      expect(restarted.getBulkJob(created.bulkJobId).status).toBe('processing');
+
+      await waitFor(() => restarted.getBulkJob(created.bulkJobId).status !== 'processing');
+      expect(restarted.getBulkJob(created.bulkJobId)).toMatchObject({
+        status: 'completed',
+        progress: { completed: 1, failed: 1, expired: 1 }
+      });
+    } finally {
+      await restarted.shutdown();
+    }
+  });
+});
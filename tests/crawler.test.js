@@ -0,0 +1,220 @@
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+const dataDir = path.join(os.tmpdir(), `geo-crawler-test-${process.pid}`);
+Object.assign(process.env, {
+  API_KEY: 'test-api-key-1234567890',
+  LLM_PROVIDER: 'mock',
+  LOG_LEVEL: 'error',
+  REPORTS_DIR: path.join(dataDir, 'reports'),
+  JOBS_DIR: path.join(dataDir, 'jobs'),
+  BATCHES_DIR: path.join(dataDir, 'batches'),
+  SCHEDULES_DIR: path.join(dataDir, 'schedules'),
+  CRAWLER_ALLOW_PRIVATE_HOSTS: 'true',
+  CRAWLER_MAX_PAGE_BYTES: '2048'
+});
+
+jest.spyOn(console, 'log').mockImplementation(() => {});
+jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+const crawlerService = require('../src/services/crawler.service');
+
+const html = (body, head = '') => `<!doctype html><html><head>${head}</head><body>${body}</body></html>`;
+const links = (...hrefs) => hrefs.map(href => `<a href="${href}">${href}</a>`).join(' ');
+
+/**
+ * Start a fixture site on a random loopback port
+ * @param {Object} routes - Path to handler(req, res) or [status, contentType, body]
+ * @returns {Promise<Object>} { server, url, requests }
+ */
+const startSite = (routes) => new Promise((resolve) => {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    requests.push({ path: req.url, at: Date.now() });
+    const route = routes[req.url];
+    if (!route) {
+      res.writeHead(404, { 'Content-Type': 'text/plain' });
+      return res.end('Not found');
+    }
+    if (typeof route === 'function') return route(req, res);
+
+    const [status, contentType, body] = route;
+    res.writeHead(status, { 'Content-Type': contentType });
+    res.end(body);
+  });
+  server.listen(0, '127.0.0.1', () => {
+    resolve({ server, url: `http://127.0.0.1:${server.address().port}`, requests });
+  });
+});
+
+const sites = [];
+const site = async (routes) => {
+  const started = await startSite(routes);
+  sites.push(started.server);
+  return started;
+};
+
+afterAll(async () => {
+  await Promise.all(sites.map(server => new Promise(resolve => server.close(resolve))));
+  require('fs').rmSync(dataDir, { recursive: true, force: true });
+});
+
+const reasonFor = (snapshot, url) => snapshot.skipped.find(entry => entry.url === url)?.reason;
+
+describe('crawlerService.crawl', () => {
+  let offSite;
+  let fixture;
+
+  beforeAll(async () => {
+    offSite = await site({ '/': [200, 'text/html', html('<h1>Elsewhere</h1>')] });
+    fixture = await site({
+      '/robots.txt': [200, 'text/plain', 'User-agent: *\nDisallow: /private\nAllow: /private/open\n'],
+      '/': [200, 'text/html', html(
+        `<h1>Home</h1>${links('/about', '/private/secret', '/private/open', '/hidden', '/no-follow', '/away', '/big', '/deep-1')}`,
+        '<title>Fixture</title>'
+      )],
+      '/about': [200, 'text/html', html('<h1>About</h1>')],
+      '/private/secret': [200, 'text/html', html('<h1>Secret</h1>')],
+      '/private/open': [200, 'text/html', html('<h1>Open</h1>')],
+      '/hidden': [200, 'text/html', html('<h1>Hidden</h1>', '<meta name="robots" content="noindex">')],
+      '/no-follow': [200, 'text/html', html(`<h1>No follow</h1>${links('/only-linked-from-no-follow')}`, '<meta name="robots" content="nofollow">')],
+      '/only-linked-from-no-follow': [200, 'text/html', html('<h1>Unreachable</h1>')],
+      '/away': (req, res) => {
+        res.writeHead(302, { Location: `${offSite.url}/` });
+        res.end();
+      },
+      '/big': [200, 'text/html', html(`<p>${'x'.repeat(10000)}</p>`)],
+      '/deep-1': [200, 'text/html', html(`<h1>Deep 1</h1>${links('/deep-2')}`)],
+      '/deep-2': [200, 'text/html', html(`<h1>Deep 2</h1>${links('/deep-3')}`)],
+      '/deep-3': [200, 'text/html', html('<h1>Deep 3</h1>')]
+    });
+  });
+
+  test('follows robots.txt Allow and Disallow rules', async () => {
+    const snapshot = await crawlerService.crawl(fixture.url, { maxPages: 20, maxDepth: 2 });
+    const crawled = snapshot.pages.map(page => new URL(page.url).pathname);
+
+    expect(snapshot.robots).toMatchObject({ found: true, rules: 2, crawlDelay: null });
+    expect(crawled).toContain('/private/open');
+    expect(crawled).not.toContain('/private/secret');
+    expect(reasonFor(snapshot, `${fixture.url}/private/secret`)).toBe('robots.txt');
+    expect(fixture.requests.map(request => request.path)).not.toContain('/private/secret');
+  });
+
+  test('leaves out noindex pages and does not follow links of nofollow pages', async () => {
+    const snapshot = await crawlerService.crawl(fixture.url, { maxPages: 20, maxDepth: 2 });
+    const crawled = snapshot.pages.map(page => new URL(page.url).pathname);
+
+    expect(crawled).not.toContain('/hidden');
+    expect(reasonFor(snapshot, `${fixture.url}/hidden`)).toBe('noindex');
+    expect(crawled).toContain('/no-follow');
+    expect(crawled).not.toContain('/only-linked-from-no-follow');
+  });
+
+  test('stops at maxDepth and maxPages', async () => {
+    const deep = await crawlerService.crawl(fixture.url, { maxPages: 20, maxDepth: 2 });
+    const crawled = deep.pages.map(page => new URL(page.url).pathname);
+    expect(crawled).toEqual(expect.arrayContaining(['/', '/deep-1', '/deep-2']));
+    expect(crawled).not.toContain('/deep-3');
+
+    const shallow = await crawlerService.crawl(fixture.url, { maxPages: 20, maxDepth: 0 });
+    expect(shallow.pages.map(page => new URL(page.url).pathname)).toEqual(['/']);
+
+    const limited = await crawlerService.crawl(fixture.url, { maxPages: 3, maxDepth: 2 });
+    expect(limited.pages).toHaveLength(3);
+    expect(limited.summary.pagesCrawled).toBe(3);
+  });
+
+  test('truncates pages larger than maxPageBytes', async () => {
+    const snapshot = await crawlerService.crawl(fixture.url, { maxPages: 20, maxDepth: 1 });
+    const big = snapshot.pages.find(page => page.url === `${fixture.url}/big`);
+
+    expect(big.bytes).toBe(2048);
+    expect(big.truncated).toBe(true);
+  });
+
+  test('skips pages that redirect off-site', async () => {
+    const snapshot = await crawlerService.crawl(fixture.url, { maxPages: 20, maxDepth: 1 });
+
+    expect(snapshot.pages.some(page => page.url.startsWith(offSite.url))).toBe(false);
+    expect(reasonFor(snapshot, `${fixture.url}/away`)).toBe('redirected off-site');
+  });
+});
+
+describe('robots.txt availability', () => {
+  test('a missing robots.txt allows everything', async () => {
+    const { url } = await site({
+      '/': [200, 'text/html', html(links('/about'))],
+      '/about': [200, 'text/html', html('<h1>About</h1>')]
+    });
+    const snapshot = await crawlerService.crawl(url, { maxPages: 5, maxDepth: 1 });
+
+    expect(snapshot.robots).toMatchObject({ found: false, rules: 0, error: null });
+    expect(snapshot.pages).toHaveLength(2);
+  });
+
+  test('a robots.txt server error disallows everything', async () => {
+    const { url, requests } = await site({
+      '/robots.txt': [503, 'text/plain', 'Unavailable'],
+      '/': [200, 'text/html', html(links('/about'))],
+      '/about': [200, 'text/html', html('<h1>About</h1>')]
+    });
+    const snapshot = await crawlerService.crawl(url, { maxPages: 5, maxDepth: 1 });
+
+    expect(snapshot.robots.error).toMatch(/HTTP 503/);
+    expect(snapshot.pages).toHaveLength(0);
+    expect(snapshot.skipped).toEqual([{ url, reason: 'robots.txt' }]);
+    expect(requests.map(request => request.path)).not.toContain('/about');
+  });
+});
+
+describe('robots.txt Crawl-delay', () => {
+  test('fetches pages one at a time at the requested pace', async () => {
+    const { url, requests } = await site({
+      '/robots.txt': [200, 'text/plain', 'User-agent: *\nCrawl-delay: 0.2\n'],
+      '/': [200, 'text/html', html(links('/a', '/b', '/c'))],
+      '/a': [200, 'text/html', html('<h1>A</h1>')],
+      '/b': [200, 'text/html', html('<h1>B</h1>')],
+      '/c': [200, 'text/html', html('<h1>C</h1>')]
+    });
+    const snapshot = await crawlerService.crawl(url, { maxPages: 5, maxDepth: 1 });
+
+    expect(snapshot.robots.crawlDelay).toBe(0.2);
+    expect(snapshot.pages).toHaveLength(4);
+
+    const pageRequests = requests.filter(request => ['/a', '/b', '/c'].includes(request.path));
+    for (let i = 1; i < pageRequests.length; i++) {
+      expect(pageRequests[i].at - pageRequests[i - 1].at).toBeGreaterThanOrEqual(190);
+    }
+  });
+
+  test('only crawls the homepage when the delay is longer than allowed', async () => {
+    const { url, requests } = await site({
+      '/robots.txt': [200, 'text/plain', 'User-agent: *\nCrawl-delay: 60\n'],
+      '/': [200, 'text/html', html(links('/a'))],
+      '/a': [200, 'text/html', html('<h1>A</h1>')]
+    });
+    const snapshot = await crawlerService.crawl(url, { maxPages: 5, maxDepth: 1 });
+
+    expect(snapshot.pages).toHaveLength(1);
+    expect(reasonFor(snapshot, `${url}/a`)).toBe('robots.txt Crawl-delay 60s');
+    expect(requests.map(request => request.path)).not.toContain('/a');
+  });
+});
+
+describe('private addresses', () => {
+  test('are refused unless CRAWLER_ALLOW_PRIVATE_HOSTS is set', async () => {
+    const { url, requests } = await site({ '/': [200, 'text/html', html('<h1>Intranet</h1>')] });
+    crawlerService.settings.allowPrivateHosts = false;
+
+    try {
+      const snapshot = await crawlerService.crawl(url);
+      expect(snapshot.error).toMatch(/Refusing to crawl private address/);
+      expect(snapshot.pages).toHaveLength(0);
+      expect(requests).toHaveLength(0);
+    } finally {
+      crawlerService.settings.allowPrivateHosts = true;
+    }
+  });
+});
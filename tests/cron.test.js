@@ -0,0 +1,99 @@
+const { parseCron, isValidCron, isValidTimeZone, nextRun, nextRuns } = require('../src/utils/cron');
+
+const iso = (dates) => dates.map(date => date.toISOString());
+
+describe('parseCron', () => {
+  test('expands values, ranges, steps, lists and names', () => {
+    const cron = parseCron('*/15 9-17/4 1,15 jan-mar mon,FRI');
+
+    expect([...cron.minute]).toEqual([0, 15, 30, 45]);
+    expect([...cron.hour]).toEqual([9, 13, 17]);
+    expect([...cron.dayOfMonth]).toEqual([1, 15]);
+    expect([...cron.month]).toEqual([1, 2, 3]);
+    expect([...cron.dayOfWeek]).toEqual([1, 5]);
+    expect(cron).toMatchObject({ dayOfMonthRestricted: true, dayOfWeekRestricted: true });
+  });
+
+  test('treats 7 as Sunday and a single value with a step as a start', () => {
+    expect(parseCron('0 0 * * 7').dayOfWeek.has(0)).toBe(true);
+    expect([...parseCron('50/5 * * * *').minute]).toEqual([50, 55]);
+  });
+
+  test('expands macros', () => {
+    expect(parseCron('@weekly')).toEqual(parseCron('0 0 * * 0'));
+    expect(parseCron('@Daily')).toEqual(parseCron('0 0 * * *'));
+  });
+
+  test.each([
+    ['0 0 * *', /5 fields/],
+    ['60 * * * *', /Invalid minute value "60"/],
+    ['* * 0 * *', /Invalid day of month value "0"/],
+    ['* * * foo *', /Invalid month value "foo"/],
+    ['*/0 * * * *', /Invalid minute step/],
+    ['* 5-1 * * *', /Invalid hour range/]
+  ])('rejects %s', (expression, message) => {
+    expect(() => parseCron(expression)).toThrow(message);
+    expect(isValidCron(expression)).toBe(false);
+  });
+});
+
+describe('isValidTimeZone', () => {
+  test('knows IANA names only', () => {
+    expect(isValidTimeZone('Europe/Berlin')).toBe(true);
+    expect(isValidTimeZone('Mars/Olympus_Mons')).toBe(false);
+  });
+});
+
+describe('nextRun', () => {
+  test('returns the first matching minute strictly after the start', () => {
+    expect(nextRun('*/15 * * * *', new Date('2026-05-04T10:15:00Z')).toISOString()).toBe('2026-05-04T10:30:00.000Z');
+    expect(nextRun('*/15 * * * *', new Date('2026-05-04T10:14:59Z')).toISOString()).toBe('2026-05-04T10:15:00.000Z');
+  });
+
+  test('runs on a day matching either restricted day field', () => {
+    // 2026-05-01 is a Friday
+    expect(iso(nextRuns('0 8 15 * mon', 3, new Date('2026-05-01T00:00:00Z')))).toEqual([
+      '2026-05-04T08:00:00.000Z',
+      '2026-05-11T08:00:00.000Z',
+      '2026-05-15T08:00:00.000Z'
+    ]);
+  });
+
+  test('evaluates the expression in the given time zone', () => {
+    expect(nextRun('0 9 * * *', new Date('2026-07-01T00:00:00Z'), 'America/New_York').toISOString()).toBe('2026-07-01T13:00:00.000Z');
+  });
+
+  test('finds yearly dates and gives up on impossible ones', () => {
+    expect(nextRun('0 0 29 2 *', new Date('2026-01-01T00:00:00Z')).toISOString()).toBe('2028-02-29T00:00:00.000Z');
+    expect(nextRun('0 0 31 2 *', new Date('2026-01-01T00:00:00Z'))).toBeNull();
+  });
+
+  describe('across daylight saving changes', () => {
+    test('does not skip midnight after a spring-forward day', () => {
+      // Clocks go forward on Sunday 2026-03-29 in Berlin and 2026-03-08 in New York
+      expect(nextRun('0 0 * * 1', new Date('2026-03-28T10:00:00Z'), 'Europe/Berlin').toISOString()).toBe('2026-03-29T22:00:00.000Z');
+      expect(nextRun('0 0 * * 1', new Date('2026-03-06T10:00:00Z'), 'America/New_York').toISOString()).toBe('2026-03-09T04:00:00.000Z');
+    });
+
+    test('runs every day through both changes of the year', () => {
+      expect(iso(nextRuns('0 0 * * *', 3, new Date('2026-03-28T12:00:00Z'), 'Europe/Berlin'))).toEqual([
+        '2026-03-28T23:00:00.000Z',
+        '2026-03-29T22:00:00.000Z',
+        '2026-03-30T22:00:00.000Z'
+      ]);
+      expect(iso(nextRuns('0 0 * * *', 3, new Date('2026-10-24T12:00:00Z'), 'Europe/Berlin'))).toEqual([
+        '2026-10-24T22:00:00.000Z',
+        '2026-10-25T23:00:00.000Z',
+        '2026-10-26T23:00:00.000Z'
+      ]);
+    });
+
+    test('skips wall-clock times that do not exist', () => {
+      // 02:30 does not exist in Berlin on 2026-03-29
+      expect(iso(nextRuns('30 2 * * *', 2, new Date('2026-03-28T12:00:00Z'), 'Europe/Berlin'))).toEqual([
+        '2026-03-30T00:30:00.000Z',
+        '2026-03-31T00:30:00.000Z'
+      ]);
+    });
+  });
+});
@@ -0,0 +1,123 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dataDir = path.join(os.tmpdir(), `geo-rate-scheduler-test-${process.pid}`);
+Object.assign(process.env, {
+  API_KEY: 'test-api-key-1234567890',
+  LLM_PROVIDER: 'mock',
+  LOG_LEVEL: 'error',
+  REPORTS_DIR: path.join(dataDir, 'reports'),
+  JOBS_DIR: path.join(dataDir, 'jobs'),
+  BATCHES_DIR: path.join(dataDir, 'batches'),
+  SCHEDULES_DIR: path.join(dataDir, 'schedules'),
+  TEMPLATES_DIR: path.join(dataDir, 'templates'),
+  USAGE_LEDGER_FILE: path.join(dataDir, 'usage', 'ledger.jsonl')
+});
+
+jest.spyOn(console, 'log').mockImplementation(() => {});
+jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+const { RateScheduler } = require('../src/utils/rateScheduler');
+
+const SECOND_MS = 1000;
+
+/**
+ * Schedule a call that settles when the test says so
+ * @param {RateScheduler} scheduler - Scheduler under test
+ * @param {Object} options - Schedule options
+ * @returns {Object} { promise, started(), resolve(value), reject(error) }
+ */
+const deferred = (scheduler, options = {}) => {
+  const call = { started: false };
+  call.promise = scheduler.schedule(() => new Promise((resolve, reject) => {
+    call.started = true;
+    call.resolve = resolve;
+    call.reject = reject;
+  }), options);
+  call.promise.catch(() => {});
+  return call;
+};
+
+beforeEach(() => {
+  jest.useFakeTimers({ now: new Date('2026-05-04T10:00:00Z') });
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+afterAll(() => {
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+describe('RateScheduler', () => {
+  test('holds requests over the RPM budget until the window moves', async () => {
+    const scheduler = new RateScheduler('test', { requestsPerMinute: 2, outputTokensPerMinute: 100000 });
+    const calls = [deferred(scheduler), deferred(scheduler), deferred(scheduler)];
+
+    expect(calls.map(call => call.started)).toEqual([true, true, false]);
+    expect(scheduler.getState()).toMatchObject({ queueDepth: 1, inFlight: 2, estimatedWaitMs: 60 * SECOND_MS });
+
+    // Finishing early frees no request slot
+    calls[0].resolve('a');
+    await jest.advanceTimersByTimeAsync(59 * SECOND_MS);
+    expect(calls[2].started).toBe(false);
+
+    await jest.advanceTimersByTimeAsync(SECOND_MS);
+    expect(calls[2].started).toBe(true);
+    expect(scheduler.stats).toMatchObject({ scheduled: 3, delayed: 1, totalWaitMs: 60 * SECOND_MS });
+  });
+
+  test('reserves max_tokens against OTPM and corrects it to the real output', async () => {
+    const scheduler = new RateScheduler('test', { requestsPerMinute: 50, outputTokensPerMinute: 1000 });
+    const options = { estimatedOutputTokens: 800, countOutputTokens: result => result.outputTokens };
+    const first = deferred(scheduler, options);
+    const second = deferred(scheduler, options);
+
+    expect(second.started).toBe(false);
+    expect(scheduler.getUsage()).toEqual({ requests: 1, outputTokens: 800 });
+
+    first.resolve({ outputTokens: 150 });
+    await jest.advanceTimersByTimeAsync(0);
+
+    expect(second.started).toBe(true);
+    expect(scheduler.getUsage()).toEqual({ requests: 2, outputTokens: 950 });
+  });
+
+  test('releases the reservation of a failed request but still counts it against RPM', async () => {
+    const scheduler = new RateScheduler('test', { requestsPerMinute: 50, outputTokensPerMinute: 1000 });
+    const first = deferred(scheduler, { estimatedOutputTokens: 800 });
+    const second = deferred(scheduler, { estimatedOutputTokens: 800 });
+
+    first.reject(Object.assign(new Error('Overloaded'), { status: 529 }));
+    await expect(first.promise).rejects.toThrow('Overloaded');
+
+    expect(second.started).toBe(true);
+    expect(scheduler.getUsage()).toEqual({ requests: 2, outputTokens: 800 });
+  });
+
+  test('caps a reservation larger than the whole budget', () => {
+    const scheduler = new RateScheduler('test', { requestsPerMinute: 50, outputTokensPerMinute: 1000 });
+    const call = deferred(scheduler, { estimatedOutputTokens: 8192 });
+
+    expect(call.started).toBe(true);
+    expect(scheduler.getUsage().outputTokens).toBe(1000);
+  });
+
+  test('drops a cancelled request from the queue without using budget', async () => {
+    const scheduler = new RateScheduler('test', { requestsPerMinute: 1, outputTokensPerMinute: 100000 });
+    const controller = new AbortController();
+    deferred(scheduler);
+    const cancelled = deferred(scheduler, { signal: controller.signal });
+    const next = deferred(scheduler);
+
+    controller.abort(new Error('Analysis was cancelled'));
+    await expect(cancelled.promise).rejects.toThrow('Analysis was cancelled');
+    expect(scheduler.queue).toHaveLength(1);
+
+    await jest.advanceTimersByTimeAsync(60 * SECOND_MS);
+    expect(cancelled.started).toBe(false);
+    expect(next.started).toBe(true);
+  });
+});
@@ -0,0 +1,148 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dataDir = path.join(os.tmpdir(), `geo-resilience-test-${process.pid}`);
+Object.assign(process.env, {
+  API_KEY: 'test-api-key-1234567890',
+  LLM_PROVIDER: 'mock',
+  LOG_LEVEL: 'error',
+  REPORTS_DIR: path.join(dataDir, 'reports'),
+  JOBS_DIR: path.join(dataDir, 'jobs'),
+  BATCHES_DIR: path.join(dataDir, 'batches'),
+  SCHEDULES_DIR: path.join(dataDir, 'schedules'),
+  TEMPLATES_DIR: path.join(dataDir, 'templates'),
+  USAGE_LEDGER_FILE: path.join(dataDir, 'usage', 'ledger.jsonl')
+});
+
+jest.spyOn(console, 'log').mockImplementation(() => {});
+jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+const logger = require('../src/utils/logger');
+const { CircuitBreaker, withRetry } = require('../src/utils/resilience');
+
+// Opening a circuit is logged as an error
+logger.silent = true;
+
+const providerError = (status, message = `HTTP ${status}`) => Object.assign(new Error(message), { status });
+const abortError = () => Object.assign(new Error('Request was aborted'), { name: 'AbortError' });
+
+afterAll(() => {
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+describe('CircuitBreaker', () => {
+  let breaker;
+
+  const fail = (error) => breaker.execute(async () => { throw error; }).catch(caught => caught);
+  const succeed = () => breaker.execute(async () => 'ok');
+
+  /**
+   * Open the circuit, then let the reset timeout pass
+   */
+  const halfOpen = async () => {
+    for (let i = 0; i < breaker.failureThreshold; i++) await fail(providerError(503));
+    breaker.openedAt = Date.now() - breaker.resetTimeoutMs;
+  };
+
+  beforeEach(() => {
+    breaker = new CircuitBreaker('test', { failureThreshold: 3, resetTimeoutMs: 60000 });
+  });
+
+  test('opens after consecutive transient failures and then fails fast', async () => {
+    await fail(providerError(503));
+    await fail(providerError(429));
+    expect(breaker.state).toBe('closed');
+
+    await fail(providerError(500));
+    expect(breaker.state).toBe('open');
+
+    const fn = jest.fn();
+    const error = await breaker.execute(fn).catch(caught => caught);
+    expect(fn).not.toHaveBeenCalled();
+    expect(error).toMatchObject({ code: 'CIRCUIT_OPEN', status: 503, retryAfter: 60, provider: 'test' });
+    expect(breaker.getState()).toMatchObject({ state: 'open', consecutiveFailures: 3, stats: { rejected: 1, timesOpened: 1 } });
+  });
+
+  test('does not count client errors or cancellations, and a success resets the count', async () => {
+    await fail(providerError(503));
+    await fail(providerError(503));
+    await fail(providerError(400));
+    await fail(abortError());
+    expect(breaker.failures).toBe(2);
+
+    await succeed();
+    await fail(providerError(503));
+    expect(breaker.state).toBe('closed');
+    expect(breaker.failures).toBe(1);
+  });
+
+  describe('half-open', () => {
+    beforeEach(halfOpen);
+
+    test('lets one trial call through at a time', async () => {
+      let finishTrial;
+      const trial = breaker.execute(() => new Promise(resolve => { finishTrial = resolve; }));
+
+      expect(breaker.state).toBe('half-open');
+      await expect(succeed()).rejects.toMatchObject({ code: 'CIRCUIT_OPEN' });
+
+      finishTrial('ok');
+      await expect(trial).resolves.toBe('ok');
+      expect(breaker.state).toBe('closed');
+    });
+
+    test('closes when the trial is answered with a client error', async () => {
+      await fail(providerError(400, 'prompt is too long'));
+
+      expect(breaker.state).toBe('closed');
+      expect(breaker.failures).toBe(0);
+    });
+
+    test('re-opens when the trial fails transiently', async () => {
+      await fail(providerError(529, 'Overloaded'));
+
+      expect(breaker.state).toBe('open');
+      expect(breaker.stats.timesOpened).toBe(2);
+    });
+
+    test('stays half-open after a cancelled trial and lets the next call try', async () => {
+      await fail(abortError());
+      expect(breaker.state).toBe('half-open');
+      expect(breaker.trialInFlight).toBe(false);
+
+      await expect(succeed()).resolves.toBe('ok');
+      expect(breaker.state).toBe('closed');
+    });
+  });
+});
+
+describe('withRetry', () => {
+  const options = { maxAttempts: 3, baseDelayMs: 1, maxDelayMs: 5 };
+
+  test('retries transient failures until the call succeeds', async () => {
+    const fn = jest.fn()
+      .mockRejectedValueOnce(providerError(503))
+      .mockRejectedValueOnce(providerError(429))
+      .mockResolvedValue('ok');
+
+    await expect(withRetry(fn, options)).resolves.toBe('ok');
+    expect(fn.mock.calls.map(([attempt]) => attempt)).toEqual([1, 2, 3]);
+  });
+
+  test('marks a transient error that used every attempt as exhausted', async () => {
+    const fn = jest.fn().mockRejectedValue(providerError(503));
+
+    await expect(withRetry(fn, options)).rejects.toMatchObject({ status: 503, retriesExhausted: true });
+    expect(fn).toHaveBeenCalledTimes(3);
+  });
+
+  test('throws other errors at once without marking them', async () => {
+    const error = providerError(401);
+    const fn = jest.fn().mockRejectedValue(error);
+
+    await expect(withRetry(fn, options)).rejects.toBe(error);
+    expect(fn).toHaveBeenCalledTimes(1);
+    expect(error.retriesExhausted).toBeUndefined();
+  });
+});
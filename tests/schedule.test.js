@@ -0,0 +1,181 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dataDir = path.join(os.tmpdir(), `geo-schedule-test-${process.pid}`);
+Object.assign(process.env, {
+  API_KEY: 'test-api-key-1234567890',
+  LLM_PROVIDER: 'mock',
+  LOG_LEVEL: 'error',
+  REPORTS_DIR: path.join(dataDir, 'reports'),
+  JOBS_DIR: path.join(dataDir, 'jobs'),
+  BATCHES_DIR: path.join(dataDir, 'batches'),
+  SCHEDULES_DIR: path.join(dataDir, 'schedules'),
+  TEMPLATES_DIR: path.join(dataDir, 'templates'),
+  USAGE_LEDGER_FILE: path.join(dataDir, 'usage', 'ledger.jsonl'),
+  SCHEDULE_TICK_MS: '30000'
+});
+
+jest.spyOn(console, 'log').mockImplementation(() => {});
+jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+const jobService = require('../src/services/job.service');
+const scheduleService = require('../src/services/schedule.service');
+
+const MINUTE_MS = 60000;
+
+// Queued analysis jobs by ID; the scheduler only reads their status
+const jobs = new Map();
+
+const createSchedule = (data = {}) => {
+  const { scheduleId } = scheduleService.createSchedule({
+    cron: '0 * * * *',
+    timezone: 'UTC',
+    enabled: true,
+    catchUp: true,
+    formData: { brandName: 'Acme', websiteUrl: 'https://acme.com', email: 'team@acme.com' },
+    ...data
+  });
+  return scheduleService.schedules.get(scheduleId);
+};
+
+beforeEach(() => {
+  jobs.clear();
+  jest.spyOn(jobService, 'createComprehensiveJob').mockImplementation((formData, options) => {
+    const job = { jobId: `job-${jobs.size + 1}`, status: 'queued', formData, options };
+    jobs.set(job.jobId, job);
+    return job;
+  });
+  jest.spyOn(jobService, 'getJob').mockImplementation(jobId => jobs.get(jobId) || null);
+});
+
+afterEach(() => {
+  scheduleService.schedules.clear();
+  jest.restoreAllMocks();
+});
+
+afterAll(async () => {
+  await scheduleService.shutdown();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+describe('tick', () => {
+  test('queues a due schedule and advances its next run', async () => {
+    const schedule = createSchedule();
+    const due = new Date(Date.now() - MINUTE_MS);
+    schedule.nextRunAt = due.toISOString();
+
+    await scheduleService.tick();
+
+    expect(jobService.createComprehensiveJob).toHaveBeenCalledTimes(1);
+    const [formData, options] = jobService.createComprehensiveJob.mock.calls[0];
+    expect(formData).toMatchObject({ brandName: 'Acme', useCache: false });
+    expect(options).toMatchObject({ userAgent: 'scheduler', scheduleId: schedule.scheduleId });
+
+    expect(schedule.runs).toEqual([expect.objectContaining({
+      trigger: 'schedule',
+      scheduledFor: due.toISOString(),
+      missedRuns: 0,
+      jobId: 'job-1',
+      status: 'queued'
+    })]);
+    expect(new Date(schedule.nextRunAt).getTime()).toBeGreaterThan(Date.now());
+  });
+
+  test('leaves schedules that are not due or disabled alone', async () => {
+    const upcoming = createSchedule();
+    const disabled = createSchedule({ enabled: false });
+    disabled.nextRunAt = new Date(Date.now() - MINUTE_MS).toISOString();
+
+    await scheduleService.tick();
+
+    expect(jobService.createComprehensiveJob).not.toHaveBeenCalled();
+    expect(upcoming.runs).toEqual([]);
+    expect(disabled.runs).toEqual([]);
+  });
+
+  test('catches up once for all runs missed while the service was down', async () => {
+    const schedule = createSchedule();
+    const hour = Math.floor(Date.now() / (60 * MINUTE_MS)) * 60 * MINUTE_MS;
+    schedule.nextRunAt = new Date(hour - 3 * 60 * MINUTE_MS).toISOString();
+
+    await scheduleService.tick();
+
+    expect(jobService.createComprehensiveJob).toHaveBeenCalledTimes(1);
+    // The first missed run plus the hourly runs up to now
+    expect(schedule.runs).toEqual([expect.objectContaining({ trigger: 'catch_up', missedRuns: 4, jobId: 'job-1' })]);
+  });
+
+  test('records missed runs as skipped when catch-up is disabled', async () => {
+    const schedule = createSchedule({ catchUp: false });
+    schedule.nextRunAt = new Date(Date.now() - 10 * MINUTE_MS).toISOString();
+
+    await scheduleService.tick();
+
+    expect(jobService.createComprehensiveJob).not.toHaveBeenCalled();
+    expect(schedule.runs).toEqual([expect.objectContaining({
+      trigger: 'catch_up',
+      status: 'skipped',
+      jobId: null,
+      error: expect.stringMatching(/catch-up disabled/)
+    })]);
+    expect(new Date(schedule.nextRunAt).getTime()).toBeGreaterThan(Date.now());
+  });
+
+  test('skips a run while the previous one is still running', async () => {
+    const schedule = createSchedule();
+    schedule.nextRunAt = new Date(Date.now() - MINUTE_MS).toISOString();
+    await scheduleService.tick();
+    jobs.get('job-1').status = 'running';
+
+    schedule.nextRunAt = new Date(Date.now() - MINUTE_MS).toISOString();
+    await scheduleService.tick();
+
+    expect(jobService.createComprehensiveJob).toHaveBeenCalledTimes(1);
+    expect(schedule.runs[1]).toMatchObject({ status: 'skipped', error: 'Previous run is still running (job job-1)' });
+  });
+
+  test('copies the outcome of finished jobs into the run history', async () => {
+    const schedule = createSchedule();
+    schedule.nextRunAt = new Date(Date.now() - MINUTE_MS).toISOString();
+    await scheduleService.tick();
+
+    Object.assign(jobs.get('job-1'), {
+      status: 'completed',
+      completedAt: '2026-05-04T10:05:00.000Z',
+      result: { fileName: 'acme_report.txt' }
+    });
+    await scheduleService.tick();
+
+    expect(schedule.runs[0]).toMatchObject({
+      status: 'completed',
+      fileName: 'acme_report.txt',
+      completedAt: '2026-05-04T10:05:00.000Z'
+    });
+  });
+});
+
+describe('countMissedRuns', () => {
+  test('counts occurrences from the first missed run up to now', () => {
+    const schedule = { cron: '0 0 * * *', timezone: 'UTC' };
+    const due = new Date('2026-05-01T00:00:00Z');
+
+    expect(scheduleService.countMissedRuns(schedule, due, Date.parse('2026-05-01T12:00:00Z'))).toBe(1);
+    expect(scheduleService.countMissedRuns(schedule, due, Date.parse('2026-05-04T00:00:00Z'))).toBe(4);
+  });
+
+  test('counts every local midnight across a daylight saving change', () => {
+    const schedule = { cron: '0 0 * * *', timezone: 'Europe/Berlin' };
+    // Midnights of March 28 to 31; March 29 has 23 hours
+    const due = new Date('2026-03-27T23:00:00Z');
+
+    expect(scheduleService.countMissedRuns(schedule, due, Date.parse('2026-03-31T12:00:00Z'))).toBe(4);
+  });
+
+  test('stops counting at the cap', () => {
+    const schedule = { cron: '* * * * *', timezone: 'UTC' };
+    const due = new Date('2026-01-01T00:00:00Z');
+
+    expect(scheduleService.countMissedRuns(schedule, due, Date.parse('2026-02-01T00:00:00Z'))).toBe(1000);
+  });
+});
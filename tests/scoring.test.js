@@ -0,0 +1,124 @@
+const { calculateVisibilityScores, scoreEntities } = require('../src/utils/scoring');
+
+/**
+ * Query result with one mention entry per entity
+ * @param {Object} fields - { provider, market, error }
+ * @param {Object} mentions - { name: [count, position] } for mentioned entities
+ */
+const result = (fields, mentions = {}) => ({
+  provider: 'anthropic',
+  ...fields,
+  mentions: fields.error ? undefined : ['Acme', 'Rival'].map(name => ({
+    name,
+    isBrand: name === 'Acme',
+    mentioned: Boolean(mentions[name]),
+    count: mentions[name] ? mentions[name][0] : 0,
+    position: mentions[name] ? mentions[name][1] : null
+  }))
+});
+
+const results = [
+  result({ provider: 'anthropic', market: 'us' }, { Acme: [2, 1], Rival: [1, 2] }),
+  result({ provider: 'anthropic', market: 'us' }, { Rival: [1, 1] }),
+  result({ provider: 'openai', market: 'de' }, { Acme: [1, 2], Rival: [3, 1] }),
+  result({ provider: 'openai', market: 'de', error: 'Rate limit exceeded' })
+];
+
+describe('scoreEntities', () => {
+  test('computes the metrics of every entity over answered queries', () => {
+    const [acme, rival] = scoreEntities(results);
+
+    expect(acme).toEqual({
+      name: 'Acme',
+      isBrand: true,
+      answersMentioning: 2,
+      totalMentions: 3,
+      mentionRate: 0.6667, // 2 of 3 answers
+      averagePosition: 1.5,
+      firstMentionShare: 0.3333, // First in 1 of 3 answers mentioning anyone
+      shareOfVoice: 0.4, // 2 of 5 entity mentions
+      // 100 * (0.5 * 2/3 + 0.2 * 1/1.5 + 0.15 * 1/3 + 0.15 * 0.4)
+      visibilityScore: 57.7
+    });
+    expect(rival).toMatchObject({
+      answersMentioning: 3,
+      totalMentions: 5,
+      mentionRate: 1,
+      averagePosition: 1.33,
+      firstMentionShare: 0.6667,
+      shareOfVoice: 0.6,
+      // 100 * (0.5 * 1 + 0.2 * 0.75 + 0.15 * 2/3 + 0.15 * 0.6)
+      visibilityScore: 84
+    });
+  });
+
+  test('scores an entity that is never mentioned at zero', () => {
+    const [acme] = scoreEntities([results[1]]);
+
+    expect(acme).toMatchObject({
+      mentionRate: 0,
+      averagePosition: null,
+      firstMentionShare: 0,
+      shareOfVoice: 0,
+      visibilityScore: 0
+    });
+  });
+});
+
+describe('calculateVisibilityScores', () => {
+  test('scores the brand, ranks competitors and breaks down by provider and market', () => {
+    const scores = calculateVisibilityScores({ results });
+
+    expect(scores).toMatchObject({
+      answeredQueries: 3,
+      visibilityScore: 57.7,
+      brand: { name: 'Acme' },
+      competitors: [{ name: 'Rival', visibilityScore: 84 }],
+      shareOfVoice: { Acme: 0.4, Rival: 0.6 }
+    });
+    expect(scores.byProvider).toEqual({
+      anthropic: { answeredQueries: 2, mentionRate: 0.5, averagePosition: 1, shareOfVoice: 0.3333, visibilityScore: 57.5 },
+      openai: { answeredQueries: 1, mentionRate: 1, averagePosition: 2, shareOfVoice: 0.5, visibilityScore: 67.5 }
+    });
+    expect(scores.byMarket.de).toMatchObject({
+      answeredQueries: 1,
+      visibilityScore: 67.5,
+      competitors: [{ name: 'Rival', mentionRate: 1, shareOfVoice: 0.5, visibilityScore: 92.5 }]
+    });
+  });
+
+  test('reports null scores where nothing was measured', () => {
+    const scores = calculateVisibilityScores({
+      results: [
+        ...results.slice(0, 2),
+        result({ provider: 'gemini', market: 'fr', error: 'Timeout' })
+      ]
+    });
+
+    expect(scores.byProvider.gemini).toEqual({
+      answeredQueries: 0,
+      mentionRate: null,
+      averagePosition: null,
+      shareOfVoice: null,
+      visibilityScore: null
+    });
+    expect(scores.byMarket.fr).toMatchObject({ answeredQueries: 0, visibilityScore: null, competitors: [] });
+  });
+
+  test('has no score when every query failed', () => {
+    const scores = calculateVisibilityScores({ results: [results[3]] });
+
+    expect(scores).toMatchObject({
+      answeredQueries: 0,
+      visibilityScore: null,
+      brand: null,
+      competitors: [],
+      byProvider: { openai: { answeredQueries: 0, visibilityScore: null } }
+    });
+  });
+
+  test('returns null for skipped or missing measurements', () => {
+    expect(calculateVisibilityScores(null)).toBeNull();
+    expect(calculateVisibilityScores({ skipped: true, reason: 'disabled' })).toBeNull();
+  });
+});